@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+/**
+ * inline-px CLI
+ *
+ * Command-line front end for the headless API (js/headless.js):
+ *
+ *   inline-px encode <image.png> [-o out.txt]      PNG -> data string
+ *   inline-px decode <input> [-o out.png|.svg|.gif] data string -> image
+ *   inline-px validate <input>                     exit code 1 if invalid
+ *   inline-px stats <input> [--json]               dimensions, colors, compression
+ *   inline-px convert <input> -o <output>          any supported format -> any other
+ *
+ * <input> is a file path, a literal data string, or "-" for stdin.
+ *
+ * @module CLI
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { deflateSync, inflateSync } from 'node:zlib';
+import Headless from '../js/headless.js';
+
+const USAGE = `Usage: inline-px <command> [input] [options]
+
+Commands:
+  encode <image.png>     Convert a PNG to a data string
+  decode <input>         Render a data string as PNG, SVG or GIF
+  validate <input>       Check a data string (exit code 1 if invalid)
+  stats <input>          Show dimensions, frames, colors and compression
+  convert <input>        Convert between .png, .svg, .gif and .txt (by extension)
+
+Input: a file path, a literal data string, or "-" for stdin.
+Data strings and JSON project documents are both accepted.
+
+Options:
+  -o, --output <file>    Output file (default: stdout)
+  -f, --format <fmt>     Output format when writing to stdout: txt, png, svg, gif
+  -s, --scale <n>        Integer scale factor for PNG/SVG/GIF (default 1)
+      --frame <n>        Frame to render for PNG/SVG (1-based, default 1)
+      --loop <n>         GIF repetitions after the first play (0 = forever)
+      --classes          SVG: CSS class per palette color
+  -c, --compress         RLE compress data strings when shorter
+      --dither <mode>    encode: none, ordered, floyd-steinberg
+      --metric <name>    encode: lab, rgb
+      --alpha-threshold <n>  encode: alpha below this is transparent (0-255)
+      --max-size <n>     encode: downscale larger images
+      --json             stats: print JSON
+  -h, --help             Show this help`;
+
+const OPTIONS = {
+    output: { type: 'string', short: 'o' },
+    format: { type: 'string', short: 'f' },
+    scale: { type: 'string', short: 's' },
+    frame: { type: 'string' },
+    loop: { type: 'string' },
+    classes: { type: 'boolean' },
+    compress: { type: 'boolean', short: 'c' },
+    dither: { type: 'string' },
+    metric: { type: 'string' },
+    'alpha-threshold': { type: 'string' },
+    'max-size': { type: 'string' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const PNG_SIGNATURE = [137, 80, 78, 71];
+const FORMATS = ['txt', 'png', 'svg', 'gif'];
+
+/**
+ * Error for bad command-line usage (exit code 2)
+ */
+class UsageError extends Error {}
+
+/**
+ * Read an input argument
+ * @param {string|undefined} value - File path, literal data string or "-"
+ * @returns {{bytes: Uint8Array, isPNG: boolean, text: string}} Input
+ */
+function readInput(value) {
+    if (value === undefined) {
+        throw new UsageError('Missing input');
+    }
+
+    let bytes;
+    if (value === '-') {
+        bytes = readFileSync(0);
+    } else if (existsSync(value)) {
+        bytes = readFileSync(value);
+    } else {
+        bytes = Buffer.from(value, 'utf8');
+    }
+
+    const isPNG = PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+    return { bytes, isPNG, text: isPNG ? '' : bytes.toString('utf8').trim() };
+}
+
+/**
+ * Parse an integer option
+ * @param {string|undefined} value - Raw option value
+ * @param {number} fallback - Default value
+ * @param {string} name - Option name for errors
+ * @returns {number} Parsed value
+ */
+function intOption(value, fallback, name) {
+    if (value === undefined) return fallback;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new UsageError(`--${name} must be a non-negative integer`);
+    }
+    return parsed;
+}
+
+/**
+ * Work out the output format from --format or the output extension
+ * @param {Object} values - Parsed options
+ * @param {string} fallback - Format when nothing is specified
+ * @returns {string} One of FORMATS
+ */
+function getOutputFormat(values, fallback) {
+    const format = (values.format || (values.output ? extname(values.output).slice(1) : '') || fallback).toLowerCase();
+    if (!FORMATS.includes(format)) {
+        throw new UsageError(`Unsupported output format "${format}" (use ${FORMATS.join(', ')})`);
+    }
+    return format;
+}
+
+/**
+ * Write the result to the output file or stdout
+ * @param {string|Uint8Array} content - Output content
+ * @param {string|undefined} output - Output path
+ */
+function writeOutput(content, output) {
+    if (output) {
+        writeFileSync(output, content);
+        return;
+    }
+    if (typeof content !== 'string' && process.stdout.isTTY) {
+        throw new UsageError('Refusing to write binary output to a terminal; use -o <file>');
+    }
+    process.stdout.write(typeof content === 'string' ? `${content}\n` : content);
+}
+
+/**
+ * Turn an input into a data string (PNG inputs are quantized)
+ * @param {{bytes: Uint8Array, isPNG: boolean, text: string}} input - Input
+ * @param {Object} values - Parsed options
+ * @returns {string} Data string
+ */
+function toDataString(input, values) {
+    if (input.isPNG) {
+        return Headless.fromPNG(input.bytes, {
+            inflate: inflateSync,
+            dither: values.dither,
+            metric: values.metric,
+            alphaThreshold: values['alpha-threshold'] !== undefined ? intOption(values['alpha-threshold'], 128, 'alpha-threshold') : undefined,
+            maxSize: intOption(values['max-size'], 0, 'max-size') || undefined,
+            compress: values.compress
+        });
+    }
+
+    const dataString = Headless.toDataString(input.text);
+    const result = Headless.validate(dataString);
+    if (!result.valid) {
+        throw new Error(`Invalid data string: ${result.error}`);
+    }
+    return values.compress ? Headless.compress(dataString) : dataString;
+}
+
+/**
+ * Render a data string in an output format
+ * @param {string} dataString - Data string
+ * @param {string} format - One of FORMATS
+ * @param {Object} values - Parsed options
+ * @returns {string|Uint8Array} Output content
+ */
+function render(dataString, format, values) {
+    const scale = values.scale === undefined ? 1 : Number(values.scale);
+    if (!Number.isInteger(scale) || scale < 1) {
+        throw new UsageError('--scale must be a positive integer');
+    }
+    // Frames below 1 are reported like frames past the end
+    const frame = values.frame === undefined ? 0 : Number(values.frame) - 1;
+    if (!Number.isInteger(frame)) {
+        throw new UsageError('--frame must be an integer');
+    }
+
+    switch (format) {
+        case 'png':
+            return Headless.renderPNG(dataString, { scale, frame, deflate: deflateSync });
+        case 'svg':
+            return Headless.renderSVG(dataString, { scale, frame, useClasses: !!values.classes }).trimEnd();
+        case 'gif':
+            return Headless.renderGIF(dataString, { scale, loop: intOption(values.loop, 0, 'loop') });
+        default:
+            return dataString;
+    }
+}
+
+/**
+ * Format stats for humans
+ * @param {Object} stats - Headless.stats() result
+ * @returns {string} Report
+ */
+function formatStats(stats) {
+    const lines = [
+        `Size:        ${stats.width}×${stats.height}`,
+        `Frames:      ${stats.frameCount}${stats.totalDuration ? ` (${stats.totalDuration} ms)` : ''}`,
+        `Pixels:      ${stats.pixelCount} (${stats.transparentPixels} transparent)`,
+        `Palette:     ${stats.paletteOverrides} override(s)`,
+        `Length:      ${stats.inputLength} chars (${stats.uncompressedLength} uncompressed, ${stats.compressedLength} RLE)`,
+        `RLE savings: ${stats.compressionSavings}%`,
+        `Colors:      ${stats.colorsUsed.length}`
+    ];
+    stats.colorsUsed.forEach(color => {
+        lines.push(`  ${color.char}  ${color.color}  ${color.count}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Run a command
+ * @param {Array<string>} argv - Arguments after the executable
+ * @returns {number} Exit code
+ */
+function run(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, inputArg] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    switch (command) {
+        case 'encode': {
+            const input = readInput(inputArg);
+            if (!input.isPNG) {
+                throw new UsageError('encode expects a PNG file (use convert for data strings)');
+            }
+            writeOutput(toDataString(input, values), values.output);
+            return 0;
+        }
+        case 'decode': {
+            const input = readInput(inputArg);
+            if (input.isPNG) {
+                throw new UsageError('decode expects a data string (use encode for PNG files)');
+            }
+            const format = getOutputFormat(values, 'png');
+            writeOutput(render(toDataString(input, values), format, values), values.output);
+            return 0;
+        }
+        case 'convert': {
+            const input = readInput(inputArg);
+            const format = getOutputFormat(values, input.isPNG ? 'txt' : 'png');
+            writeOutput(render(toDataString(input, values), format, values), values.output);
+            return 0;
+        }
+        case 'validate': {
+            const input = readInput(inputArg);
+            const result = input.isPNG
+                ? { valid: false, error: 'PNG files are not data strings', info: null }
+                : Headless.validate(input.text);
+            if (!result.valid) {
+                console.error(`invalid: ${result.error}`);
+                return 1;
+            }
+            const { width, height, frameCount, isCompressed, paletteSize } = result.info;
+            console.log(`valid: ${width}×${height}, ${frameCount} frame(s)` +
+                `${isCompressed ? ', RLE' : ''}${paletteSize ? `, ${paletteSize} palette override(s)` : ''}`);
+            return 0;
+        }
+        case 'stats': {
+            const input = readInput(inputArg);
+            const stats = Headless.stats(input.isPNG ? toDataString(input, values) : input.text);
+            console.log(values.json ? JSON.stringify(stats, null, 2) : formatStats(stats));
+            return 0;
+        }
+        default:
+            throw new UsageError(`Unknown command "${command}"`);
+    }
+}
+
+try {
+    process.exitCode = run(process.argv.slice(2));
+} catch (error) {
+    console.error(`inline-px: ${error.message}`);
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+        console.error('Run "inline-px --help" for usage.');
+        process.exitCode = 2;
+    } else {
+        process.exitCode = 1;
+    }
+}
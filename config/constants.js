@@ -14,8 +14,13 @@ const Constants = {
         defaultPixelSize: 30
     },
     history: {
-        maxStates: 50,
-        debounceTime: 500
+        memoryBudget: 16777216, // Bytes of undo data kept per document (16 MB)
+        thumbnailSize: 32, // History panel previews (longest side, pixels)
+        persistLimit: 524288 // Characters of undo history autosaved per document (0 = off)
+    },
+    files: {
+        revisionLimit: 20, // Earlier versions kept per saved file (0 = off)
+        revisionMaxAgeDays: 0 // Drop revisions older than this (0 = keep)
     },
     autosave: {
         interval: 30000,
@@ -32,6 +37,23 @@ const Constants = {
         maxRunLength: 99,
         countDigits: 2
     },
+    animation: {
+        defaultFrameDuration: 100,
+        minFrameDuration: 10,
+        maxFrameDuration: 10000,
+        onionSkinOpacity: 0.3
+    },
+    imageImport: {
+        alphaThreshold: 128,
+        defaultMetric: "lab",
+        defaultDither: "none",
+        acceptedTypes: ["image/png", "image/gif", "image/bmp"]
+    },
+    spriteSheet: {
+        maxSize: 4096,
+        defaultPadding: 1,
+        maxPadding: 64
+    },
     ui: {
         copyFeedbackDuration: 1000,
         windowResizeDebounce: 250,
@@ -0,0 +1,50 @@
+/**
+ * Keymap Presets
+ * Exported as JavaScript module for file:// compatibility
+ *
+ * Each preset lists only the commands it binds differently from the
+ * default keybindings the commands are registered with; an empty list
+ * unbinds a command. Keys the browser keeps for itself (Ctrl+W, Ctrl+T,
+ * Ctrl+Shift+N...) are replaced by the nearest free combination.
+ */
+
+const KeymapPresets = {
+    default: {
+        label: 'Inline.px',
+        bindings: {}
+    },
+
+    aseprite: {
+        label: 'Aseprite',
+        bindings: {
+            'tool.pencil': ['B'],
+            // Aseprite has no separate brush; it takes the spray's key
+            'tool.brush': ['Shift+B'],
+            'tool.fill': ['G'],
+            'tool.rectangle': ['U'],
+            'tool.ellipse': ['Shift+U'],
+            'tool.polygonLasso': ['Shift+Q'],
+            'view.toggleGrid': ["Ctrl+'"],
+            'layer.add': ['Shift+N']
+        }
+    },
+
+    photoshop: {
+        label: 'Photoshop',
+        bindings: {
+            'tool.pencil': ['Shift+B'],
+            'tool.fill': ['G'],
+            'tool.rectangle': ['U'],
+            'tool.ellipse': ['Shift+U'],
+            'tool.line': ['Alt+U'],
+            'tool.lasso': ['L'],
+            'tool.polygonLasso': ['Shift+L'],
+            'edit.redo': ['Ctrl+Shift+Z'],
+            'view.toggleGrid': ["Ctrl+'"],
+            'layer.add': ['Ctrl+Alt+Shift+N'],
+            'file.export': ['Ctrl+Alt+Shift+W']
+        }
+    }
+};
+
+export default KeymapPresets;
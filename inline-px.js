@@ -1,195 +1,418 @@
 /**
- * <inline-px> Custom HTML Element
+ * <inline-px> Custom HTML Element - standalone build
  *
- * Renders ultra-compact pixel art strings as PNG images
- * with automatic scaling and crisp rendering.
- *
- * Usage:
- *   <inline-px data="16x16:000..." scale="4"></inline-px>
- *
- * Attributes:
- *   - data: Pixel art string (WxH:DATA or WxH:RLE:DATA)
- *   - scale: Image scale multiplier (default: 1)
- *   - alt: Alternative text for accessibility
- *   - class: CSS classes
- *
- * Example:
- *   <inline-px
- *     data="16x16:0000000000000000003BB00BB3000000B11111111B..."
- *     scale="4"
- *     alt="Heart sprite"
- *     class="pixelart"
- *   ></inline-px>
+ * GENERATED FILE - do not edit by hand.
+ * Source: js/element/InlinePxElement.js + js/core/Codec.js
+ * Rebuild with: npm run build:element
  */
-
-(function() {
-    'use strict';
-
-    // 64-color palette (same as Inline.px editor)
-    const PALETTE = [
-        null,        // 0: Transparent
-        '#000000',   // 1: Black
-        '#FFFFFF',   // 2: White
-        '#FF0000',   // 3: Red
-        '#00FF00',   // 4: Green
-        '#0000FF',   // 5: Blue
-        '#FFFF00',   // 6: Yellow
-        '#FF00FF',   // 7: Magenta
-        '#00FFFF',   // 8: Cyan
-        '#FFA500',   // 9: Orange
-        '#1a1a1a', '#333333', '#4d4d4d', '#666666', '#808080',
-        '#999999', '#b3b3b3', '#cccccc', '#e6e6e6', '#f5f5f5',
-        '#8B0000', '#DC143C', '#FF6347', '#FFA07A', '#FFB6C1',
-        '#006400', '#228B22', '#32CD32', '#90EE90', '#98FB98',
-        '#00008B', '#4169E1', '#1E90FF', '#87CEEB', '#ADD8E6',
-        '#4B0082', '#8B008B', '#9370DB', '#BA55D3', '#DDA0DD',
-        '#8B4513', '#A0522D', '#D2691E', '#CD853F', '#DEB887',
-        '#FFE4E1', '#FFE4B5', '#FAFAD2', '#E0FFFF', '#E6E6FA',
-        '#FF1493', '#FF8C00', '#FFD700', '#ADFF2F', '#00CED1',
-        '#9400D3', '#8B4789', '#2F4F4F', '#708090', '#BC8F8F',
-        '#F0E68C', '#EEE8AA', '#F5DEB3', '#FFDAB9'
-    ];
-
-    // Base64 character to index mapping
-    const BASE64_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz+/';
-
-    function getColorIndex(char) {
-        const index = BASE64_CHARS.indexOf(char);
-        return index >= 0 && index < PALETTE.length ? index : 0;
-    }
-
-    /**
-     * Decompress RLE format
-     */
-    function decompressRLE(compressed) {
-        let decompressed = '';
-        let i = 0;
-
-        while (i < compressed.length) {
-            // Parse fixed 2-digit count
-            if (i + 2 < compressed.length) {
-                const countStr = compressed.substring(i, i + 2);
-                const count = parseInt(countStr);
-                const char = compressed[i + 2];
-                decompressed += char.repeat(count);
-                i += 3; // Skip count (2 digits) + char (1)
-            } else {
-                // Malformed data, skip
-                break;
-            }
+var InlinePx = (function() {
+  "use strict";
+  const ColorConfig = {
+    base64Chars: "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz+/",
+    palette: [
+      { index: 0, char: "0", color: "transparent", name: "Transparent", category: "special" },
+      { index: 1, char: "1", color: "#000000", name: "Black", category: "basic" },
+      { index: 2, char: "2", color: "#FFFFFF", name: "White", category: "basic" },
+      { index: 3, char: "3", color: "#FF0000", name: "Red", category: "basic" },
+      { index: 4, char: "4", color: "#00FF00", name: "Green", category: "basic" },
+      { index: 5, char: "5", color: "#0000FF", name: "Blue", category: "basic" },
+      { index: 6, char: "6", color: "#FFFF00", name: "Yellow", category: "basic" },
+      { index: 7, char: "7", color: "#FF00FF", name: "Magenta", category: "basic" },
+      { index: 8, char: "8", color: "#00FFFF", name: "Cyan", category: "basic" },
+      { index: 9, char: "9", color: "#1A1A1A", name: "Dark Gray 1", category: "grayscale" },
+      { index: 10, char: "A", color: "#333333", name: "Dark Gray 2", category: "grayscale" },
+      { index: 11, char: "B", color: "#4D4D4D", name: "Dark Gray 3", category: "grayscale" },
+      { index: 12, char: "C", color: "#666666", name: "Gray 1", category: "grayscale" },
+      { index: 13, char: "D", color: "#808080", name: "Gray 2", category: "grayscale" },
+      { index: 14, char: "E", color: "#999999", name: "Gray 3", category: "grayscale" },
+      { index: 15, char: "F", color: "#B3B3B3", name: "Light Gray 1", category: "grayscale" },
+      { index: 16, char: "G", color: "#CCCCCC", name: "Light Gray 2", category: "grayscale" },
+      { index: 17, char: "H", color: "#8B0000", name: "Dark Red", category: "reds" },
+      { index: 18, char: "I", color: "#B22222", name: "Firebrick", category: "reds" },
+      { index: 19, char: "J", color: "#DC143C", name: "Crimson", category: "reds" },
+      { index: 20, char: "K", color: "#FF4500", name: "Orange Red", category: "reds" },
+      { index: 21, char: "L", color: "#FF6347", name: "Tomato", category: "reds" },
+      { index: 22, char: "M", color: "#FF7F50", name: "Coral", category: "reds" },
+      { index: 23, char: "N", color: "#FFA500", name: "Orange", category: "reds" },
+      { index: 24, char: "O", color: "#FFD700", name: "Gold", category: "reds" },
+      { index: 25, char: "P", color: "#006400", name: "Dark Green", category: "greens" },
+      { index: 26, char: "Q", color: "#008000", name: "Green", category: "greens" },
+      { index: 27, char: "R", color: "#228B22", name: "Forest Green", category: "greens" },
+      { index: 28, char: "S", color: "#32CD32", name: "Lime Green", category: "greens" },
+      { index: 29, char: "T", color: "#7FFF00", name: "Chartreuse", category: "greens" },
+      { index: 30, char: "U", color: "#90EE90", name: "Light Green", category: "greens" },
+      { index: 31, char: "V", color: "#98FB98", name: "Pale Green", category: "greens" },
+      { index: 32, char: "W", color: "#ADFF2F", name: "Yellow Green", category: "greens" },
+      { index: 33, char: "X", color: "#00008B", name: "Dark Blue", category: "blues" },
+      { index: 34, char: "Y", color: "#0000CD", name: "Medium Blue", category: "blues" },
+      { index: 35, char: "Z", color: "#1E90FF", name: "Dodger Blue", category: "blues" },
+      { index: 36, char: "a", color: "#4169E1", name: "Royal Blue", category: "blues" },
+      { index: 37, char: "b", color: "#6495ED", name: "Steel Blue", category: "blues" },
+      { index: 38, char: "c", color: "#87CEEB", name: "Sky Blue", category: "blues" },
+      { index: 39, char: "d", color: "#87CEFA", name: "Light Sky Blue", category: "blues" },
+      { index: 40, char: "e", color: "#B0E0E6", name: "Powder Blue", category: "blues" },
+      { index: 41, char: "f", color: "#4B0082", name: "Indigo", category: "purples" },
+      { index: 42, char: "g", color: "#6A5ACD", name: "Slate Blue", category: "purples" },
+      { index: 43, char: "h", color: "#7B68EE", name: "Medium Slate Blue", category: "purples" },
+      { index: 44, char: "i", color: "#9370DB", name: "Medium Purple", category: "purples" },
+      { index: 45, char: "j", color: "#BA55D3", name: "Orchid", category: "purples" },
+      { index: 46, char: "k", color: "#DA70D6", name: "Violet", category: "purples" },
+      { index: 47, char: "l", color: "#DDA0DD", name: "Plum", category: "purples" },
+      { index: 48, char: "m", color: "#EE82EE", name: "Pink Violet", category: "purples" },
+      { index: 49, char: "n", color: "#8B4513", name: "Saddle Brown", category: "browns" },
+      { index: 50, char: "o", color: "#A0522D", name: "Sienna", category: "browns" },
+      { index: 51, char: "p", color: "#D2691E", name: "Chocolate", category: "browns" },
+      { index: 52, char: "q", color: "#CD853F", name: "Peru", category: "browns" },
+      { index: 53, char: "r", color: "#F4A460", name: "Sandy Brown", category: "browns" },
+      { index: 54, char: "s", color: "#DEB887", name: "Burlywood", category: "browns" },
+      { index: 55, char: "t", color: "#D2B48C", name: "Tan", category: "browns" },
+      { index: 56, char: "u", color: "#BC8F8F", name: "Rosy Brown", category: "browns" },
+      { index: 57, char: "v", color: "#FFB6C1", name: "Light Pink", category: "pastels" },
+      { index: 58, char: "w", color: "#FFC0CB", name: "Pink", category: "pastels" },
+      { index: 59, char: "x", color: "#FFE4E1", name: "Misty Rose", category: "pastels" },
+      { index: 60, char: "y", color: "#F0E68C", name: "Khaki", category: "pastels" },
+      { index: 61, char: "z", color: "#E6E6FA", name: "Lavender", category: "pastels" },
+      { index: 62, char: "+", color: "#D8BFD8", name: "Thistle", category: "pastels" },
+      { index: 63, char: "/", color: "#FFDAB9", name: "Peach", category: "pastels" }
+    ]
+  };
+  const Constants = {
+    rle: {
+      maxRunLength: 99,
+      countDigits: 2
+    }
+  };
+  const BASE64_CHARS = ColorConfig.base64Chars;
+  const RLE_COUNT_DIGITS = Constants.rle.countDigits;
+  const RLE_MAX_RUN = Constants.rle.maxRunLength;
+  const PALETTE_ENTRY_LENGTH = 7;
+  const HEX_PATTERN = /^[0-9A-Fa-f]{6}$/;
+  const FRAME_SEPARATOR = "|";
+  const PALETTE = ColorConfig.palette.map((item) => item.color === "transparent" ? null : item.color);
+  function charToIndex(char) {
+    return BASE64_CHARS.indexOf(char);
+  }
+  function indexToChar(index) {
+    return BASE64_CHARS[index] || BASE64_CHARS[0];
+  }
+  function indexToHex(index) {
+    return PALETTE[index] || null;
+  }
+  function encodeRLE(data) {
+    if (!data) return "";
+    if (data.includes(FRAME_SEPARATOR)) {
+      return data.split(FRAME_SEPARATOR).map(encodeRLE).join(FRAME_SEPARATOR);
+    }
+    let encoded = "";
+    let count = 1;
+    let current = data[0];
+    for (let i = 1; i <= data.length; i++) {
+      if (i < data.length && data[i] === current && count < RLE_MAX_RUN) {
+        count++;
+      } else {
+        encoded += `${count.toString().padStart(RLE_COUNT_DIGITS, "0")}${current}`;
+        if (i < data.length) {
+          current = data[i];
+          count = 1;
         }
-
-        return decompressed;
+      }
     }
-
-    /**
-     * Parse pixel art data string
-     */
-    function parsePixelArt(dataString) {
-        const parts = dataString.split(':');
-        const [width, height] = parts[0].split('x').map(Number);
-
-        let data;
-        if (parts[1] === 'RLE') {
-            data = decompressRLE(parts[2]);
-        } else {
-            data = parts[1];
+    return encoded;
+  }
+  function decodeRLE(encoded) {
+    if (encoded.includes(FRAME_SEPARATOR)) {
+      return encoded.split(FRAME_SEPARATOR).map(decodeRLE).join(FRAME_SEPARATOR);
+    }
+    const runLength = RLE_COUNT_DIGITS + 1;
+    let decoded = "";
+    let i = 0;
+    while (i + RLE_COUNT_DIGITS < encoded.length) {
+      const count = parseInt(encoded.substring(i, i + RLE_COUNT_DIGITS), 10);
+      const char = encoded[i + RLE_COUNT_DIGITS];
+      decoded += char.repeat(count);
+      i += runLength;
+    }
+    return decoded;
+  }
+  function parsePalette(section) {
+    if (typeof section !== "string" || section.length % PALETTE_ENTRY_LENGTH !== 0) {
+      return null;
+    }
+    const overrides = {};
+    for (let i = 0; i < section.length; i += PALETTE_ENTRY_LENGTH) {
+      const index = charToIndex(section[i]);
+      const hex = section.substring(i + 1, i + PALETTE_ENTRY_LENGTH);
+      if (index <= 0 || !HEX_PATTERN.test(hex)) return null;
+      overrides[index] = `#${hex.toUpperCase()}`;
+    }
+    return overrides;
+  }
+  function encodePalette(overrides) {
+    if (!overrides) return "";
+    return Object.keys(overrides).map(Number).filter((index) => index > 0 && index < BASE64_CHARS.length).sort((a, b) => a - b).map((index) => `${indexToChar(index)}${overrides[index].replace("#", "").toUpperCase()}`).join("");
+  }
+  function getPaletteOverrides(colors) {
+    const overrides = {};
+    let count = 0;
+    for (let index = 1; index < PALETTE.length; index++) {
+      const color = colors?.[index];
+      if (typeof color === "string" && HEX_PATTERN.test(color.replace("#", "")) && color.toUpperCase() !== PALETTE[index].toUpperCase()) {
+        overrides[index] = color.toUpperCase();
+        count++;
+      }
+    }
+    return count > 0 ? overrides : null;
+  }
+  function applyPalette(overrides) {
+    return PALETTE.map((color, index) => index > 0 && overrides?.[index] || color);
+  }
+  function splitSections(dataString) {
+    if (typeof dataString !== "string") return null;
+    const parts = dataString.split(":");
+    let i = 1;
+    let palette = null;
+    let durations = null;
+    let compressed = false;
+    if (parts[i] === "PAL" && parts.length >= i + 3) {
+      palette = parts[i + 1];
+      i += 2;
+    }
+    if (parts[i] === "ANIM" && parts.length >= i + 3) {
+      durations = parts[i + 1];
+      i += 2;
+    }
+    if (parts[i] === "RLE" && parts.length >= i + 2) {
+      compressed = true;
+      i++;
+    }
+    if (parts.length !== i + 1) return null;
+    return { dimensions: parts[0], palette, durations, compressed, data: parts[i] };
+  }
+  function joinSections({ dimensions, palette, durations, compressed, data }) {
+    const palettePart = palette ? `:PAL:${palette}` : "";
+    const animPart = durations ? `:ANIM:${durations}` : "";
+    return `${dimensions}${palettePart}${animPart}${compressed ? ":RLE" : ""}:${data}`;
+  }
+  function parseDurations(section) {
+    if (typeof section !== "string" || section.length === 0) return null;
+    const durations = section.split(",").map((value) => /^\d+$/.test(value) ? parseInt(value, 10) : NaN);
+    return durations.every((duration) => duration > 0) ? durations : null;
+  }
+  function parse(dataString) {
+    const sections = splitSections(dataString);
+    if (!sections) return null;
+    const dimensions = sections.dimensions.split("x");
+    if (dimensions.length !== 2) return null;
+    const width = parseInt(dimensions[0], 10);
+    const height = parseInt(dimensions[1], 10);
+    if (isNaN(width) || isNaN(height)) return null;
+    const palette = sections.palette !== null ? parsePalette(sections.palette) : null;
+    if (sections.palette !== null && !palette) return null;
+    const data = sections.compressed ? decodeRLE(sections.data) : sections.data;
+    let frames = null;
+    if (sections.durations !== null) {
+      const durations = parseDurations(sections.durations);
+      const frameData = data.split(FRAME_SEPARATOR);
+      if (!durations || durations.length !== frameData.length) return null;
+      frames = frameData.map((frame, index) => ({ data: frame, duration: durations[index] }));
+    }
+    return {
+      width,
+      height,
+      data: frames ? frames[0].data : data,
+      compressed: sections.compressed,
+      palette,
+      frames
+    };
+  }
+  function charsToPixels(data, width, height) {
+    const pixels = [];
+    for (let y = 0; y < height; y++) {
+      pixels[y] = [];
+      for (let x = 0; x < width; x++) {
+        const index = charToIndex(data[y * width + x]);
+        pixels[y][x] = index > 0 ? index : 0;
+      }
+    }
+    return pixels;
+  }
+  function pixelsToChars(pixels) {
+    let data = "";
+    for (let y = 0; y < pixels.length; y++) {
+      for (let x = 0; x < pixels[y].length; x++) {
+        data += indexToChar(pixels[y][x]);
+      }
+    }
+    return data;
+  }
+  function decode(dataString) {
+    const parsed = parse(dataString);
+    if (!parsed) return null;
+    const { width, height, data, palette } = parsed;
+    const frames = parsed.frames ? parsed.frames.map((frame) => ({
+      pixels: charsToPixels(frame.data, width, height),
+      duration: frame.duration
+    })) : null;
+    return {
+      width,
+      height,
+      pixels: frames ? frames[0].pixels : charsToPixels(data, width, height),
+      palette,
+      colors: applyPalette(palette),
+      frames
+    };
+  }
+  function encode(pixels, palette = null) {
+    const height = pixels.length;
+    const width = height > 0 ? pixels[0].length : 0;
+    return joinSections({
+      dimensions: `${width}x${height}`,
+      palette: encodePalette(palette),
+      durations: null,
+      compressed: false,
+      data: pixelsToChars(pixels)
+    });
+  }
+  function encodeAnimation(frames, palette = null) {
+    if (frames.length === 1) {
+      return encode(frames[0].pixels, palette);
+    }
+    const height = frames[0].pixels.length;
+    const width = height > 0 ? frames[0].pixels[0].length : 0;
+    return joinSections({
+      dimensions: `${width}x${height}`,
+      palette: encodePalette(palette),
+      durations: frames.map((frame) => Math.max(1, Math.round(frame.duration))).join(","),
+      compressed: false,
+      data: frames.map((frame) => pixelsToChars(frame.pixels)).join(FRAME_SEPARATOR)
+    });
+  }
+  const Codec = {
+    BASE64_CHARS,
+    PALETTE,
+    charToIndex,
+    indexToChar,
+    indexToHex,
+    encodeRLE,
+    decodeRLE,
+    parsePalette,
+    encodePalette,
+    getPaletteOverrides,
+    applyPalette,
+    splitSections,
+    joinSections,
+    parseDurations,
+    parse,
+    decode,
+    encode,
+    encodeAnimation
+  };
+  const STYLES = `
+    :host {
+        display: inline-block;
+        line-height: 0;
+    }
+    img {
+        display: block;
+        image-rendering: -moz-crisp-edges;
+        image-rendering: -webkit-crisp-edges;
+        image-rendering: pixelated;
+        image-rendering: crisp-edges;
+        max-width: 100%;
+        height: auto;
+    }
+`;
+  function renderToCanvas({ width, height, pixels, colors }, scale) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingEnabled = false;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const color = colors[pixels[y][x]];
+        if (color) {
+          ctx.fillStyle = color;
+          ctx.fillRect(x * scale, y * scale, scale, scale);
         }
-
-        return { width, height, data };
+      }
+    }
+    return canvas;
+  }
+  class InlinePxElement extends HTMLElement {
+    constructor() {
+      super();
+      this.attachShadow({ mode: "open" });
+      this.animationTimer = null;
+    }
+    connectedCallback() {
+      this.render();
+    }
+    disconnectedCallback() {
+      this.stopAnimation();
+    }
+    static get observedAttributes() {
+      return ["data", "scale", "alt"];
+    }
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue !== newValue) {
+        this.render();
+      }
+    }
+    stopAnimation() {
+      if (this.animationTimer) {
+        clearTimeout(this.animationTimer);
+        this.animationTimer = null;
+      }
     }
-
     /**
-     * Define Custom Element
+     * Cycle the <img> through pre-rendered frames
+     * @param {HTMLImageElement} img - Image element in the shadow root
+     * @param {Array<{url: string, duration: number}>} frames - Frame data URLs
      */
-    class InlinePxElement extends HTMLElement {
-        constructor() {
-            super();
-            this.attachShadow({ mode: 'open' });
-        }
-
-        connectedCallback() {
-            this.render();
-        }
-
-        static get observedAttributes() {
-            return ['data', 'scale', 'alt'];
-        }
-
-        attributeChangedCallback(name, oldValue, newValue) {
-            if (oldValue !== newValue) {
-                this.render();
-            }
+    playAnimation(img, frames) {
+      let index = 0;
+      const advance = () => {
+        index = (index + 1) % frames.length;
+        img.src = frames[index].url;
+        this.animationTimer = setTimeout(advance, frames[index].duration);
+      };
+      this.animationTimer = setTimeout(advance, frames[0].duration);
+    }
+    render() {
+      this.stopAnimation();
+      const dataString = this.getAttribute("data");
+      if (!dataString) {
+        this.shadowRoot.innerHTML = '<p style="color: red;">Missing "data" attribute</p>';
+        return;
+      }
+      const scale = Math.max(1, parseInt(this.getAttribute("scale") || "1"));
+      const alt = this.getAttribute("alt") || "Inline.px pixel art";
+      try {
+        const image = Codec.decode(dataString);
+        if (!image) {
+          throw new Error("Malformed data string");
         }
-
-        render() {
-            const dataString = this.getAttribute('data');
-            if (!dataString) {
-                this.shadowRoot.innerHTML = '<p style="color: red;">Missing "data" attribute</p>';
-                return;
-            }
-
-            const scale = Math.max(1, parseInt(this.getAttribute('scale') || '1'));
-            const alt = this.getAttribute('alt') || 'Inline.px pixel art';
-
-            try {
-                const { width, height, data } = parsePixelArt(dataString);
-
-                // Create canvas
-                const canvas = document.createElement('canvas');
-                canvas.width = width * scale;
-                canvas.height = height * scale;
-
-                const ctx = canvas.getContext('2d');
-                ctx.imageSmoothingEnabled = false;
-
-                // Draw pixels
-                for (let y = 0; y < height; y++) {
-                    for (let x = 0; x < width; x++) {
-                        const index = y * width + x;
-                        const char = data[index];
-                        const colorIndex = getColorIndex(char);
-                        const color = PALETTE[colorIndex];
-
-                        if (color) {
-                            ctx.fillStyle = color;
-                            ctx.fillRect(x * scale, y * scale, scale, scale);
-                        }
-                    }
-                }
-
-                // Convert to data URL
-                const dataUrl = canvas.toDataURL('image/png');
-
-                // Create image element
-                this.shadowRoot.innerHTML = `
-                    <style>
-                        :host {
-                            display: inline-block;
-                            line-height: 0;
-                        }
-                        img {
-                            display: block;
-                            image-rendering: -moz-crisp-edges;
-                            image-rendering: -webkit-crisp-edges;
-                            image-rendering: pixelated;
-                            image-rendering: crisp-edges;
-                            max-width: 100%;
-                            height: auto;
-                        }
-                    </style>
-                    <img src="${dataUrl}" alt="${alt}" width="${width * scale}" height="${height * scale}" />
-                `;
-            } catch (error) {
-                console.error('Inline.px render error:', error);
-                this.shadowRoot.innerHTML = `<p style="color: red;">Invalid pixel art data</p>`;
-            }
+        const frames = (image.frames || [{ pixels: image.pixels, duration: 0 }]).map((frame) => ({
+          url: renderToCanvas({ ...image, pixels: frame.pixels }, scale).toDataURL("image/png"),
+          duration: frame.duration
+        }));
+        this.shadowRoot.innerHTML = `
+                <style>${STYLES}</style>
+                <img src="${frames[0].url}" alt="${alt}" width="${image.width * scale}" height="${image.height * scale}" />
+            `;
+        if (frames.length > 1 && this.isConnected) {
+          this.playAnimation(this.shadowRoot.querySelector("img"), frames);
         }
+      } catch (error) {
+        console.error("Inline.px render error:", error);
+        this.shadowRoot.innerHTML = `<p style="color: red;">Invalid pixel art data</p>`;
+      }
     }
-
-    // Register custom element
-    if (!customElements.get('inline-px')) {
-        customElements.define('inline-px', InlinePxElement);
-        console.log('✓ <inline-px> custom element registered');
-    }
+  }
+  if (!customElements.get("inline-px")) {
+    customElements.define("inline-px", InlinePxElement);
+    console.log("✓ <inline-px> custom element registered");
+  }
+  return InlinePxElement;
 })();
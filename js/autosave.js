@@ -6,16 +6,23 @@
  * - Visual indicator showing save status
  * - Debouncing to prevent excessive saves
  * - Last saved timestamp display
+ * - Undo history saved with the document (see HistoryRecorder.exportHistory)
+ * - Symmetry setting of the tab, saved whenever it changes
  *
  * @typedef {Object} AutosaveData
- * @property {string} data - Pixel data string
+ * @property {string} data - Project document (or legacy pixel data string)
  * @property {number} timestamp - Save timestamp
+ * @property {string|null} history - Encoded undo history (null if none was saved)
+ * @property {Object|null} symmetry - Symmetry settings (null = symmetry off)
  */
 
 import logger from './core/Logger.js';
+import eventBus from './core/EventBus.js';
 import TabManager from './tabManager.js';
 import PixelCanvas from './canvas/PixelCanvas.js';
-import StorageUtils from './utils/StorageUtils.js';
+import HistoryRecorder from './historyRecorder.js';
+import Storage from './storage/Storage.js';
+import SymmetryManager from './symmetryManager.js';
 
 let autosaveInterval = null;
 let saveTimeout = null;
@@ -32,6 +39,7 @@ const DEBOUNCE_DELAY = 2000; // 2 seconds after last change
 function init() {
     createAutosaveIndicator();
     startAutosave();
+    eventBus.on(eventBus.Events.SYMMETRY_CHANGED, saveSymmetry);
     logger.info('Autosave initialized');
 }
 
@@ -112,25 +120,75 @@ function performSave() {
     const currentTab = TabManager ? TabManager.getCurrentTab() : null;
     if (!currentTab) return;
 
-    const dataString = PixelCanvas.exportToString();
-
-    // Save to localStorage with tab ID
-    try {
-        const saveKey = `autosave_${currentTab.id}`;
-        StorageUtils.setItem(saveKey, dataString);
-        StorageUtils.setItem(`${saveKey}_timestamp`, Date.now().toString());
+    const documentString = PixelCanvas.exportDocument();
+
+    // Save with tab ID (written in the background)
+    const saveKey = `autosave_${currentTab.id}`;
+    isDirty = false;
+
+    Promise.all([
+        Storage.setItem(saveKey, documentString),
+        Storage.setItem(`${saveKey}_timestamp`, Date.now().toString()),
+        saveHistory(saveKey, documentString)
+    ]).then(([documentSaved, timestampSaved]) => {
+        if (!documentSaved || !timestampSaved) {
+            logger.error('Autosave failed:', currentTab.name);
+            isDirty = true;
+            updateIndicator('error');
+            return;
+        }
 
-        isDirty = false;
         lastSaveTime = Date.now();
-
         setTimeout(() => {
-            updateIndicator('saved');
+            if (!isDirty) updateIndicator('saved');
         }, 500);
 
         logger.info('Autosaved:', currentTab.name);
+    });
+}
+
+/**
+ * Save the undo history next to the document
+ * The document save stands even if this fails (e.g. storage full); a
+ * stale history is removed, it would no longer match the document.
+ * @param {string} saveKey - Autosave key of the document
+ * @param {string} documentString - Saved document
+ * @returns {Promise<boolean>} Whether the history was stored
+ */
+function saveHistory(saveKey, documentString) {
+    const historyKey = `${saveKey}_history`;
+    let history = null;
+    try {
+        history = HistoryRecorder.exportHistory(documentString);
     } catch (error) {
-        logger.error('Autosave failed:', error);
-        updateIndicator('error');
+        logger.warn('Failed to serialize undo history:', error);
+    }
+
+    if (!history) {
+        Storage.removeItem(historyKey);
+        return Promise.resolve(false);
+    }
+
+    return Storage.setItem(historyKey, history).then(saved => {
+        if (!saved) Storage.removeItem(historyKey);
+        return saved;
+    });
+}
+
+/**
+ * Save the current tab's symmetry setting (removed when symmetry is off)
+ * @private
+ * @param {Object} settings - Symmetry settings
+ */
+function saveSymmetry(settings) {
+    const currentTab = TabManager ? TabManager.getCurrentTab() : null;
+    if (!currentTab) return;
+
+    const key = `autosave_${currentTab.id}_symmetry`;
+    if (settings.mode === 'none') {
+        Storage.removeItem(key);
+    } else {
+        Storage.setJSON(key, settings);
     }
 }
 
@@ -210,18 +268,20 @@ function startTimeUpdater() {
 /**
  * Load autosaved data for a tab
  * @param {string} tabId - Tab ID
- * @returns {Object|null} Autosaved data or null
+ * @returns {AutosaveData|null} Autosaved data or null
  */
 function loadAutosave(tabId) {
     try {
         const saveKey = `autosave_${tabId}`;
-        const data = StorageUtils.getItem(saveKey);
-        const timestamp = StorageUtils.getItem(`${saveKey}_timestamp`);
+        const data = Storage.getItem(saveKey);
+        const timestamp = Storage.getItem(`${saveKey}_timestamp`);
 
         if (data && timestamp) {
             return {
                 data: data,
-                timestamp: parseInt(timestamp)
+                timestamp: parseInt(timestamp),
+                history: Storage.getItem(`${saveKey}_history`),
+                symmetry: Storage.getJSON(`${saveKey}_symmetry`)
             };
         }
     } catch (error) {
@@ -237,8 +297,10 @@ function loadAutosave(tabId) {
 function clearAutosave(tabId) {
     try {
         const saveKey = `autosave_${tabId}`;
-        StorageUtils.removeItem(saveKey);
-        StorageUtils.removeItem(`${saveKey}_timestamp`);
+        Storage.removeItem(saveKey);
+        Storage.removeItem(`${saveKey}_timestamp`);
+        Storage.removeItem(`${saveKey}_history`);
+        Storage.removeItem(`${saveKey}_symmetry`);
     } catch (error) {
         logger.error('Failed to clear autosave:', error);
     }
@@ -6,6 +6,7 @@
  * - Coordinate translation
  * - Tool integration
  * - Drawing state management
+ * - Dragging the symmetry axis handle
  *
  * @module CanvasEvents
  *
@@ -20,6 +21,7 @@ import ToolRegistry from '../tools/ToolRegistry.js';
 import ColorPalette from '../colorPalette.js';
 import Viewport from '../viewport.js';
 import SelectionOverlay from './SelectionOverlay.js';
+import SymmetryManager from '../symmetryManager.js';
 
 let canvas = null;
 let renderer = null;
@@ -30,6 +32,7 @@ let viewport = null;
 
 let onChangeCallback = null;
 let isDrawing = false;
+let isDraggingAxis = false;
 
 /**
  * Initialize event handler
@@ -79,6 +82,11 @@ function setupEventListeners() {
 function handleMouseDown(e) {
     if (!toolRegistry || !pixelData) return;
 
+    if (isOverAxisHandle(e)) {
+        isDraggingAxis = true;
+        return;
+    }
+
     const coords = getPixelCoordinates(e);
     if (!coords) return;
 
@@ -92,6 +100,7 @@ function handleMouseDown(e) {
     };
 
     isDrawing = true;
+    emitDrawingEvent(eventBus.Events.DRAWING_STARTED);
     toolRegistry.startDrawing(coords.x, coords.y, data, context);
 
     // Immediate draw for continuous tools
@@ -111,9 +120,21 @@ function handleMouseDown(e) {
 function handleMouseMove(e) {
     if (!toolRegistry || !pixelData) return;
 
+    if (isDraggingAxis) {
+        moveAxisTo(e);
+        return;
+    }
+    if (!isDrawing) {
+        canvas.style.cursor = isOverAxisHandle(e) ? 'move' : '';
+    }
+
     const coords = getPixelCoordinates(e);
     if (!coords) return;
 
+    if (!isDrawing) {
+        toolRegistry.hover(coords.x, coords.y);
+    }
+
     // Use active layer data for tools to modify
     const data = pixelData.getActiveLayerData();
     const colorIndex = colorPalette ? colorPalette.getCurrentColorIndex() : 1;
@@ -135,6 +156,8 @@ function handleMouseMove(e) {
  * @private
  */
 function handleMouseUp(e) {
+    isDraggingAxis = false;
+
     if (!isDrawing || !toolRegistry || !pixelData) {
         isDrawing = false;
         return;
@@ -164,6 +187,63 @@ function handleMouseUp(e) {
         triggerRender();
         triggerChange();
     }
+
+    emitDrawingEvent(eventBus.Events.DRAWING_ENDED);
+}
+
+/**
+ * Get the pointer position in canvas pixels (fractional, may lie outside)
+ * @private
+ * @param {MouseEvent} e - Mouse event
+ * @returns {{x: number, y: number, scale: number}} Position and displayed pixel size
+ */
+function getCanvasPosition(e) {
+    const rect = canvas.getBoundingClientRect();
+    const scale = rect.width / pixelData.getDimensions().width;
+    return {
+        x: (e.clientX - rect.left) / scale,
+        y: (e.clientY - rect.top) / scale,
+        scale
+    };
+}
+
+/**
+ * Check whether the pointer is on the symmetry axis handle
+ * @private
+ * @param {MouseEvent} e - Mouse event
+ * @returns {boolean} True when symmetry is on and the handle is hit
+ */
+function isOverAxisHandle(e) {
+    if (!SymmetryManager.isEnabled()) return false;
+
+    const { width, height } = pixelData.getDimensions();
+    const axis = SymmetryManager.getAxis(width, height);
+    const { x, y, scale } = getCanvasPosition(e);
+    return Math.hypot((x - axis.x) * scale, (y - axis.y) * scale) <= SelectionOverlay.AXIS_HANDLE_RADIUS + 2;
+}
+
+/**
+ * Move the symmetry axis to the pointer, snapped to half pixels
+ * @private
+ * @param {MouseEvent} e - Mouse event
+ */
+function moveAxisTo(e) {
+    const { width, height } = pixelData.getDimensions();
+    const { x, y } = getCanvasPosition(e);
+    const snap = (value, max) => Math.min(max, Math.max(0, Math.round(value * 2) / 2));
+    SymmetryManager.setAxis(snap(x, width), snap(y, height));
+}
+
+/**
+ * Emit a drawing lifecycle event (stroke boundaries for undo history)
+ * @private
+ * @param {string} event - DRAWING_STARTED or DRAWING_ENDED
+ */
+function emitDrawingEvent(event) {
+    if (eventBus) {
+        const tool = toolRegistry.getCurrentTool();
+        eventBus.emit(event, { toolId: toolRegistry.getCurrentToolId(), toolName: tool ? tool.getName() : null });
+    }
 }
 
 /**
@@ -257,7 +337,7 @@ function handleSelectionChange(bounds) {
  */
 function triggerRender() {
     if (renderer && pixelData) {
-        renderer.render(pixelData.getData());
+        renderer.render(pixelData.getData(), pixelData.getBlendedData());
     }
 }
 
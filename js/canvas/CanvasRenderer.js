@@ -3,8 +3,11 @@
  *
  * Handles all rendering operations:
  * - Pixel rendering with color mapping
+ * - Blended layers (opacity, blend modes) from RGBA pixels
  * - Checkerboard pattern for transparency
  * - Grid overlay
+ * - Onion skin of neighbouring animation frames
+ * - Rendering other pixel data onto other canvases (previews, compare view)
  * - Size calculations
  * - Smooth rendering optimizations
  *
@@ -22,6 +25,8 @@ let ctx = null;
 let pixelSize = 30;
 let showGrid = true;
 let constants = null;
+let onionSkinEnabled = false;
+let onionSkinFrames = { previous: null, next: null };
 
 /**
  * Initialize renderer
@@ -80,8 +85,10 @@ function updateCanvasSize(width, height, pxSize = null) {
 /**
  * Render pixel data to canvas
  * @param {Array<Array<number>>} pixelData - 2D array of color indices
+ * @param {Uint8ClampedArray|null} [blended=null] - RGBA pixels of blended layers
+ *   (see LayerBlend); drawn instead of the color indices when given
  */
-function render(pixelData) {
+function render(pixelData, blended = null) {
     if (!pixelData || pixelData.length === 0) {
         logger.warn?.('No pixel data to render');
         return;
@@ -99,11 +106,19 @@ function render(pixelData) {
     // Draw pixels
     for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
+            if (blended) {
+                drawBlendedPixel(blended, (y * width + x) * 4, x, y);
+                continue;
+            }
+
             const colorIndex = pixelData[y][x];
 
             if (colorIndex === 0) {
                 // Transparent - draw checkerboard
                 drawCheckerboard(x, y);
+                if (onionSkinEnabled) {
+                    drawOnionSkin(x, y);
+                }
             } else {
                 // Colored pixel
                 const color = ColorPalette.getColor(colorIndex);
@@ -119,22 +134,91 @@ function render(pixelData) {
     }
 }
 
+/**
+ * Draw one RGBA pixel; translucent pixels show the checkerboard through
+ * @private
+ * @param {Uint8ClampedArray} rgba - RGBA bytes
+ * @param {number} offset - Index of the pixel's red byte
+ * @param {number} x - Pixel X coordinate
+ * @param {number} y - Pixel Y coordinate
+ */
+function drawBlendedPixel(rgba, offset, x, y) {
+    const alpha = rgba[offset + 3];
+
+    if (alpha < 255) {
+        drawCheckerboard(x, y);
+        if (alpha === 0) {
+            if (onionSkinEnabled) drawOnionSkin(x, y);
+            return;
+        }
+    }
+
+    ctx.fillStyle = `rgba(${rgba[offset]}, ${rgba[offset + 1]}, ${rgba[offset + 2]}, ${alpha / 255})`;
+    ctx.fillRect(x * pixelSize, y * pixelSize, pixelSize, pixelSize);
+}
+
+/**
+ * Render pixel data onto another canvas
+ * The canvas is resized to fit; the editor canvas and its settings are untouched.
+ * @param {HTMLCanvasElement} targetCanvas - Canvas to draw on
+ * @param {Array<Array<number>>} pixelData - 2D array of color indices
+ * @param {Object} [options] - Options
+ * @param {Array<string|null>} [options.colors] - Colors by index (defaults to the editor palette)
+ * @param {number} [options.pixelSize=1] - Size of one pixel
+ * @param {number} [options.width] - Width to size the canvas for (defaults to the data's)
+ * @param {number} [options.height] - Height to size the canvas for (defaults to the data's)
+ * @param {boolean} [options.grid=false] - Draw the grid
+ */
+function renderTo(targetCanvas, pixelData, {
+    colors = null,
+    pixelSize: size = 1,
+    width = pixelData[0]?.length || 0,
+    height = pixelData.length,
+    grid = false
+} = {}) {
+    targetCanvas.width = width * size;
+    targetCanvas.height = height * size;
+
+    const context = targetCanvas.getContext('2d');
+    context.imageSmoothingEnabled = false;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const colorIndex = pixelData[y]?.[x] || 0;
+            const color = colorIndex === 0 ? null : colors ? colors[colorIndex] : ColorPalette.getColor(colorIndex);
+
+            if (color) {
+                context.fillStyle = color;
+                context.fillRect(x * size, y * size, size, size);
+            } else {
+                drawCheckerboard(x, y, context, size);
+            }
+        }
+    }
+
+    if (grid) {
+        drawGrid(width, height, context, size);
+    }
+}
+
 /**
  * Draw checkerboard pattern for transparent pixel
  * @private
  * @param {number} x - Pixel X coordinate
  * @param {number} y - Pixel Y coordinate
+ * @param {CanvasRenderingContext2D} [context] - Context to draw on (defaults to the editor's)
+ * @param {number} [cellSize] - Pixel size (defaults to the editor's)
  */
-function drawCheckerboard(x, y) {
-    const size = Math.max(2, Math.floor(pixelSize / 4));
+function drawCheckerboard(x, y, context = ctx, cellSize = pixelSize) {
+    const size = Math.max(2, Math.floor(cellSize / 4));
 
-    for (let dy = 0; dy < pixelSize; dy += size) {
-        for (let dx = 0; dx < pixelSize; dx += size) {
+    for (let dy = 0; dy < cellSize; dy += size) {
+        for (let dx = 0; dx < cellSize; dx += size) {
             const isEven = ((Math.floor(dx / size) + Math.floor(dy / size)) % 2) === 0;
-            ctx.fillStyle = isEven ? '#2a2a2a' : '#1a1a1a';
-            ctx.fillRect(
-                x * pixelSize + dx,
-                y * pixelSize + dy,
+            context.fillStyle = isEven ? '#2a2a2a' : '#1a1a1a';
+            context.fillRect(
+                x * cellSize + dx,
+                y * cellSize + dy,
                 size,
                 size
             );
@@ -142,30 +226,51 @@ function drawCheckerboard(x, y) {
     }
 }
 
+/**
+ * Draw neighbouring frames' pixels, faded, on a transparent pixel
+ * The previous frame wins where both frames are painted.
+ * @private
+ * @param {number} x - Pixel X coordinate
+ * @param {number} y - Pixel Y coordinate
+ */
+function drawOnionSkin(x, y) {
+    const previous = onionSkinFrames.previous?.[y]?.[x] || 0;
+    const next = onionSkinFrames.next?.[y]?.[x] || 0;
+    const colorIndex = previous || next;
+    if (colorIndex === 0) return;
+
+    ctx.globalAlpha = constants?.animation?.onionSkinOpacity ?? 0.3;
+    ctx.fillStyle = ColorPalette.getColor(colorIndex);
+    ctx.fillRect(x * pixelSize, y * pixelSize, pixelSize, pixelSize);
+    ctx.globalAlpha = 1;
+}
+
 /**
  * Draw grid overlay
  * @private
  * @param {number} width - Canvas width in pixels
  * @param {number} height - Canvas width in pixels
+ * @param {CanvasRenderingContext2D} [context] - Context to draw on (defaults to the editor's)
+ * @param {number} [cellSize] - Pixel size (defaults to the editor's)
  */
-function drawGrid(width, height) {
-    ctx.strokeStyle = '#404040';
-    ctx.lineWidth = 1;
+function drawGrid(width, height, context = ctx, cellSize = pixelSize) {
+    context.strokeStyle = '#404040';
+    context.lineWidth = 1;
 
     // Vertical lines
     for (let x = 0; x <= width; x++) {
-        ctx.beginPath();
-        ctx.moveTo(x * pixelSize, 0);
-        ctx.lineTo(x * pixelSize, height * pixelSize);
-        ctx.stroke();
+        context.beginPath();
+        context.moveTo(x * cellSize, 0);
+        context.lineTo(x * cellSize, height * cellSize);
+        context.stroke();
     }
 
     // Horizontal lines
     for (let y = 0; y <= height; y++) {
-        ctx.beginPath();
-        ctx.moveTo(0, y * pixelSize);
-        ctx.lineTo(width * pixelSize, y * pixelSize);
-        ctx.stroke();
+        context.beginPath();
+        context.moveTo(0, y * cellSize);
+        context.lineTo(width * cellSize, y * cellSize);
+        context.stroke();
     }
 }
 
@@ -192,6 +297,31 @@ function getGridVisible() {
     return showGrid;
 }
 
+/**
+ * Enable or disable onion skinning
+ * @param {boolean} enabled - Show neighbouring frames
+ */
+function setOnionSkinEnabled(enabled) {
+    onionSkinEnabled = enabled;
+}
+
+/**
+ * Get onion skin state
+ * @returns {boolean} Onion skin enabled
+ */
+function getOnionSkinEnabled() {
+    return onionSkinEnabled;
+}
+
+/**
+ * Set the frames shown as onion skin
+ * @param {Array<Array<number>>|null} previous - Previous frame composite
+ * @param {Array<Array<number>>|null} next - Next frame composite
+ */
+function setOnionSkinFrames(previous, next) {
+    onionSkinFrames = { previous, next };
+}
+
 /**
  * Get current pixel size
  * @returns {number} Pixel size
@@ -264,9 +394,13 @@ const CanvasRenderer = {
     calculatePixelSize,
     updateCanvasSize,
     render,
+    renderTo,
     clear,
     setGridVisible,
     getGridVisible,
+    setOnionSkinEnabled,
+    getOnionSkinEnabled,
+    setOnionSkinFrames,
     getPixelSize,
     getCanvas,
     getContext,
@@ -22,6 +22,7 @@ import ToolRegistry from '../tools/ToolRegistry.js';
 import CanvasRenderer from './CanvasRenderer.js';
 import SelectionOverlay from './SelectionOverlay.js';
 import CanvasEvents from './CanvasEvents.js'; // Added import for CanvasEvents
+import SymmetryManager from '../symmetryManager.js';
 
 let canvasElement = null;
 let onChangeCallback = null;
@@ -80,7 +81,7 @@ function startRenderLoop() {
 
     function loop() {
         // Render main canvas
-        CanvasRenderer.render(PixelData.getData());
+        CanvasRenderer.render(PixelData.getData(), PixelData.getBlendedData());
 
         // Update and render selection overlay
         if (SelectionOverlay && toolRegistry) {
@@ -88,17 +89,25 @@ function startRenderLoop() {
             const activeTool = toolRegistry.getCurrentTool();
             
             const selectionState = {
-                bounds: null,
+                mask: null,
                 previewBounds: null,
+                lassoPath: null,
                 movePreview: null,
+                symmetry: null,
             };
 
+            if (SymmetryManager.isEnabled()) {
+                const { width, height } = PixelData.getDimensions();
+                const { mode, segments } = SymmetryManager.getSettings();
+                selectionState.symmetry = { mode, segments, axis: SymmetryManager.getAxis(width, height) };
+            }
+
             if (activeTool) {
-                selectionState.bounds = activeTool.selectionActive ? activeTool.selectionBounds : null;
+                // The current selection stays visible while a new one is drawn (Shift/Alt combine them)
+                selectionState.mask = activeTool.selectionMask;
 
                 // Handle SelectTool preview
                 if (activeTool.constructor.CONFIG.id === 'select' && activeTool.isDrawing) {
-                    selectionState.bounds = null; // Hide old selection while drawing new one
                     selectionState.previewBounds = {
                         x1: Math.min(activeTool.startX, activeTool.lastX),
                         y1: Math.min(activeTool.startY, activeTool.lastY),
@@ -106,11 +115,16 @@ function startRenderLoop() {
                         y2: Math.max(activeTool.startY, activeTool.lastY)
                     };
                 }
+
+                // Handle lasso previews
+                if (activeTool.getLassoPath) {
+                    selectionState.lassoPath = activeTool.getLassoPath();
+                }
                 
-                // Handle MoveTool preview
-                if (activeTool.constructor.CONFIG.id === 'move' && activeTool.isMoving) {
+                // Handle MoveTool preview (content being moved or a floating paste)
+                if (activeTool.constructor.CONFIG.id === 'move' && (activeTool.isMoving || activeTool.floating)) {
                     selectionState.movePreview = activeTool.getPreviewData();
-                    selectionState.bounds = null; // Hide the original selection bounds during move
+                    selectionState.mask = null; // Hide the original selection outline during move
                 }
             }
 
@@ -139,6 +153,18 @@ function clear() {
     }
 }
 
+/**
+ * Edit the active layer's pixels outside of a tool stroke
+ * @param {function(Array<Array<number>>): boolean} edit - Receives the layer data, returns true if it changed pixels
+ * @returns {boolean} True if pixels changed
+ */
+function editActiveLayer(edit) {
+    if (!PixelData) return false;
+    const changed = edit(PixelData.getActiveLayerData());
+    if (changed) handleChange();
+    return changed;
+}
+
 function hasContent() {
     if (!PixelData) return false;
     const data = PixelData.getData();
@@ -163,14 +189,68 @@ function resize(newWidth, newHeight) {
     return false;
 }
 
+/**
+ * Replace all frames without treating it as a newly loaded file
+ * Used by undo/redo of document-wide edits (resize, frame operations).
+ * @param {Array<Object>} frameList - Frames in order (see FrameManager.exportFrames)
+ * @param {number} activeFrame - Frame to make active
+ */
+function restoreFrames(frameList, activeFrame = 0) {
+    if (!PixelData || !CanvasRenderer) return;
+
+    const oldDims = PixelData.getDimensions();
+    PixelData.restoreFrames(frameList, activeFrame);
+    const dims = PixelData.getDimensions();
+
+    if (dims.width !== oldDims.width || dims.height !== oldDims.height) {
+        CanvasRenderer.updateCanvasSize(dims.width, dims.height, CanvasRenderer.getPixelSize());
+        if (SelectionOverlay) SelectionOverlay.updateSize();
+        if (eventBus) eventBus.emit(eventBus.Events.CANVAS_RESIZED, dims);
+    }
+
+    updateSizeDisplay();
+    handleChange();
+}
+
 function exportToString(compress = false) {
     return PixelData ? PixelData.exportToString(compress) : '';
 }
 
 function importFromString(str) {
     if (!PixelData || !CanvasRenderer) return false;
+    return applyImportResult(PixelData.importFromString(str));
+}
+
+function getPalette() {
+    return PixelData ? PixelData.getPalette() : null;
+}
+
+/**
+ * Set the palette overrides embedded in exports
+ * @param {Object<number, string>|null} overrides - Index -> hex overrides
+ * @returns {boolean} True if the palette changed
+ */
+function setPalette(overrides) {
+    if (!PixelData || !PixelData.setPalette(overrides)) return false;
+    handleChange();
+    return true;
+}
+
+function exportDocument() {
+    return PixelData ? PixelData.exportDocument() : '';
+}
+
+/**
+ * Load a layered project document (or a legacy data string) into the canvas
+ * @param {string} str - JSON project document, WxH:DATA or WxH:RLE:DATA
+ * @returns {boolean} Success
+ */
+function importDocument(str) {
+    if (!PixelData || !CanvasRenderer) return false;
+    return applyImportResult(PixelData.importDocument(str));
+}
 
-    const result = PixelData.importFromString(str);
+function applyImportResult(result) {
     if (result.success) {
         const dims = PixelData.getDimensions();
 
@@ -223,6 +303,9 @@ function destroy() {
 }
 
 function getPixelData() { return PixelData ? PixelData.getData() : []; }
+function getBlendedPixelData() { return PixelData ? PixelData.getBlendedData() : null; }
+function getActiveLayerData() { return PixelData ? PixelData.getActiveLayerData() : []; }
+function getAnimationFrames() { return PixelData ? PixelData.getAnimationFrames() : []; }
 function getDimensions() { return PixelData ? PixelData.getDimensions() : { width: 0, height: 0 }; }
 function getStats() { return PixelData ? PixelData.getStats() : {}; }
 function setChangeCallback(callback) {
@@ -233,11 +316,20 @@ function setChangeCallback(callback) {
 const PixelCanvas = {
     init,
     clear,
+    editActiveLayer,
     hasContent,
     resize,
+    restoreFrames,
     exportToString,
     importFromString,
+    exportDocument,
+    importDocument,
+    getPalette,
+    setPalette,
     getPixelData,
+    getBlendedPixelData,
+    getActiveLayerData,
+    getAnimationFrames,
     getDimensions,
     getStats,
     setChangeCallback,
@@ -4,6 +4,8 @@
  * Manages the 2D array of pixel color indices:
  * - Initialization and clearing
  * - Export/Import with Base64 format
+ * - Export/Import of layered project documents
+ * - Animation frames (via FrameManager) and animated data strings
  * - Data validation
  * - RLE compression support
  *
@@ -11,19 +13,24 @@
  *
  * @typedef {import('../types.js').PixelData} PixelData
  * @typedef {import('../types.js').CompressionStats} CompressionStats
+ * @typedef {import('../core/ProjectDocument.js').FrameLayerData} FrameLayerData
  */
 
 import logger from '../core/Logger.js';
 import Compression from '../compression.js';
 import ValidationUtils from '../utils/ValidationUtils.js';
-import ColorPalette from '../colorPalette.js';
+import Codec from '../core/Codec.js';
+import ProjectDocument from '../core/ProjectDocument.js';
 import LayerManager from '../layerManager.js';
+import FrameManager from '../frameManager.js';
+import Constants from '../../config/constants.js';
 
 let width = 16;
 let height = 16;
 let data = []; // 2D array of color indices (0-63) - DEPRECATED, use LayerManager
 let useLayerSystem = false; // Flag to enable/disable layer system - starts disabled
 let layerSystemInitialized = false;
+let palette = null; // Embedded palette overrides (index -> hex), null = default palette
 
 /**
  * Initialize pixel data
@@ -36,7 +43,7 @@ function init(w, h) {
 
     // Don't initialize layers yet - wait for file creation/loading
     // Just initialize with empty data array
-    clear();
+    resetData();
 
     logger.debug?.(`PixelData initialized: ${width}×${height}`);
 }
@@ -52,6 +59,7 @@ function enableLayerSystem(w, h) {
         width = w;
         height = h;
         LayerManager.init(w, h);
+        FrameManager.init();
         useLayerSystem = true;
         layerSystemInitialized = true;
         logger.info?.(`Layer system enabled: ${width}×${height}`);
@@ -59,9 +67,10 @@ function enableLayerSystem(w, h) {
 }
 
 /**
- * Clear all pixels to transparent
+ * Reset the legacy data array to transparent at the current size
+ * @private
  */
-function clear() {
+function resetData() {
     data = [];
     for (let y = 0; y < height; y++) {
         data[y] = [];
@@ -71,6 +80,43 @@ function clear() {
     }
 }
 
+/**
+ * Clear all pixels to transparent (on every layer)
+ */
+function clear() {
+    resetData();
+
+    if (useLayerSystem) {
+        LayerManager.getLayers().forEach(layer => {
+            layer.data.forEach(row => row.fill(0));
+        });
+    }
+}
+
+/**
+ * Build layer data with a single "Background" layer holding the given pixels
+ * @private
+ * @param {Array<Array<number>>} pixels - 2D array of color indices
+ * @returns {Object} LayerManager.importLayerData() input
+ */
+function createSingleLayerData(pixels) {
+    return {
+        layers: [{
+            id: 'layer_1',
+            name: 'Background',
+            visible: true,
+            opacity: 1.0,
+            blendMode: 'normal',
+            data: pixels.map(row => [...row]),
+            zIndex: 0,
+            created: Date.now()
+        }],
+        activeLayerId: 'layer_1',
+        canvasWidth: width,
+        canvasHeight: height
+    };
+}
+
 /**
  * Get pixel data array
  * @returns {Array<Array<number>>} 2D array of color indices
@@ -83,6 +129,16 @@ function getData() {
     return data;
 }
 
+/**
+ * Get the layers as they look with opacity and blend modes
+ * @returns {Uint8ClampedArray|null} RGBA bytes (ImageData layout), or null
+ *   when no layer blends and getData() already shows the image
+ */
+function getBlendedData() {
+    if (!useLayerSystem || !LayerManager.isBlended()) return null;
+    return LayerManager.compositeRGBA(Codec.applyPalette(palette));
+}
+
 /**
  * Get active layer data (for tools to modify)
  * @returns {Array<Array<number>>} Active layer's pixel data
@@ -111,6 +167,30 @@ function setData(newData) {
     return true;
 }
 
+/**
+ * Get the document's palette overrides
+ * @returns {Object<number, string>|null} Index -> hex overrides or null
+ */
+function getPalette() {
+    return palette ? { ...palette } : null;
+}
+
+/**
+ * Set the document's palette overrides (embedded on export)
+ * @param {Object<number, string>|null} overrides - Index -> hex overrides
+ * @returns {boolean} True if the palette changed
+ */
+function setPalette(overrides) {
+    const next = Codec.encodePalette(overrides);
+    if (next === Codec.encodePalette(palette)) {
+        return false;
+    }
+
+    palette = next ? Codec.parsePalette(next) : null;
+    logger.debug?.(`Palette overrides: ${next || 'none'}`);
+    return true;
+}
+
 /**
  * Get dimensions
  * @returns {Object} {width, height}
@@ -127,7 +207,7 @@ function getDimensions() {
  */
 function getPixel(x, y) {
     if (x >= 0 && x < width && y >= 0 && y < height) {
-        return data[y][x];
+        return getActiveLayerData()[y][x];
     }
     return null;
 }
@@ -141,7 +221,7 @@ function getPixel(x, y) {
  */
 function setPixel(x, y, colorIndex) {
     if (x >= 0 && x < width && y >= 0 && y < height) {
-        data[y][x] = colorIndex;
+        getActiveLayerData()[y][x] = colorIndex;
         return true;
     }
     return false;
@@ -168,7 +248,7 @@ function resize(newWidth, newHeight) {
     width = newWidth;
     height = newHeight;
 
-    clear();
+    resetData();
 
     // Copy old data (crop or extend)
     for (let y = 0; y < Math.min(oldHeight, height); y++) {
@@ -177,25 +257,58 @@ function resize(newWidth, newHeight) {
         }
     }
 
+    if (useLayerSystem) {
+        LayerManager.resizeLayers(width, height);
+        FrameManager.resizeFrames(width, height);
+    }
+
     logger.info?.(`Pixel data resized: ${oldWidth}×${oldHeight} → ${width}×${height}`);
     return true;
 }
 
 /**
- * Export to Base64 string format
- * @param {boolean} compress - Apply RLE compression if beneficial
- * @returns {string} Export string (WxH:DATA or WxH:RLE:DATA)
+ * Replace all frames, keeping the palette (used to restore history snapshots)
+ * Dimensions are taken from the frames' layer data.
+ * @param {Array<FrameLayerData>} frameList - Frames in order (see FrameManager.exportFrames)
+ * @param {number} activeFrame - Frame to make active
  */
-function exportToString(compress = false) {
-    let dataString = '';
+function restoreFrames(frameList, activeFrame = 0) {
+    width = frameList[0].layerData.canvasWidth;
+    height = frameList[0].layerData.canvasHeight;
+    resetData();
 
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            dataString += ColorPalette.getBase64Char(data[y][x]);
-        }
+    if (useLayerSystem) {
+        FrameManager.importFrames(frameList, activeFrame);
+    }
+}
+
+/**
+ * Get every animation frame flattened to a single image
+ * @returns {Array<{pixels: Array<Array<number>>, duration: number}>} Frames in playback order
+ */
+function getAnimationFrames() {
+    if (!useLayerSystem) {
+        return [{ pixels: getData(), duration: Constants.animation.defaultFrameDuration }];
     }
 
-    const uncompressed = `${width}x${height}:${dataString}`;
+    return FrameManager.getFrames().map(frame => ({
+        pixels: FrameManager.getFrameComposite(frame.index),
+        duration: frame.duration
+    }));
+}
+
+/**
+ * Export to Base64 string format
+ * Visible layers are flattened into a single image; several frames are
+ * exported as an animated (ANIM) string. Custom palette overrides are
+ * embedded as a PAL section.
+ * @param {boolean} compress - Apply RLE compression if beneficial
+ * @returns {string} Export string (WxH[:PAL:<entries>][:ANIM:<durations>][:RLE]:DATA)
+ */
+function exportToString(compress = false) {
+    const uncompressed = useLayerSystem && FrameManager.getFrameCount() > 1
+        ? Codec.encodeAnimation(getAnimationFrames(), palette)
+        : Codec.encode(getData(), palette);
 
     // Apply compression if requested and available
     if (compress && Compression) {
@@ -208,7 +321,10 @@ function exportToString(compress = false) {
 
 /**
  * Import from Base64 string
- * @param {string} str - Import string (WxH:DATA or WxH:RLE:DATA)
+ * Replaces the layer stack with a single "Background" layer (one per frame
+ * for animated strings) and adopts the embedded palette (or the default
+ * palette if there is none).
+ * @param {string} str - Import string (WxH[:PAL:<entries>][:ANIM:<durations>][:RLE]:DATA)
  * @returns {Object} {success: boolean, error: string|null}
  */
 function importFromString(str) {
@@ -219,41 +335,50 @@ function importFromString(str) {
             return { success: false, error: validation.error };
         }
 
-        // Decompress if needed
-        let decompressedString = str;
-        if (Compression && Compression.isCompressed(str)) {
-            decompressedString = Compression.decompress(str);
+        // Split sections and decompress if needed
+        const parsed = Codec.parse(str);
+        if (parsed.compressed) {
             logger.debug?.('Data decompressed');
         }
 
-        const parts = decompressedString.split(':');
-        const dimensions = parts[0].split('x');
-        const newWidth = parseInt(dimensions[0]);
-        const newHeight = parseInt(dimensions[1]);
-        const dataString = parts[1];
-
-        // Update dimensions
-        width = newWidth;
-        height = newHeight;
-
-        // Parse pixel data
-        clear();
-        let index = 0;
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const char = dataString[index];
-                const colorIndex = ColorPalette.getIndexFromChar(char);
-
-                if (colorIndex === -1) {
-                    return { success: false, error: `Invalid character: ${char}` };
+        const sourceFrames = parsed.frames || [{ data: parsed.data, duration: undefined }];
+
+        // Parse pixel data of every frame
+        const frames = [];
+        for (const frame of sourceFrames) {
+            const pixels = [];
+            let index = 0;
+            for (let y = 0; y < parsed.height; y++) {
+                pixels[y] = [];
+                for (let x = 0; x < parsed.width; x++) {
+                    const char = frame.data[index];
+                    const colorIndex = Codec.charToIndex(char);
+
+                    if (colorIndex === -1) {
+                        return { success: false, error: `Invalid character: ${char}` };
+                    }
+
+                    pixels[y][x] = colorIndex;
+                    index++;
                 }
-
-                data[y][x] = colorIndex;
-                index++;
             }
+            frames.push({ pixels, duration: frame.duration });
+        }
+
+        // Update dimensions and palette
+        width = parsed.width;
+        height = parsed.height;
+        palette = parsed.palette;
+        data = frames[0].pixels.map(row => [...row]);
+
+        if (useLayerSystem) {
+            FrameManager.importFrames(frames.map(frame => ({
+                duration: frame.duration,
+                layerData: createSingleLayerData(frame.pixels)
+            })));
         }
 
-        logger.info?.(`Data imported: ${width}×${height}`);
+        logger.info?.(`Data imported: ${width}×${height}, ${frames.length} frame(s)`);
         return { success: true, error: null };
 
     } catch (error) {
@@ -262,12 +387,66 @@ function importFromString(str) {
     }
 }
 
+/**
+ * Export every frame and its layer stack as a project document
+ * @returns {string} JSON project document (see ProjectDocument)
+ */
+function exportDocument() {
+    if (useLayerSystem) {
+        return ProjectDocument.serialize(FrameManager.exportFrames(), palette, FrameManager.getActiveIndex());
+    }
+
+    return ProjectDocument.serialize([{
+        duration: Constants.animation.defaultFrameDuration,
+        layerData: createSingleLayerData(data)
+    }], palette);
+}
+
+/**
+ * Import a project document or a legacy data string
+ * @param {string} str - JSON project document, WxH:DATA or WxH:RLE:DATA
+ * @returns {Object} {success: boolean, error: string|null}
+ */
+function importDocument(str) {
+    if (!ProjectDocument.isDocument(str)) {
+        return importFromString(str);
+    }
+
+    // Checked first so the error names the size (parse rejects it too)
+    const size = ProjectDocument.getDimensions(str);
+    const validation = size ? ValidationUtils.validateCanvasDimensions(size.width, size.height) : { valid: true };
+    if (!validation.valid) {
+        return { success: false, error: validation.error };
+    }
+
+    const doc = ProjectDocument.parse(str);
+    if (!doc) {
+        return { success: false, error: 'Invalid or unsupported project document' };
+    }
+
+    if (doc.version > ProjectDocument.VERSION) {
+        logger.warn?.(`Project document version ${doc.version} is newer than supported (${ProjectDocument.VERSION})`);
+    }
+
+    width = doc.width;
+    height = doc.height;
+    palette = doc.palette;
+    data = ProjectDocument.flattenPixels(doc);
+
+    if (useLayerSystem) {
+        FrameManager.importFrames(ProjectDocument.toFrames(doc), doc.activeFrame);
+    }
+
+    logger.info?.(`Document imported: ${width}×${height}, ${doc.frames.length} frame(s), ${doc.layers.length} layer(s)`);
+    return { success: true, error: null };
+}
+
 /**
  * Clone pixel data
  * @returns {Array<Array<number>>} Cloned data
  */
 function clone() {
-    return data.map(row => [...row]);
+    return getData().map(row => [...row]);
 }
 
 /**
@@ -275,9 +454,10 @@ function clone() {
  * @returns {boolean} True if has content
  */
 function hasContent() {
+    const pixels = getData();
     for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
-            if (data[y][x] !== 0) {
+            if (pixels[y][x] !== 0) {
                 return true;
             }
         }
@@ -291,11 +471,12 @@ function hasContent() {
  */
 function getStats() {
     const colorCounts = {};
+    const pixels = getData();
     let transparentCount = 0;
 
     for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
-            const color = data[y][x];
+            const color = pixels[y][x];
             if (color === 0) {
                 transparentCount++;
             } else {
@@ -323,14 +504,21 @@ const PixelData = {
     enableLayerSystem,
     clear,
     getData,
+    getBlendedData,
     getActiveLayerData,
     setData,
+    getPalette,
+    setPalette,
     getDimensions,
     getPixel,
     setPixel,
     resize,
+    restoreFrames,
+    getAnimationFrames,
     exportToString,
     importFromString,
+    exportDocument,
+    importDocument,
     clone,
     hasContent,
     getStats
@@ -6,17 +6,21 @@
  * components to pass it the necessary information on every frame.
  *
  * It can render:
- * - A "marching ants" border for a finalized selection.
- * - A live preview of a new selection being drawn.
+ * - "Marching ants" along the outline of a finalized selection mask.
+ * - A live preview of a new selection being drawn (rectangle or lasso path).
  * - The pixel content of a selection being moved.
+ * - The symmetry axes with their drag handle.
  *
  * @module SelectionOverlay
  *
  * @typedef {import('../types.js').SelectionBounds} SelectionBounds
  * @typedef {import('../types.js').PixelData} PixelData
+ * @typedef {import('../core/SelectionMask.js').SelectionMaskData} SelectionMaskData
  */
 
 import logger from '../core/Logger.js';
+import SelectionMask from '../core/SelectionMask.js';
+import ColorPalette from '../colorPalette.js';
 import CanvasRenderer from './CanvasRenderer.js';
 
 let overlayCanvas = null;
@@ -24,6 +28,14 @@ let overlayCtx = null;
 let mainCanvas = null;
 let renderer = null; // Reference to CanvasRenderer for pixel size etc.
 
+const AXIS_COLOR = 'rgba(255, 64, 129, 0.9)';
+const AXIS_HANDLE_RADIUS = 6;
+const PREVIEW_COLOR = 'rgba(0, 191, 255, 0.8)';
+
+// Outline of the last drawn mask (masks are immutable, so it is computed once per selection)
+let outlineMask = null;
+let outlineSegments = [];
+
 /**
  * Initialize the selection overlay.
  * @param {HTMLCanvasElement} mainCanvasElement - The main canvas element.
@@ -88,9 +100,12 @@ function updateSize() {
 /**
  * The main rendering function, called from an external render loop.
  * @param {Object} selectionState - The current state of the selection.
- * @param {Object} selectionState.bounds - The bounds of a finalized selection.
- * @param {Object} selectionState.previewBounds - The bounds of a selection being drawn.
- * @param {Object} selectionState.movePreview - Data for rendering a move preview.
+ * @param {SelectionMaskData} [selectionState.mask] - The finalized selection.
+ * @param {Object} [selectionState.bounds] - A rectangular selection (used when there is no mask).
+ * @param {Object} [selectionState.previewBounds] - The bounds of a rectangle selection being drawn.
+ * @param {Array<{x: number, y: number}>} [selectionState.lassoPath] - The path of a lasso selection being drawn.
+ * @param {Object} [selectionState.movePreview] - Data for rendering a move preview.
+ * @param {Object} [selectionState.symmetry] - Symmetry guide: mode, segments and axis {x, y} in pixel edges.
  * @param {number} dashOffset - The offset for the "marching ants" animation.
  */
 function render(selectionState, dashOffset = 0) {
@@ -101,28 +116,44 @@ function render(selectionState, dashOffset = 0) {
 
     clear();
 
-    const { bounds, previewBounds, movePreview } = selectionState;
+    const { mask, bounds, previewBounds, lassoPath, movePreview, symmetry } = selectionState;
+
+    if (symmetry) {
+        drawSymmetryGuide(symmetry);
+    }
 
     // 1. Render content being moved (highest priority)
     if (movePreview && movePreview.pixelData) {
         renderMovePreview(movePreview);
-        // Also draw a border around the moving content
-        const moveBounds = {
-            x1: movePreview.x,
-            y1: movePreview.y,
-            x2: movePreview.x + movePreview.pixelData[0].length - 1,
-            y2: movePreview.y + movePreview.pixelData.length - 1,
-        };
-        drawMarchingAnts(moveBounds, dashOffset);
+        // Also draw the outline of the moving selection
+        if (movePreview.mask) {
+            drawMaskAnts(movePreview.mask, dashOffset, movePreview.offsetX, movePreview.offsetY);
+        } else {
+            const moveBounds = {
+                x1: movePreview.x,
+                y1: movePreview.y,
+                x2: movePreview.x + movePreview.pixelData[0].length - 1,
+                y2: movePreview.y + movePreview.pixelData.length - 1,
+            };
+            drawMarchingAnts(moveBounds, dashOffset);
+        }
+        return;
     }
+
     // 2. Render a finalized selection border
-    else if (bounds) {
+    if (mask) {
+        drawMaskAnts(mask, dashOffset);
+    } else if (bounds) {
         drawMarchingAnts(bounds, dashOffset);
     }
+
     // 3. Render a live selection drawing preview
-    else if (previewBounds) {
+    if (previewBounds) {
         drawSelectionPreview(previewBounds);
     }
+    if (lassoPath && lassoPath.length > 0) {
+        drawLassoPreview(lassoPath);
+    }
 }
 
 /**
@@ -133,7 +164,6 @@ function renderMovePreview(movePreview) {
     const { pixelData, x, y } = movePreview;
     const mainRect = mainCanvas.getBoundingClientRect();
     const overlayRect = overlayCanvas.getBoundingClientRect();
-    const colors = renderer.getColors();
 
     const gridWidth = mainCanvas.width / renderer.getPixelSize();
     const displayedPixelSize = mainRect.width / gridWidth;
@@ -144,7 +174,7 @@ function renderMovePreview(movePreview) {
         for (let i = 0; i < pixelData[j].length; i++) {
             const colorIndex = pixelData[j][i];
             if (colorIndex !== 0) {
-                overlayCtx.fillStyle = colors[colorIndex];
+                overlayCtx.fillStyle = ColorPalette.getColor(colorIndex);
                 overlayCtx.fillRect(
                     (x + i) * displayedPixelSize,
                     (y + j) * displayedPixelSize,
@@ -202,6 +232,44 @@ function drawMarchingAnts(bounds, dashOffset) {
     overlayCtx.restore();
 }
 
+/**
+ * Draws "marching ants" along the outline of a selection mask.
+ * @param {SelectionMaskData} mask - The selection.
+ * @param {number} dashOffset - The animation offset.
+ * @param {number} [offsetX=0] - Columns to shift the outline by (while moving).
+ * @param {number} [offsetY=0] - Rows to shift the outline by (while moving).
+ */
+function drawMaskAnts(mask, dashOffset, offsetX = 0, offsetY = 0) {
+    if (mask !== outlineMask) {
+        outlineMask = mask;
+        outlineSegments = SelectionMask.getOutline(mask);
+    }
+
+    const gridWidth = mainCanvas.width / renderer.getPixelSize();
+    const displayedPixelSize = mainCanvas.getBoundingClientRect().width / gridWidth;
+
+    // Keep lines on the canvas: the right and bottom borders sit one pixel inside
+    const toX = x => Math.min(Math.round((x + offsetX) * displayedPixelSize), overlayCanvas.width - 1) + 0.5;
+    const toY = y => Math.min(Math.round((y + offsetY) * displayedPixelSize), overlayCanvas.height - 1) + 0.5;
+
+    overlayCtx.save();
+    overlayCtx.beginPath();
+    outlineSegments.forEach(({ x1, y1, x2, y2 }) => {
+        overlayCtx.moveTo(toX(x1), toY(y1));
+        overlayCtx.lineTo(toX(x2), toY(y2));
+    });
+
+    overlayCtx.lineWidth = 1;
+    overlayCtx.setLineDash([4, 4]);
+    overlayCtx.strokeStyle = '#FFFFFF';
+    overlayCtx.lineDashOffset = dashOffset;
+    overlayCtx.stroke();
+    overlayCtx.strokeStyle = '#000000';
+    overlayCtx.lineDashOffset = dashOffset + 4;
+    overlayCtx.stroke();
+    overlayCtx.restore();
+}
+
 /**
  * Draws a simple dashed-line preview for a selection in progress.
  * @param {Object} bounds - The preview bounds {x1, y1, x2, y2}.
@@ -222,13 +290,95 @@ function drawSelectionPreview(bounds) {
     overlayCtx.save();
     overlayCtx.imageSmoothingEnabled = false;
 
-    overlayCtx.strokeStyle = 'rgba(0, 191, 255, 0.8)';
+    overlayCtx.strokeStyle = PREVIEW_COLOR;
     overlayCtx.lineWidth = 1;
     overlayCtx.setLineDash([3, 3]);
     overlayCtx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
     overlayCtx.restore();
 }
 
+/**
+ * Draws the path of a lasso selection in progress through the pixel centers.
+ * @param {Array<{x: number, y: number}>} points - Path points in pixel coordinates.
+ */
+function drawLassoPreview(points) {
+    const gridWidth = mainCanvas.width / renderer.getPixelSize();
+    const displayedPixelSize = mainCanvas.getBoundingClientRect().width / gridWidth;
+    const center = value => Math.round((value + 0.5) * displayedPixelSize) + 0.5;
+
+    overlayCtx.save();
+    overlayCtx.strokeStyle = PREVIEW_COLOR;
+    overlayCtx.lineWidth = 1;
+    overlayCtx.setLineDash([3, 3]);
+    overlayCtx.beginPath();
+    points.forEach(({ x, y }, i) => {
+        if (i === 0) {
+            overlayCtx.moveTo(center(x), center(y));
+        } else {
+            overlayCtx.lineTo(center(x), center(y));
+        }
+    });
+    // Single point: mark the pixel
+    if (points.length === 1) {
+        overlayCtx.strokeRect(
+            points[0].x * displayedPixelSize + 0.5,
+            points[0].y * displayedPixelSize + 0.5,
+            displayedPixelSize - 1,
+            displayedPixelSize - 1
+        );
+    }
+    overlayCtx.stroke();
+    overlayCtx.restore();
+}
+
+/**
+ * Draws the symmetry axes (or the rays between rotational copies) and the axis handle.
+ * @param {Object} symmetry - Mode, segments and axis {x, y} in pixel edges.
+ */
+function drawSymmetryGuide({ mode, segments, axis }) {
+    const gridWidth = mainCanvas.width / renderer.getPixelSize();
+    const displayedPixelSize = mainCanvas.getBoundingClientRect().width / gridWidth;
+    const width = overlayCanvas.width;
+    const height = overlayCanvas.height;
+    const cx = Math.round(axis.x * displayedPixelSize) + 0.5;
+    const cy = Math.round(axis.y * displayedPixelSize) + 0.5;
+
+    overlayCtx.save();
+    overlayCtx.strokeStyle = AXIS_COLOR;
+    overlayCtx.lineWidth = 1;
+    overlayCtx.setLineDash([6, 3]);
+    overlayCtx.beginPath();
+
+    if (mode === 'horizontal' || mode === 'both') {
+        overlayCtx.moveTo(cx, 0);
+        overlayCtx.lineTo(cx, height);
+    }
+    if (mode === 'vertical' || mode === 'both') {
+        overlayCtx.moveTo(0, cy);
+        overlayCtx.lineTo(width, cy);
+    }
+    if (mode === 'rotational') {
+        // Rays between the copies, the first pointing up
+        const length = Math.hypot(width, height);
+        for (let k = 0; k < segments; k++) {
+            const angle = -Math.PI / 2 + (2 * Math.PI * k) / segments;
+            overlayCtx.moveTo(cx, cy);
+            overlayCtx.lineTo(cx + Math.cos(angle) * length, cy + Math.sin(angle) * length);
+        }
+    }
+    overlayCtx.stroke();
+
+    // Drag handle
+    overlayCtx.setLineDash([]);
+    overlayCtx.fillStyle = AXIS_COLOR;
+    overlayCtx.strokeStyle = '#FFFFFF';
+    overlayCtx.beginPath();
+    overlayCtx.arc(cx, cy, AXIS_HANDLE_RADIUS, 0, Math.PI * 2);
+    overlayCtx.fill();
+    overlayCtx.stroke();
+    overlayCtx.restore();
+}
+
 /**
  * Clear the entire overlay canvas.
  */
@@ -251,6 +401,7 @@ function destroy() {
 }
 
 const SelectionOverlay = {
+    AXIS_HANDLE_RADIUS,
     init,
     updateSize,
     render,
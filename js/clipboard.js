@@ -0,0 +1,473 @@
+/**
+ * Clipboard - Cut, Copy and Paste of Selections
+ *
+ * Copies the selected pixels of the active layer:
+ * - Into an internal clipboard (keeps the position for pasting in place)
+ * - To the system clipboard as a PNG and as an inline-px data string
+ *
+ * Pasting reads the system clipboard (data strings that fit the canvas and
+ * images from other apps; images are matched to the palette) and falls
+ * back to the internal clipboard only when the system clipboard is empty;
+ * other text is left alone. The result floats above the canvas with the Move tool active
+ * and is written to the layer, as one undo step, when it is committed:
+ * Enter, switching tools, Deselect or the next paste. Escape drops it.
+ *
+ * Select All and Deselect live here as well, next to the edit commands
+ * that use the selection. All of them are registered as commands.
+ *
+ * @module Clipboard
+ *
+ * @typedef {Object} ClipboardContent
+ * @property {Array<Array<number>>} pixels - Color indices (0 = transparent or not selected)
+ * @property {number} x - Canvas column it was copied from
+ * @property {number} y - Canvas row it was copied from
+ * @property {string} dataString - The data string written to the system clipboard
+ */
+
+import logger from './core/Logger.js';
+import eventBus from './core/EventBus.js';
+import CommandRegistry from './core/CommandRegistry.js';
+import Codec from './core/Codec.js';
+import PngCodec from './core/PngCodec.js';
+import SelectionMask from './core/SelectionMask.js';
+import PixelCanvas from './canvas/PixelCanvas.js';
+import ToolRegistry from './tools/ToolRegistry.js';
+import HistoryRecorder from './historyRecorder.js';
+import PNGImporter from './importers/PNGImporter.js';
+import ImageQuantizer from './importers/ImageQuantizer.js';
+import ValidationUtils from './utils/ValidationUtils.js';
+import clipboardUtils from './utils/ClipboardUtils.js';
+import Constants from '../config/constants.js';
+
+/** @type {ClipboardContent|null} */
+let content = null;
+
+/**
+ * Start handling paste events (Ctrl+V) and document loads
+ */
+function init() {
+    document.addEventListener('paste', (e) => {
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) return;
+        handlePasteEvent(e);
+    });
+
+    // Floating pixels belong to the document they were pasted into
+    eventBus.on(eventBus.Events.FILE_LOADED, () => {
+        const moveTool = ToolRegistry.getTool('move');
+        if (moveTool) moveTool.floating = null;
+    });
+
+    registerCommands();
+    logger.info?.('Clipboard initialized');
+}
+
+/**
+ * Register the edit and selection commands
+ * @private
+ */
+function registerCommands() {
+    const hasSelection = () => ToolRegistry.getSelectionMask() !== null;
+
+    CommandRegistry.registerAll([
+        { id: 'edit.cut', label: 'Cut', icon: 'content_cut', category: 'Edit', keybinding: 'Ctrl+X', enabled: hasSelection, handler: cut },
+        { id: 'edit.copy', label: 'Copy', icon: 'content_copy', category: 'Edit', keybinding: 'Ctrl+C', enabled: hasSelection, handler: copy },
+        // Ctrl+V arrives as a paste event (see init), which can read the clipboard without a permission prompt
+        { id: 'edit.paste', label: 'Paste', icon: 'content_paste', category: 'Edit', keybinding: 'Ctrl+V', nativeKey: true, enabled: canPaste, handler: paste },
+        { id: 'edit.commitPaste', label: 'Place Pasted Pixels', icon: 'check', category: 'Edit', keybinding: 'Enter', enabled: isFloating, handler: commitFloating },
+        {
+            id: 'edit.cancel',
+            label: 'Drop Pasted Pixels / Deselect',
+            icon: 'close',
+            category: 'Edit',
+            keybinding: 'Escape',
+            enabled: () => isFloating() || hasSelection(),
+            handler: () => cancelFloating() || deselect()
+        },
+        { id: 'select.all', label: 'Select All', icon: 'select_all', category: 'Select', keybinding: 'Ctrl+A', handler: selectAll },
+        {
+            id: 'select.none',
+            label: 'Deselect',
+            icon: 'deselect',
+            category: 'Select',
+            keybinding: 'Ctrl+D',
+            enabled: () => hasSelection() || isFloating(),
+            handler: deselect
+        }
+    ]);
+}
+
+/**
+ * Copy the selected pixels of the active layer
+ * @returns {Promise<boolean>} True if something was copied
+ */
+async function copy() {
+    commitFloating();
+
+    const selected = readSelection();
+    if (!selected) {
+        logger.debug?.('Nothing selected to copy');
+        return false;
+    }
+
+    content = selected;
+    await writeSystemClipboard(selected);
+    logger.info?.(`Copied ${selected.pixels[0].length}×${selected.pixels.length} pixels`);
+    return true;
+}
+
+/**
+ * Copy the selected pixels of the active layer and clear them
+ * @returns {Promise<boolean>} True if something was cut
+ */
+async function cut() {
+    commitFloating();
+
+    const selected = readSelection();
+    if (!selected) {
+        logger.debug?.('Nothing selected to cut');
+        return false;
+    }
+
+    content = selected;
+    HistoryRecorder.recordPixels('Cut', () => PixelCanvas.editActiveLayer(data => clearSelected(data)));
+    await writeSystemClipboard(selected);
+    logger.info?.(`Cut ${selected.pixels[0].length}×${selected.pixels.length} pixels`);
+    return true;
+}
+
+/**
+ * Paste from the system clipboard, or the internal one if it can't be read
+ * @returns {Promise<boolean>} True if something was pasted
+ */
+async function paste() {
+    if (navigator.clipboard?.read) {
+        try {
+            const items = await navigator.clipboard.read();
+            const text = await readItem(items, type => type === 'text/plain');
+            const image = await readItem(items, type => Constants.imageImport.acceptedTypes.includes(type));
+            return await pasteExternal(text ? await text.text() : null, image);
+        } catch (error) {
+            logger.warn?.('System clipboard could not be read, using the internal clipboard', error);
+        }
+    }
+
+    return pasteInternal();
+}
+
+/**
+ * Paste from a paste event's data
+ * The event is only taken over when it carries something we can paste.
+ * @private
+ * @param {ClipboardEvent} e - Paste event
+ */
+function handlePasteEvent(e) {
+    const transfer = e.clipboardData;
+    const image = Array.from(transfer?.files || []).find(file => PNGImporter.isSupportedFile(file)) || null;
+    const text = transfer?.getData('text/plain') || null;
+    const trimmed = text?.trim();
+
+    const pastable = image || (trimmed
+        ? trimmed === content?.dataString || isPastableString(trimmed)
+        : content !== null);
+    if (!pastable) return;
+
+    e.preventDefault();
+    pasteExternal(text, image);
+}
+
+/**
+ * Check if text is a valid data string that fits the canvas
+ * Validating first keeps huge dimensions from being decoded at all.
+ * @private
+ * @param {string} text - Trimmed clipboard text
+ * @returns {boolean} True if it can be pasted
+ */
+function isPastableString(text) {
+    const result = ValidationUtils.validateDataString(text);
+    if (!result.valid) return false;
+
+    const { width, height } = PixelCanvas.getDimensions();
+    return result.info.width <= width && result.info.height <= height;
+}
+
+/**
+ * Get the first blob of a wanted type from clipboard items
+ * @private
+ * @param {Array<ClipboardItem>} items - Clipboard items
+ * @param {function(string): boolean} wanted - Type filter
+ * @returns {Promise<Blob|null>} Blob or null
+ */
+async function readItem(items, wanted) {
+    for (const item of items) {
+        const type = item.types.find(wanted);
+        if (type) return item.getType(type);
+    }
+    return null;
+}
+
+/**
+ * Paste system clipboard content
+ * Our own copy is pasted from the internal clipboard so it keeps its position;
+ * so is the internal clipboard when the system one is empty.
+ * @private
+ * @param {string|null} text - Clipboard text
+ * @param {Blob|null} image - Clipboard image
+ * @returns {Promise<boolean>} True if something was pasted
+ */
+async function pasteExternal(text, image) {
+    const trimmed = text?.trim();
+
+    if (content && trimmed === content.dataString) {
+        return pasteInternal();
+    }
+
+    const decoded = trimmed && isPastableString(trimmed) ? Codec.decode(trimmed) : null;
+    if (decoded) {
+        return float(remapColors(decoded.pixels, decoded.colors), null);
+    }
+
+    if (image) {
+        try {
+            const file = image instanceof File ? image : new File([image], 'clipboard.png', { type: image.type });
+            const decodedImage = await PNGImporter.decodeFile(file);
+            const { width, height } = PixelCanvas.getDimensions();
+            const result = PNGImporter.convert(decodedImage, {
+                ...PNGImporter.getDefaultOptions(decodedImage),
+                maxSize: Math.max(width, height),
+                palette: PixelCanvas.getPalette()
+            });
+            return float(result.pixels, null);
+        } catch (error) {
+            logger.error?.('Pasted image could not be converted', error);
+            return false;
+        }
+    }
+
+    if (trimmed) {
+        logger.debug?.('Clipboard text is not a data string that fits the canvas');
+        return false;
+    }
+    return pasteInternal();
+}
+
+/**
+ * Paste the internal clipboard at the position it was copied from
+ * @private
+ * @returns {boolean} True if something was pasted
+ */
+function pasteInternal() {
+    if (!content) {
+        logger.debug?.('Clipboard is empty');
+        return false;
+    }
+    return float(content.pixels.map(row => [...row]), { x: content.x, y: content.y });
+}
+
+/**
+ * Float pixels above the canvas with the Move tool
+ * @private
+ * @param {Array<Array<number>>} pixels - Color indices
+ * @param {{x: number, y: number}|null} position - Wanted position (null = centered)
+ * @returns {boolean} True if something was pasted
+ */
+function float(pixels, position) {
+    if (!pixels.some(row => row.some(value => value !== 0))) {
+        logger.debug?.('Pasted content is empty');
+        return false;
+    }
+
+    commitFloating();
+
+    const { width, height } = PixelCanvas.getDimensions();
+    const pasteWidth = pixels[0].length;
+    const pasteHeight = pixels.length;
+    const place = (wanted, size, max) => Math.max(0, Math.min(wanted, max - size));
+    const x = place(position ? position.x : Math.floor((width - pasteWidth) / 2), pasteWidth, width);
+    const y = place(position ? position.y : Math.floor((height - pasteHeight) / 2), pasteHeight, height);
+
+    ToolRegistry.setCurrentTool('move');
+    ToolRegistry.getCurrentTool().startFloating(pixels, x, y, width, height);
+    eventBus.emit(eventBus.Events.SELECTION_CHANGED, ToolRegistry.getSelectionBounds());
+
+    logger.info?.(`Pasted ${pasteWidth}×${pasteHeight} pixels`);
+    return true;
+}
+
+/**
+ * @private
+ * @returns {boolean} Whether pasted pixels are floating above the canvas
+ */
+function isFloating() {
+    return !!ToolRegistry.getTool('move')?.floating;
+}
+
+/**
+ * Write floating pasted pixels onto the active layer
+ * @returns {boolean} True if there was something floating
+ */
+function commitFloating() {
+    const moveTool = ToolRegistry.getTool('move');
+    if (!moveTool?.floating) return false;
+
+    HistoryRecorder.recordPixels('Paste', () => PixelCanvas.editActiveLayer(data => moveTool.commitFloating(data)));
+    return true;
+}
+
+/**
+ * Drop floating pasted pixels
+ * @returns {boolean} True if there was something floating
+ */
+function cancelFloating() {
+    const moveTool = ToolRegistry.getTool('move');
+    if (!moveTool?.floating) return false;
+
+    moveTool.cancelFloating();
+    eventBus.emit(eventBus.Events.SELECTION_CLEARED);
+    return true;
+}
+
+/**
+ * Check if pasting may succeed (internal content or a readable system clipboard)
+ * @returns {boolean}
+ */
+function canPaste() {
+    return content !== null || !!navigator.clipboard?.read;
+}
+
+/**
+ * Select the whole canvas
+ */
+function selectAll() {
+    commitFloating();
+
+    const { width, height } = PixelCanvas.getDimensions();
+    ToolRegistry.setSelection(SelectionMask.fromRect(width, height, { x1: 0, y1: 0, x2: width - 1, y2: height - 1 }));
+    eventBus.emit(eventBus.Events.SELECTION_CHANGED, ToolRegistry.getSelectionBounds());
+}
+
+/**
+ * Clear the selection (committing floating pasted pixels)
+ */
+function deselect() {
+    commitFloating();
+    ToolRegistry.clearSelection();
+    eventBus.emit(eventBus.Events.SELECTION_CLEARED);
+}
+
+/**
+ * Read the selected pixels of the active layer
+ * @private
+ * @returns {ClipboardContent|null} Selected pixels, or null without a selection
+ */
+function readSelection() {
+    const mask = ToolRegistry.getSelectionMask();
+    const bounds = ToolRegistry.getSelectionBounds();
+    if (!mask || !bounds) return null;
+
+    const data = PixelCanvas.getActiveLayerData();
+    const pixels = [];
+    for (let y = bounds.y1; y <= bounds.y2; y++) {
+        const row = [];
+        for (let x = bounds.x1; x <= bounds.x2; x++) {
+            row.push(SelectionMask.contains(mask, x, y) ? (data[y]?.[x] ?? 0) : 0);
+        }
+        pixels.push(row);
+    }
+
+    return {
+        pixels,
+        x: bounds.x1,
+        y: bounds.y1,
+        dataString: Codec.encode(pixels, PixelCanvas.getPalette())
+    };
+}
+
+/**
+ * Clear the selected pixels of a layer
+ * @private
+ * @param {Array<Array<number>>} data - Layer pixel data
+ * @returns {boolean} True if any pixel changed
+ */
+function clearSelected(data) {
+    const mask = ToolRegistry.getSelectionMask();
+    let modified = false;
+
+    data.forEach((row, y) => {
+        row.forEach((value, x) => {
+            if (value !== 0 && SelectionMask.contains(mask, x, y)) {
+                row[x] = 0;
+                modified = true;
+            }
+        });
+    });
+    return modified;
+}
+
+/**
+ * Write copied pixels to the system clipboard (PNG and data string)
+ * Falls back to text only where images can't be written.
+ * @private
+ * @param {ClipboardContent} copied - Copied pixels
+ * @returns {Promise<boolean>} True if written
+ */
+async function writeSystemClipboard(copied) {
+    if (navigator.clipboard?.write && typeof ClipboardItem !== 'undefined') {
+        try {
+            const png = PngCodec.encodeIndexed(copied.pixels, Codec.applyPalette(PixelCanvas.getPalette()));
+            await navigator.clipboard.write([
+                new ClipboardItem({
+                    'image/png': new Blob([png], { type: 'image/png' }),
+                    'text/plain': new Blob([copied.dataString], { type: 'text/plain' })
+                })
+            ]);
+            return true;
+        } catch (error) {
+            logger.warn?.('Writing the image to the clipboard failed, copying the data string only', error);
+        }
+    }
+
+    return clipboardUtils.copyText(copied.dataString);
+}
+
+/**
+ * Map pasted color indices to the document's palette
+ * Indices keep their number where both palettes have the same color there.
+ * @private
+ * @param {Array<Array<number>>} pixels - Pasted color indices
+ * @param {Array<string|null>} colors - Colors of the pasted data string's palette
+ * @returns {Array<Array<number>>} Color indices for the document
+ */
+function remapColors(pixels, colors) {
+    const documentColors = Codec.applyPalette(PixelCanvas.getPalette());
+    const matcher = ImageQuantizer.createMatcher(documentColors);
+    const mapping = new Map();
+
+    const mapIndex = (index) => {
+        if (index === 0 || colors[index] === documentColors[index]) return index;
+        if (!mapping.has(index)) {
+            const hex = colors[index] || '#000000';
+            mapping.set(index, matcher(
+                parseInt(hex.substring(1, 3), 16),
+                parseInt(hex.substring(3, 5), 16),
+                parseInt(hex.substring(5, 7), 16)
+            ));
+        }
+        return mapping.get(index);
+    };
+
+    return pixels.map(row => row.map(mapIndex));
+}
+
+const Clipboard = {
+    init,
+    copy,
+    cut,
+    paste,
+    commitFloating,
+    cancelFloating,
+    canPaste,
+    selectAll,
+    deselect
+};
+
+export default Clipboard;
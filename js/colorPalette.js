@@ -7,6 +7,7 @@
  * - Event-driven architecture
  * - Category filtering
  * - Custom palette support
+ * - Palette overrides for embedding in data strings (PAL section)
  *
  * @module ColorPalette
  *
@@ -17,6 +18,7 @@ import logger from './core/Logger.js';
 import eventBus from './core/EventBus.js';
 import configLoader from './core/ConfigLoader.js';
 import validationUtils from './utils/ValidationUtils.js';
+import Codec from './core/Codec.js';
 import ToolRegistry from './tools/ToolRegistry.js'; // Added import for ToolRegistry
 
 // Configuration
@@ -316,9 +318,53 @@ function setCustomColor(index, hexColor) {
         }
 
         logger.info?.(`Custom color set at index ${index}: ${hexColor}`);
+        notifyPaletteChange();
     }
 }
 
+/**
+ * Emit PALETTE_CHANGED with the current overrides
+ * @private
+ */
+function notifyPaletteChange() {
+    if (eventBus) {
+        eventBus.emit(eventBus.Events.PALETTE_CHANGED, { overrides: getPaletteOverrides() });
+    }
+}
+
+/**
+ * Get colors that differ from the built-in palette
+ * @returns {Object<number, string>|null} Index -> hex overrides or null
+ */
+function getPaletteOverrides() {
+    return Codec.getPaletteOverrides(colorsByIndex);
+}
+
+/**
+ * Show the built-in palette with the given overrides applied
+ * Used when a document carrying its own palette is loaded.
+ * @param {Object<number, string>|null} overrides - Index -> hex overrides
+ */
+function applyPaletteOverrides(overrides) {
+    const colors = Codec.applyPalette(overrides);
+
+    colors.forEach((color, index) => {
+        colorsByIndex[index] = color || 'transparent';
+        if (base64Chars[index]) {
+            colorsByChar[base64Chars[index]] = colorsByIndex[index];
+        }
+
+        const swatch = document.querySelector(`.color-swatch[data-index="${index}"]`);
+        if (swatch) {
+            swatch.style.backgroundColor = colorsByIndex[index];
+        }
+    });
+
+    customPalette = overrides ? [...colorsByIndex] : null;
+    updateColorDisplay();
+    notifyPaletteChange();
+}
+
 /**
  * Reset to default palette
  */
@@ -331,6 +377,7 @@ function resetToDefault() {
         }
         customPalette = null;
         logger.info?.('Palette reset to default');
+        notifyPaletteChange();
     }
 }
 
@@ -363,6 +410,7 @@ function importCustomPalette(paletteConfig) {
         }
 
         logger.info?.('Custom palette imported');
+        notifyPaletteChange();
     } catch (error) {
         logger.error?.('Failed to import custom palette', error);
     }
@@ -384,6 +432,8 @@ const ColorPalette = {
     getColorName,
     getColorInfo,
     setCustomColor,
+    getPaletteOverrides,
+    applyPaletteOverrides,
     resetToDefault,
     exportCustomPalette,
     importCustomPalette,
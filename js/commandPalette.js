@@ -0,0 +1,443 @@
+/**
+ * CommandPalette - Keyboard-Driven Action Search (Ctrl+K)
+ *
+ * An overlay with a search field that fuzzy-searches (see FuzzySearch):
+ * - Every command that is enabled right now: tools, file, edit, tab,
+ *   layer and view actions (see CommandRegistry)
+ * - Open tabs to switch to and layers to select
+ * - Recently saved files, opened in a new tab
+ * - Palette colors by name
+ *
+ * Entries show their keyboard shortcut. The entries run last are kept in
+ * Storage and listed first (and ranked higher while searching).
+ *
+ * @module CommandPalette
+ *
+ * @typedef {import('./types.js').SavedFile} SavedFile
+ *
+ * @typedef {Object} PaletteEntry
+ * @property {string} key - Stable ID, '<kind>:<id>' (kept for recents)
+ * @property {string} label - Display label
+ * @property {string} category - What running it does ('File', 'Switch Tab', 'Color'...)
+ * @property {string} [icon] - Material Symbols icon name
+ * @property {string} [swatch] - CSS color shown instead of an icon
+ * @property {string} [shortcut] - Keybinding
+ * @property {function(): *} run - Performs the entry
+ */
+
+import logger from './core/Logger.js';
+import CommandRegistry from './core/CommandRegistry.js';
+import FuzzySearch from './core/FuzzySearch.js';
+import Storage from './storage/Storage.js';
+import TabManager from './tabManager.js';
+import LayerManager from './layerManager.js';
+import FileManager from './fileManager.js';
+import ColorPalette from './colorPalette.js';
+
+const RECENTS_KEY = 'pixelart_recent_commands';
+const RECENT_LIMIT = 8;
+const RECENT_FILE_LIMIT = 10;
+// Ranking: a remembered entry beats a slightly better match; matching
+// through the category ("tab rename") ranks below matching the label
+const RECENT_BONUS = 10;
+const CATEGORY_PENALTY = 4;
+
+let overlayElement = null;
+let inputElement = null;
+let listElement = null;
+let emptyElement = null;
+let onOpenFileCallback = null;
+
+/** @type {Array<PaletteEntry>} Entries collected when the palette opened */
+let entries = [];
+/** @type {Array<{entry: PaletteEntry, positions: Array<number>}>} Shown results */
+let results = [];
+let activeIndex = 0;
+
+/**
+ * Initialize the palette and register its command (Ctrl+K)
+ * @param {Object} options - Options
+ * @param {function(SavedFile): void} [options.onOpenFile] - Opens a saved file; without it no files are listed
+ */
+function init(options = {}) {
+    onOpenFileCallback = options.onOpenFile || null;
+    createElements();
+
+    CommandRegistry.register({
+        id: 'app.commandPalette',
+        label: 'Command Palette',
+        icon: 'search',
+        category: 'View',
+        keybinding: 'Ctrl+K',
+        handler: toggle
+    });
+
+    logger.info?.('CommandPalette initialized');
+}
+
+/**
+ * Create the overlay
+ * @private
+ */
+function createElements() {
+    overlayElement = document.createElement('div');
+    overlayElement.className = 'command-palette-overlay hidden';
+    overlayElement.innerHTML = `
+        <div class="command-palette" role="dialog" aria-label="Command palette">
+            <div class="command-palette-search">
+                <span class="material-symbols-outlined">search</span>
+                <input type="text" class="command-palette-input" placeholder="Search commands, tabs, layers, files and colors" spellcheck="false" autocomplete="off">
+            </div>
+            <div class="command-palette-list" role="listbox"></div>
+            <div class="command-palette-empty hidden">No matching actions</div>
+        </div>
+    `;
+    document.body.appendChild(overlayElement);
+
+    inputElement = overlayElement.querySelector('.command-palette-input');
+    listElement = overlayElement.querySelector('.command-palette-list');
+    emptyElement = overlayElement.querySelector('.command-palette-empty');
+
+    inputElement.addEventListener('input', () => {
+        activeIndex = 0;
+        renderResults();
+    });
+    inputElement.addEventListener('keydown', handleKeydown);
+    overlayElement.addEventListener('mousedown', (e) => {
+        if (e.target === overlayElement) close();
+    });
+}
+
+/**
+ * Open the palette
+ */
+function open() {
+    if (!overlayElement || isOpen()) return;
+
+    entries = collectEntries();
+    inputElement.value = '';
+    activeIndex = 0;
+    overlayElement.classList.remove('hidden');
+    renderResults();
+    inputElement.focus();
+}
+
+/**
+ * Close the palette
+ */
+function close() {
+    if (!overlayElement) return;
+    overlayElement.classList.add('hidden');
+    entries = [];
+    results = [];
+}
+
+/**
+ * @returns {boolean} Whether the palette is open
+ */
+function isOpen() {
+    return !!overlayElement && !overlayElement.classList.contains('hidden');
+}
+
+/**
+ * Open the palette, or close it if it is open
+ */
+function toggle() {
+    if (isOpen()) close();
+    else open();
+}
+
+// ==================== ENTRIES ====================
+
+/**
+ * Collect everything that can be run right now
+ * @private
+ * @returns {Array<PaletteEntry>} Entries
+ */
+function collectEntries() {
+    const list = [];
+
+    CommandRegistry.getAll().forEach(command => {
+        if (command.id === 'app.commandPalette' || !CommandRegistry.isEnabled(command.id)) return;
+        list.push({
+            key: `command:${command.id}`,
+            label: command.label,
+            category: command.category || 'Command',
+            icon: command.icon,
+            shortcut: CommandRegistry.getShortcutLabel(command.id),
+            run: () => CommandRegistry.execute(command.id)
+        });
+    });
+
+    const currentTab = TabManager.getCurrentTab();
+    TabManager.getAllTabs().forEach(tab => {
+        if (tab === currentTab) return;
+        list.push({ key: `tab:${tab.id}`, label: tab.name, category: 'Switch Tab', icon: 'tab', run: () => TabManager.switchToTab(tab.id) });
+    });
+
+    // Layers belong to the current document, which only exists with an open tab
+    const activeLayer = currentTab ? LayerManager.getActiveLayer() : null;
+    if (activeLayer) {
+        LayerManager.getLayers().forEach(layer => {
+            if (layer === activeLayer) return;
+            list.push({ key: `layer:${layer.id}`, label: layer.name, category: 'Select Layer', icon: 'layers', run: () => LayerManager.setActiveLayer(layer.id) });
+        });
+    }
+
+    if (onOpenFileCallback) {
+        [...FileManager.getAllFiles()]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, RECENT_FILE_LIMIT)
+            .forEach(file => {
+                list.push({ key: `file:${file.id}`, label: file.name, category: 'Open Recent', icon: 'history', run: () => onOpenFileCallback(file) });
+            });
+    }
+
+    ColorPalette.getAllColors().forEach(({ index }) => {
+        list.push({
+            key: `color:${index}`,
+            label: ColorPalette.getColorName(index),
+            category: 'Color',
+            swatch: ColorPalette.getColor(index),
+            run: () => ColorPalette.selectColor(index)
+        });
+    });
+
+    return list;
+}
+
+/**
+ * Filter and rank the entries for the typed query
+ * @private
+ * @param {string} query - Search text
+ * @returns {Array<{entry: PaletteEntry, positions: Array<number>}>} Results, best first
+ */
+function search(query) {
+    const recents = getRecents();
+    const recentRank = (entry) => recents.indexOf(entry.key);
+
+    if (!query.trim()) {
+        const remembered = recents
+            .map(key => entries.find(entry => entry.key === key))
+            .filter(Boolean);
+        return [...remembered, ...entries.filter(entry => recentRank(entry) < 0)]
+            .map(entry => ({ entry, positions: [] }));
+    }
+
+    const matches = [];
+    entries.forEach(entry => {
+        const direct = FuzzySearch.match(query, entry.label);
+        const prefix = `${entry.category} `;
+        const viaCategory = FuzzySearch.match(query, prefix + entry.label);
+        if (!direct && !viaCategory) return;
+
+        let score;
+        let positions;
+        if (direct && (!viaCategory || direct.score >= viaCategory.score - CATEGORY_PENALTY)) {
+            score = direct.score;
+            positions = direct.positions;
+        } else {
+            score = viaCategory.score - CATEGORY_PENALTY;
+            positions = viaCategory.positions
+                .filter(position => position >= prefix.length)
+                .map(position => position - prefix.length);
+        }
+
+        const rank = recentRank(entry);
+        if (rank >= 0) score += RECENT_BONUS * (1 - rank / RECENT_LIMIT);
+        matches.push({ entry, positions, score });
+    });
+
+    return matches.sort((a, b) => b.score - a.score);
+}
+
+// ==================== RENDERING ====================
+
+/**
+ * Show the results for the current query
+ * @private
+ */
+function renderResults() {
+    results = search(inputElement.value);
+    activeIndex = Math.min(activeIndex, Math.max(0, results.length - 1));
+
+    listElement.innerHTML = '';
+    results.forEach((result, index) => listElement.appendChild(createResultItem(result, index)));
+    emptyElement.classList.toggle('hidden', results.length > 0);
+    updateActive();
+}
+
+/**
+ * Create a result row
+ * @private
+ * @param {{entry: PaletteEntry, positions: Array<number>}} result - Result
+ * @param {number} index - Row index
+ * @returns {HTMLElement} Row
+ */
+function createResultItem({ entry, positions }, index) {
+    const item = document.createElement('div');
+    item.className = 'command-palette-item';
+    item.setAttribute('role', 'option');
+
+    if (entry.swatch) {
+        const swatch = document.createElement('span');
+        swatch.className = 'command-palette-swatch';
+        swatch.style.background = entry.swatch;
+        item.appendChild(swatch);
+    } else {
+        const icon = document.createElement('span');
+        icon.className = 'material-symbols-outlined command-palette-icon';
+        icon.textContent = entry.icon || 'bolt';
+        item.appendChild(icon);
+    }
+
+    item.appendChild(createLabel(entry.label, positions));
+
+    const category = document.createElement('span');
+    category.className = 'command-palette-category';
+    category.textContent = entry.category;
+    item.appendChild(category);
+
+    if (entry.shortcut) {
+        const shortcut = document.createElement('span');
+        shortcut.className = 'command-palette-shortcut';
+        shortcut.textContent = entry.shortcut;
+        item.appendChild(shortcut);
+    }
+
+    item.addEventListener('mousemove', () => {
+        if (activeIndex !== index) {
+            activeIndex = index;
+            updateActive();
+        }
+    });
+    item.addEventListener('click', () => runEntry(entry));
+
+    return item;
+}
+
+/**
+ * Create a label with the matched characters highlighted
+ * @private
+ * @param {string} text - Label
+ * @param {Array<number>} positions - Matched character indices
+ * @returns {HTMLElement} Label element
+ */
+function createLabel(text, positions) {
+    const label = document.createElement('span');
+    label.className = 'command-palette-label';
+    const matched = new Set(positions);
+
+    for (let i = 0; i < text.length;) {
+        const highlight = matched.has(i);
+        let end = i + 1;
+        while (end < text.length && matched.has(end) === highlight) end++;
+
+        const part = text.slice(i, end);
+        if (highlight) {
+            const mark = document.createElement('mark');
+            mark.textContent = part;
+            label.appendChild(mark);
+        } else {
+            label.appendChild(document.createTextNode(part));
+        }
+        i = end;
+    }
+
+    return label;
+}
+
+/**
+ * Mark the active row and keep it in view
+ * @private
+ */
+function updateActive() {
+    Array.from(listElement.children).forEach((item, index) => {
+        const active = index === activeIndex;
+        item.classList.toggle('active', active);
+        item.setAttribute('aria-selected', String(active));
+        if (active) item.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+/**
+ * Keyboard navigation in the search field
+ * @private
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleKeydown(e) {
+    const count = results.length;
+
+    switch (e.key) {
+        case 'ArrowDown':
+            e.preventDefault();
+            if (count > 0) activeIndex = (activeIndex + 1) % count;
+            updateActive();
+            break;
+        case 'ArrowUp':
+            e.preventDefault();
+            if (count > 0) activeIndex = (activeIndex - 1 + count) % count;
+            updateActive();
+            break;
+        case 'Enter':
+            e.preventDefault();
+            if (results[activeIndex]) runEntry(results[activeIndex].entry);
+            break;
+        case 'Escape':
+            e.preventDefault();
+            close();
+            break;
+        default:
+            // Ctrl+K again closes the palette
+            if (CommandRegistry.eventToKeybinding(e) === CommandRegistry.getShortcutLabel('app.commandPalette')) {
+                e.preventDefault();
+                close();
+            }
+    }
+}
+
+/**
+ * Close the palette, remember the entry and run it
+ * @private
+ * @param {PaletteEntry} entry - Entry
+ */
+function runEntry(entry) {
+    close();
+    remember(entry.key);
+
+    try {
+        entry.run();
+    } catch (error) {
+        logger.error?.(`Command palette entry "${entry.key}" failed`, error);
+    }
+}
+
+// ==================== RECENTS ====================
+
+/**
+ * @private
+ * @returns {Array<string>} Entry keys, most recent first
+ */
+function getRecents() {
+    const recents = Storage.getJSON(RECENTS_KEY, []);
+    return Array.isArray(recents) ? recents : [];
+}
+
+/**
+ * @private
+ * @param {string} key - Entry key
+ */
+function remember(key) {
+    const recents = [key, ...getRecents().filter(recent => recent !== key)].slice(0, RECENT_LIMIT);
+    Storage.setJSON(RECENTS_KEY, recents);
+}
+
+const CommandPalette = {
+    init,
+    open,
+    close,
+    isOpen,
+    toggle
+};
+
+export default CommandPalette;
@@ -3,17 +3,22 @@
  *
  * Provides optional compression for pixel art data strings
  * Uses Run-Length Encoding to compress repeated pixels
+ * An embedded palette section (WxH:PAL:...) is preserved as-is
+ * Animated strings (WxH:ANIM:...) are compressed frame by frame
  *
  * @typedef {import('./types.js').CompressionStats} CompressionStats
  */
 
+import Codec from './core/Codec.js';
+
 /**
  * Compress data string using RLE
- * @param {string} dataString - Original data string (WxH:DATA)
+ * @param {string} dataString - Original data string (WxH:DATA or WxH:PAL:...:DATA)
  * @returns {CompressionStats} Compression statistics
  */
 function compress(dataString) {
-    const [dimensions, data] = dataString.split(':');
+    const sections = Codec.splitSections(dataString);
+    const data = sections && !sections.compressed ? sections.data : '';
 
     if (!data || data.length === 0) {
         return {
@@ -24,27 +29,9 @@ function compress(dataString) {
         };
     }
 
-    let compressed = '';
-    let count = 1;
-    let current = data[0];
-
-    for (let i = 1; i <= data.length; i++) {
-        if (i < data.length && data[i] === current && count < 99) {
-            count++;
-        } else {
-            // Always use COUNT+CHAR format with 2-digit count (leading zero if needed)
-            // This ensures consistent parsing: "01a" = 1×'a', "10b" = 10×'b'
-            const countStr = count.toString().padStart(2, '0');
-            compressed += `${countStr}${current}`;
-
-            if (i < data.length) {
-                current = data[i];
-                count = 1;
-            }
-        }
-    }
+    const compressed = Codec.encodeRLE(data);
 
-    const compressedString = `${dimensions}:RLE:${compressed}`;
+    const compressedString = Codec.joinSections({ ...sections, compressed: true, data: compressed });
     const originalSize = dataString.length;
     const compressedSize = compressedString.length;
     const savings = ((originalSize - compressedSize) / originalSize * 100).toFixed(1);
@@ -62,43 +49,19 @@ function compress(dataString) {
 
 /**
  * Decompress RLE data string
- * @param {string} dataString - Compressed data string (WxH:RLE:DATA)
- * @returns {string} Decompressed data string (WxH:DATA)
+ * @param {string} dataString - Compressed data string (WxH[:PAL:...]:RLE:DATA)
+ * @returns {string} Decompressed data string (WxH[:PAL:...]:DATA)
  */
 function decompress(dataString) {
-    const parts = dataString.split(':');
+    const sections = Codec.splitSections(dataString);
 
-    // Not compressed
-    if (parts.length === 2) {
+    // Not compressed or unknown format, return as-is
+    if (!sections || !sections.compressed) {
         return dataString;
     }
 
-    // Check if RLE compressed
-    if (parts.length === 3 && parts[1] === 'RLE') {
-        const dimensions = parts[0];
-        const compressed = parts[2];
-        let decompressed = '';
-        let i = 0;
-
-        while (i < compressed.length) {
-            // Parse fixed 2-digit count
-            if (i + 2 < compressed.length) {
-                const countStr = compressed.substring(i, i + 2);
-                const count = parseInt(countStr);
-                const char = compressed[i + 2];
-                decompressed += char.repeat(count);
-                i += 3; // Skip count (2 digits) + char (1)
-            } else {
-                // Malformed data, skip
-                break;
-            }
-        }
-
-        return `${dimensions}:${decompressed}`;
-    }
-
-    // Unknown format, return as-is
-    return dataString;
+    const decompressed = Codec.decodeRLE(sections.data);
+    return Codec.joinSections({ ...sections, compressed: false, data: decompressed });
 }
 
 /**
@@ -107,8 +70,8 @@ function decompress(dataString) {
  * @returns {boolean} True if compressed
  */
 function isCompressed(dataString) {
-    const parts = dataString.split(':');
-    return parts.length === 3 && parts[1] === 'RLE';
+    const sections = Codec.splitSections(dataString);
+    return !!sections && sections.compressed;
 }
 
 /**
@@ -9,11 +9,14 @@
  * - Icon support (Material Symbols)
  * - Separators and sections
  * - Conditional item visibility
+ * - Command items: label, icon, shortcut, enabled state and action come
+ *   from the CommandRegistry
  *
  * @module ContextMenu
  */
 
 import logger from './core/Logger.js';
+import CommandRegistry from './core/CommandRegistry.js';
 
 let currentMenu = null;
 let menuElement = null;
@@ -21,6 +24,7 @@ let menuElement = null;
 /**
  * @typedef {Object} MenuItemConfig
  * @property {string} id - Unique item identifier
+ * @property {string} [command] - Command ID; fills in the fields below that are not set
  * @property {string} label - Display label
  * @property {string} [icon] - Material Symbols icon name
  * @property {string} [shortcut] - Keyboard shortcut display
@@ -89,17 +93,9 @@ function show(x, y, items, context = {}) {
         return;
     }
 
-    // Filter items based on conditions
-    const filteredItems = items.filter(item => {
-        if (item.condition && typeof item.condition === 'function') {
-            return item.condition(context);
-        }
-        return true;
-    });
-
     // Build menu HTML
     menuElement.innerHTML = '';
-    filteredItems.forEach(item => {
+    resolveItems(items, context).forEach(item => {
         const itemElement = createMenuItem(item, context);
         menuElement.appendChild(itemElement);
     });
@@ -115,6 +111,35 @@ function show(x, y, items, context = {}) {
     currentMenu = { x, y, items, context };
 }
 
+/**
+ * Drop hidden items and fill in command items
+ * Commands that are not registered are left out.
+ * @private
+ * @param {Array<MenuItemConfig>} items - Menu items
+ * @param {Object} context - Context data
+ * @returns {Array<MenuItemConfig>} Items to show
+ */
+function resolveItems(items, context) {
+    return items
+        .filter(item => typeof item.condition !== 'function' || item.condition(context))
+        .map(item => {
+            if (!item.command) return item;
+
+            const command = CommandRegistry.get(item.command);
+            if (!command) return null;
+            return {
+                id: item.id || command.id,
+                label: item.label || command.label,
+                icon: item.icon || command.icon,
+                shortcut: item.shortcut ?? CommandRegistry.getShortcutLabel(command.id),
+                disabled: item.disabled || !CommandRegistry.isEnabled(command.id, context),
+                action: (ctx) => CommandRegistry.execute(command.id, ctx),
+                danger: item.danger
+            };
+        })
+        .filter(Boolean);
+}
+
 /**
  * Create a menu item element
  * @private
@@ -203,7 +228,7 @@ function showSubmenu(parentElement, items, context) {
     const submenu = document.createElement('div');
     submenu.className = 'context-menu context-submenu';
 
-    items.forEach(item => {
+    resolveItems(items, context).forEach(item => {
         const itemElement = createMenuItem(item, context);
         submenu.appendChild(itemElement);
     });
@@ -276,205 +301,122 @@ function isVisible() {
  */
 function getCanvasMenuItems(context) {
     return [
-        {
-            id: 'undo',
-            label: 'Undo',
-            icon: 'undo',
-            shortcut: 'Ctrl+Z',
-            action: () => console.log('Undo'),
-            condition: (ctx) => ctx.canUndo
-        },
-        {
-            id: 'redo',
-            label: 'Redo',
-            icon: 'redo',
-            shortcut: 'Ctrl+Y',
-            action: () => console.log('Redo'),
-            condition: (ctx) => ctx.canRedo
-        },
+        { command: 'edit.undo' },
+        { command: 'edit.redo' },
         { separator: true },
-        {
-            id: 'cut',
-            label: 'Cut',
-            icon: 'content_cut',
-            shortcut: 'Ctrl+X',
-            action: () => console.log('Cut'),
-            condition: (ctx) => ctx.hasSelection
-        },
-        {
-            id: 'copy',
-            label: 'Copy',
-            icon: 'content_copy',
-            shortcut: 'Ctrl+C',
-            action: () => console.log('Copy'),
-            condition: (ctx) => ctx.hasSelection
-        },
-        {
-            id: 'paste',
-            label: 'Paste',
-            icon: 'content_paste',
-            shortcut: 'Ctrl+V',
-            action: () => console.log('Paste'),
-            condition: (ctx) => ctx.hasClipboard
-        },
+        { command: 'edit.cut' },
+        { command: 'edit.copy' },
+        { command: 'edit.paste' },
         { separator: true },
-        {
-            id: 'select-all',
-            label: 'Select All',
-            icon: 'select_all',
-            shortcut: 'Ctrl+A',
-            action: () => console.log('Select All')
-        },
-        {
-            id: 'deselect',
-            label: 'Deselect',
-            icon: 'deselect',
-            action: () => console.log('Deselect'),
-            condition: (ctx) => ctx.hasSelection
-        },
+        { command: 'select.all' },
+        { command: 'select.none' },
         { separator: true },
-        {
-            id: 'clear',
-            label: 'Clear Canvas',
-            icon: 'delete',
-            action: () => console.log('Clear'),
-            danger: true
-        }
+        { command: 'canvas.clear', danger: true }
     ];
 }
 
 /**
  * Get menu items for color palette context
- * @param {Object} context - Palette context data
+ * @param {Object} context - Palette context data ({colorIndex, color, hex})
  * @returns {Array<MenuItemConfig>} Menu items
  */
 function getPaletteMenuItems(context) {
     return [
-        {
-            id: 'copy-color',
-            label: 'Copy Color Code',
-            icon: 'content_copy',
-            action: () => console.log('Copy color:', context.color)
-        },
-        {
-            id: 'copy-hex',
-            label: 'Copy Hex Value',
-            icon: 'tag',
-            action: () => console.log('Copy hex:', context.hex)
-        },
+        { command: 'color.copyCode' },
+        { command: 'color.copyHex' },
         { separator: true },
-        {
-            id: 'set-primary',
-            label: 'Set as Primary',
-            icon: 'palette',
-            action: () => console.log('Set primary')
-        },
-        {
-            id: 'set-secondary',
-            label: 'Set as Secondary',
-            icon: 'palette',
-            action: () => console.log('Set secondary')
-        }
+        { command: 'color.select' }
     ];
 }
 
 /**
  * Get menu items for tab context
- * @param {Object} context - Tab context data
+ * @param {Object} context - Tab context data ({tabId})
  * @returns {Array<MenuItemConfig>} Menu items
  */
 function getTabMenuItems(context) {
     return [
-        {
-            id: 'rename',
-            label: 'Rename',
-            icon: 'edit',
-            action: () => console.log('Rename tab')
-        },
-        {
-            id: 'duplicate',
-            label: 'Duplicate',
-            icon: 'content_copy',
-            action: () => console.log('Duplicate tab')
-        },
+        { command: 'tab.rename' },
+        { command: 'tab.duplicate' },
         { separator: true },
-        {
-            id: 'close',
-            label: 'Close',
-            icon: 'close',
-            shortcut: 'Ctrl+W',
-            action: () => console.log('Close tab')
-        },
-        {
-            id: 'close-others',
-            label: 'Close Others',
-            icon: 'close',
-            action: () => console.log('Close others'),
-            condition: (ctx) => ctx.hasMultipleTabs
-        },
-        {
-            id: 'close-all',
-            label: 'Close All',
-            icon: 'close',
-            action: () => console.log('Close all'),
-            danger: true
-        }
+        { command: 'tab.close' },
+        { command: 'tab.closeOthers' },
+        { command: 'tab.closeAll', danger: true }
     ];
 }
 
 /**
  * Get menu items for file grid context
- * @param {Object} context - File context data
+ * @param {Object} context - File context data ({fileId})
  * @returns {Array<MenuItemConfig>} Menu items
  */
 function getFileMenuItems(context) {
     return [
-        {
-            id: 'open',
-            label: 'Open',
-            icon: 'folder_open',
-            action: () => console.log('Open file:', context.fileName)
-        },
-        {
-            id: 'rename',
-            label: 'Rename',
-            icon: 'edit',
-            action: () => console.log('Rename file')
-        },
+        { command: 'library.open' },
+        { command: 'library.openInNewTab' },
+        { command: 'library.rename' },
         { separator: true },
         {
             id: 'export',
             label: 'Export',
             icon: 'download',
             submenu: [
-                {
-                    id: 'export-txt',
-                    label: 'As Text File',
-                    icon: 'description',
-                    action: () => console.log('Export TXT')
-                },
-                {
-                    id: 'export-png',
-                    label: 'As PNG Image',
-                    icon: 'image',
-                    action: () => console.log('Export PNG')
-                }
+                { command: 'library.exportText' },
+                { command: 'library.exportPng' }
             ]
         },
-        {
-            id: 'duplicate',
-            label: 'Duplicate',
-            icon: 'content_copy',
-            action: () => console.log('Duplicate file')
-        },
+        { command: 'library.duplicate' },
         { separator: true },
-        {
-            id: 'delete',
-            label: 'Delete',
-            icon: 'delete',
-            action: () => console.log('Delete file'),
-            danger: true
-        }
+        { command: 'library.delete', danger: true }
+    ];
+}
+
+/**
+ * Get menu items for layer context
+ * @param {Object} context - Layer context data ({layerId}, or {} for the active layer)
+ * @returns {Array<MenuItemConfig>} Menu items
+ */
+function getLayerMenuItems(context) {
+    return [
+        { command: 'layer.properties' },
+        { command: 'layer.rename' },
+        { command: 'layer.duplicate' },
+        { command: 'layer.fromSelection' },
+        { separator: true },
+        { command: 'layer.toggleVisibility' },
+        { command: 'layer.moveUp' },
+        { command: 'layer.moveDown' },
+        { separator: true },
+        { command: 'layer.group' },
+        { command: 'layer.removeFromGroup' },
+        { separator: true },
+        { command: 'layer.mergeDown' },
+        { command: 'layer.mergeVisible' },
+        { command: 'layer.flatten' },
+        { separator: true },
+        { command: 'layer.delete', danger: true }
+    ];
+}
+
+/**
+ * Get menu items for layer group context
+ * @param {Object} context - Group context data ({groupId})
+ * @returns {Array<MenuItemConfig>} Menu items
+ */
+function getLayerGroupMenuItems(context) {
+    return [
+        { command: 'layer.renameGroup' },
+        { command: 'layer.toggleGroupVisibility' },
+        { command: 'layer.toggleGroupCollapsed' },
+        { separator: true },
+        { command: 'layer.moveGroupUp' },
+        { command: 'layer.moveGroupDown' },
+        { separator: true },
+        { command: 'layer.ungroup' },
+        { command: 'layer.mergeGroup' },
+        { command: 'layer.exportGroup' },
+        { separator: true },
+        { command: 'layer.deleteGroup', danger: true }
     ];
 }
 
@@ -486,7 +428,9 @@ const ContextMenu = {
     getCanvasMenuItems,
     getPaletteMenuItems,
     getTabMenuItems,
-    getFileMenuItems
+    getFileMenuItems,
+    getLayerMenuItems,
+    getLayerGroupMenuItems
 };
 
 export default ContextMenu;
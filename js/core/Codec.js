@@ -0,0 +1,445 @@
+/**
+ * Codec - Shared Palette & Data String Codec
+ *
+ * Single source of truth for the Inline.px string format. Consumed by the
+ * editor (PixelData, Compression) and by the standalone <inline-px> element,
+ * so both always agree on:
+ * - The 64-color palette (from config/colors.js)
+ * - Base64 character <-> color index mapping
+ * - RLE encoding/decoding (fixed 2-digit COUNT+CHAR runs)
+ * - Parsing of WxH:DATA and WxH:RLE:DATA strings
+ * - Optional embedded palette section: WxH:PAL:<entries>[:RLE]:DATA
+ *
+ * Palette entries are 7 characters each, <char><RRGGBB>, and override the
+ * default color of that index (e.g. "3FF8800" makes index 3 orange).
+ * Index 0 is always transparent and cannot be overridden.
+ *
+ * Animations use an ANIM section with one duration (ms) per frame and
+ * '|'-separated frame data (RLE, when used, applies to each frame):
+ *   WxH[:PAL:<entries>]:ANIM:100,100,200[:RLE]:<frame>|<frame>|<frame>
+ *
+ * This module must stay DOM-free.
+ *
+ * @module Codec
+ *
+ * @typedef {Object} ParsedDataString
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {string} data - Uncompressed Base64 pixel characters
+ * @property {boolean} compressed - Whether the source string was RLE compressed
+ * @property {Object<number, string>|null} palette - Embedded palette overrides (index -> hex)
+ * @property {Array<{data: string, duration: number}>|null} frames - Animation frames (null if not animated)
+ *
+ * @typedef {Object} DecodedFrame
+ * @property {Array<Array<number>>} pixels - 2D array of color indices
+ * @property {number} duration - Frame duration in ms
+ *
+ * @typedef {Object} DataStringSections
+ * @property {string} dimensions - Raw "WxH" section
+ * @property {string|null} palette - Raw palette entries or null
+ * @property {string|null} durations - Raw comma-separated frame durations or null
+ * @property {boolean} compressed - Whether the data section is RLE encoded
+ * @property {string} data - Raw data section (as stored)
+ */
+
+import ColorConfig from '../../config/colors.js';
+import Constants from '../../config/constants.js';
+
+const BASE64_CHARS = ColorConfig.base64Chars;
+const RLE_COUNT_DIGITS = Constants.rle.countDigits;
+const RLE_MAX_RUN = Constants.rle.maxRunLength;
+const PALETTE_ENTRY_LENGTH = 7;
+const HEX_PATTERN = /^[0-9A-Fa-f]{6}$/;
+const FRAME_SEPARATOR = '|';
+
+/**
+ * Palette as hex strings indexed by color index (null = transparent)
+ * @type {Array<string|null>}
+ */
+const PALETTE = ColorConfig.palette.map(item => (
+    item.color === 'transparent' ? null : item.color
+));
+
+/**
+ * Get color index for a Base64 character
+ * @param {string} char - Base64 character
+ * @returns {number} Color index or -1 if unknown
+ */
+function charToIndex(char) {
+    return BASE64_CHARS.indexOf(char);
+}
+
+/**
+ * Get Base64 character for a color index
+ * @param {number} index - Color index (0-63)
+ * @returns {string} Base64 character ('0' for unknown indices)
+ */
+function indexToChar(index) {
+    return BASE64_CHARS[index] || BASE64_CHARS[0];
+}
+
+/**
+ * Get hex color for a color index
+ * @param {number} index - Color index (0-63)
+ * @returns {string|null} Hex color or null for transparent/unknown
+ */
+function indexToHex(index) {
+    return PALETTE[index] || null;
+}
+
+/**
+ * RLE encode raw pixel characters
+ * Frame separators are kept as-is, so each frame is encoded on its own.
+ * @param {string} data - Uncompressed pixel characters
+ * @returns {string} COUNT+CHAR runs with fixed-width counts
+ */
+function encodeRLE(data) {
+    if (!data) return '';
+    if (data.includes(FRAME_SEPARATOR)) {
+        return data.split(FRAME_SEPARATOR).map(encodeRLE).join(FRAME_SEPARATOR);
+    }
+
+    let encoded = '';
+    let count = 1;
+    let current = data[0];
+
+    for (let i = 1; i <= data.length; i++) {
+        if (i < data.length && data[i] === current && count < RLE_MAX_RUN) {
+            count++;
+        } else {
+            // Always use fixed-width counts so "01a" = 1×'a', "10b" = 10×'b'
+            encoded += `${count.toString().padStart(RLE_COUNT_DIGITS, '0')}${current}`;
+
+            if (i < data.length) {
+                current = data[i];
+                count = 1;
+            }
+        }
+    }
+
+    return encoded;
+}
+
+/**
+ * Decode RLE runs back to raw pixel characters
+ * @param {string} encoded - COUNT+CHAR runs
+ * @returns {string} Uncompressed pixel characters (stops at malformed tail)
+ */
+function decodeRLE(encoded) {
+    if (encoded.includes(FRAME_SEPARATOR)) {
+        return encoded.split(FRAME_SEPARATOR).map(decodeRLE).join(FRAME_SEPARATOR);
+    }
+
+    const runLength = RLE_COUNT_DIGITS + 1;
+    let decoded = '';
+    let i = 0;
+
+    while (i + RLE_COUNT_DIGITS < encoded.length) {
+        const count = parseInt(encoded.substring(i, i + RLE_COUNT_DIGITS), 10);
+        const char = encoded[i + RLE_COUNT_DIGITS];
+        decoded += char.repeat(count);
+        i += runLength;
+    }
+
+    return decoded;
+}
+
+/**
+ * Parse a palette section into index -> hex overrides
+ * @param {string} section - Concatenated <char><RRGGBB> entries
+ * @returns {Object<number, string>|null} Overrides or null if malformed
+ */
+function parsePalette(section) {
+    if (typeof section !== 'string' || section.length % PALETTE_ENTRY_LENGTH !== 0) {
+        return null;
+    }
+
+    const overrides = {};
+    for (let i = 0; i < section.length; i += PALETTE_ENTRY_LENGTH) {
+        const index = charToIndex(section[i]);
+        const hex = section.substring(i + 1, i + PALETTE_ENTRY_LENGTH);
+
+        if (index <= 0 || !HEX_PATTERN.test(hex)) return null;
+        overrides[index] = `#${hex.toUpperCase()}`;
+    }
+
+    return overrides;
+}
+
+/**
+ * Encode palette overrides as a palette section
+ * @param {Object<number, string>|null} overrides - Index -> hex overrides
+ * @returns {string} Concatenated <char><RRGGBB> entries ('' if none)
+ */
+function encodePalette(overrides) {
+    if (!overrides) return '';
+
+    return Object.keys(overrides)
+        .map(Number)
+        .filter(index => index > 0 && index < BASE64_CHARS.length)
+        .sort((a, b) => a - b)
+        .map(index => `${indexToChar(index)}${overrides[index].replace('#', '').toUpperCase()}`)
+        .join('');
+}
+
+/**
+ * Diff a full color list against the default palette
+ * @param {Array<string|null>} colors - Colors by index (hex, 'transparent' or null)
+ * @returns {Object<number, string>|null} Overrides or null if identical to the default
+ */
+function getPaletteOverrides(colors) {
+    const overrides = {};
+    let count = 0;
+
+    for (let index = 1; index < PALETTE.length; index++) {
+        const color = colors?.[index];
+        if (typeof color === 'string' && HEX_PATTERN.test(color.replace('#', '')) &&
+            color.toUpperCase() !== PALETTE[index].toUpperCase()) {
+            overrides[index] = color.toUpperCase();
+            count++;
+        }
+    }
+
+    return count > 0 ? overrides : null;
+}
+
+/**
+ * Build the full color list for a set of overrides
+ * @param {Object<number, string>|null} overrides - Index -> hex overrides
+ * @returns {Array<string|null>} Colors by index (null = transparent)
+ */
+function applyPalette(overrides) {
+    return PALETTE.map((color, index) => (index > 0 && overrides?.[index]) || color);
+}
+
+/**
+ * Split a data string into its raw sections without decoding
+ * @param {string} dataString - WxH[:PAL:<entries>][:RLE]:DATA
+ * @returns {DataStringSections|null} Sections or null if the layout is malformed
+ */
+function splitSections(dataString) {
+    if (typeof dataString !== 'string') return null;
+
+    const parts = dataString.split(':');
+    let i = 1;
+    let palette = null;
+    let durations = null;
+    let compressed = false;
+
+    // Markers only count when sections follow them ("3x1:RLE" is plain data)
+    if (parts[i] === 'PAL' && parts.length >= i + 3) {
+        palette = parts[i + 1];
+        i += 2;
+    }
+    if (parts[i] === 'ANIM' && parts.length >= i + 3) {
+        durations = parts[i + 1];
+        i += 2;
+    }
+    if (parts[i] === 'RLE' && parts.length >= i + 2) {
+        compressed = true;
+        i++;
+    }
+
+    if (parts.length !== i + 1) return null;
+
+    return { dimensions: parts[0], palette, durations, compressed, data: parts[i] };
+}
+
+/**
+ * Join raw sections back into a data string
+ * @param {DataStringSections} sections - Sections (palette/durations may be null or '')
+ * @returns {string} WxH[:PAL:<entries>][:ANIM:<durations>][:RLE]:DATA
+ */
+function joinSections({ dimensions, palette, durations, compressed, data }) {
+    const palettePart = palette ? `:PAL:${palette}` : '';
+    const animPart = durations ? `:ANIM:${durations}` : '';
+    return `${dimensions}${palettePart}${animPart}${compressed ? ':RLE' : ''}:${data}`;
+}
+
+/**
+ * Parse an ANIM durations section
+ * @param {string} section - Comma-separated durations in ms
+ * @returns {Array<number>|null} Durations or null if malformed
+ */
+function parseDurations(section) {
+    if (typeof section !== 'string' || section.length === 0) return null;
+
+    const durations = section.split(',').map(value => (/^\d+$/.test(value) ? parseInt(value, 10) : NaN));
+    return durations.every(duration => duration > 0) ? durations : null;
+}
+
+/**
+ * Parse a data string into dimensions and raw pixel characters
+ * @param {string} dataString - WxH[:PAL:<entries>][:RLE]:DATA
+ * @returns {ParsedDataString|null} Parsed result or null if malformed
+ */
+function parse(dataString) {
+    const sections = splitSections(dataString);
+    if (!sections) return null;
+
+    const dimensions = sections.dimensions.split('x');
+    if (dimensions.length !== 2) return null;
+
+    const width = parseInt(dimensions[0], 10);
+    const height = parseInt(dimensions[1], 10);
+    if (isNaN(width) || isNaN(height)) return null;
+
+    const palette = sections.palette !== null ? parsePalette(sections.palette) : null;
+    if (sections.palette !== null && !palette) return null;
+
+    const data = sections.compressed ? decodeRLE(sections.data) : sections.data;
+
+    let frames = null;
+    if (sections.durations !== null) {
+        const durations = parseDurations(sections.durations);
+        const frameData = data.split(FRAME_SEPARATOR);
+        if (!durations || durations.length !== frameData.length) return null;
+
+        frames = frameData.map((frame, index) => ({ data: frame, duration: durations[index] }));
+    }
+
+    return {
+        width,
+        height,
+        data: frames ? frames[0].data : data,
+        compressed: sections.compressed,
+        palette,
+        frames
+    };
+}
+
+/**
+ * Convert raw pixel characters to a 2D array of color indices
+ * @private
+ * @param {string} data - Uncompressed pixel characters
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Array<Array<number>>} 2D array (unknown characters -> 0)
+ */
+function charsToPixels(data, width, height) {
+    const pixels = [];
+
+    for (let y = 0; y < height; y++) {
+        pixels[y] = [];
+        for (let x = 0; x < width; x++) {
+            const index = charToIndex(data[y * width + x]);
+            pixels[y][x] = index > 0 ? index : 0;
+        }
+    }
+
+    return pixels;
+}
+
+/**
+ * Convert a 2D array of color indices to raw pixel characters
+ * @private
+ * @param {Array<Array<number>>} pixels - 2D array of color indices
+ * @returns {string} Pixel characters
+ */
+function pixelsToChars(pixels) {
+    let data = '';
+
+    for (let y = 0; y < pixels.length; y++) {
+        for (let x = 0; x < pixels[y].length; x++) {
+            data += indexToChar(pixels[y][x]);
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Decode a data string into a 2D array of color indices
+ * Unknown characters decode to 0 (transparent), missing pixels are padded.
+ * `colors` is the palette to render with (embedded overrides applied).
+ * For animations `pixels` is the first frame and `frames` holds all of them.
+ * @param {string} dataString - WxH[:PAL:<entries>][:ANIM:<durations>][:RLE]:DATA
+ * @returns {{width: number, height: number, pixels: Array<Array<number>>, palette: Object<number, string>|null, colors: Array<string|null>, frames: Array<DecodedFrame>|null}|null}
+ */
+function decode(dataString) {
+    const parsed = parse(dataString);
+    if (!parsed) return null;
+
+    const { width, height, data, palette } = parsed;
+    const frames = parsed.frames
+        ? parsed.frames.map(frame => ({
+            pixels: charsToPixels(frame.data, width, height),
+            duration: frame.duration
+        }))
+        : null;
+
+    return {
+        width,
+        height,
+        pixels: frames ? frames[0].pixels : charsToPixels(data, width, height),
+        palette,
+        colors: applyPalette(palette),
+        frames
+    };
+}
+
+/**
+ * Encode a 2D array of color indices as an uncompressed data string
+ * @param {Array<Array<number>>} pixels - 2D array of color indices
+ * @param {Object<number, string>|null} palette - Optional palette overrides to embed
+ * @returns {string} WxH:DATA or WxH:PAL:<entries>:DATA string
+ */
+function encode(pixels, palette = null) {
+    const height = pixels.length;
+    const width = height > 0 ? pixels[0].length : 0;
+
+    return joinSections({
+        dimensions: `${width}x${height}`,
+        palette: encodePalette(palette),
+        durations: null,
+        compressed: false,
+        data: pixelsToChars(pixels)
+    });
+}
+
+/**
+ * Encode animation frames as an uncompressed multi-frame data string
+ * A single frame is encoded as a regular (non-animated) data string.
+ * @param {Array<DecodedFrame>} frames - Frames with pixels and duration (ms)
+ * @param {Object<number, string>|null} palette - Optional palette overrides to embed
+ * @returns {string} WxH[:PAL:<entries>]:ANIM:<durations>:DATA string
+ */
+function encodeAnimation(frames, palette = null) {
+    if (frames.length === 1) {
+        return encode(frames[0].pixels, palette);
+    }
+
+    const height = frames[0].pixels.length;
+    const width = height > 0 ? frames[0].pixels[0].length : 0;
+
+    return joinSections({
+        dimensions: `${width}x${height}`,
+        palette: encodePalette(palette),
+        durations: frames.map(frame => Math.max(1, Math.round(frame.duration))).join(','),
+        compressed: false,
+        data: frames.map(frame => pixelsToChars(frame.pixels)).join(FRAME_SEPARATOR)
+    });
+}
+
+const Codec = {
+    BASE64_CHARS,
+    PALETTE,
+    charToIndex,
+    indexToChar,
+    indexToHex,
+    encodeRLE,
+    decodeRLE,
+    parsePalette,
+    encodePalette,
+    getPaletteOverrides,
+    applyPalette,
+    splitSections,
+    joinSections,
+    parseDurations,
+    parse,
+    decode,
+    encode,
+    encodeAnimation
+};
+
+export default Codec;
@@ -0,0 +1,305 @@
+/**
+ * CommandRegistry - Named Application Commands
+ *
+ * Every user-facing action (save, undo, select a tool, close a tab...) is
+ * registered once as a command. Menu bar buttons, the toolbox, context
+ * menus and keyboard shortcuts all run commands by ID, so an action has
+ * the same label, shortcut and enabled state everywhere it appears.
+ *
+ * Handlers and enabled predicates get a context object from the caller:
+ * empty for keyboard shortcuts and buttons, the clicked item (tab ID, file
+ * ID, color...) for context menus.
+ *
+ * Keybindings are written like 'Ctrl+Shift+Z' or 'G'. Ctrl matches the
+ * Command key as well, so one binding covers Windows, Linux and macOS.
+ * A command's keybinding is its default; a keymap (see setKeymap) can
+ * rebind commands without touching their definitions.
+ *
+ * This module must stay DOM-free.
+ *
+ * @module CommandRegistry
+ *
+ * @typedef {Object} Command
+ * @property {string} id - Unique ID, '<area>.<action>' (e.g. 'file.save')
+ * @property {string} label - Display label
+ * @property {string} [icon] - Material Symbols icon name
+ * @property {string} [category] - Group for listings (File, Edit, Tools...)
+ * @property {string|Array<string>|null} [keybinding] - Default keybinding(s)
+ * @property {function(Object): boolean} [enabled] - Whether the command can run in a context (default: always)
+ * @property {function(Object): *} handler - Runs the command
+ * @property {boolean} [nativeKey] - The browser performs the command for its keybinding
+ *   (e.g. Ctrl+V fires a paste event), so the key press itself is left alone
+ *
+ * @typedef {Object} KeyEventLike
+ * @property {string} key - KeyboardEvent.key
+ * @property {string} [code] - KeyboardEvent.code
+ * @property {boolean} [ctrlKey]
+ * @property {boolean} [metaKey]
+ * @property {boolean} [altKey]
+ * @property {boolean} [shiftKey]
+ */
+
+import logger from './Logger.js';
+
+const MODIFIER_ALIASES = {
+    ctrl: 'Ctrl', control: 'Ctrl', cmd: 'Ctrl', command: 'Ctrl', meta: 'Ctrl', mod: 'Ctrl',
+    alt: 'Alt', option: 'Alt',
+    shift: 'Shift'
+};
+const MODIFIER_ORDER = ['Ctrl', 'Alt', 'Shift'];
+const KEY_ALIASES = { esc: 'Escape', return: 'Enter', del: 'Delete', space: 'Space', ' ': 'Space' };
+const MODIFIER_KEYS = new Set(['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock']);
+
+/** @type {Map<string, Command>} */
+const commands = new Map();
+
+/** @type {Map<string, Array<string>>} Keybindings replacing the defaults, by command ID */
+const keymap = new Map();
+
+/**
+ * Register a command (replaces a command with the same ID)
+ * @param {Command} command - Command
+ */
+function register(command) {
+    if (!command?.id || typeof command.handler !== 'function') {
+        logger.warn?.('Command needs an id and a handler', command);
+        return;
+    }
+    if (commands.has(command.id)) {
+        logger.warn?.(`Command "${command.id}" registered twice; replacing it`);
+    }
+    commands.set(command.id, command);
+}
+
+/**
+ * Register several commands
+ * @param {Array<Command>} list - Commands
+ */
+function registerAll(list) {
+    list.forEach(register);
+}
+
+/**
+ * Remove a command
+ * @param {string} id - Command ID
+ */
+function unregister(id) {
+    commands.delete(id);
+}
+
+/**
+ * @param {string} id - Command ID
+ * @returns {Command|null} Command or null if unknown
+ */
+function get(id) {
+    return commands.get(id) || null;
+}
+
+/**
+ * @returns {Array<Command>} All commands in registration order
+ */
+function getAll() {
+    return [...commands.values()];
+}
+
+/**
+ * Check if a command can run
+ * @param {string} id - Command ID
+ * @param {Object} [context={}] - Caller context
+ * @returns {boolean} False for unknown commands
+ */
+function isEnabled(id, context = {}) {
+    const command = commands.get(id);
+    if (!command) return false;
+    if (!command.enabled) return true;
+
+    try {
+        return !!command.enabled(context);
+    } catch (error) {
+        logger.error?.(`Enabled check of "${id}" failed`, error);
+        return false;
+    }
+}
+
+/**
+ * Run a command if it is enabled
+ * Errors are logged, including rejections of async handlers.
+ * @param {string} id - Command ID
+ * @param {Object} [context={}] - Caller context
+ * @returns {boolean} Whether the handler ran
+ */
+function execute(id, context = {}) {
+    if (!commands.has(id)) {
+        logger.warn?.(`Unknown command "${id}"`);
+        return false;
+    }
+    if (!isEnabled(id, context)) {
+        logger.debug?.(`Command "${id}" is disabled`);
+        return false;
+    }
+
+    try {
+        const result = commands.get(id).handler(context);
+        if (result && typeof result.catch === 'function') {
+            result.catch(error => logger.error?.(`Command "${id}" failed`, error));
+        }
+    } catch (error) {
+        logger.error?.(`Command "${id}" failed`, error);
+    }
+    return true;
+}
+
+// ==================== KEYBINDINGS ====================
+
+/**
+ * Bring a keybinding into its canonical form ('Ctrl+Alt+Shift+Key')
+ * @param {string} binding - Keybinding, e.g. 'shift+ctrl+z' or 'Esc'
+ * @returns {string|null} Canonical keybinding, or null without a key
+ */
+function normalizeKeybinding(binding) {
+    if (typeof binding !== 'string') return null;
+
+    // '+' as the key itself ('Ctrl++') leaves an empty last part
+    const parts = binding.trim().split('+');
+    const last = parts.pop();
+    const key = normalizeKey(last === '' && parts.length > 0 ? '+' : last);
+    if (!key) return null;
+
+    const modifiers = new Set();
+    for (const part of parts) {
+        const modifier = MODIFIER_ALIASES[part.trim().toLowerCase()];
+        if (modifier) modifiers.add(modifier);
+        else if (part.trim() !== '') return null;
+    }
+
+    return [...MODIFIER_ORDER.filter(m => modifiers.has(m)), key].join('+');
+}
+
+/**
+ * @private
+ * @param {string} key - Key name
+ * @returns {string|null} Canonical key name (letters uppercase)
+ */
+function normalizeKey(key) {
+    if (key === ' ') return 'Space';
+    const trimmed = (key || '').trim();
+    if (!trimmed) return null;
+    if (trimmed.length === 1) return trimmed.toUpperCase();
+
+    const alias = KEY_ALIASES[trimmed.toLowerCase()];
+    return alias || trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+}
+
+/**
+ * Get the keybinding of a key press
+ * Letters and digits follow the keyboard layout (Z on a German keyboard
+ * is Z). When Alt or Shift turns them into other characters ('Ω', '!'),
+ * the physical key is used instead.
+ * @param {KeyEventLike} event - Keyboard event
+ * @returns {string|null} Canonical keybinding, or null for a lone modifier
+ */
+function eventToKeybinding(event) {
+    if (!event?.key || MODIFIER_KEYS.has(event.key)) return null;
+
+    const physical = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(event.code || '');
+    const key = physical && !/^[a-z0-9]$/i.test(event.key)
+        ? physical[1] || physical[2]
+        : normalizeKey(event.key);
+    if (!key) return null;
+
+    const modifiers = [];
+    if (event.ctrlKey || event.metaKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey) modifiers.push('Shift');
+    return [...modifiers, key].join('+');
+}
+
+/**
+ * @private
+ * @param {string|Array<string>|null|undefined} binding - Keybinding(s)
+ * @returns {Array<string>} Canonical keybindings without invalid ones and duplicates
+ */
+function toKeybindingList(binding) {
+    const list = Array.isArray(binding) ? binding : (binding ? [binding] : []);
+    return [...new Set(list.map(normalizeKeybinding).filter(Boolean))];
+}
+
+/**
+ * Get a command's default keybindings (ignoring the keymap)
+ * @param {string} id - Command ID
+ * @returns {Array<string>} Canonical keybindings (may be empty)
+ */
+function getDefaultKeybindings(id) {
+    return toKeybindingList(commands.get(id)?.keybinding);
+}
+
+/**
+ * Get a command's keybindings
+ * @param {string} id - Command ID
+ * @returns {Array<string>} Canonical keybindings from the keymap or the defaults (may be empty)
+ */
+function getKeybindings(id) {
+    return keymap.has(id) ? [...keymap.get(id)] : getDefaultKeybindings(id);
+}
+
+/**
+ * Replace the keymap
+ * Commands listed get exactly these keybindings (an empty list unbinds
+ * them); all others keep their defaults. Entries for commands that
+ * aren't registered yet apply once they are.
+ * @param {Object<string, string|Array<string>>} bindings - Keybindings by command ID
+ */
+function setKeymap(bindings) {
+    keymap.clear();
+    Object.entries(bindings || {}).forEach(([id, binding]) => {
+        keymap.set(id, toKeybindingList(binding));
+    });
+}
+
+/**
+ * Get the keybinding to show next to a command
+ * @param {string} id - Command ID
+ * @returns {string} First keybinding, or '' if none
+ */
+function getShortcutLabel(id) {
+    return getKeybindings(id)[0] || '';
+}
+
+/**
+ * Find the command for a key press
+ * When several commands share a keybinding, the first one registered that
+ * is enabled wins.
+ * @param {string} binding - Keybinding (see eventToKeybinding)
+ * @param {Object} [context={}] - Caller context
+ * @returns {Command|null} Command, or null if none is bound and enabled
+ */
+function findByKeybinding(binding, context = {}) {
+    const wanted = normalizeKeybinding(binding);
+    if (!wanted) return null;
+
+    for (const command of commands.values()) {
+        if (getKeybindings(command.id).includes(wanted) && isEnabled(command.id, context)) {
+            return command;
+        }
+    }
+    return null;
+}
+
+const CommandRegistry = {
+    register,
+    registerAll,
+    unregister,
+    get,
+    getAll,
+    isEnabled,
+    execute,
+    normalizeKeybinding,
+    eventToKeybinding,
+    getDefaultKeybindings,
+    getKeybindings,
+    setKeymap,
+    getShortcutLabel,
+    findByKeybinding
+};
+
+export default CommandRegistry;
@@ -74,10 +74,16 @@ const Events = {
     CANVAS_CHANGED: 'canvas:changed',
     CANVAS_RESIZED: 'canvas:resized',
     CANVAS_CLEARED: 'canvas:cleared',
+    DRAWING_STARTED: 'drawing:started',
+    DRAWING_ENDED: 'drawing:ended',
     SELECTION_CHANGED: 'selection:changed',
     SELECTION_CLEARED: 'selection:cleared',
     COLOR_CHANGED: 'color:changed',
+    PALETTE_CHANGED: 'palette:changed',
+    SYMMETRY_CHANGED: 'symmetry:changed',
+    KEYMAP_CHANGED: 'keymap:changed',
     HISTORY_STATE_ADDED: 'history:stateAdded',
+    HISTORY_CHANGED: 'history:changed',
     UNDO_PERFORMED: 'history:undo',
     REDO_PERFORMED: 'history:redo',
     FILE_LOADED: 'file:loaded',
@@ -0,0 +1,144 @@
+/**
+ * FuzzySearch - Ranking Labels Against a Typed Query
+ *
+ * A label matches when all query characters appear in it in order
+ * (case-insensitive), so "tgg" finds "Toggle Grid". The score favors:
+ * - Characters at the start of a word ("tg" ranks "Toggle Grid" above "Settings")
+ * - Runs of consecutive characters
+ * - Matches close to the start and short labels
+ * Whitespace in the query is ignored.
+ *
+ * This module must stay DOM-free.
+ *
+ * @module FuzzySearch
+ *
+ * @typedef {Object} FuzzyMatch
+ * @property {number} score - Higher is better
+ * @property {Array<number>} positions - Matched character indices in the label
+ */
+
+const WORD_START_BONUS = 8;
+const CONSECUTIVE_BONUS = 5;
+const FIRST_CHAR_BONUS = 6;
+const GAP_PENALTY = 1;
+const LENGTH_PENALTY = 0.1;
+
+/**
+ * Check whether a label character begins a word
+ * @private
+ * @param {string} label - Label
+ * @param {number} index - Character index
+ * @returns {boolean}
+ */
+function isWordStart(label, index) {
+    if (index === 0) return true;
+    const previous = label[index - 1];
+    const current = label[index];
+    return /[\s\-_.:/()]/.test(previous) ||
+        (previous === previous.toLowerCase() && current !== current.toLowerCase());
+}
+
+/**
+ * Match a query against a label
+ * Word starts are preferred over earlier plain characters, so each query
+ * character looks ahead for a word start before taking the first hit.
+ * @param {string} query - Typed query
+ * @param {string} label - Label to match
+ * @returns {FuzzyMatch|null} Match, or null if the label doesn't contain the query
+ */
+function match(query, label) {
+    const needle = query.replace(/\s+/g, '').toLowerCase();
+    if (needle.length === 0) {
+        return { score: 0, positions: [] };
+    }
+
+    const haystack = label.toLowerCase();
+    const positions = [];
+    let from = 0;
+
+    for (let i = 0; i < needle.length; i++) {
+        const char = needle[i];
+        const first = haystack.indexOf(char, from);
+        if (first < 0) return null;
+
+        // Keep a consecutive run going; otherwise jump to a word start if there is one
+        let index = first;
+        const continuesRun = positions.length > 0 && first === positions[positions.length - 1] + 1;
+        if (!continuesRun && !isWordStart(label, first)) {
+            for (let j = first + 1; j < haystack.length; j++) {
+                if (haystack[j] === char && isWordStart(label, j) && canFinish(needle, i + 1, haystack, j + 1)) {
+                    index = j;
+                    break;
+                }
+            }
+        }
+
+        positions.push(index);
+        from = index + 1;
+    }
+
+    return { score: scorePositions(label, positions), positions };
+}
+
+/**
+ * Check whether the rest of a query can still match after a position
+ * @private
+ * @param {string} needle - Lowercase query
+ * @param {number} start - First query index left to match
+ * @param {string} haystack - Lowercase label
+ * @param {number} from - First label index to search
+ * @returns {boolean}
+ */
+function canFinish(needle, start, haystack, from) {
+    for (let i = start; i < needle.length; i++) {
+        from = haystack.indexOf(needle[i], from);
+        if (from < 0) return false;
+        from++;
+    }
+    return true;
+}
+
+/**
+ * @private
+ * @param {string} label - Label
+ * @param {Array<number>} positions - Matched indices
+ * @returns {number} Score
+ */
+function scorePositions(label, positions) {
+    let score = positions[0] === 0 ? FIRST_CHAR_BONUS : -positions[0] * GAP_PENALTY;
+
+    positions.forEach((position, i) => {
+        if (isWordStart(label, position)) score += WORD_START_BONUS;
+        if (i > 0) {
+            const gap = position - positions[i - 1] - 1;
+            score += gap === 0 ? CONSECUTIVE_BONUS : -gap * GAP_PENALTY;
+        }
+    });
+
+    return score - label.length * LENGTH_PENALTY;
+}
+
+/**
+ * Filter and rank items by a query
+ * Items keep their order for an empty query.
+ * @template T
+ * @param {string} query - Typed query
+ * @param {Array<T>} items - Items
+ * @param {function(T): string} getLabel - Text to match for an item
+ * @returns {Array<{item: T, score: number, positions: Array<number>}>} Matches, best first
+ */
+function rank(query, items, getLabel) {
+    const results = [];
+    items.forEach(item => {
+        const result = match(query, getLabel(item));
+        if (result) results.push({ item, ...result });
+    });
+    return results.sort((a, b) => b.score - a.score);
+}
+
+const FuzzySearch = {
+    match,
+    rank
+};
+
+export default FuzzySearch;
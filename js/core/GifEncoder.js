@@ -0,0 +1,258 @@
+/**
+ * GifEncoder - GIF89a Encoder for Indexed Pixel Art
+ *
+ * Encodes frames of palette indices into an animated GIF entirely in
+ * memory (no canvas, no server):
+ * - 64-entry color table (the Base64 palette), one byte per pixel index
+ * - Palette index 0 is written as the transparent color
+ * - Per-frame delays, NETSCAPE2.0 loop count
+ * - Integer scaling (nearest neighbour)
+ * - Frames with a different palette get a local color table
+ *
+ * This module must stay DOM-free.
+ *
+ * @module GifEncoder
+ *
+ * @typedef {Object} GifFrame
+ * @property {Array<Array<number>>} pixels - 2D array of palette indices (0 = transparent)
+ * @property {Array<string|null>} colors - Colors by index ('#RRGGBB', null for index 0)
+ * @property {number} delay - Frame delay in ms
+ *
+ * @typedef {Object} GifOptions
+ * @property {Array<GifFrame>} frames - Frames in playback order (at least one)
+ * @property {number} [loop=0] - Repetitions after the first play (0 = forever)
+ * @property {number} [scale=1] - Integer scale factor
+ */
+
+const COLOR_TABLE_BITS = 6; // 64 colors
+const COLOR_TABLE_SIZE = 1 << COLOR_TABLE_BITS;
+const TRANSPARENT_INDEX = 0;
+const MAX_CODE = 4096;
+
+// Browsers slow down delays below 2 centiseconds, so they are raised to 2
+const MIN_DELAY_CS = 2;
+
+/**
+ * Append a little-endian 16-bit value
+ * @private
+ * @param {Array<number>} out - Output bytes
+ * @param {number} value - Value (0-65535)
+ */
+function writeUint16(out, value) {
+    out.push(value & 0xFF, (value >> 8) & 0xFF);
+}
+
+/**
+ * Append an ASCII string
+ * @private
+ * @param {Array<number>} out - Output bytes
+ * @param {string} str - ASCII string
+ */
+function writeString(out, str) {
+    for (let i = 0; i < str.length; i++) {
+        out.push(str.charCodeAt(i));
+    }
+}
+
+/**
+ * Append a 64-entry RGB color table
+ * @private
+ * @param {Array<number>} out - Output bytes
+ * @param {Array<string|null>} colors - Colors by index
+ */
+function writeColorTable(out, colors) {
+    for (let i = 0; i < COLOR_TABLE_SIZE; i++) {
+        const hex = typeof colors[i] === 'string' && colors[i].startsWith('#') ? colors[i] : '#000000';
+        out.push(
+            parseInt(hex.substring(1, 3), 16) || 0,
+            parseInt(hex.substring(3, 5), 16) || 0,
+            parseInt(hex.substring(5, 7), 16) || 0
+        );
+    }
+}
+
+/**
+ * Check whether two color tables are identical
+ * @private
+ * @param {Array<string|null>} a - Colors by index
+ * @param {Array<string|null>} b - Colors by index
+ * @returns {boolean} True if equal
+ */
+function sameColors(a, b) {
+    for (let i = 1; i < COLOR_TABLE_SIZE; i++) {
+        if ((a[i] || '').toUpperCase() !== (b[i] || '').toUpperCase()) return false;
+    }
+    return true;
+}
+
+/**
+ * Flatten (and scale) a frame into a row-major index stream
+ * @private
+ * @param {Array<Array<number>>} pixels - 2D array of palette indices
+ * @param {number} scale - Integer scale factor
+ * @returns {Uint8Array} Indices
+ */
+function scaleIndices(pixels, scale) {
+    const height = pixels.length;
+    const width = height > 0 ? pixels[0].length : 0;
+    const out = new Uint8Array(width * scale * height * scale);
+    let i = 0;
+
+    for (let y = 0; y < height * scale; y++) {
+        const row = pixels[Math.floor(y / scale)];
+        for (let x = 0; x < width * scale; x++) {
+            const index = row[Math.floor(x / scale)];
+            out[i++] = index > 0 && index < COLOR_TABLE_SIZE ? index : TRANSPARENT_INDEX;
+        }
+    }
+
+    return out;
+}
+
+/**
+ * LZW-compress an index stream and append it as GIF data sub-blocks
+ * @private
+ * @param {Array<number>} out - Output bytes
+ * @param {Uint8Array} indices - Palette indices
+ * @param {number} minCodeSize - LZW minimum code size
+ */
+function writeImageData(out, indices, minCodeSize) {
+    out.push(minCodeSize);
+
+    const clearCode = 1 << minCodeSize;
+    const eoiCode = clearCode + 1;
+    let nextCode = eoiCode + 1;
+    let codeSize = minCodeSize + 1;
+    let codeTable = new Map();
+
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xFF);
+            bitBuffer >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = codeTable.get(key);
+
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === MAX_CODE) {
+            emit(clearCode);
+            nextCode = eoiCode + 1;
+            codeSize = minCodeSize + 1;
+            codeTable = new Map();
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            codeTable.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+
+    emit(prefix);
+    emit(eoiCode);
+    if (bitCount > 0) {
+        bytes.push(bitBuffer & 0xFF);
+    }
+
+    // Data sub-blocks of at most 255 bytes
+    for (let i = 0; i < bytes.length; i += 255) {
+        const block = bytes.slice(i, i + 255);
+        out.push(block.length, ...block);
+    }
+    out.push(0);
+}
+
+/**
+ * Encode frames as a GIF89a file
+ * The logical screen is as large as the largest frame; frames are placed
+ * at the top-left corner.
+ * @param {GifOptions} options - Frames, loop count and scale
+ * @returns {Uint8Array} GIF file bytes
+ */
+function encode({ frames, loop = 0, scale = 1 }) {
+    if (!Array.isArray(frames) || frames.length === 0) {
+        throw new Error('GIF export needs at least one frame');
+    }
+
+    const factor = Math.max(1, Math.floor(scale));
+    const sizes = frames.map(frame => ({
+        width: (frame.pixels[0]?.length || 0) * factor,
+        height: frame.pixels.length * factor
+    }));
+    const screenWidth = Math.max(...sizes.map(size => size.width));
+    const screenHeight = Math.max(...sizes.map(size => size.height));
+
+    if (screenWidth === 0 || screenHeight === 0 || screenWidth > 0xFFFF || screenHeight > 0xFFFF) {
+        throw new Error(`Invalid GIF size: ${screenWidth}×${screenHeight}`);
+    }
+
+    const globalColors = frames[0].colors;
+    const tableField = COLOR_TABLE_BITS - 1;
+    const out = [];
+
+    // Header + logical screen descriptor with global color table
+    writeString(out, 'GIF89a');
+    writeUint16(out, screenWidth);
+    writeUint16(out, screenHeight);
+    out.push(0x80 | (tableField << 4) | tableField, TRANSPARENT_INDEX, 0);
+    writeColorTable(out, globalColors);
+
+    // NETSCAPE2.0 application extension (loop count)
+    if (frames.length > 1) {
+        out.push(0x21, 0xFF, 0x0B);
+        writeString(out, 'NETSCAPE2.0');
+        out.push(0x03, 0x01);
+        writeUint16(out, Math.max(0, Math.min(0xFFFF, Math.floor(loop))));
+        out.push(0);
+    }
+
+    frames.forEach((frame, index) => {
+        const { width, height } = sizes[index];
+        const delay = Math.max(MIN_DELAY_CS, Math.min(0xFFFF, Math.round((frame.delay || 0) / 10)));
+
+        // Graphic control extension: restore to background, index 0 transparent
+        out.push(0x21, 0xF9, 0x04, (2 << 2) | 0x01);
+        writeUint16(out, delay);
+        out.push(TRANSPARENT_INDEX, 0);
+
+        // Image descriptor (+ local color table if the palette differs)
+        const useLocalTable = !sameColors(frame.colors, globalColors);
+        out.push(0x2C);
+        writeUint16(out, 0);
+        writeUint16(out, 0);
+        writeUint16(out, width);
+        writeUint16(out, height);
+        out.push(useLocalTable ? 0x80 | tableField : 0);
+        if (useLocalTable) {
+            writeColorTable(out, frame.colors);
+        }
+
+        writeImageData(out, scaleIndices(frame.pixels, factor), COLOR_TABLE_BITS);
+    });
+
+    out.push(0x3B);
+    return Uint8Array.from(out);
+}
+
+const GifEncoder = {
+    encode
+};
+
+export default GifEncoder;
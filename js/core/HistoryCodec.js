@@ -0,0 +1,275 @@
+/**
+ * HistoryCodec - Compact Text Format for Undo History
+ *
+ * Serializes undo/redo steps so they can be stored next to an autosaved
+ * document. Steps are plain data (see HistoryRecorder); the only non-JSON
+ * values they hold are typed arrays, which are written as short strings:
+ * - Uint8Array (color indices 0-63): one Base64 palette character per value
+ * - Uint32Array (ascending pixel indices): delta-encoded variable-length
+ *   numbers, 5 bits per character
+ * Both are RLE compressed with the data string codec when that is shorter.
+ *
+ * The envelope names its format and version and carries a hash of the
+ * document it belongs to; decode() refuses anything that does not match.
+ * encode() keeps the steps closest to the current state that fit the
+ * length limit.
+ *
+ * This module must stay DOM-free.
+ *
+ * @module HistoryCodec
+ *
+ * @typedef {Object} HistoryStepData
+ * @property {string} label - Action description
+ * @property {string} type - Entry kind ('pixels', 'layer', 'palette', 'document')
+ * @property {number} timestamp - Time the step was recorded
+ * @property {Object|null} thumbnail - {width, height, pixels: Uint8Array} or null
+ * @property {Object} record - Serializable description of the change
+ *
+ * @typedef {Object} HistoryStacksData
+ * @property {Array<HistoryStepData>} undo - Applied steps, oldest first
+ * @property {Array<HistoryStepData>} redo - Undone steps, next redo last
+ * @property {Object|null} baseThumbnail - Preview of the state before the oldest step
+ */
+
+import Codec from './Codec.js';
+
+const FORMAT_ID = 'inline-px-history';
+const VERSION = 1;
+
+// Prefixes of encoded typed arrays: raw characters or RLE runs
+const RAW_PREFIX = '=';
+const RLE_PREFIX = '~';
+
+// Variable-length numbers: low 5 bits per character, bit 6 = more follow
+const VARINT_BITS = 5;
+const VARINT_MORE = 1 << VARINT_BITS;
+
+/**
+ * Use RLE for a character string if that makes it shorter
+ * @private
+ * @param {string} chars - Base64 characters
+ * @returns {string} Prefixed string
+ */
+function packChars(chars) {
+    const rle = Codec.encodeRLE(chars);
+    return rle.length < chars.length ? RLE_PREFIX + rle : RAW_PREFIX + chars;
+}
+
+/**
+ * Reverse packChars()
+ * @private
+ * @param {string} text - Prefixed string
+ * @returns {string} Base64 characters
+ */
+function unpackChars(text) {
+    if (text[0] === RLE_PREFIX) return Codec.decodeRLE(text.slice(1));
+    if (text[0] === RAW_PREFIX) return text.slice(1);
+    throw new Error('Invalid packed history data');
+}
+
+/**
+ * Encode color indices
+ * @param {Uint8Array} bytes - Values 0-63
+ * @returns {string} Encoded text
+ */
+function encodeBytes(bytes) {
+    let chars = '';
+    for (let i = 0; i < bytes.length; i++) {
+        chars += Codec.BASE64_CHARS[bytes[i]];
+    }
+    return packChars(chars);
+}
+
+/**
+ * Decode color indices
+ * @param {string} text - Text from encodeBytes()
+ * @returns {Uint8Array} Values
+ */
+function decodeBytes(text) {
+    const chars = unpackChars(text);
+    const bytes = new Uint8Array(chars.length);
+    for (let i = 0; i < chars.length; i++) {
+        const value = Codec.charToIndex(chars[i]);
+        if (value === -1) throw new Error('Invalid character in history data');
+        bytes[i] = value;
+    }
+    return bytes;
+}
+
+/**
+ * Encode ascending indices as deltas
+ * @param {Uint32Array} indices - Ascending values
+ * @returns {string} Encoded text
+ */
+function encodeIndices(indices) {
+    let chars = '';
+    let previous = 0;
+    for (let i = 0; i < indices.length; i++) {
+        let delta = indices[i] - previous;
+        previous = indices[i];
+        while (delta >= VARINT_MORE) {
+            chars += Codec.BASE64_CHARS[VARINT_MORE | (delta & (VARINT_MORE - 1))];
+            delta = Math.floor(delta / VARINT_MORE);
+        }
+        chars += Codec.BASE64_CHARS[delta];
+    }
+    return packChars(chars);
+}
+
+/**
+ * Decode indices written by encodeIndices()
+ * @param {string} text - Encoded text
+ * @returns {Uint32Array} Ascending values
+ */
+function decodeIndices(text) {
+    const chars = unpackChars(text);
+    const values = [];
+    let previous = 0;
+    let delta = 0;
+    let factor = 1;
+
+    for (let i = 0; i < chars.length; i++) {
+        const digit = Codec.charToIndex(chars[i]);
+        if (digit === -1) throw new Error('Invalid character in history data');
+
+        delta += (digit & (VARINT_MORE - 1)) * factor;
+        if (digit & VARINT_MORE) {
+            factor *= VARINT_MORE;
+        } else {
+            previous += delta;
+            values.push(previous);
+            delta = 0;
+            factor = 1;
+        }
+    }
+    return Uint32Array.from(values);
+}
+
+/**
+ * JSON.stringify() with typed arrays
+ * @param {*} value - Value
+ * @returns {string} JSON
+ */
+function stringify(value) {
+    return JSON.stringify(value, (key, item) => {
+        if (item instanceof Uint8Array) return { $u8: encodeBytes(item) };
+        if (item instanceof Uint32Array) return { $u32: encodeIndices(item) };
+        return item;
+    });
+}
+
+/**
+ * JSON.parse() with typed arrays written by stringify()
+ * @param {string} text - JSON
+ * @returns {*} Value
+ */
+function parse(text) {
+    return JSON.parse(text, (key, item) => {
+        if (item && typeof item === 'object' && !Array.isArray(item)) {
+            if (typeof item.$u8 === 'string') return decodeBytes(item.$u8);
+            if (typeof item.$u32 === 'string') return decodeIndices(item.$u32);
+        }
+        return item;
+    });
+}
+
+/**
+ * Hash a document string (FNV-1a, 32 bit)
+ * @param {string} text - Document
+ * @returns {string} Hex hash
+ */
+function hashDocument(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Serialize history stacks
+ * Undo steps are kept newest first, then redo steps nearest first, until
+ * the next one would exceed maxLength. Dropping old undo steps moves the
+ * base thumbnail forward to the newest dropped step.
+ * @param {HistoryStacksData} stacks - Stacks to store
+ * @param {Object} options - Options
+ * @param {string} options.documentText - Document the history belongs to
+ * @param {number} [options.maxLength=Infinity] - Length limit (characters)
+ * @returns {{text: string, undoCount: number, redoCount: number}} Encoded history and steps kept
+ */
+function encode({ undo, redo, baseThumbnail }, { documentText, maxLength = Infinity }) {
+    const header = `{"format":"${FORMAT_ID}","version":${VERSION},"document":"${hashDocument(documentText)}"`;
+    let remaining = maxLength - header.length - 32;
+
+    const take = (steps) => {
+        const kept = [];
+        for (let i = steps.length - 1; i >= 0; i--) {
+            const text = stringify(steps[i]);
+            if (text.length + 1 > remaining) break;
+            remaining -= text.length + 1;
+            kept.unshift(text);
+        }
+        return kept;
+    };
+
+    // The base thumbnail is the one before the oldest kept undo step
+    const keptUndo = take(undo);
+    let baseText;
+    for (;;) {
+        const dropped = undo.length - keptUndo.length;
+        baseText = stringify((dropped > 0 ? undo[dropped - 1].thumbnail : baseThumbnail) || null);
+        if (baseText.length <= remaining || keptUndo.length === 0) break;
+        remaining += keptUndo.shift().length + 1;
+    }
+    remaining -= baseText.length;
+    const keptRedo = take(redo);
+
+    return {
+        text: `${header},"base":${baseText},"undo":[${keptUndo.join(',')}],"redo":[${keptRedo.join(',')}]}`,
+        undoCount: keptUndo.length,
+        redoCount: keptRedo.length
+    };
+}
+
+/**
+ * Parse history stored by encode()
+ * @param {string} text - Encoded history
+ * @param {string} documentText - Document the history must belong to
+ * @returns {HistoryStacksData} Stacks
+ * @throws {Error} If the format, version or document does not match
+ */
+function decode(text, documentText) {
+    const data = parse(text);
+    if (!data || data.format !== FORMAT_ID) {
+        throw new Error('Not an Inline.px history');
+    }
+    if (data.version !== VERSION) {
+        throw new Error(`Unsupported history version ${data.version} (expected ${VERSION})`);
+    }
+    if (data.document !== hashDocument(documentText)) {
+        throw new Error('History belongs to a different version of the document');
+    }
+
+    return {
+        undo: Array.isArray(data.undo) ? data.undo : [],
+        redo: Array.isArray(data.redo) ? data.redo : [],
+        baseThumbnail: data.base || null
+    };
+}
+
+const HistoryCodec = {
+    FORMAT_ID,
+    VERSION,
+    encodeBytes,
+    decodeBytes,
+    encodeIndices,
+    decodeIndices,
+    stringify,
+    parse,
+    hashDocument,
+    encode,
+    decode
+};
+
+export default HistoryCodec;
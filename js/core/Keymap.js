@@ -0,0 +1,171 @@
+/**
+ * Keymap - Keybinding Sets
+ *
+ * A keymap maps command IDs to their keybindings. This module resolves
+ * keymaps from a base and changes on top of it, finds conflicts (one
+ * keybinding on several commands) and reads and writes the JSON file
+ * format used to share keymaps:
+ *
+ *   {
+ *     "format": "inline-px-keymap",
+ *     "version": 1,
+ *     "preset": "aseprite",
+ *     "bindings": { "tool.pencil": ["B"], "view.toggleGrid": [] }
+ *   }
+ *
+ * Keybindings are kept in canonical form (see CommandRegistry).
+ *
+ * This module must stay DOM-free.
+ *
+ * @module Keymap
+ *
+ * @typedef {Object<string, Array<string>>} KeymapBindings - Keybindings by command ID
+ *
+ * @typedef {Object} KeymapConflict
+ * @property {string} binding - Keybinding
+ * @property {Array<string>} ids - Command IDs bound to it (two or more)
+ *
+ * @typedef {Object} ParsedKeymap
+ * @property {string|null} preset - Preset the keymap was based on
+ * @property {KeymapBindings} bindings - Valid keybindings
+ * @property {Array<string>} invalid - Entries that were skipped ('id: binding')
+ */
+
+import CommandRegistry from './CommandRegistry.js';
+
+const FORMAT = 'inline-px-keymap';
+const VERSION = 1;
+
+/**
+ * @private
+ * @param {*} value - Keybinding, list of keybindings or null
+ * @param {Array<string>} [invalid] - Collects keybindings that can't be read
+ * @returns {Array<string>} Canonical keybindings without duplicates
+ */
+function toList(value, invalid) {
+    const list = Array.isArray(value) ? value : (value ? [value] : []);
+    const result = [];
+    list.forEach(binding => {
+        const normalized = CommandRegistry.normalizeKeybinding(binding);
+        if (!normalized) invalid?.push(String(binding));
+        else if (!result.includes(normalized)) result.push(normalized);
+    });
+    return result;
+}
+
+/**
+ * Apply changes to a keymap
+ * @param {KeymapBindings} base - Keymap to start from
+ * @param {Object<string, string|Array<string>>} [changes={}] - Replacement keybindings by command ID
+ * @returns {KeymapBindings} New keymap
+ */
+function resolve(base, changes = {}) {
+    const result = {};
+    Object.entries(base).forEach(([id, bindings]) => {
+        result[id] = [...bindings];
+    });
+    Object.entries(changes).forEach(([id, bindings]) => {
+        result[id] = toList(bindings);
+    });
+    return result;
+}
+
+/**
+ * Get the entries of a keymap that differ from a base (the reverse of resolve)
+ * @param {KeymapBindings} base - Keymap to compare with
+ * @param {KeymapBindings} bindings - Changed keymap
+ * @returns {KeymapBindings} Differing entries
+ */
+function getChanges(base, bindings) {
+    const changes = {};
+    Object.entries(bindings).forEach(([id, list]) => {
+        if (!isSame(base[id] || [], list)) {
+            changes[id] = [...list];
+        }
+    });
+    return changes;
+}
+
+/**
+ * Check if two keybinding lists hold the same keybindings
+ * @param {Array<string>} a - Keybindings
+ * @param {Array<string>} b - Keybindings
+ * @returns {boolean} True if equal, ignoring order
+ */
+function isSame(a, b) {
+    return a.length === b.length && a.every(binding => b.includes(binding));
+}
+
+/**
+ * Find keybindings used by more than one command
+ * @param {KeymapBindings} bindings - Keymap
+ * @returns {Array<KeymapConflict>} Conflicts sorted by keybinding
+ */
+function findConflicts(bindings) {
+    const owners = new Map();
+    Object.entries(bindings).forEach(([id, list]) => {
+        list.forEach(binding => {
+            if (!owners.has(binding)) owners.set(binding, []);
+            owners.get(binding).push(id);
+        });
+    });
+
+    return [...owners.entries()]
+        .filter(([, ids]) => ids.length > 1)
+        .map(([binding, ids]) => ({ binding, ids }))
+        .sort((a, b) => a.binding.localeCompare(b.binding));
+}
+
+/**
+ * Write a keymap as JSON
+ * @param {KeymapBindings} bindings - Keymap
+ * @param {string} [preset] - Preset it is based on
+ * @returns {string} JSON text
+ */
+function serialize(bindings, preset) {
+    return JSON.stringify({ format: FORMAT, version: VERSION, preset: preset || null, bindings }, null, 2);
+}
+
+/**
+ * Read a keymap from JSON
+ * Commands may be listed with a single keybinding, a list or null (unbound).
+ * @param {string} text - JSON text
+ * @returns {ParsedKeymap} Keymap
+ * @throws {Error} If the text is not a keymap file
+ */
+function parse(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    if (data?.format !== FORMAT || typeof data.bindings !== 'object' || data.bindings === null) {
+        throw new Error('The file is not an Inline.px keymap.');
+    }
+    if (data.version > VERSION) {
+        throw new Error(`Keymap version ${data.version} is not supported.`);
+    }
+
+    const bindings = {};
+    const invalid = [];
+    Object.entries(data.bindings).forEach(([id, value]) => {
+        const skipped = [];
+        bindings[id] = toList(value, skipped);
+        skipped.forEach(binding => invalid.push(`${id}: ${binding}`));
+    });
+
+    return { preset: typeof data.preset === 'string' ? data.preset : null, bindings, invalid };
+}
+
+const Keymap = {
+    resolve,
+    getChanges,
+    isSame,
+    findConflicts,
+    serialize,
+    parse
+};
+
+export default Keymap;
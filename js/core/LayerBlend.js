@@ -0,0 +1,183 @@
+/**
+ * LayerBlend - Layer Opacity and Blend Modes
+ *
+ * Composites a layer stack into true-color RGBA pixels, honoring each
+ * layer's opacity and blend mode:
+ * - normal: the layer's color
+ * - multiply: darkens (backdrop × color)
+ * - screen: lightens (inverse of multiply)
+ * - overlay: multiply on dark backdrops, screen on light ones
+ * - add: backdrop + color, clipped to white
+ *
+ * Colors are mixed with the W3C compositing formulas, so a blended pixel
+ * over a transparent backdrop keeps the layer's own color and the
+ * result's alpha comes from the layer opacities. The indexed composite
+ * (ProjectDocument.compositeLayers) ignores both; it is what data
+ * strings store; merging layers keeps it where it looks the same (see
+ * getMergedLook) and bakes this RGBA composite otherwise.
+ *
+ * This module must stay DOM-free.
+ *
+ * @module LayerBlend
+ *
+ * @typedef {'normal'|'multiply'|'screen'|'overlay'|'add'} BlendMode
+ *
+ * @typedef {Object} BlendLayer
+ * @property {boolean} visible - Visibility flag
+ * @property {number} [opacity=1] - Opacity (0-1)
+ * @property {BlendMode} [blendMode='normal'] - Blend mode
+ * @property {Array<Array<number>>} data - 2D array of color indices (0 = transparent)
+ */
+
+/** @type {Object<BlendMode, function(number, number): number>} Backdrop and source channel (0-1) → mixed channel */
+const BLENDERS = {
+    normal: (backdrop, source) => source,
+    multiply: (backdrop, source) => backdrop * source,
+    screen: (backdrop, source) => backdrop + source - backdrop * source,
+    overlay: (backdrop, source) => backdrop <= 0.5
+        ? 2 * backdrop * source
+        : 1 - 2 * (1 - backdrop) * (1 - source),
+    add: (backdrop, source) => Math.min(1, backdrop + source)
+};
+
+const BLEND_MODES = Object.keys(BLENDERS);
+
+const BLEND_MODE_LABELS = {
+    normal: 'Normal',
+    multiply: 'Multiply',
+    screen: 'Screen',
+    overlay: 'Overlay',
+    add: 'Add'
+};
+
+/**
+ * @param {*} mode - Stored blend mode
+ * @returns {BlendMode} The mode, or 'normal' if unknown
+ */
+function normalizeBlendMode(mode) {
+    return BLEND_MODES.includes(mode) ? mode : 'normal';
+}
+
+/**
+ * @param {*} opacity - Stored opacity
+ * @returns {number} Opacity clamped to 0-1 (1 if not a number)
+ */
+function normalizeOpacity(opacity) {
+    return typeof opacity === 'number' && !Number.isNaN(opacity) ? Math.max(0, Math.min(1, opacity)) : 1;
+}
+
+/**
+ * Check if a layer stack needs RGBA compositing
+ * @param {Array<BlendLayer>} layers - Layers
+ * @returns {boolean} True if a visible layer is translucent or not in normal mode
+ */
+function isBlended(layers) {
+    return layers.some(layer => layer.visible && layer.data &&
+        (normalizeOpacity(layer.opacity) < 1 || normalizeBlendMode(layer.blendMode) !== 'normal'));
+}
+
+/**
+ * Get the opacity and blend mode a merge of layers keeps
+ * Their indexed composite looks the same only if the visible layers share
+ * an opacity and blend mode, and are opaque and normal or don't overlap.
+ * @param {Array<BlendLayer>} layers - Layers to merge
+ * @returns {{opacity: number, blendMode: BlendMode}|null} Look of the merged layer, or null if merging changes the image
+ */
+function getMergedLook(layers) {
+    const visible = layers.filter(layer => layer.visible && layer.data);
+    const looks = visible.map(layer => ({
+        opacity: normalizeOpacity(layer.opacity),
+        blendMode: normalizeBlendMode(layer.blendMode)
+    }));
+    const look = looks[0] || { opacity: 1, blendMode: 'normal' };
+
+    if (looks.some(l => l.opacity !== look.opacity || l.blendMode !== look.blendMode)) return null;
+    if (look.opacity === 1 && look.blendMode === 'normal') return look;
+
+    const covered = new Set();
+    for (const layer of visible) {
+        const painted = [];
+        layer.data.forEach((row, y) => row.forEach((pixel, x) => {
+            if (pixel !== 0) painted.push(`${x},${y}`);
+        }));
+        if (painted.some(key => covered.has(key))) return null;
+        painted.forEach(key => covered.add(key));
+    }
+    return look;
+}
+
+/**
+ * Parse a palette color
+ * @private
+ * @param {string|null} color - '#rrggbb', '#rgb', 'transparent' or null
+ * @returns {Array<number>|null} [r, g, b] in 0-1, or null for transparent
+ */
+function parseColor(color) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+    if (!match) return null;
+
+    const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
+
+/**
+ * Composite layers into RGBA pixels
+ * @param {Array<BlendLayer>} layers - Layers, bottom to top
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Array<string|null>} colors - Colors by palette index
+ * @returns {Uint8ClampedArray} RGBA bytes, row by row (ImageData layout, not premultiplied)
+ */
+function compositeRGBA(layers, width, height, colors) {
+    const rgb = new Float32Array(width * height * 3);
+    const alpha = new Float32Array(width * height);
+    const lookup = colors.map(parseColor);
+
+    layers.forEach(layer => {
+        const opacity = normalizeOpacity(layer.opacity);
+        if (!layer.visible || !layer.data || opacity === 0) return;
+        const blend = BLENDERS[normalizeBlendMode(layer.blendMode)];
+
+        for (let y = 0; y < height; y++) {
+            const row = layer.data[y];
+            if (!row) continue;
+
+            for (let x = 0; x < width; x++) {
+                const source = row[x] ? lookup[row[x]] : null;
+                if (!source) continue;
+
+                const i = y * width + x;
+                const backdropAlpha = alpha[i];
+                const resultAlpha = opacity + backdropAlpha * (1 - opacity);
+
+                for (let c = 0; c < 3; c++) {
+                    const backdrop = rgb[i * 3 + c];
+                    const mixed = (1 - backdropAlpha) * source[c] + backdropAlpha * blend(backdrop, source[c]);
+                    rgb[i * 3 + c] = (opacity * mixed + (1 - opacity) * backdropAlpha * backdrop) / resultAlpha;
+                }
+                alpha[i] = resultAlpha;
+            }
+        }
+    });
+
+    const result = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        result[i * 4] = Math.round(rgb[i * 3] * 255);
+        result[i * 4 + 1] = Math.round(rgb[i * 3 + 1] * 255);
+        result[i * 4 + 2] = Math.round(rgb[i * 3 + 2] * 255);
+        result[i * 4 + 3] = Math.round(alpha[i] * 255);
+    }
+    return result;
+}
+
+const LayerBlend = {
+    BLEND_MODES,
+    BLEND_MODE_LABELS,
+    normalizeBlendMode,
+    normalizeOpacity,
+    isBlended,
+    getMergedLook,
+    compositeRGBA
+};
+
+export default LayerBlend;
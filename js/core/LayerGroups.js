@@ -0,0 +1,121 @@
+/**
+ * LayerGroups - Layer Folders
+ *
+ * A group is a named folder around layers that sit next to each other in
+ * the layer stack. Layers name their group with `groupId`; the groups are
+ * kept in a list beside the layers:
+ *
+ *   { "id": "group_1", "name": "Eyes", "visible": true, "collapsed": false }
+ *
+ * Hiding a group hides its layers without touching their own visibility
+ * flags. Groups don't nest, and a group without layers is not shown (nor
+ * saved) but kept so undoing the removal of its last layer finds it again.
+ *
+ * This module must stay DOM-free.
+ *
+ * @module LayerGroups
+ *
+ * @typedef {Object} LayerGroup
+ * @property {string} id - Unique group ID
+ * @property {string} name - Group name
+ * @property {boolean} visible - Visibility flag (hides all its layers)
+ * @property {boolean} collapsed - Whether the layer panel hides its layers
+ *
+ * @typedef {Object} GroupRange
+ * @property {number} start - Index of the group's bottom layer
+ * @property {number} end - Index of the group's top layer
+ */
+
+/**
+ * Read a stored group list
+ * @param {*} groups - Stored groups
+ * @returns {Array<LayerGroup>} Valid groups (new objects)
+ */
+function normalizeGroups(groups) {
+    if (!Array.isArray(groups)) return [];
+
+    const seen = new Set();
+    return groups
+        .filter(group => {
+            if (!group || typeof group.id !== 'string' || seen.has(group.id)) return false;
+            seen.add(group.id);
+            return true;
+        })
+        .map(group => ({
+            id: group.id,
+            name: typeof group.name === 'string' ? group.name : 'Group',
+            visible: group.visible !== false,
+            collapsed: group.collapsed === true
+        }));
+}
+
+/**
+ * Check the group IDs of a layer stack
+ * A group's layers must be adjacent: layers of a group that turn up again
+ * after other layers are taken out of it, as are layers of unknown groups.
+ * @param {Array<Object>} layers - Layers, bottom to top (changed in place)
+ * @param {Array<LayerGroup>} groups - Known groups
+ * @returns {Array<Object>} The layers
+ */
+function normalizeLayers(layers, groups) {
+    const known = new Set(groups.map(group => group.id));
+    const closed = new Set();
+
+    layers.forEach((layer, index) => {
+        const groupId = known.has(layer.groupId) && !closed.has(layer.groupId) ? layer.groupId : null;
+        layer.groupId = groupId;
+
+        const next = layers[index + 1];
+        if (groupId && next?.groupId !== groupId) closed.add(groupId);
+    });
+    return layers;
+}
+
+/**
+ * Get the groups that hold at least one layer
+ * @param {Array<LayerGroup>} groups - Groups
+ * @param {Array<{groupId?: string|null}>} layers - Layers
+ * @returns {Array<LayerGroup>} Groups in use
+ */
+function getUsedGroups(groups, layers) {
+    const used = new Set(layers.map(layer => layer.groupId).filter(Boolean));
+    return groups.filter(group => used.has(group.id));
+}
+
+/**
+ * Apply group visibility to a layer stack
+ * @param {Array<Object>} layers - Layers
+ * @param {Array<LayerGroup>} [groups=[]] - Groups
+ * @returns {Array<Object>} The layers; those in hidden groups are copies with visible set to false
+ */
+function applyVisibility(layers, groups = []) {
+    const hidden = new Set(groups.filter(group => !group.visible).map(group => group.id));
+    if (hidden.size === 0) return layers;
+
+    return layers.map(layer => layer.visible && hidden.has(layer.groupId) ? { ...layer, visible: false } : layer);
+}
+
+/**
+ * Find where a group's layers are in a layer stack
+ * @param {Array<{groupId?: string|null}>} layers - Layers, bottom to top
+ * @param {string} groupId - Group ID
+ * @returns {GroupRange|null} Range or null if the group has no layers
+ */
+function getRange(layers, groupId) {
+    const start = layers.findIndex(layer => layer.groupId === groupId);
+    if (start === -1) return null;
+
+    let end = start;
+    while (layers[end + 1]?.groupId === groupId) end++;
+    return { start, end };
+}
+
+const LayerGroups = {
+    normalizeGroups,
+    normalizeLayers,
+    getUsedGroups,
+    applyVisibility,
+    getRange
+};
+
+export default LayerGroups;
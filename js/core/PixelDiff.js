@@ -0,0 +1,199 @@
+/**
+ * PixelDiff - Pixel Comparison of Two Images
+ *
+ * Compares two 2D arrays of color indices pixel by pixel. Images of
+ * different sizes are compared over the larger area; pixels outside an
+ * image count as transparent. Each changed pixel is classified as:
+ * - added: transparent before, colored after
+ * - removed: colored before, transparent after
+ * - recolored: a different color
+ *
+ * Results can be broken down per color and written as a plain-text patch
+ * for pasting into code reviews:
+ *
+ *   --- hero-old 16×16
+ *   +++ hero 16×16
+ *   @@ 5 pixels changed: 2 added, 1 removed, 2 recolored
+ *   colors:
+ *     3 Red #FF0000  -1 +2
+ *   rows:
+ *     y=4 x=2-3: 0 -> 3
+ *
+ * This module must stay DOM-free.
+ *
+ * @module PixelDiff
+ *
+ * @typedef {Object} PixelChange
+ * @property {number} x - Column
+ * @property {number} y - Row
+ * @property {number} before - Color index before (0 = transparent)
+ * @property {number} after - Color index after (0 = transparent)
+ *
+ * @typedef {Object} PixelDiffResult
+ * @property {number} width - Compared width (the larger of both)
+ * @property {number} height - Compared height (the larger of both)
+ * @property {Uint8Array} mask - 1 per changed pixel, row by row
+ * @property {Array<PixelChange>} changes - Changed pixels, row by row
+ * @property {number} added - Pixels that became colored
+ * @property {number} removed - Pixels that became transparent
+ * @property {number} recolored - Pixels that changed color
+ *
+ * @typedef {Object} ColorChangeCount
+ * @property {number} index - Color index
+ * @property {number} removed - Changed pixels that had this color before
+ * @property {number} added - Changed pixels that have this color after
+ *
+ * @typedef {Object} PatchSide
+ * @property {string} name - Label of the document
+ * @property {number} width - Its width
+ * @property {number} height - Its height
+ */
+
+/** Highlight color per kind of change */
+const KIND_COLORS = {
+    added: '#00E676',
+    removed: '#FF1744',
+    recolored: '#FFC400'
+};
+
+/**
+ * Classify a changed pixel
+ * @param {PixelChange} change - Changed pixel
+ * @returns {'added'|'removed'|'recolored'} Kind of change
+ */
+function getKind({ before, after }) {
+    if (before === 0) return 'added';
+    if (after === 0) return 'removed';
+    return 'recolored';
+}
+
+/**
+ * Compare two images
+ * @param {Array<Array<number>>} before - 2D color indices
+ * @param {Array<Array<number>>} after - 2D color indices
+ * @returns {PixelDiffResult} Differences
+ */
+function compare(before, after) {
+    const height = Math.max(before.length, after.length);
+    const width = Math.max(before[0]?.length || 0, after[0]?.length || 0);
+    const mask = new Uint8Array(width * height);
+    const changes = [];
+    let added = 0;
+    let removed = 0;
+    let recolored = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const a = before[y]?.[x] || 0;
+            const b = after[y]?.[x] || 0;
+            if (a === b) continue;
+
+            mask[y * width + x] = 1;
+            changes.push({ x, y, before: a, after: b });
+            const kind = getKind({ before: a, after: b });
+            if (kind === 'added') {
+                added++;
+            } else if (kind === 'removed') {
+                removed++;
+            } else {
+                recolored++;
+            }
+        }
+    }
+
+    return { width, height, mask, changes, added, removed, recolored };
+}
+
+/**
+ * Count changed pixels per color
+ * Transparent (index 0) is left out; it is covered by the added and removed totals.
+ * @param {PixelDiffResult} diff - Differences
+ * @returns {Array<ColorChangeCount>} Colors with changes, most changed first
+ */
+function countByColor(diff) {
+    const counts = new Map();
+    const entry = index => {
+        if (!counts.has(index)) {
+            counts.set(index, { index, removed: 0, added: 0 });
+        }
+        return counts.get(index);
+    };
+
+    diff.changes.forEach(({ before, after }) => {
+        if (before !== 0) entry(before).removed++;
+        if (after !== 0) entry(after).added++;
+    });
+
+    return [...counts.values()].sort((a, b) =>
+        (b.removed + b.added) - (a.removed + a.added) || a.index - b.index
+    );
+}
+
+/**
+ * Group changed pixels into runs of neighbours in a row with the same change
+ * @private
+ * @param {Array<PixelChange>} changes - Changed pixels, row by row
+ * @returns {Array<{y: number, x1: number, x2: number, before: number, after: number}>} Runs
+ */
+function groupRuns(changes) {
+    const runs = [];
+    changes.forEach(({ x, y, before, after }) => {
+        const last = runs[runs.length - 1];
+        if (last && last.y === y && last.x2 === x - 1 && last.before === before && last.after === after) {
+            last.x2 = x;
+        } else {
+            runs.push({ y, x1: x, x2: x, before, after });
+        }
+    });
+    return runs;
+}
+
+/**
+ * Write differences as a plain-text patch
+ * @param {PixelDiffResult} diff - Differences
+ * @param {PatchSide} before - Older document
+ * @param {PatchSide} after - Newer document
+ * @param {Object} [options] - Options
+ * @param {function(number): string} [options.describeColor] - Label for a color index
+ * @param {number} [options.maxRuns=200] - Row runs to list before truncating
+ * @returns {string} Patch text
+ */
+function formatPatch(diff, before, after, { describeColor = String, maxRuns = 200 } = {}) {
+    const lines = [
+        `--- ${before.name} ${before.width}×${before.height}`,
+        `+++ ${after.name} ${after.width}×${after.height}`
+    ];
+
+    const total = diff.changes.length;
+    if (total === 0) {
+        lines.push('@@ no pixel differences');
+        return lines.join('\n');
+    }
+    lines.push(`@@ ${total} pixel${total === 1 ? '' : 's'} changed: ${diff.added} added, ${diff.removed} removed, ${diff.recolored} recolored`);
+
+    lines.push('colors:');
+    countByColor(diff).forEach(({ index, removed, added }) => {
+        lines.push(`  ${describeColor(index)}  -${removed} +${added}`);
+    });
+
+    const runs = groupRuns(diff.changes);
+    lines.push('rows:');
+    runs.slice(0, maxRuns).forEach(({ y, x1, x2, before: from, after: to }) => {
+        lines.push(`  y=${y} x=${x1 === x2 ? x1 : `${x1}-${x2}`}: ${from} -> ${to}`);
+    });
+    if (runs.length > maxRuns) {
+        lines.push(`  … ${runs.length - maxRuns} more`);
+    }
+
+    return lines.join('\n');
+}
+
+const PixelDiff = {
+    KIND_COLORS,
+    getKind,
+    compare,
+    countByColor,
+    formatPatch
+};
+
+export default PixelDiff;
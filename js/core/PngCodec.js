@@ -0,0 +1,376 @@
+/**
+ * PngCodec - Minimal PNG Encoder/Decoder
+ *
+ * Reads and writes PNG bytes without a canvas, so data strings can be
+ * rendered and imported outside the browser (CLI, build scripts):
+ * - Encodes palette-indexed pixels as an 8-bit indexed PNG (PLTE + tRNS)
+ * - Decodes non-interlaced PNGs of any color type to RGBA
+ *
+ * Compression is pluggable: pass `deflate`/`inflate` (e.g. node:zlib's
+ * deflateSync/inflateSync). Without `deflate`, image data is written as
+ * stored (uncompressed) deflate blocks, which every PNG reader accepts.
+ * Decoding always needs `inflate`.
+ *
+ * This module must stay DOM-free.
+ *
+ * @module PngCodec
+ *
+ * @typedef {import('../importers/ImageQuantizer.js').RGBAImage} RGBAImage
+ *
+ * @typedef {function(Uint8Array): Uint8Array} ZlibFunction
+ */
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const STORED_BLOCK_SIZE = 65535;
+
+const COLOR_TYPE_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+let crcTable = null;
+
+/**
+ * CRC-32 over a byte range (PNG chunk checksum, also used by ZipArchive)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {number} Unsigned CRC
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Adler-32 checksum (zlib trailer)
+ * @private
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {number} Unsigned checksum
+ */
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Wrap bytes in a zlib stream of stored deflate blocks
+ * @private
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {Uint8Array} zlib stream
+ */
+function deflateStored(bytes) {
+    const blockCount = Math.max(1, Math.ceil(bytes.length / STORED_BLOCK_SIZE));
+    const out = new Uint8Array(2 + bytes.length + blockCount * 5 + 4);
+    let o = 0;
+
+    out[o++] = 0x78;
+    out[o++] = 0x01;
+
+    for (let block = 0; block < blockCount; block++) {
+        const start = block * STORED_BLOCK_SIZE;
+        const length = Math.min(STORED_BLOCK_SIZE, bytes.length - start);
+        out[o++] = block === blockCount - 1 ? 1 : 0;
+        out[o++] = length & 0xFF;
+        out[o++] = length >>> 8;
+        out[o++] = ~length & 0xFF;
+        out[o++] = (~length >>> 8) & 0xFF;
+        out.set(bytes.subarray(start, start + length), o);
+        o += length;
+    }
+
+    const checksum = adler32(bytes);
+    out[o++] = checksum >>> 24;
+    out[o++] = (checksum >>> 16) & 0xFF;
+    out[o++] = (checksum >>> 8) & 0xFF;
+    out[o++] = checksum & 0xFF;
+
+    return out;
+}
+
+/**
+ * Write a uint32 big-endian
+ * @private
+ */
+function writeUint32(out, offset, value) {
+    out[offset] = value >>> 24;
+    out[offset + 1] = (value >>> 16) & 0xFF;
+    out[offset + 2] = (value >>> 8) & 0xFF;
+    out[offset + 3] = value & 0xFF;
+}
+
+/**
+ * Read a uint32 big-endian
+ * @private
+ */
+function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+/**
+ * Build a chunk (length, type, data, CRC)
+ * @private
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Chunk bytes
+ */
+function buildChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    writeUint32(chunk, 0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    writeUint32(chunk, 8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Encode palette indices as an indexed PNG
+ * Index 0 is fully transparent; the palette holds every entry of `colors`.
+ * @param {Array<Array<number>>} pixels - 2D array of palette indices
+ * @param {Array<string|null>} colors - Colors by palette index ('#RRGGBB')
+ * @param {Object} options - Encoding options
+ * @param {number} [options.scale=1] - Integer scale factor (nearest neighbour)
+ * @param {ZlibFunction} [options.deflate] - zlib deflate (default: stored blocks)
+ * @returns {Uint8Array} PNG bytes
+ */
+function encodeIndexed(pixels, colors, { scale = 1, deflate = null } = {}) {
+    const factor = Math.max(1, Math.floor(scale) || 1);
+    const sourceHeight = pixels.length;
+    const sourceWidth = sourceHeight > 0 ? pixels[0].length : 0;
+    const width = sourceWidth * factor;
+    const height = sourceHeight * factor;
+
+    if (width === 0 || height === 0) {
+        throw new Error('Cannot encode an empty image');
+    }
+
+    const header = new Uint8Array(13);
+    writeUint32(header, 0, width);
+    writeUint32(header, 4, height);
+    header[8] = 8;  // bit depth
+    header[9] = 3;  // color type: indexed
+    header[10] = 0; // compression
+    header[11] = 0; // filter
+    header[12] = 0; // interlace
+
+    const palette = new Uint8Array(colors.length * 3);
+    colors.forEach((hex, index) => {
+        if (index === 0 || typeof hex !== 'string' || !hex.startsWith('#')) return;
+        palette[index * 3] = parseInt(hex.substring(1, 3), 16);
+        palette[index * 3 + 1] = parseInt(hex.substring(3, 5), 16);
+        palette[index * 3 + 2] = parseInt(hex.substring(5, 7), 16);
+    });
+
+    // Filter type 0 (None) for every scanline
+    const raw = new Uint8Array(height * (width + 1));
+    for (let y = 0; y < height; y++) {
+        const row = pixels[Math.floor(y / factor)];
+        const offset = y * (width + 1) + 1;
+        for (let x = 0; x < width; x++) {
+            raw[offset + x] = row[Math.floor(x / factor)];
+        }
+    }
+
+    const chunks = [
+        Uint8Array.from(SIGNATURE),
+        buildChunk('IHDR', header),
+        buildChunk('PLTE', palette),
+        buildChunk('tRNS', Uint8Array.of(0)),
+        buildChunk('IDAT', deflate ? new Uint8Array(deflate(raw)) : deflateStored(raw)),
+        buildChunk('IEND', new Uint8Array(0))
+    ];
+
+    const out = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        out.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return out;
+}
+
+/**
+ * Paeth predictor
+ * @private
+ */
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Undo scanline filters in place
+ * @private
+ * @param {Uint8Array} data - Inflated image data (filter byte + scanline per row)
+ * @param {number} height - Row count
+ * @param {number} stride - Bytes per scanline (without filter byte)
+ * @param {number} bpp - Bytes per complete pixel (at least 1)
+ * @returns {Uint8Array} Unfiltered scanlines, concatenated
+ */
+function unfilter(data, height, stride, bpp) {
+    const out = new Uint8Array(height * stride);
+
+    for (let y = 0; y < height; y++) {
+        const filter = data[y * (stride + 1)];
+        const src = y * (stride + 1) + 1;
+        const dst = y * stride;
+        const prev = dst - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const raw = data[src + x];
+            const left = x >= bpp ? out[dst + x - bpp] : 0;
+            const up = y > 0 ? out[prev + x] : 0;
+            const upLeft = y > 0 && x >= bpp ? out[prev + x - bpp] : 0;
+
+            switch (filter) {
+                case 0: out[dst + x] = raw; break;
+                case 1: out[dst + x] = raw + left; break;
+                case 2: out[dst + x] = raw + up; break;
+                case 3: out[dst + x] = raw + ((left + up) >> 1); break;
+                case 4: out[dst + x] = raw + paeth(left, up, upLeft); break;
+                default: throw new Error(`Unsupported PNG filter type: ${filter}`);
+            }
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Decode a PNG to RGBA
+ * @param {Uint8Array} bytes - PNG bytes
+ * @param {Object} options - Decoding options
+ * @param {ZlibFunction} options.inflate - zlib inflate
+ * @returns {RGBAImage} Decoded image
+ */
+function decode(bytes, { inflate } = {}) {
+    if (typeof inflate !== 'function') {
+        throw new Error('PNG decoding needs an inflate function');
+    }
+    if (!SIGNATURE.every((value, i) => bytes[i] === value)) {
+        throw new Error('Not a PNG file');
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    for (let offset = 8; offset + 8 <= bytes.length;) {
+        const length = readUint32(bytes, offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: readUint32(data, 0),
+                height: readUint32(data, 4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header || idat.length === 0) {
+        throw new Error('PNG is missing image data');
+    }
+
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = COLOR_TYPE_CHANNELS[colorType];
+    if (!channels) {
+        throw new Error(`Unsupported PNG color type: ${colorType}`);
+    }
+    if (interlace !== 0) {
+        throw new Error('Interlaced PNGs are not supported');
+    }
+    if (colorType === 3 && !palette) {
+        throw new Error('Indexed PNG without palette');
+    }
+
+    const compressed = new Uint8Array(idat.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    idat.forEach(chunk => {
+        compressed.set(chunk, position);
+        position += chunk.length;
+    });
+
+    const bitsPerPixel = channels * bitDepth;
+    const stride = Math.ceil((width * bitsPerPixel) / 8);
+    const scanlines = unfilter(new Uint8Array(inflate(compressed)), height, stride, Math.max(1, bitsPerPixel >> 3));
+
+    // Read one sample (channel value) scaled to 0-255; indexed samples stay raw
+    const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+    const sample = (row, index) => {
+        if (bitDepth === 16) return scanlines[row + index * 2];
+        if (bitDepth === 8) return scanlines[row + index];
+        const bit = index * bitDepth;
+        return (scanlines[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+    const toByte = value => (bitDepth >= 8 ? value : Math.round(value * 255 / maxSample));
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const row = y * stride;
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            const s = x * channels;
+
+            if (colorType === 3) {
+                const index = sample(row, s);
+                data[o] = palette[index * 3];
+                data[o + 1] = palette[index * 3 + 1];
+                data[o + 2] = palette[index * 3 + 2];
+                data[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            } else if (colorType === 0 || colorType === 4) {
+                const gray = toByte(sample(row, s));
+                data[o] = data[o + 1] = data[o + 2] = gray;
+                data[o + 3] = colorType === 4 ? toByte(sample(row, s + 1)) : 255;
+            } else {
+                data[o] = sample(row, s);
+                data[o + 1] = sample(row, s + 1);
+                data[o + 2] = sample(row, s + 2);
+                data[o + 3] = colorType === 6 ? sample(row, s + 3) : 255;
+            }
+        }
+    }
+
+    return { width, height, data };
+}
+
+const PngCodec = {
+    encodeIndexed,
+    decode,
+    crc32
+};
+
+export default PngCodec;
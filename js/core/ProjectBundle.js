@@ -0,0 +1,270 @@
+/**
+ * ProjectBundle - ZIP Bundles of Saved Files
+ *
+ * Packs saved files with their folders, tags and custom palettes into one
+ * ZIP archive, for backups and for moving sets between browsers:
+ *
+ *   manifest.json
+ *   sprites/hero.json            // project document (legacy data strings: .txt)
+ *   palettes/hero-palette.json   // { "name": "Hero palette", "colors": { "3": "#FF8800" } }
+ *
+ *   manifest.json:
+ *   {
+ *     "format": "inline-px-bundle",
+ *     "version": 1,
+ *     "created": "2026-01-01T12:00:00.000Z",
+ *     "folders": ["Characters"],
+ *     "palettes": [{ "path": "palettes/editor-palette.json", "name": "Editor palette", "editor": true },
+ *                  { "path": "palettes/hero-palette.json", "name": "Hero palette" }],
+ *     "files": [
+ *       { "path": "sprites/hero.json", "name": "Hero", "folder": "Characters",
+ *         "tags": ["walk"], "timestamp": 1767268800000, "width": 16, "height": 16,
+ *         "palette": "palettes/hero-palette.json" }
+ *     ]
+ *   }
+ *
+ * Documents keep their own palette; the palette files list each distinct
+ * one (plus the editor's, when given, so importing can restore it) and can
+ * be shared on their own. A sprite without a palette whose manifest entry
+ * names one gets that palette embedded on import. Sprites whose canvas is
+ * outside the editor's size limits are left out before they are decoded.
+ *
+ * This module must stay DOM-free.
+ *
+ * @module ProjectBundle
+ *
+ * @typedef {import('../types.js').SavedFile} SavedFile
+ * @typedef {import('./ZipArchive.js').RawDeflateFunction} RawDeflateFunction
+ *
+ * @typedef {Object} BundlePalette
+ * @property {string} name - Display name
+ * @property {Object<number, string>} colors - Palette overrides (index -> hex)
+ * @property {boolean} editor - Whether it was the editor palette when exported
+ *
+ * @typedef {Object} BundleFile
+ * @property {string} name - File name
+ * @property {string} data - Project document or data string
+ * @property {string} folder - Folder ('' = none)
+ * @property {Array<string>} tags - Tags
+ * @property {number} timestamp - Last save time
+ * @property {number} width - Canvas width
+ * @property {number} height - Canvas height
+ *
+ * @typedef {Object} DecodedBundle
+ * @property {string|null} created - When the bundle was written (ISO date)
+ * @property {Array<string>} folders - Folders
+ * @property {Array<BundlePalette>} palettes - Palettes
+ * @property {Array<BundleFile>} files - Readable sprites
+ * @property {Array<string>} invalid - Sprites left out (path: reason)
+ */
+
+import Codec from './Codec.js';
+import ProjectDocument from './ProjectDocument.js';
+import ZipArchive from './ZipArchive.js';
+import Constants from '../../config/constants.js';
+
+const FORMAT_ID = 'inline-px-bundle';
+const VERSION = 1;
+const MANIFEST_PATH = 'manifest.json';
+const EDITOR_PALETTE_NAME = 'Editor palette';
+
+/**
+ * Turn a name into a unique file name
+ * @private
+ * @param {string} name - Display name
+ * @param {string} extension - Extension including the dot
+ * @param {Set<string>} taken - Paths in use (updated)
+ * @param {string} directory - Directory inside the archive
+ * @returns {string} Archive path
+ */
+function createPath(name, extension, taken, directory) {
+    const slug = String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'untitled';
+
+    let path = `${directory}/${slug}${extension}`;
+    for (let n = 2; taken.has(path); n++) {
+        path = `${directory}/${slug}-${n}${extension}`;
+    }
+    taken.add(path);
+    return path;
+}
+
+/**
+ * Validate palette colors read from a bundle
+ * @private
+ * @param {*} colors - Parsed "colors" object
+ * @returns {Object<number, string>|null} Overrides or null if invalid or empty
+ */
+function readPaletteColors(colors) {
+    if (!colors || typeof colors !== 'object') return null;
+    if (Object.values(colors).some(hex => typeof hex !== 'string')) return null;
+
+    const section = Codec.encodePalette(colors);
+    return section ? Codec.parsePalette(section) : null;
+}
+
+/**
+ * Write a bundle
+ * @param {Array<SavedFile>} files - Saved files
+ * @param {Object} options - Options
+ * @param {Array<string>} [options.folders=[]] - Folders to include (also empty ones)
+ * @param {Object<number, string>|null} [options.editorPalette=null] - Editor palette overrides to include
+ * @param {RawDeflateFunction|null} [options.deflateRaw=null] - Raw deflate (null = store)
+ * @param {Date} [options.date] - Creation date (defaults to now)
+ * @returns {Promise<Uint8Array>} ZIP bytes
+ */
+async function encode(files, { folders = [], editorPalette = null, deflateRaw = null, date = new Date() } = {}) {
+    const entries = [];
+    const taken = new Set([MANIFEST_PATH]);
+    const palettePaths = new Map();
+    const palettes = [];
+
+    const addPalette = (name, colors, editor = false) => {
+        const path = createPath(name, '.json', taken, 'palettes');
+        palettes.push(editor ? { path, name, editor } : { path, name });
+        entries.push({ path, data: ZipArchive.encodeText(JSON.stringify({ name, colors }, null, 2)), date });
+        return path;
+    };
+
+    const editorSection = Codec.encodePalette(editorPalette);
+    if (editorSection) {
+        palettePaths.set(editorSection, addPalette(EDITOR_PALETTE_NAME, editorPalette, true));
+    }
+
+    const manifestFiles = files.map(file => {
+        const isDocument = ProjectDocument.isDocument(file.data);
+        const path = createPath(file.name, isDocument ? '.json' : '.txt', taken, 'sprites');
+        entries.push({ path, data: ZipArchive.encodeText(file.data), date: new Date(file.timestamp || date) });
+
+        const palette = ProjectDocument.parse(file.data)?.palette || null;
+        const section = Codec.encodePalette(palette);
+        if (section && !palettePaths.has(section)) {
+            palettePaths.set(section, addPalette(`${file.name} palette`, palette));
+        }
+
+        return {
+            path,
+            name: file.name,
+            folder: file.folder || '',
+            tags: file.tags || [],
+            timestamp: file.timestamp,
+            width: file.width,
+            height: file.height,
+            palette: section ? palettePaths.get(section) : null
+        };
+    });
+
+    const usedFolders = files.map(file => file.folder).filter(Boolean);
+    const manifest = {
+        format: FORMAT_ID,
+        version: VERSION,
+        created: date.toISOString(),
+        folders: [...new Set([...folders, ...usedFolders])],
+        palettes,
+        files: manifestFiles
+    };
+    entries.unshift({ path: MANIFEST_PATH, data: ZipArchive.encodeText(JSON.stringify(manifest, null, 2)), date });
+
+    return ZipArchive.create(entries, { deflateRaw });
+}
+
+/**
+ * Read a bundle
+ * Sprites that cannot be read are listed in `invalid` instead of failing the bundle.
+ * @param {Uint8Array} bytes - ZIP bytes
+ * @param {Object} options - Options
+ * @param {RawDeflateFunction|null} [options.inflateRaw=null] - Raw inflate for deflated entries
+ * @returns {Promise<DecodedBundle>} Bundle contents
+ * @throws {Error} If the archive or its manifest is invalid, or from a newer version
+ */
+async function decode(bytes, { inflateRaw = null } = {}) {
+    const entries = new Map((await ZipArchive.read(bytes, { inflateRaw })).map(entry => [entry.path, entry.data]));
+    const readText = path => entries.has(path) ? ZipArchive.decodeText(entries.get(path)) : null;
+
+    const manifestText = readText(MANIFEST_PATH);
+    if (manifestText === null) {
+        throw new Error('Not an Inline.px bundle: manifest.json is missing');
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(manifestText);
+    } catch (error) {
+        throw new Error('Invalid bundle manifest');
+    }
+    if (manifest?.format !== FORMAT_ID || !Array.isArray(manifest.files)) {
+        throw new Error('Not an Inline.px bundle');
+    }
+    if (manifest.version > VERSION) {
+        throw new Error(`Bundle version ${manifest.version} is newer than supported (${VERSION})`);
+    }
+
+    const palettes = new Map();
+    (Array.isArray(manifest.palettes) ? manifest.palettes : []).forEach(({ path, editor }) => {
+        try {
+            const raw = JSON.parse(readText(path));
+            const colors = readPaletteColors(raw?.colors);
+            if (colors) {
+                palettes.set(path, { name: String(raw.name || path), colors, editor: editor === true });
+            }
+        } catch (error) {
+            // Unreadable palettes are left out; sprites keep their own
+        }
+    });
+
+    const files = [];
+    const invalid = [];
+    const { minSize, maxSize } = Constants.canvas;
+    manifest.files.forEach(entry => {
+        let data = readText(entry?.path);
+
+        // Checked before parsing, which allocates every layer at full size
+        const size = data === null ? null : ProjectDocument.getDimensions(data);
+        if (size && [size.width, size.height].some(n => n < minSize || n > maxSize)) {
+            invalid.push(`${entry.path}: ${size.width}×${size.height} is outside ${minSize}-${maxSize} pixels`);
+            return;
+        }
+
+        const doc = data === null ? null : ProjectDocument.parse(data);
+        if (!doc || !entry.name) {
+            invalid.push(`${entry?.path || '?'}: ${data === null ? 'missing' : 'unreadable'}`);
+            return;
+        }
+
+        const palette = palettes.get(entry.palette);
+        if (palette && !doc.palette) {
+            data = ProjectDocument.serialize(ProjectDocument.toFrames(doc), palette.colors, doc.activeFrame);
+        }
+
+        files.push({
+            name: String(entry.name),
+            data,
+            folder: typeof entry.folder === 'string' ? entry.folder : '',
+            tags: Array.isArray(entry.tags) ? entry.tags.filter(tag => typeof tag === 'string') : [],
+            timestamp: Number(entry.timestamp) || Date.now(),
+            width: doc.width,
+            height: doc.height
+        });
+    });
+
+    return {
+        created: typeof manifest.created === 'string' ? manifest.created : null,
+        folders: (Array.isArray(manifest.folders) ? manifest.folders : []).filter(folder => typeof folder === 'string' && folder),
+        palettes: [...palettes.values()],
+        files,
+        invalid
+    };
+}
+
+const ProjectBundle = {
+    FORMAT_ID,
+    VERSION,
+    encode,
+    decode
+};
+
+export default ProjectBundle;
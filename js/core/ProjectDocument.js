@@ -0,0 +1,490 @@
+/**
+ * ProjectDocument - Versioned Layered Document Format
+ *
+ * Serializes every animation frame with its full layer stack
+ * (LayerManager.exportLayerData) into a JSON string so tabs, autosave and
+ * saved files keep every frame and layer:
+ *
+ *   {
+ *     "format": "inline-px-project",
+ *     "version": 2,
+ *     "width": 16, "height": 16,
+ *     "palette": "3FF8800",  // optional, same entries as the PAL section
+ *     "activeFrame": 0,
+ *     "frames": [
+ *       { "id": "frame_1", "duration": 100, "activeLayerId": "layer_2",
+ *         "layers": [ // bottom to top
+ *           { "id": "layer_1", "name": "Background", "visible": true,
+ *             "opacity": 1, "data": "16x16:RLE:..." },
+ *           { "id": "layer_2", "name": "Shade", "visible": true,
+ *             "opacity": 0.5, "blendMode": "multiply", "groupId": "group_1",
+ *             "data": "16x16:..." }
+ *         ],
+ *         "groups": [
+ *           { "id": "group_1", "name": "Shading", "visible": true, "collapsed": false }
+ *         ] }
+ *     ]
+ *   }
+ *
+ * "blendMode" is only written for layers that don't use normal mode,
+ * "groupId" only for grouped layers and "groups" only when a frame has
+ * groups (see LayerGroups).
+ *
+ * Version 1 documents (a single top-level "layers" array) are read as one
+ * frame. Legacy data strings (WxH:DATA / WxH:RLE:DATA) are still accepted
+ * everywhere a document is expected; every frame of an animated string
+ * becomes a frame with a single "Background" layer.
+ *
+ * This module must stay DOM-free.
+ *
+ * @module ProjectDocument
+ *
+ * @typedef {Object} DocumentLayer
+ * @property {string} id - Layer ID
+ * @property {string} name - Layer name
+ * @property {boolean} visible - Visibility flag
+ * @property {number} opacity - Layer opacity (0-1)
+ * @property {import('./LayerBlend.js').BlendMode} blendMode - Blend mode
+ * @property {string|null} groupId - Group the layer is in
+ * @property {Array<Array<number>>} data - 2D pixel array
+ *
+ * @typedef {Object} DocumentFrame
+ * @property {string} [id] - Frame ID (kept so undo history survives tab switches)
+ * @property {number} duration - Frame duration in ms
+ * @property {string|null} activeLayerId - Active layer ID within the frame
+ * @property {Array<DocumentLayer>} layers - Layers, bottom to top
+ * @property {Array<import('./LayerGroups.js').LayerGroup>} groups - Layer groups
+ *
+ * @typedef {Object} ProjectDocumentData
+ * @property {number} version - Format version the document was read from
+ * @property {number} width - Canvas width
+ * @property {number} height - Canvas height
+ * @property {Object<number, string>|null} palette - Palette overrides (index -> hex)
+ * @property {number} activeFrame - Index of the active frame
+ * @property {Array<DocumentFrame>} frames - Animation frames (at least one)
+ * @property {string|null} activeLayerId - Active layer ID of the active frame
+ * @property {Array<DocumentLayer>} layers - Layers of the active frame, bottom to top
+ *
+ * @typedef {Object} FrameLayerData
+ * @property {string} [id] - Frame ID
+ * @property {number} duration - Frame duration in ms
+ * @property {Object} layerData - LayerManager.exportLayerData() shaped data
+ */
+
+import Codec from './Codec.js';
+import LayerBlend from './LayerBlend.js';
+import LayerGroups from './LayerGroups.js';
+import Constants from '../../config/constants.js';
+
+const FORMAT_ID = 'inline-px-project';
+const VERSION = 2;
+const DEFAULT_DURATION = Constants.animation.defaultFrameDuration;
+
+/**
+ * Create an empty 2D pixel array
+ * @private
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Array<Array<number>>} Transparent pixels
+ */
+function createEmptyPixels(width, height) {
+    return Array.from({ length: height }, () => new Array(width).fill(0));
+}
+
+/**
+ * Encode layer pixels as a data string, RLE compressed when shorter
+ * @private
+ * @param {Array<Array<number>>} pixels - 2D pixel array
+ * @returns {string} WxH:DATA or WxH:RLE:DATA
+ */
+function encodePixels(pixels) {
+    const plain = Codec.encode(pixels);
+    const [dimensions, data] = plain.split(':');
+    const rle = `${dimensions}:RLE:${Codec.encodeRLE(data)}`;
+    return rle.length < plain.length ? rle : plain;
+}
+
+/**
+ * Decode a layer data string, cropped/padded to the document size
+ * @private
+ * @param {string} dataString - WxH:DATA or WxH:RLE:DATA
+ * @param {number} width - Document width
+ * @param {number} height - Document height
+ * @returns {Array<Array<number>>} 2D pixel array
+ */
+function decodePixels(dataString, width, height) {
+    const pixels = createEmptyPixels(width, height);
+    const decoded = Codec.decode(dataString);
+    if (!decoded) return pixels;
+
+    for (let y = 0; y < Math.min(height, decoded.height); y++) {
+        for (let x = 0; x < Math.min(width, decoded.width); x++) {
+            pixels[y][x] = decoded.pixels[y][x];
+        }
+    }
+    return pixels;
+}
+
+/**
+ * Check whether a string is a serialized project document
+ * @param {string} str - Stored data
+ * @returns {boolean} True for JSON project documents
+ */
+function isDocument(str) {
+    return typeof str === 'string' && str.trimStart().startsWith('{');
+}
+
+/**
+ * Serialize one frame's layer data
+ * @private
+ * @param {FrameLayerData} frame - Frame duration and layer data
+ * @returns {Object} Serializable frame
+ */
+function serializeFrame({ id, duration, layerData }) {
+    const sorted = [...(layerData.layers || [])].sort((a, b) => a.zIndex - b.zIndex);
+    const groups = LayerGroups.getUsedGroups(LayerGroups.normalizeGroups(layerData.groups), sorted);
+
+    const layers = sorted.map(layer => {
+        const serialized = {
+            id: layer.id,
+            name: layer.name,
+            visible: layer.visible !== false,
+            opacity: typeof layer.opacity === 'number' ? layer.opacity : 1,
+            data: encodePixels(layer.data)
+        };
+        const blendMode = LayerBlend.normalizeBlendMode(layer.blendMode);
+        if (blendMode !== 'normal') {
+            serialized.blendMode = blendMode;
+        }
+        if (layer.groupId) {
+            serialized.groupId = layer.groupId;
+        }
+        return serialized;
+    });
+
+    const frame = {
+        duration: duration > 0 ? Math.round(duration) : DEFAULT_DURATION,
+        activeLayerId: layerData.activeLayerId || null,
+        layers
+    };
+    if (groups.length > 0) {
+        frame.groups = groups;
+    }
+    return id ? { id, ...frame } : frame;
+}
+
+/**
+ * Serialize animation frames into a project document string
+ * @param {Array<FrameLayerData>} frames - Frames in playback order (at least one)
+ * @param {Object<number, string>|null} palette - Optional palette overrides
+ * @param {number} activeFrame - Index of the active frame
+ * @returns {string} JSON project document
+ */
+function serialize(frames, palette = null, activeFrame = 0) {
+    const first = frames[0].layerData;
+
+    const doc = {
+        format: FORMAT_ID,
+        version: VERSION,
+        width: first.canvasWidth,
+        height: first.canvasHeight,
+        activeFrame: Math.max(0, Math.min(frames.length - 1, activeFrame)),
+        frames: frames.map(serializeFrame)
+    };
+
+    const paletteSection = Codec.encodePalette(palette);
+    if (paletteSection) {
+        doc.palette = paletteSection;
+    }
+
+    return JSON.stringify(doc);
+}
+
+/**
+ * Build a frame holding a single "Background" layer
+ * @private
+ * @param {Array<Array<number>>} pixels - 2D pixel array
+ * @param {number} duration - Frame duration in ms
+ * @returns {DocumentFrame} Frame
+ */
+function createSingleLayerFrame(pixels, duration) {
+    return {
+        duration,
+        activeLayerId: 'layer_1',
+        layers: [{
+            id: 'layer_1',
+            name: 'Background',
+            visible: true,
+            opacity: 1,
+            blendMode: 'normal',
+            groupId: null,
+            data: pixels
+        }],
+        groups: []
+    };
+}
+
+/**
+ * Parse a serialized frame
+ * @private
+ * @param {Object} raw - Raw frame (or a version 1 document)
+ * @param {number} width - Document width
+ * @param {number} height - Document height
+ * @returns {DocumentFrame|null} Frame or null if it has no layers
+ */
+function parseFrame(raw, width, height) {
+    if (!raw || !Array.isArray(raw.layers) || raw.layers.length === 0) {
+        return null;
+    }
+
+    const groups = LayerGroups.normalizeGroups(raw.groups);
+    const layers = LayerGroups.normalizeLayers(raw.layers.map((layer, index) => ({
+        id: typeof layer.id === 'string' ? layer.id : `layer_${index + 1}`,
+        name: typeof layer.name === 'string' ? layer.name : `Layer ${index + 1}`,
+        visible: layer.visible !== false,
+        opacity: LayerBlend.normalizeOpacity(layer.opacity),
+        blendMode: LayerBlend.normalizeBlendMode(layer.blendMode),
+        groupId: layer.groupId,
+        data: decodePixels(layer.data, width, height)
+    })), groups);
+
+    const activeLayerId = layers.some(l => l.id === raw.activeLayerId)
+        ? raw.activeLayerId
+        : layers[layers.length - 1].id;
+
+    const duration = parseInt(raw.duration);
+
+    const frame = {
+        duration: duration > 0 ? duration : DEFAULT_DURATION,
+        activeLayerId,
+        layers,
+        groups: LayerGroups.getUsedGroups(groups, layers)
+    };
+    return typeof raw.id === 'string' ? { id: raw.id, ...frame } : frame;
+}
+
+/**
+ * Check canvas dimensions against the editor's size limits
+ * @private
+ * @param {{width: number, height: number}} size - Dimensions
+ * @returns {boolean} True if both are within Constants.canvas min/max
+ */
+function isWithinLimits({ width, height }) {
+    const { minSize, maxSize } = Constants.canvas;
+    return [width, height].every(n => n >= minSize && n <= maxSize);
+}
+
+/**
+ * Parse a project document or legacy data string
+ * Dimensions outside the canvas size limits are rejected before any pixels are allocated.
+ * @param {string} str - JSON project document or WxH:DATA / WxH:RLE:DATA
+ * @returns {ProjectDocumentData|null} Parsed document or null if unreadable
+ */
+function parse(str) {
+    const size = getDimensions(str);
+    if (size && !isWithinLimits(size)) return null;
+
+    if (!isDocument(str)) {
+        const decoded = Codec.decode(str);
+        if (!decoded || decoded.width <= 0 || decoded.height <= 0) return null;
+
+        const frames = decoded.frames
+            ? decoded.frames.map(frame => createSingleLayerFrame(frame.pixels, frame.duration))
+            : [createSingleLayerFrame(decoded.pixels, DEFAULT_DURATION)];
+
+        return withActiveFrame({
+            version: 0,
+            width: decoded.width,
+            height: decoded.height,
+            palette: decoded.palette,
+            activeFrame: 0,
+            frames
+        });
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(str);
+    } catch (error) {
+        return null;
+    }
+
+    if (!raw || raw.format !== FORMAT_ID) {
+        return null;
+    }
+
+    const width = parseInt(raw.width);
+    const height = parseInt(raw.height);
+    if (!(width > 0) || !(height > 0)) return null;
+
+    // Version 1 stored a single layer stack at the top level.
+    // Newer versions are read on a best-effort basis: unknown fields are ignored
+    const rawFrames = Array.isArray(raw.frames) ? raw.frames : [raw];
+    const frames = rawFrames.map(frame => parseFrame(frame, width, height));
+    if (frames.length === 0 || frames.includes(null)) return null;
+
+    const activeFrame = parseInt(raw.activeFrame);
+
+    // A malformed palette falls back to the default colors
+    const palette = typeof raw.palette === 'string' && raw.palette
+        ? Codec.parsePalette(raw.palette)
+        : null;
+
+    return withActiveFrame({
+        version: parseInt(raw.version) || VERSION,
+        width,
+        height,
+        palette,
+        activeFrame: activeFrame >= 0 && activeFrame < frames.length ? activeFrame : 0,
+        frames
+    });
+}
+
+/**
+ * Expose the active frame's layers at the top level of a parsed document
+ * @private
+ * @param {Object} doc - Parsed document without layers/activeLayerId
+ * @returns {ProjectDocumentData} Parsed document
+ */
+function withActiveFrame(doc) {
+    const frame = doc.frames[doc.activeFrame];
+    return { ...doc, activeLayerId: frame.activeLayerId, layers: frame.layers };
+}
+
+/**
+ * Convert a frame of a parsed document into LayerManager.importLayerData() input
+ * @param {ProjectDocumentData} doc - Parsed document
+ * @param {number} frameIndex - Frame to convert (defaults to the active frame)
+ * @returns {Object} Layer data for LayerManager
+ */
+function toLayerData(doc, frameIndex = doc.activeFrame) {
+    const frame = doc.frames[frameIndex];
+    const now = Date.now();
+    return {
+        layers: frame.layers.map((layer, index) => ({
+            ...layer,
+            data: layer.data.map(row => [...row]),
+            zIndex: index,
+            created: now
+        })),
+        groups: frame.groups.map(group => ({ ...group })),
+        activeLayerId: frame.activeLayerId,
+        canvasWidth: doc.width,
+        canvasHeight: doc.height
+    };
+}
+
+/**
+ * Convert every frame of a parsed document for FrameManager.importFrames()
+ * @param {ProjectDocumentData} doc - Parsed document
+ * @returns {Array<FrameLayerData>} Frames with LayerManager-shaped layer data
+ */
+function toFrames(doc) {
+    return doc.frames.map((frame, index) => ({
+        id: frame.id,
+        duration: frame.duration,
+        layerData: toLayerData(doc, index)
+    }));
+}
+
+/**
+ * Composite visible layers (normal mode), bottom to top
+ * @param {Array<{visible: boolean, data: Array<Array<number>>}>} layers - Layers, bottom to top
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Array<Array<number>>} Flattened 2D pixel array
+ */
+function compositeLayers(layers, width, height) {
+    const result = createEmptyPixels(width, height);
+
+    layers.forEach(layer => {
+        if (!layer.visible || !layer.data) return;
+        for (let y = 0; y < height; y++) {
+            if (!layer.data[y]) continue;
+            for (let x = 0; x < width; x++) {
+                if (layer.data[y][x] !== 0) {
+                    result[y][x] = layer.data[y][x];
+                }
+            }
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Composite all visible layers of a document frame (normal mode)
+ * @param {ProjectDocumentData} doc - Parsed document
+ * @param {number} frameIndex - Frame to flatten (defaults to the active frame)
+ * @returns {Array<Array<number>>} Flattened 2D pixel array
+ */
+function flattenPixels(doc, frameIndex = doc.activeFrame) {
+    const { layers, groups } = doc.frames[frameIndex];
+    return compositeLayers(LayerGroups.applyVisibility(layers, groups), doc.width, doc.height);
+}
+
+/**
+ * Composite all visible layers of a document frame with their opacity and blend modes
+ * @param {ProjectDocumentData} doc - Parsed document
+ * @param {number} frameIndex - Frame to flatten (defaults to the active frame)
+ * @returns {Uint8ClampedArray} RGBA bytes (ImageData layout)
+ */
+function flattenRGBA(doc, frameIndex = doc.activeFrame) {
+    const { layers, groups } = doc.frames[frameIndex];
+    return LayerBlend.compositeRGBA(LayerGroups.applyVisibility(layers, groups), doc.width, doc.height, Codec.applyPalette(doc.palette));
+}
+
+/**
+ * Flatten stored data to a single uncompressed data string
+ * Documents with several frames become an animated (ANIM) data string.
+ * @param {string} str - JSON project document or legacy data string
+ * @returns {string|null} WxH[:PAL:...][:ANIM:...]:DATA string or null if unreadable
+ */
+function toDataString(str) {
+    const doc = parse(str);
+    if (!doc) return null;
+
+    const frames = doc.frames.map((frame, index) => ({
+        pixels: flattenPixels(doc, index),
+        duration: frame.duration
+    }));
+    return Codec.encodeAnimation(frames, doc.palette);
+}
+
+/**
+ * Read canvas dimensions from stored data without decoding layers
+ * @param {string} str - JSON project document or legacy data string
+ * @returns {{width: number, height: number}|null} Dimensions or null
+ */
+function getDimensions(str) {
+    if (isDocument(str)) {
+        try {
+            const raw = JSON.parse(str);
+            const width = parseInt(raw.width);
+            const height = parseInt(raw.height);
+            return width > 0 && height > 0 ? { width, height } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const match = typeof str === 'string' ? str.match(/^(\d+)x(\d+):/) : null;
+    return match ? { width: parseInt(match[1]), height: parseInt(match[2]) } : null;
+}
+
+const ProjectDocument = {
+    FORMAT_ID,
+    VERSION,
+    isDocument,
+    serialize,
+    parse,
+    toLayerData,
+    toFrames,
+    compositeLayers,
+    flattenPixels,
+    flattenRGBA,
+    toDataString,
+    getDimensions
+};
+
+export default ProjectDocument;
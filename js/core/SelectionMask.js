@@ -0,0 +1,350 @@
+/**
+ * SelectionMask - Per-Pixel Selections
+ *
+ * A selection is a mask with one byte per canvas pixel (1 = selected), so
+ * it can take any shape: rectangles, lasso outlines, magic wand regions
+ * and combinations of them. Masks are treated as immutable; every
+ * operation returns a new mask.
+ *
+ * Combining a new shape with the current selection:
+ * - replace: the new shape only
+ * - add: either (Shift)
+ * - subtract: the current selection without the new shape (Alt)
+ * - intersect: both (Shift+Alt)
+ *
+ * This module must stay DOM-free.
+ *
+ * @module SelectionMask
+ *
+ * @typedef {import('../types.js').SelectionBounds} SelectionBounds
+ *
+ * @typedef {Object} SelectionMaskData
+ * @property {number} width - Canvas width
+ * @property {number} height - Canvas height
+ * @property {Uint8Array} data - 1 per selected pixel, row by row
+ *
+ * @typedef {'replace'|'add'|'subtract'|'intersect'} SelectionMode
+ *
+ * @typedef {Object} OutlineSegment
+ * @property {number} x1 - Start X in pixel edges
+ * @property {number} y1 - Start Y in pixel edges
+ * @property {number} x2 - End X in pixel edges
+ * @property {number} y2 - End Y in pixel edges
+ */
+
+const MODES = ['replace', 'add', 'subtract', 'intersect'];
+
+/**
+ * Create an empty mask
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {SelectionMaskData} Mask
+ */
+function create(width, height) {
+    return { width, height, data: new Uint8Array(width * height) };
+}
+
+/**
+ * Create a mask from a rectangle (clipped to the canvas)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {SelectionBounds} bounds - Rectangle, corners inclusive
+ * @returns {SelectionMaskData} Mask
+ */
+function fromRect(width, height, bounds) {
+    const mask = create(width, height);
+    const x1 = Math.max(0, Math.min(bounds.x1, bounds.x2));
+    const x2 = Math.min(width - 1, Math.max(bounds.x1, bounds.x2));
+    const y1 = Math.max(0, Math.min(bounds.y1, bounds.y2));
+    const y2 = Math.min(height - 1, Math.max(bounds.y1, bounds.y2));
+
+    for (let y = y1; y <= y2; y++) {
+        mask.data.fill(1, y * width + x1, y * width + x2 + 1);
+    }
+    return mask;
+}
+
+/**
+ * Create a mask of the non-transparent pixels of an image placed on the canvas
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Array<Array<number>>} pixels - 2D array of color indices (0 = transparent)
+ * @param {number} [left=0] - Canvas column of the image's first column
+ * @param {number} [top=0] - Canvas row of the image's first row
+ * @returns {SelectionMaskData} Mask (parts off the canvas are dropped)
+ */
+function fromPixels(width, height, pixels, left = 0, top = 0) {
+    const mask = create(width, height);
+
+    pixels.forEach((row, j) => {
+        row.forEach((value, i) => {
+            const x = left + i;
+            const y = top + j;
+            if (value !== 0 && x >= 0 && x < width && y >= 0 && y < height) {
+                mask.data[y * width + x] = 1;
+            }
+        });
+    });
+    return mask;
+}
+
+/**
+ * Create a mask from a closed polygon through pixel centers
+ * Pixels inside the polygon (even-odd rule) and pixels on its edges are
+ * selected, so even a thin or degenerate outline selects what it touches.
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Array<{x: number, y: number}>} points - Vertices in pixel coordinates
+ * @returns {SelectionMaskData} Mask
+ */
+function fromPolygon(width, height, points) {
+    const mask = create(width, height);
+    if (points.length === 0) {
+        return mask;
+    }
+
+    const set = (x, y) => {
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+            mask.data[y * width + x] = 1;
+        }
+    };
+
+    // Interior: scanline through each row of pixel centers
+    for (let y = 0; y < height; y++) {
+        const crossings = [];
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            if ((a.y > y) !== (b.y > y)) {
+                crossings.push(a.x + ((y - a.y) * (b.x - a.x)) / (b.y - a.y));
+            }
+        }
+        crossings.sort((p, q) => p - q);
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            const from = Math.max(0, Math.ceil(crossings[i]));
+            const to = Math.min(width - 1, Math.floor(crossings[i + 1]));
+            for (let x = from; x <= to; x++) {
+                mask.data[y * width + x] = 1;
+            }
+        }
+    }
+
+    // Edges
+    for (let i = 0; i < points.length; i++) {
+        traceLine(points[i], points[(i + 1) % points.length], set);
+    }
+
+    return mask;
+}
+
+/**
+ * Visit the pixels of a line (Bresenham)
+ * @private
+ * @param {{x: number, y: number}} from - Start pixel
+ * @param {{x: number, y: number}} to - End pixel
+ * @param {function(number, number): void} visit - Called per pixel
+ */
+function traceLine(from, to, visit) {
+    let x = from.x;
+    let y = from.y;
+    const dx = Math.abs(to.x - x);
+    const dy = -Math.abs(to.y - y);
+    const sx = x < to.x ? 1 : -1;
+    const sy = y < to.y ? 1 : -1;
+    let err = dx + dy;
+
+    for (;;) {
+        visit(x, y);
+        if (x === to.x && y === to.y) {
+            break;
+        }
+        const e2 = 2 * err;
+        if (e2 >= dy) {
+            err += dy;
+            x += sx;
+        }
+        if (e2 <= dx) {
+            err += dx;
+            y += sy;
+        }
+    }
+}
+
+/**
+ * Get the combine mode for the modifier keys of a pointer event
+ * @param {{shiftKey?: boolean, altKey?: boolean}} modifiers - Event or key state
+ * @returns {SelectionMode} Mode
+ */
+function getMode(modifiers) {
+    if (modifiers.shiftKey && modifiers.altKey) return 'intersect';
+    if (modifiers.shiftKey) return 'add';
+    if (modifiers.altKey) return 'subtract';
+    return 'replace';
+}
+
+/**
+ * Combine a new shape with the current selection
+ * @param {SelectionMaskData|null} current - Current selection (null = nothing selected)
+ * @param {SelectionMaskData} shape - New shape
+ * @param {SelectionMode} [mode='replace'] - Combine mode
+ * @returns {SelectionMaskData} Resulting mask (may be empty)
+ */
+function combine(current, shape, mode = 'replace') {
+    const result = create(shape.width, shape.height);
+
+    for (let y = 0; y < shape.height; y++) {
+        for (let x = 0; x < shape.width; x++) {
+            const i = y * shape.width + x;
+            const inShape = shape.data[i] === 1;
+            const inCurrent = current ? contains(current, x, y) : false;
+            let selected;
+            switch (mode) {
+                case 'add':
+                    selected = inShape || inCurrent;
+                    break;
+                case 'subtract':
+                    selected = inCurrent && !inShape;
+                    break;
+                case 'intersect':
+                    selected = inCurrent && inShape;
+                    break;
+                default:
+                    selected = inShape;
+            }
+            result.data[i] = selected ? 1 : 0;
+        }
+    }
+    return result;
+}
+
+/**
+ * Check if a pixel is selected
+ * @param {SelectionMaskData} mask - Mask
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {boolean} True if selected (false outside the mask)
+ */
+function contains(mask, x, y) {
+    if (x < 0 || x >= mask.width || y < 0 || y >= mask.height) {
+        return false;
+    }
+    return mask.data[y * mask.width + x] === 1;
+}
+
+/**
+ * Check if nothing is selected
+ * @param {SelectionMaskData} mask - Mask
+ * @returns {boolean} True if no pixel is selected
+ */
+function isEmpty(mask) {
+    return !mask.data.includes(1);
+}
+
+/**
+ * Get the bounding box of the selected pixels
+ * @param {SelectionMaskData} mask - Mask
+ * @returns {SelectionBounds|null} Bounds, or null for an empty mask
+ */
+function getBounds(mask) {
+    let x1 = mask.width;
+    let y1 = mask.height;
+    let x2 = -1;
+    let y2 = -1;
+
+    for (let y = 0; y < mask.height; y++) {
+        for (let x = 0; x < mask.width; x++) {
+            if (mask.data[y * mask.width + x] === 1) {
+                x1 = Math.min(x1, x);
+                x2 = Math.max(x2, x);
+                y1 = Math.min(y1, y);
+                y2 = Math.max(y2, y);
+            }
+        }
+    }
+
+    return x2 < 0 ? null : { x1, y1, x2, y2 };
+}
+
+/**
+ * Shift a mask (pixels moved off the canvas are dropped)
+ * @param {SelectionMaskData} mask - Mask
+ * @param {number} dx - Columns to move right
+ * @param {number} dy - Rows to move down
+ * @returns {SelectionMaskData} Moved mask
+ */
+function translate(mask, dx, dy) {
+    const result = create(mask.width, mask.height);
+
+    for (let y = 0; y < mask.height; y++) {
+        for (let x = 0; x < mask.width; x++) {
+            if (mask.data[y * mask.width + x] === 1) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx >= 0 && nx < mask.width && ny >= 0 && ny < mask.height) {
+                    result.data[ny * mask.width + nx] = 1;
+                }
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Get the outline of the selected area
+ * Each segment lies on pixel edges between a selected and an unselected
+ * pixel (or the canvas border); runs along a row or column are merged.
+ * @param {SelectionMaskData} mask - Mask
+ * @returns {Array<OutlineSegment>} Segments
+ */
+function getOutline(mask) {
+    const { width, height } = mask;
+    const at = (x, y) => contains(mask, x, y);
+    const segments = [];
+
+    // Horizontal edges: between row y - 1 and row y
+    for (let y = 0; y <= height; y++) {
+        let start = -1;
+        for (let x = 0; x <= width; x++) {
+            const edge = x < width && at(x, y - 1) !== at(x, y);
+            if (edge && start < 0) {
+                start = x;
+            } else if (!edge && start >= 0) {
+                segments.push({ x1: start, y1: y, x2: x, y2: y });
+                start = -1;
+            }
+        }
+    }
+
+    // Vertical edges: between column x - 1 and column x
+    for (let x = 0; x <= width; x++) {
+        let start = -1;
+        for (let y = 0; y <= height; y++) {
+            const edge = y < height && at(x - 1, y) !== at(x, y);
+            if (edge && start < 0) {
+                start = y;
+            } else if (!edge && start >= 0) {
+                segments.push({ x1: x, y1: start, x2: x, y2: y });
+                start = -1;
+            }
+        }
+    }
+
+    return segments;
+}
+
+const SelectionMask = {
+    MODES,
+    create,
+    fromRect,
+    fromPixels,
+    fromPolygon,
+    getMode,
+    combine,
+    contains,
+    isEmpty,
+    getBounds,
+    translate,
+    getOutline
+};
+
+export default SelectionMask;
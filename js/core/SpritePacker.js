@@ -0,0 +1,299 @@
+/**
+ * SpritePacker - Sprite sheet layout and atlas descriptors
+ *
+ * Packs rectangles into a single sheet and describes the result:
+ * - Grid packing (uniform cells, input order)
+ * - Tight packing (height-sorted shelves, smallest sheet area wins)
+ * - Padding between sprites and around the sheet edge
+ * - TexturePacker JSON (hash and array) and CSS sprite descriptors
+ *
+ * This module is DOM-free; rendering the sheet is spriteSheetExport's job.
+ *
+ * @module SpritePacker
+ *
+ * @typedef {Object} SpriteSize
+ * @property {string} name - Unique sprite name
+ * @property {number} width - Width in sheet pixels
+ * @property {number} height - Height in sheet pixels
+ *
+ * @typedef {Object} SpritePlacement
+ * @property {string} name - Sprite name
+ * @property {number} x - Left edge in the sheet
+ * @property {number} y - Top edge in the sheet
+ * @property {number} width - Width in sheet pixels
+ * @property {number} height - Height in sheet pixels
+ *
+ * @typedef {Object} SheetLayout
+ * @property {number} width - Sheet width
+ * @property {number} height - Sheet height
+ * @property {Array<SpritePlacement>} sprites - Placements in input order
+ *
+ * @typedef {Object} PackOptions
+ * @property {'grid'|'tight'} [packing='grid'] - Packing mode
+ * @property {number} [padding=0] - Gap between sprites and around the edge
+ * @property {number} [columns] - Grid columns (default: near-square grid)
+ *
+ * @typedef {Object} AtlasMeta
+ * @property {string} image - Sheet image filename
+ * @property {number} scale - Scale the sprites were rendered at
+ * @property {string} [prefix='sprite'] - CSS class prefix
+ */
+
+const APP_NAME = 'Inline.PX';
+const APP_URL = 'https://github.com/ibimspumo/pixelcreator';
+
+const ATLAS_FORMATS = {
+    'json-hash': { label: 'TexturePacker JSON (Hash)', extension: 'json', mimeType: 'application/json' },
+    'json-array': { label: 'TexturePacker JSON (Array)', extension: 'json', mimeType: 'application/json' },
+    'css': { label: 'CSS Sprites', extension: 'css', mimeType: 'text/css' }
+};
+
+/**
+ * Lay sprites out in a uniform grid
+ * @private
+ * @param {Array<SpriteSize>} sprites - Sprites
+ * @param {number} padding - Padding
+ * @param {number} [columns] - Column count
+ * @returns {SheetLayout} Layout
+ */
+function packGrid(sprites, padding, columns) {
+    const cellWidth = Math.max(...sprites.map(s => s.width));
+    const cellHeight = Math.max(...sprites.map(s => s.height));
+    const cols = Math.max(1, Math.min(sprites.length, columns || Math.ceil(Math.sqrt(sprites.length))));
+    const rows = Math.ceil(sprites.length / cols);
+
+    return {
+        width: padding + cols * (cellWidth + padding),
+        height: padding + rows * (cellHeight + padding),
+        sprites: sprites.map((sprite, index) => ({
+            name: sprite.name,
+            x: padding + (index % cols) * (cellWidth + padding),
+            y: padding + Math.floor(index / cols) * (cellHeight + padding),
+            width: sprite.width,
+            height: sprite.height
+        }))
+    };
+}
+
+/**
+ * Fill shelves left to right within a maximum sheet width
+ * @private
+ * @param {Array<SpriteSize>} sprites - Sprites
+ * @param {Array<number>} order - Indices, tallest first
+ * @param {number} padding - Padding
+ * @param {number} maxWidth - Maximum sheet width
+ * @returns {SheetLayout} Layout
+ */
+function packShelves(sprites, order, padding, maxWidth) {
+    const placed = new Array(sprites.length);
+    let x = padding;
+    let y = padding;
+    let shelfHeight = 0;
+    let width = 0;
+
+    for (const index of order) {
+        const sprite = sprites[index];
+        if (x > padding && x + sprite.width + padding > maxWidth) {
+            y += shelfHeight + padding;
+            x = padding;
+            shelfHeight = 0;
+        }
+
+        placed[index] = { name: sprite.name, x, y, width: sprite.width, height: sprite.height };
+        x += sprite.width + padding;
+        shelfHeight = Math.max(shelfHeight, sprite.height);
+        width = Math.max(width, x);
+    }
+
+    return { width, height: y + shelfHeight + padding, sprites: placed };
+}
+
+/**
+ * Pack sprites tightly
+ * Tries several shelf widths around the square root of the total area
+ * and keeps the smallest (then most square) sheet.
+ * @private
+ * @param {Array<SpriteSize>} sprites - Sprites
+ * @param {number} padding - Padding
+ * @returns {SheetLayout} Layout
+ */
+function packTight(sprites, padding) {
+    const order = sprites
+        .map((_, index) => index)
+        .sort((a, b) => (sprites[b].height - sprites[a].height) || (sprites[b].width - sprites[a].width));
+
+    const area = sprites.reduce((sum, s) => sum + (s.width + padding) * (s.height + padding), 0);
+    const minWidth = Math.max(...sprites.map(s => s.width)) + padding * 2;
+    const maxWidth = sprites.reduce((sum, s) => sum + s.width + padding, padding);
+
+    const candidates = new Set([minWidth, maxWidth]);
+    for (let factor = 0.5; factor <= 2; factor += 0.125) {
+        candidates.add(Math.min(maxWidth, Math.max(minWidth, Math.ceil(Math.sqrt(area) * factor))));
+    }
+
+    let best = null;
+    for (const width of candidates) {
+        const layout = packShelves(sprites, order, padding, width);
+        const layoutArea = layout.width * layout.height;
+        const bestArea = best ? best.width * best.height : Infinity;
+        if (layoutArea < bestArea ||
+            (layoutArea === bestArea && Math.abs(layout.width - layout.height) < Math.abs(best.width - best.height))) {
+            best = layout;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Pack sprites into a sheet
+ * @param {Array<SpriteSize>} sprites - Sprites (sizes in sheet pixels)
+ * @param {PackOptions} options - Packing options
+ * @returns {SheetLayout} Layout
+ */
+function pack(sprites, { packing = 'grid', padding = 0, columns } = {}) {
+    if (!sprites || sprites.length === 0) {
+        return { width: 0, height: 0, sprites: [] };
+    }
+
+    const gap = Math.max(0, Math.floor(padding) || 0);
+    return packing === 'tight' ? packTight(sprites, gap) : packGrid(sprites, gap, columns);
+}
+
+/**
+ * Build the TexturePacker meta block
+ * @private
+ * @param {SheetLayout} layout - Layout
+ * @param {AtlasMeta} meta - Atlas meta
+ * @returns {Object} Meta
+ */
+function buildMeta(layout, meta) {
+    return {
+        app: APP_URL,
+        version: '1.0',
+        image: meta.image,
+        format: 'RGBA8888',
+        size: { w: layout.width, h: layout.height },
+        scale: String(meta.scale),
+        generator: APP_NAME
+    };
+}
+
+/**
+ * Build a TexturePacker frame entry
+ * @private
+ * @param {SpritePlacement} sprite - Placement
+ * @returns {Object} Frame data
+ */
+function buildFrame(sprite) {
+    return {
+        frame: { x: sprite.x, y: sprite.y, w: sprite.width, h: sprite.height },
+        rotated: false,
+        trimmed: false,
+        spriteSourceSize: { x: 0, y: 0, w: sprite.width, h: sprite.height },
+        sourceSize: { w: sprite.width, h: sprite.height }
+    };
+}
+
+/**
+ * Describe a layout as TexturePacker "JSON (Hash)"
+ * @param {SheetLayout} layout - Layout
+ * @param {AtlasMeta} meta - Atlas meta
+ * @returns {Object} Atlas
+ */
+function toTexturePackerHash(layout, meta) {
+    const frames = {};
+    layout.sprites.forEach(sprite => {
+        frames[sprite.name] = buildFrame(sprite);
+    });
+    return { frames, meta: buildMeta(layout, meta) };
+}
+
+/**
+ * Describe a layout as TexturePacker "JSON (Array)"
+ * @param {SheetLayout} layout - Layout
+ * @param {AtlasMeta} meta - Atlas meta
+ * @returns {Object} Atlas
+ */
+function toTexturePackerArray(layout, meta) {
+    return {
+        frames: layout.sprites.map(sprite => ({ filename: sprite.name, ...buildFrame(sprite) })),
+        meta: buildMeta(layout, meta)
+    };
+}
+
+/**
+ * Turn a sprite name into a CSS class suffix
+ * @private
+ * @param {string} name - Sprite name
+ * @returns {string} Class-safe slug
+ */
+function toClassName(name) {
+    const slug = name
+        .replace(/\.[^.]+$/, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return /^[a-z_]/.test(slug) ? slug : `s${slug}`;
+}
+
+/**
+ * Describe a layout as CSS sprite classes
+ * @param {SheetLayout} layout - Layout
+ * @param {AtlasMeta} meta - Atlas meta
+ * @returns {string} Stylesheet
+ */
+function toCSS(layout, meta) {
+    const prefix = meta.prefix || 'sprite';
+    const used = new Set();
+
+    const rules = layout.sprites.map(sprite => {
+        const base = `${prefix}-${toClassName(sprite.name)}`;
+        let className = base;
+        for (let n = 2; used.has(className); n++) {
+            className = `${base}-${n}`;
+        }
+        used.add(className);
+
+        const x = sprite.x === 0 ? '0' : `-${sprite.x}px`;
+        const y = sprite.y === 0 ? '0' : `-${sprite.y}px`;
+        return `.${className} {\n    width: ${sprite.width}px;\n    height: ${sprite.height}px;\n    background-position: ${x} ${y};\n}`;
+    });
+
+    return [
+        `/* Generated by ${APP_NAME} - ${layout.width}×${layout.height}, scale ${meta.scale} */`,
+        `.${prefix} {\n    display: inline-block;\n    background-image: url('${meta.image}');\n    background-repeat: no-repeat;\n    image-rendering: pixelated;\n}`,
+        ...rules
+    ].join('\n\n') + '\n';
+}
+
+/**
+ * Serialize a layout in one of the ATLAS_FORMATS
+ * @param {SheetLayout} layout - Layout
+ * @param {keyof ATLAS_FORMATS} format - Atlas format
+ * @param {AtlasMeta} meta - Atlas meta
+ * @returns {string} File content
+ */
+function formatAtlas(layout, format, meta) {
+    switch (format) {
+        case 'json-hash':
+            return JSON.stringify(toTexturePackerHash(layout, meta), null, 2);
+        case 'json-array':
+            return JSON.stringify(toTexturePackerArray(layout, meta), null, 2);
+        case 'css':
+            return toCSS(layout, meta);
+        default:
+            throw new Error(`Unknown atlas format: ${format}`);
+    }
+}
+
+const SpritePacker = {
+    ATLAS_FORMATS,
+    pack,
+    toTexturePackerHash,
+    toTexturePackerArray,
+    toCSS,
+    formatAtlas
+};
+
+export default SpritePacker;
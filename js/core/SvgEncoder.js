@@ -0,0 +1,124 @@
+/**
+ * SvgEncoder - Resolution-Independent SVG for Indexed Pixel Art
+ *
+ * Turns a grid of palette indices into a compact SVG string:
+ * - Greedy meshing: same-color areas become as few rectangles as possible
+ * - One <path> per palette color (rectangles as subpaths)
+ * - Palette index 0 is left out (transparent background)
+ * - shape-rendering="crispEdges" so edges stay sharp at any size
+ * - Optional CSS class per palette color, so the palette can be restyled
+ *
+ * This module must stay DOM-free.
+ *
+ * @module SvgEncoder
+ *
+ * @typedef {Object} MeshRect
+ * @property {number} index - Palette index
+ * @property {number} x - Left edge (pixels)
+ * @property {number} y - Top edge (pixels)
+ * @property {number} width - Width (pixels)
+ * @property {number} height - Height (pixels)
+ *
+ * @typedef {Object} SvgOptions
+ * @property {number} [scale=1] - Rendered size per pixel (width/height attributes)
+ * @property {boolean} [useClasses=false] - Emit a <style> block and class per color
+ * @property {string} [classPrefix='px'] - Class name prefix (`${prefix}-${index}`)
+ */
+
+/**
+ * Merge same-color pixels into rectangles
+ * Scans rows top to bottom; each unvisited pixel grows right as far as
+ * possible, then down while the whole run still matches.
+ * @param {Array<Array<number>>} pixels - 2D array of palette indices
+ * @returns {Array<MeshRect>} Rectangles (index 0 excluded)
+ */
+function greedyMesh(pixels) {
+    const height = pixels.length;
+    const width = height > 0 ? pixels[0].length : 0;
+    const visited = new Uint8Array(width * height);
+    const rects = [];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = pixels[y][x];
+            if (index === 0 || visited[y * width + x]) continue;
+
+            let w = 1;
+            while (x + w < width && pixels[y][x + w] === index && !visited[y * width + x + w]) {
+                w++;
+            }
+
+            let h = 1;
+            grow: while (y + h < height) {
+                for (let dx = 0; dx < w; dx++) {
+                    if (pixels[y + h][x + dx] !== index || visited[(y + h) * width + x + dx]) {
+                        break grow;
+                    }
+                }
+                h++;
+            }
+
+            for (let dy = 0; dy < h; dy++) {
+                visited.fill(1, (y + dy) * width + x, (y + dy) * width + x + w);
+            }
+
+            rects.push({ index, x, y, width: w, height: h });
+        }
+    }
+
+    return rects;
+}
+
+/**
+ * Build path data for a set of rectangles
+ * @private
+ * @param {Array<MeshRect>} rects - Rectangles of one color
+ * @returns {string} Path data
+ */
+function toPathData(rects) {
+    return rects.map(r => `M${r.x} ${r.y}h${r.width}v${r.height}h-${r.width}z`).join('');
+}
+
+/**
+ * Encode pixels as an SVG document
+ * @param {Array<Array<number>>} pixels - 2D array of palette indices
+ * @param {Array<string|null>} colors - Colors by palette index
+ * @param {SvgOptions} options - Output options
+ * @returns {string} SVG markup
+ */
+function encode(pixels, colors, { scale = 1, useClasses = false, classPrefix = 'px' } = {}) {
+    const height = pixels.length;
+    const width = height > 0 ? pixels[0].length : 0;
+
+    // Group rectangles by color, in palette order for stable output
+    const byIndex = new Map();
+    greedyMesh(pixels).forEach(rect => {
+        if (!byIndex.has(rect.index)) byIndex.set(rect.index, []);
+        byIndex.get(rect.index).push(rect);
+    });
+    const indices = [...byIndex.keys()].sort((a, b) => a - b);
+
+    const lines = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${height * scale}" viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`
+    ];
+
+    if (useClasses && indices.length > 0) {
+        const rules = indices.map(index => `.${classPrefix}-${index}{fill:${colors[index]}}`).join('');
+        lines.push(`<style>${rules}</style>`);
+    }
+
+    indices.forEach(index => {
+        const paint = useClasses ? `class="${classPrefix}-${index}"` : `fill="${colors[index]}"`;
+        lines.push(`<path ${paint} d="${toPathData(byIndex.get(index))}"/>`);
+    });
+
+    lines.push('</svg>');
+    return lines.join('\n') + '\n';
+}
+
+const SvgEncoder = {
+    greedyMesh,
+    encode
+};
+
+export default SvgEncoder;
@@ -0,0 +1,141 @@
+/**
+ * Symmetry - Mirror and Rotation Transforms for Drawing
+ *
+ * Maps a pixel to its symmetric counterparts for a symmetry setting:
+ * - horizontal: mirrored left ↔ right across a vertical axis
+ * - vertical: mirrored top ↔ bottom across a horizontal axis
+ * - both: both mirrors and the point mirror (4 copies)
+ * - rotational: N copies rotated evenly around the axis center
+ *
+ * The axis is given in pixel edges: on a 16 px wide canvas x = 8 runs
+ * between pixels 7 and 8, x = 7.5 through the middle of pixel 7. A null
+ * axis means the canvas center.
+ *
+ * This module must stay DOM-free.
+ *
+ * @module Symmetry
+ *
+ * @typedef {'none'|'horizontal'|'vertical'|'both'|'rotational'} SymmetryMode
+ *
+ * @typedef {Object} SymmetrySettings
+ * @property {SymmetryMode} mode - Symmetry mode
+ * @property {number} segments - Copies for rotational symmetry
+ * @property {number|null} axisX - Vertical axis position in pixel edges (null = center)
+ * @property {number|null} axisY - Horizontal axis position in pixel edges (null = center)
+ *
+ * @typedef {function(number, number): {x: number, y: number}} PointTransform
+ */
+
+const MODES = ['none', 'horizontal', 'vertical', 'both', 'rotational'];
+const MIN_SEGMENTS = 2;
+const MAX_SEGMENTS = 16;
+
+const DEFAULT_SETTINGS = {
+    mode: 'none',
+    segments: 4,
+    axisX: null,
+    axisY: null
+};
+
+/**
+ * Validate settings, filling in defaults
+ * Axis positions snap to half pixels; they are not clamped to a canvas here.
+ * @param {Object|null} settings - Settings (e.g. read from storage)
+ * @returns {SymmetrySettings} Valid settings
+ */
+function normalize(settings) {
+    const axis = value => (Number.isFinite(value) ? Math.round(value * 2) / 2 : null);
+    const segments = Math.round(Number(settings?.segments));
+
+    return {
+        mode: MODES.includes(settings?.mode) ? settings.mode : DEFAULT_SETTINGS.mode,
+        segments: Number.isFinite(segments)
+            ? Math.min(MAX_SEGMENTS, Math.max(MIN_SEGMENTS, segments))
+            : DEFAULT_SETTINGS.segments,
+        axisX: axis(settings?.axisX),
+        axisY: axis(settings?.axisY)
+    };
+}
+
+/**
+ * Resolve the axis position on a canvas
+ * @param {SymmetrySettings} settings - Settings
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {{x: number, y: number}} Axis in pixel edges, inside the canvas
+ */
+function getAxis(settings, width, height) {
+    const clamp = (value, max) => Math.min(max, Math.max(0, value));
+    return {
+        x: settings.axisX === null ? width / 2 : clamp(settings.axisX, width),
+        y: settings.axisY === null ? height / 2 : clamp(settings.axisY, height)
+    };
+}
+
+/**
+ * Round a sine or cosine so right angles map pixels exactly
+ * @private
+ * @param {number} value - Sine or cosine
+ * @returns {number} Value with float noise removed
+ */
+function snap(value) {
+    return Math.abs(value) < 1e-9 ? 0 : value;
+}
+
+/**
+ * Get the transforms to a point's symmetric counterparts
+ * The identity is not included; an empty list means symmetry is off.
+ * @param {SymmetrySettings} settings - Settings
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Array<PointTransform>} Transforms (results may lie outside the canvas)
+ */
+function getTransforms(settings, width, height) {
+    const axis = getAxis(settings, width, height);
+
+    // Pixel centers sit at +0.5, so mirroring x across the edge axis is 2a - 1 - x
+    const mirrorX = x => 2 * axis.x - 1 - x;
+    const mirrorY = y => 2 * axis.y - 1 - y;
+
+    switch (settings.mode) {
+        case 'horizontal':
+            return [(x, y) => ({ x: mirrorX(x), y })];
+        case 'vertical':
+            return [(x, y) => ({ x, y: mirrorY(y) })];
+        case 'both':
+            return [
+                (x, y) => ({ x: mirrorX(x), y }),
+                (x, y) => ({ x, y: mirrorY(y) }),
+                (x, y) => ({ x: mirrorX(x), y: mirrorY(y) })
+            ];
+        case 'rotational': {
+            const cx = axis.x - 0.5;
+            const cy = axis.y - 0.5;
+            const transforms = [];
+            for (let k = 1; k < settings.segments; k++) {
+                const angle = (2 * Math.PI * k) / settings.segments;
+                const cos = snap(Math.cos(angle));
+                const sin = snap(Math.sin(angle));
+                transforms.push((x, y) => ({
+                    x: Math.round(cx + (x - cx) * cos - (y - cy) * sin),
+                    y: Math.round(cy + (x - cx) * sin + (y - cy) * cos)
+                }));
+            }
+            return transforms;
+        }
+        default:
+            return [];
+    }
+}
+
+const Symmetry = {
+    MODES,
+    MIN_SEGMENTS,
+    MAX_SEGMENTS,
+    DEFAULT_SETTINGS,
+    normalize,
+    getAxis,
+    getTransforms
+};
+
+export default Symmetry;
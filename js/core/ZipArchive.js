@@ -0,0 +1,240 @@
+/**
+ * ZipArchive - Minimal ZIP Reader/Writer
+ *
+ * Enough of the ZIP format for project bundles:
+ * - Writes stored or deflated entries with UTF-8 names
+ * - Reads stored and deflated entries (CRC checked); no ZIP64, encryption
+ *   or multi-disk archives
+ *
+ * Compression is pluggable like in PngCodec, but works on raw deflate
+ * streams (no zlib header) and may be async: pass `deflateRaw`/`inflateRaw`
+ * (e.g. node:zlib's deflateRawSync, or CompressionStream('deflate-raw') in
+ * browsers). Without `deflateRaw` every entry is stored; reading a deflated
+ * entry without `inflateRaw` fails.
+ *
+ * This module must stay DOM-free.
+ *
+ * @module ZipArchive
+ *
+ * @typedef {function(Uint8Array): (Uint8Array|Promise<Uint8Array>)} RawDeflateFunction
+ *
+ * @typedef {Object} ZipEntry
+ * @property {string} path - Path inside the archive ("sprites/hero.json")
+ * @property {Uint8Array} data - Uncompressed contents
+ * @property {Date} [date] - Modification date (defaults to now)
+ */
+
+import PngCodec from './PngCodec.js';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+const VERSION = 20;
+
+// End record (22 bytes) plus the longest possible comment
+const MAX_END_SEARCH = 22 + 0xFFFF;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @private
+ * @param {Date} date - Date (clamped to 1980-2107)
+ * @returns {{time: number, day: number}} Packed fields
+ */
+function toDosDateTime(date) {
+    const year = Math.min(2107, Math.max(1980, date.getFullYear()));
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Write an archive
+ * Entries are deflated only when that makes them smaller.
+ * @param {Array<ZipEntry>} entries - Files to add, in order
+ * @param {Object} options - Options
+ * @param {RawDeflateFunction|null} [options.deflateRaw=null] - Raw deflate (null = store)
+ * @returns {Promise<Uint8Array>} ZIP bytes
+ */
+async function create(entries, { deflateRaw = null } = {}) {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = textEncoder.encode(entry.path);
+        const { time, day } = toDosDateTime(entry.date || new Date());
+        const crc = PngCodec.crc32(entry.data);
+
+        let method = METHOD_STORED;
+        let data = entry.data;
+        if (deflateRaw && entry.data.length > 0) {
+            const deflated = await deflateRaw(entry.data);
+            if (deflated.length < entry.data.length) {
+                method = METHOD_DEFLATE;
+                data = deflated;
+            }
+        }
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER, true);
+        local.setUint16(4, VERSION, true);
+        local.setUint16(6, FLAG_UTF8, true);
+        local.setUint16(8, method, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, entry.data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(new Uint8Array(local.buffer), name, data);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, CENTRAL_HEADER, true);
+        header.setUint16(4, VERSION, true);
+        header.setUint16(6, VERSION, true);
+        header.setUint16(8, FLAG_UTF8, true);
+        header.setUint16(10, method, true);
+        header.setUint16(12, time, true);
+        header.setUint16(14, day, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, data.length, true);
+        header.setUint32(24, entry.data.length, true);
+        header.setUint16(28, name.length, true);
+        header.setUint32(42, offset, true);
+        central.push(new Uint8Array(header.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const all = [...parts, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(all.reduce((total, part) => total + part.length, 0));
+    let position = 0;
+    all.forEach(part => {
+        out.set(part, position);
+        position += part.length;
+    });
+    return out;
+}
+
+/**
+ * Find the end of central directory record
+ * @private
+ * @param {DataView} view - Archive bytes
+ * @returns {number} Offset of the record
+ */
+function findEndRecord(view) {
+    const stop = Math.max(0, view.byteLength - MAX_END_SEARCH);
+    for (let i = view.byteLength - 22; i >= stop; i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            return i;
+        }
+    }
+    throw new Error('Not a ZIP archive');
+}
+
+/**
+ * Read an archive
+ * Directory entries are skipped.
+ * @param {Uint8Array} bytes - ZIP bytes
+ * @param {Object} options - Options
+ * @param {RawDeflateFunction|null} [options.inflateRaw=null] - Raw inflate for deflated entries
+ * @returns {Promise<Array<{path: string, data: Uint8Array}>>} Entries in archive order
+ * @throws {Error} If the archive is invalid, uses an unsupported feature or fails its CRC
+ */
+async function read(bytes, { inflateRaw = null } = {}) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = findEndRecord(view);
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (position + 46 > bytes.length || view.getUint32(position, true) !== CENTRAL_HEADER) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+
+        const flags = view.getUint16(position + 8, true);
+        const method = view.getUint16(position + 10, true);
+        const crc = view.getUint32(position + 16, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const path = textDecoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (path.endsWith('/')) continue;
+        if (flags & 0x0001) {
+            throw new Error(`Encrypted ZIP entries are not supported: ${path}`);
+        }
+        if (localOffset + 30 > bytes.length || view.getUint32(localOffset, true) !== LOCAL_HEADER) {
+            throw new Error(`Corrupt ZIP entry: ${path}`);
+        }
+
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = bytes.subarray(start, start + compressedSize);
+
+        let data;
+        if (method === METHOD_STORED) {
+            data = raw;
+        } else if (method === METHOD_DEFLATE) {
+            if (!inflateRaw) {
+                throw new Error('Reading deflated ZIP entries needs an inflateRaw function');
+            }
+            data = await inflateRaw(raw);
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method}: ${path}`);
+        }
+
+        if (PngCodec.crc32(data) !== crc) {
+            throw new Error(`ZIP checksum mismatch: ${path}`);
+        }
+        entries.push({ path, data });
+    }
+
+    return entries;
+}
+
+/**
+ * Encode text as UTF-8 entry data
+ * @param {string} text - Text
+ * @returns {Uint8Array} Bytes
+ */
+function encodeText(text) {
+    return textEncoder.encode(text);
+}
+
+/**
+ * Decode UTF-8 entry data
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Text
+ */
+function decodeText(bytes) {
+    return textDecoder.decode(bytes);
+}
+
+const ZipArchive = {
+    create,
+    read,
+    encodeText,
+    decodeText
+};
+
+export default ZipArchive;
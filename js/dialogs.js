@@ -15,6 +15,14 @@ import logger from './core/Logger.js';
 import { initDialogSystem, createDialogElement, showDialog, closeDialog } from './dialogs/DialogCore.js';
 import { getIconForType } from './dialogs/DialogHelpers.js';
 import { showExportDialog } from './dialogs/ExportDialog.js';
+import { showImageImportDialog } from './dialogs/ImageImportDialog.js';
+import { showSpriteSheetDialog } from './dialogs/SpriteSheetDialog.js';
+import { showStorageDialog } from './dialogs/StorageDialog.js';
+import { showBundleImportDialog } from './dialogs/BundleImportDialog.js';
+import { showRevisionsDialog } from './dialogs/RevisionsDialog.js';
+import { showCompareDialog } from './dialogs/CompareDialog.js';
+import { showShortcutsDialog } from './dialogs/ShortcutsDialog.js';
+import { showLayerPropertiesDialog } from './dialogs/LayerPropertiesDialog.js';
 
 /**
  * Initialize dialog system
@@ -167,10 +175,88 @@ function prompt(title, message, defaultValue = '', options = {}) {
 /**
  * Show custom export dialog
  * @param {string} dataString - Export data string
+ * @param {Object} options - Dialog options (e.g. gifSources)
  * @returns {Promise<Object>} Resolves with export options
  */
-function exportDialog(dataString) {
-    return showExportDialog(dataString);
+function exportDialog(dataString, options = {}) {
+    return showExportDialog(dataString, options);
+}
+
+/**
+ * Show image import dialog (quantization options with live preview)
+ * @param {Object} image - Decoded RGBA image
+ * @param {Object} config - Dialog configuration (fileName, palette)
+ * @returns {Promise<Object|null>} Resolves with the conversion result or null
+ */
+function imageImportDialog(image, config) {
+    return showImageImportDialog(image, config);
+}
+
+/**
+ * Show sprite sheet export dialog
+ * @param {Object} sources - Sprite sources (SpriteSheetExport.getSources())
+ * @returns {Promise<Object|null>} Resolves with sprite sheet options or null
+ */
+function spriteSheetDialog(sources) {
+    return showSpriteSheetDialog(sources);
+}
+
+/**
+ * Show storage usage dialog
+ * @param {Object} report - Usage report (StorageUsage.getReport())
+ * @returns {Promise<Object|null>} Resolves with the chosen action or null
+ */
+function storageDialog(report) {
+    return showStorageDialog(report);
+}
+
+/**
+ * Show project bundle import dialog (summary, name conflicts and editor palette)
+ * @param {Object} bundle - Decoded bundle (ProjectBundle.decode())
+ * @param {Set<string>} existingNames - Names of the saved files
+ * @returns {Promise<{resolutions: Array<string|null>, palette: Object|null}|null>} Resolves with the choices or null
+ */
+function bundleImportDialog(bundle, existingNames) {
+    return showBundleImportDialog(bundle, existingNames);
+}
+
+/**
+ * Show saved file revisions (thumbnails, restore, pixel diff)
+ * @param {Object} file - Saved file
+ * @param {Array<Object>} revisions - Revisions, newest first (FileManager.getRevisions())
+ * @returns {Promise<Object|null>} Resolves with the chosen action or null
+ */
+function revisionsDialog(file, revisions) {
+    return showRevisionsDialog(file, revisions);
+}
+
+/**
+ * Show the pixel compare of two documents (tabs or pasted data strings)
+ * @param {Array<{name: string, data: string}>} sources - Documents to pick from
+ * @param {Object} [initial] - Preselected source indices ({before, after}, -1 = pasted)
+ * @returns {Promise<void>} Resolves when closed
+ */
+function compareDialog(sources, initial) {
+    return showCompareDialog(sources, initial);
+}
+
+/**
+ * Show the keyboard shortcut editor
+ * @param {Object} config - Commands, presets and the keymap to edit (see ShortcutsDialog)
+ * @returns {Promise<Object|null>} Resolves with the chosen action and edited keymap, or null
+ */
+function shortcutsDialog(config) {
+    return showShortcutsDialog(config);
+}
+
+/**
+ * Show the layer properties dialog (name, opacity, blend mode)
+ * @param {Object} layer - Layer to edit
+ * @param {Object} [options] - {onPreview} called with {opacity, blendMode} on every change
+ * @returns {Promise<Object|null>} Resolves with {name, opacity, blendMode} or null
+ */
+function layerPropertiesDialog(layer, options) {
+    return showLayerPropertiesDialog(layer, options);
 }
 
 const Dialogs = {
@@ -178,7 +264,15 @@ const Dialogs = {
     alert,
     confirm,
     prompt,
-    exportDialog
+    exportDialog,
+    imageImportDialog,
+    spriteSheetDialog,
+    storageDialog,
+    bundleImportDialog,
+    revisionsDialog,
+    compareDialog,
+    shortcutsDialog,
+    layerPropertiesDialog
 };
 
 export default Dialogs;
@@ -0,0 +1,168 @@
+/**
+ * BundleImportDialog - Project bundle import
+ *
+ * Features:
+ * - Summary of the bundle (sprites, palettes, folders, creation date)
+ * - Sprites that could not be read
+ * - Conflict handling for names that already exist: rename, overwrite or
+ *   skip, for all conflicts at once or per file
+ * - Choice of a bundle palette for the editor (its exported editor palette
+ *   is preselected)
+ *
+ * @module BundleImportDialog
+ *
+ * @typedef {import('../core/ProjectBundle.js').DecodedBundle} DecodedBundle
+ * @typedef {'rename'|'overwrite'|'skip'} ConflictResolution
+ *
+ * @typedef {Object} BundleImportChoice
+ * @property {Array<ConflictResolution|null>} resolutions - Resolution per bundle file (null = no conflict)
+ * @property {import('../core/ProjectBundle.js').BundlePalette|null} palette - Palette for the editor (null = keep the current one)
+ */
+
+import { createDialogElement, showDialog, closeDialog } from './DialogCore.js';
+import { escapeHtml } from './DialogHelpers.js';
+
+const RESOLUTIONS = {
+    rename: 'Keep both (rename)',
+    overwrite: 'Overwrite',
+    skip: 'Skip'
+};
+
+/**
+ * Show the bundle import dialog
+ * @param {DecodedBundle} bundle - Bundle contents
+ * @param {Set<string>} existingNames - Names of the saved files
+ * @returns {Promise<BundleImportChoice|null>} Choices, or null when cancelled
+ */
+export function showBundleImportDialog(bundle, existingNames) {
+    return new Promise((resolve) => {
+        const conflicts = bundle.files
+            .map((file, index) => ({ file, index }))
+            .filter(({ file }) => existingNames.has(file.name));
+
+        const dialog = createDialogElement({
+            title: 'Import Bundle',
+            message: null,
+            icon: 'folder_zip',
+            type: conflicts.length > 0 || bundle.invalid.length > 0 ? 'warning' : 'info',
+            customContent: buildContent(bundle, conflicts),
+            buttons: [
+                {
+                    text: 'Cancel',
+                    type: 'secondary',
+                    action: () => {
+                        closeDialog();
+                        resolve(null);
+                    }
+                },
+                {
+                    text: 'Import',
+                    type: 'primary',
+                    action: () => {
+                        const resolutions = bundle.files.map(() => null);
+                        dialog.querySelectorAll('.bundle-conflict-select').forEach(select => {
+                            resolutions[parseInt(select.dataset.index)] = select.value;
+                        });
+                        const paletteIndex = dialog.querySelector('#bundlePalette')?.value || '';
+                        const palette = paletteIndex === '' ? null : bundle.palettes[parseInt(paletteIndex)];
+                        closeDialog();
+                        resolve({ resolutions, palette });
+                    }
+                }
+            ]
+        });
+
+        // "For all" sets every conflict row
+        dialog.querySelector('#bundleConflictAll')?.addEventListener('change', (e) => {
+            dialog.querySelectorAll('.bundle-conflict-select').forEach(select => {
+                select.value = e.target.value;
+            });
+        });
+
+        showDialog(dialog);
+    });
+}
+
+/**
+ * Build dialog content
+ * @private
+ * @param {DecodedBundle} bundle - Bundle contents
+ * @param {Array<{file: Object, index: number}>} conflicts - Files whose name exists
+ * @returns {string} HTML
+ */
+function buildContent(bundle, conflicts) {
+    const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const created = bundle.created ? ` • created ${new Date(bundle.created).toLocaleString()}` : '';
+    const summary = [
+        count(bundle.files.length, 'sprite'),
+        count(bundle.palettes.length, 'palette'),
+        count(bundle.folders.length, 'folder')
+    ].join(', ') + created;
+
+    const invalid = bundle.invalid.length > 0
+        ? `<div class="export-info-small export-warning">${count(bundle.invalid.length, 'sprite')} could not be read and will be left out.</div>`
+        : '';
+
+    return `
+        <div class="export-options">
+            <div class="export-info-small">${escapeHtml(summary)}</div>
+            ${invalid}
+            ${bundle.palettes.length > 0 ? buildPaletteChoice(bundle.palettes) : ''}
+            ${conflicts.length > 0 ? buildConflicts(conflicts) : '<div class="export-info-small">No name conflicts.</div>'}
+        </div>
+    `;
+}
+
+/**
+ * Build the editor palette choice
+ * @private
+ * @param {Array<import('../core/ProjectBundle.js').BundlePalette>} palettes - Bundle palettes
+ * @returns {string} HTML
+ */
+function buildPaletteChoice(palettes) {
+    const options = palettes
+        .map((palette, index) => `<option value="${index}"${palette.editor ? ' selected' : ''}>${escapeHtml(palette.name)}</option>`)
+        .join('');
+
+    return `
+        <div class="gif-settings">
+            <label class="gif-setting">
+                <span>Editor palette</span>
+                <select id="bundlePalette" class="gif-input">
+                    <option value="">Keep current palette</option>
+                    ${options}
+                </select>
+            </label>
+        </div>
+    `;
+}
+
+/**
+ * Build the conflict list
+ * @private
+ * @param {Array<{file: Object, index: number}>} conflicts - Files whose name exists
+ * @returns {string} HTML
+ */
+function buildConflicts(conflicts) {
+    const options = Object.entries(RESOLUTIONS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+
+    const rows = conflicts.map(({ file, index }) => `
+        <div class="gif-frame-row">
+            <span class="gif-frame-label">${escapeHtml(file.name)}</span>
+            <span class="export-info-small">${file.width}×${file.height}</span>
+            <select class="gif-input bundle-conflict-select" data-index="${index}">${options}</select>
+        </div>
+    `).join('');
+
+    return `
+        <div class="gif-settings">
+            <label class="gif-setting">
+                <span>${conflicts.length} already exist${conflicts.length === 1 ? 's' : ''}</span>
+                <select id="bundleConflictAll" class="gif-input">${options}</select>
+            </label>
+        </div>
+        <div class="gif-frame-list">${rows}</div>
+    `;
+}
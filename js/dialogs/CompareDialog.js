@@ -0,0 +1,422 @@
+/**
+ * CompareDialog - Pixel compare of two documents
+ *
+ * Features:
+ * - Each side is an open tab or a pasted data string / project document
+ * - Side by side, or overlaid with blink or onion (adjustable opacity)
+ * - Changed pixels highlighted (added, removed, recolored)
+ * - Changed pixel counts per color
+ * - Patch-like text summary that can be copied
+ * - Frame choice for animated documents
+ *
+ * @module CompareDialog
+ *
+ * @typedef {import('../core/PixelDiff.js').PixelDiffResult} PixelDiffResult
+ *
+ * @typedef {Object} CompareSource
+ * @property {string} name - Display name (e.g. tab name)
+ * @property {string} data - Project document or data string
+ */
+
+import Codec from '../core/Codec.js';
+import ProjectDocument from '../core/ProjectDocument.js';
+import PixelDiff from '../core/PixelDiff.js';
+import CanvasRenderer from '../canvas/CanvasRenderer.js';
+import ColorConfig from '../../config/colors.js';
+import ClipboardUtils from '../utils/ClipboardUtils.js';
+import { createDialogElement, showDialog, closeDialog } from './DialogCore.js';
+import { escapeHtml } from './DialogHelpers.js';
+
+const SIDE_SIZE = 220;
+const OVERLAY_SIZE = 320;
+const BLINK_MS = 500;
+const PASTED = '-1';
+const SIDES = {
+    before: 'Before',
+    after: 'After'
+};
+
+/**
+ * Show the compare dialog
+ * @param {Array<CompareSource>} sources - Documents to pick from (open tabs)
+ * @param {Object} [initial] - Preselected sources
+ * @param {number} [initial.before=-1] - Index in sources (-1 = pasted)
+ * @param {number} [initial.after=-1] - Index in sources (-1 = pasted)
+ * @returns {Promise<void>} Resolves when closed
+ */
+export function showCompareDialog(sources, { before = -1, after = -1 } = {}) {
+    return new Promise((resolve) => {
+        const dialog = createDialogElement({
+            title: 'Compare',
+            message: null,
+            icon: 'compare',
+            type: 'info',
+            customContent: buildContent(sources),
+            buttons: [
+                {
+                    text: 'Copy Patch',
+                    type: 'secondary',
+                    action: (e) => {
+                        ClipboardUtils.copyWithFeedback(dialog.querySelector('.compare-patch').value, e.currentTarget);
+                    }
+                },
+                {
+                    text: 'Close',
+                    type: 'primary',
+                    action: () => {
+                        closeDialog();
+                        resolve();
+                    }
+                }
+            ]
+        });
+        dialog.classList.add('compare-dialog');
+
+        setupCompare(dialog, sources, { before, after });
+        showDialog(dialog);
+    });
+}
+
+/**
+ * Build dialog content
+ * @private
+ * @param {Array<CompareSource>} sources - Documents to pick from
+ * @returns {string} HTML
+ */
+function buildContent(sources) {
+    const options = [`<option value="${PASTED}">Pasted</option>`, ...sources.map((source, index) =>
+        `<option value="${index}">${escapeHtml(source.name)}</option>`
+    )].join('');
+
+    const inputs = Object.entries(SIDES).map(([side, label]) => `
+        <div class="compare-input">
+            <label class="gif-setting">
+                <span>${label}</span>
+                <select class="gif-input compare-source" data-side="${side}">${options}</select>
+            </label>
+            <textarea class="compare-text" data-side="${side}" rows="3" spellcheck="false"
+                placeholder="Paste a data string or project document"></textarea>
+        </div>
+    `).join('');
+
+    const legend = Object.entries(PixelDiff.KIND_COLORS)
+        .map(([kind, color]) => `<span class="revision-legend"><span class="revision-swatch" style="background: ${color}"></span>${kind}</span>`)
+        .join('');
+
+    return `
+        <div class="export-options">
+            <div class="compare-inputs">
+                ${inputs}
+                <button class="icon-btn compare-swap" title="Swap before and after">
+                    <span class="material-symbols-outlined">swap_horiz</span>
+                </button>
+            </div>
+            <div class="gif-settings">
+                <label class="gif-setting">
+                    <span>View</span>
+                    <select class="gif-input compare-mode">
+                        <option value="side">Side by side</option>
+                        <option value="blink">Blink</option>
+                        <option value="onion">Onion</option>
+                    </select>
+                </label>
+                <label class="gif-setting compare-onion-setting" style="display: none;">
+                    <span>Before</span>
+                    <input type="range" class="compare-onion" min="0" max="100" value="50" />
+                </label>
+                <label class="gif-setting compare-frame-setting" style="display: none;">
+                    <span>Frame</span>
+                    <input type="number" class="gif-input compare-frame" min="1" value="1" />
+                </label>
+                <label class="gif-setting">
+                    <input type="checkbox" class="export-checkbox compare-highlight" checked />
+                    <span>Highlight changes</span>
+                </label>
+            </div>
+            <div class="export-info-small export-warning compare-error" style="display: none;"></div>
+            <div class="compare-result" style="display: none;">
+                <div class="revision-diff-images compare-stage">
+                    <figure class="compare-side"><canvas class="compare-before"></canvas><figcaption>Before</figcaption></figure>
+                    <figure class="compare-side"><canvas class="compare-after"></canvas><figcaption>After</figcaption></figure>
+                    <figure class="compare-overlay" style="display: none;"><canvas class="compare-overlay-canvas"></canvas><figcaption></figcaption></figure>
+                </div>
+                <div class="export-info-small">${legend}</div>
+                <div class="export-info-small compare-summary"></div>
+                <div class="gif-frame-list compare-colors"></div>
+                <textarea class="compare-text compare-patch" rows="6" readonly spellcheck="false"></textarea>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Parse one side into its document
+ * @private
+ * @param {string} text - Pasted or tab data
+ * @returns {Object|null} Parsed project document or null if unreadable
+ */
+function parseSide(text) {
+    const trimmed = text.trim();
+    return trimmed ? ProjectDocument.parse(trimmed) : null;
+}
+
+/**
+ * Flatten one frame of a document (clamped to its frame count)
+ * @private
+ * @param {Object} doc - Parsed project document
+ * @param {number} frame - Frame index
+ * @returns {{width: number, height: number, pixels: Array<Array<number>>, colors: Array<string|null>}} Image
+ */
+function toImage(doc, frame) {
+    return {
+        width: doc.width,
+        height: doc.height,
+        pixels: ProjectDocument.flattenPixels(doc, Math.min(frame, doc.frames.length - 1)),
+        colors: Codec.applyPalette(doc.palette)
+    };
+}
+
+/**
+ * Describe a color index for the per-color counts and the patch
+ * @private
+ * @param {number} index - Color index
+ * @param {Object} doc - Document whose palette names the color
+ * @returns {string} Label, e.g. "3 Red #FF0000"
+ */
+function describeColor(index, doc) {
+    const hex = Codec.applyPalette(doc.palette)[index] || '?';
+    const name = doc.palette?.[index] ? null : ColorConfig.palette[index]?.name;
+    return [index, name, hex].filter(Boolean).join(' ');
+}
+
+/**
+ * Wire up the sources and view controls and keep the comparison current
+ * @private
+ * @param {HTMLElement} dialog - Dialog element
+ * @param {Array<CompareSource>} sources - Documents to pick from
+ * @param {{before: number, after: number}} initial - Preselected sources
+ */
+function setupCompare(dialog, sources, initial) {
+    const selects = {};
+    const texts = {};
+    let blinkTimer = null;
+
+    Object.keys(SIDES).forEach(side => {
+        selects[side] = dialog.querySelector(`.compare-source[data-side="${side}"]`);
+        texts[side] = dialog.querySelector(`.compare-text[data-side="${side}"]`);
+
+        const index = initial[side];
+        if (sources[index]) {
+            selects[side].value = String(index);
+            texts[side].value = sources[index].data;
+        }
+
+        selects[side].addEventListener('change', () => {
+            const source = sources[parseInt(selects[side].value)];
+            if (source) {
+                texts[side].value = source.data;
+            }
+            update();
+        });
+
+        // Editing the text makes it a pasted document
+        texts[side].addEventListener('input', () => {
+            selects[side].value = PASTED;
+            update();
+        });
+    });
+
+    dialog.querySelector('.compare-swap').addEventListener('click', (e) => {
+        e.preventDefault();
+        [selects.before.value, selects.after.value] = [selects.after.value, selects.before.value];
+        [texts.before.value, texts.after.value] = [texts.after.value, texts.before.value];
+        update();
+    });
+
+    ['.compare-mode', '.compare-onion', '.compare-frame', '.compare-highlight'].forEach(selector => {
+        dialog.querySelector(selector).addEventListener('input', () => update());
+    });
+
+    const getName = (side) => {
+        const source = sources[parseInt(selects[side].value)];
+        return source ? source.name : SIDES[side].toLowerCase();
+    };
+
+    function update() {
+        clearInterval(blinkTimer);
+        blinkTimer = null;
+
+        const docs = { before: parseSide(texts.before.value), after: parseSide(texts.after.value) };
+        const error = dialog.querySelector('.compare-error');
+        const result = dialog.querySelector('.compare-result');
+        const unreadable = Object.keys(SIDES).filter(side => texts[side].value.trim() && !docs[side]);
+
+        error.textContent = unreadable.map(side => `${SIDES[side]} is not a valid data string.`).join(' ');
+        error.style.display = unreadable.length > 0 ? 'block' : 'none';
+        if (!docs.before || !docs.after) {
+            result.style.display = 'none';
+            return;
+        }
+
+        const frameCount = Math.max(docs.before.frames.length, docs.after.frames.length);
+        const frameInput = dialog.querySelector('.compare-frame');
+        frameInput.max = frameCount;
+        dialog.querySelector('.compare-frame-setting').style.display = frameCount > 1 ? '' : 'none';
+        const frame = Math.min(Math.max(1, parseInt(frameInput.value) || 1), frameCount) - 1;
+
+        const images = { before: toImage(docs.before, frame), after: toImage(docs.after, frame) };
+        const diff = PixelDiff.compare(images.before.pixels, images.after.pixels);
+        const view = {
+            mode: dialog.querySelector('.compare-mode').value,
+            onion: parseInt(dialog.querySelector('.compare-onion').value) / 100,
+            highlight: dialog.querySelector('.compare-highlight').checked
+        };
+
+        result.style.display = 'block';
+        blinkTimer = renderStage(dialog, images, diff, view);
+        renderSummary(dialog, docs, diff, { before: getName('before'), after: getName('after') });
+    }
+
+    update();
+}
+
+/**
+ * Draw the comparison in the chosen view
+ * @private
+ * @param {HTMLElement} dialog - Dialog element
+ * @param {{before: Object, after: Object}} images - Flattened images
+ * @param {PixelDiffResult} diff - Differences
+ * @param {{mode: string, onion: number, highlight: boolean}} view - View settings
+ * @returns {number|null} Blink interval (null when not blinking)
+ */
+function renderStage(dialog, images, diff, view) {
+    const overlay = view.mode !== 'side';
+    dialog.querySelectorAll('.compare-side').forEach(figure => {
+        figure.style.display = overlay ? 'none' : '';
+    });
+    dialog.querySelector('.compare-overlay').style.display = overlay ? '' : 'none';
+    dialog.querySelector('.compare-onion-setting').style.display = view.mode === 'onion' ? '' : 'none';
+
+    const area = { width: diff.width, height: diff.height };
+    const draw = (canvas, image, size) => {
+        const pixelSize = Math.max(1, Math.floor(size / Math.max(area.width, area.height)));
+        CanvasRenderer.renderTo(canvas, image.pixels, { ...area, colors: image.colors, pixelSize });
+        return pixelSize;
+    };
+
+    if (!overlay) {
+        ['before', 'after'].forEach(side => {
+            const canvas = dialog.querySelector(`.compare-${side}`);
+            const scale = draw(canvas, images[side], SIDE_SIZE);
+            if (view.highlight) drawHighlights(canvas, diff, scale);
+        });
+        return null;
+    }
+
+    const canvas = dialog.querySelector('.compare-overlay-canvas');
+    const caption = dialog.querySelector('.compare-overlay figcaption');
+
+    if (view.mode === 'onion') {
+        const scale = draw(canvas, images.after, OVERLAY_SIZE);
+        drawFaded(canvas, images.before, scale, view.onion);
+        if (view.highlight) drawHighlights(canvas, diff, scale);
+        caption.textContent = `After with before at ${Math.round(view.onion * 100)}%`;
+        return null;
+    }
+
+    let side = 'after';
+    let timer = null;
+    const blink = () => {
+        // Stop once the dialog is gone (closing by the overlay skips the buttons)
+        if (timer !== null && !canvas.isConnected) {
+            clearInterval(timer);
+            return;
+        }
+        side = side === 'after' ? 'before' : 'after';
+        const scale = draw(canvas, images[side], OVERLAY_SIZE);
+        if (view.highlight) drawHighlights(canvas, diff, scale);
+        caption.textContent = SIDES[side];
+    };
+    blink();
+    timer = setInterval(blink, BLINK_MS);
+    return timer;
+}
+
+/**
+ * Draw an image's colored pixels over a canvas at reduced opacity
+ * @private
+ * @param {HTMLCanvasElement} canvas - Target
+ * @param {Object} image - Flattened image
+ * @param {number} scale - Pixel size
+ * @param {number} alpha - Opacity (0-1)
+ */
+function drawFaded(canvas, image, scale, alpha) {
+    const ctx = canvas.getContext('2d');
+    ctx.globalAlpha = alpha;
+    image.pixels.forEach((row, y) => row.forEach((index, x) => {
+        if (index === 0 || !image.colors[index]) return;
+        ctx.fillStyle = image.colors[index];
+        ctx.fillRect(x * scale, y * scale, scale, scale);
+    }));
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * Outline the changed pixels in their kind's color
+ * @private
+ * @param {HTMLCanvasElement} canvas - Target
+ * @param {PixelDiffResult} diff - Differences
+ * @param {number} scale - Pixel size
+ */
+function drawHighlights(canvas, diff, scale) {
+    const ctx = canvas.getContext('2d');
+    const lineWidth = Math.max(1, Math.floor(scale / 6));
+    ctx.lineWidth = lineWidth;
+
+    diff.changes.forEach(change => {
+        ctx.strokeStyle = PixelDiff.KIND_COLORS[PixelDiff.getKind(change)];
+        if (scale < 3) {
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.fillRect(change.x * scale, change.y * scale, scale, scale);
+        } else {
+            ctx.strokeRect(
+                change.x * scale + lineWidth / 2,
+                change.y * scale + lineWidth / 2,
+                scale - lineWidth,
+                scale - lineWidth
+            );
+        }
+    });
+}
+
+/**
+ * Show the totals, the per-color counts and the patch text
+ * @private
+ * @param {HTMLElement} dialog - Dialog element
+ * @param {{before: Object, after: Object}} docs - Parsed documents
+ * @param {PixelDiffResult} diff - Differences
+ * @param {{before: string, after: string}} names - Labels of both sides
+ */
+function renderSummary(dialog, docs, diff, names) {
+    const total = diff.changes.length;
+    const paletteChanged = Codec.encodePalette(docs.before.palette) !== Codec.encodePalette(docs.after.palette);
+    dialog.querySelector('.compare-summary').textContent = (total === 0
+        ? 'No pixel differences.'
+        : `${total} pixel${total === 1 ? '' : 's'} changed: ${diff.added} added, ${diff.removed} removed, ${diff.recolored} recolored`) +
+        (paletteChanged ? ' • Palettes differ; pixels are compared by color index.' : '');
+
+    const describe = index => describeColor(index, docs.after);
+
+    dialog.querySelector('.compare-colors').innerHTML = PixelDiff.countByColor(diff).map(({ index, removed, added }) => `
+        <div class="gif-frame-row">
+            <span class="revision-swatch" style="background: ${escapeHtml(Codec.applyPalette(docs.after.palette)[index] || '')}"></span>
+            <span class="gif-frame-label">${escapeHtml(describe(index))}</span>
+            <span class="export-info-small">-${removed} +${added}</span>
+        </div>
+    `).join('');
+
+    const side = side => ({ name: names[side], width: docs[side].width, height: docs[side].height });
+    dialog.querySelector('.compare-patch').value = PixelDiff.formatPatch(diff, side('before'), side('after'), {
+        describeColor: describe
+    });
+}
@@ -5,7 +5,7 @@
  * - Dialog container management
  * - Dialog element creation
  * - Show/hide animations
- * - ESC key and overlay click handling
+ * - ESC key and overlay click handling (dismiss callback)
  *
  * @module DialogCore
  *
@@ -21,6 +21,7 @@ import { escapeHtml } from './DialogHelpers.js';
 
 let dialogContainer = null;
 let currentDialog = null;
+let dismissHandler = null;
 
 /**
  * Initialize dialog system
@@ -42,14 +43,14 @@ function createDialogContainer() {
     // Close on overlay click
     dialogContainer.addEventListener('click', (e) => {
         if (e.target === dialogContainer) {
-            closeDialog();
+            dismissDialog();
         }
     });
 
     // Close on ESC key
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape' && currentDialog) {
-            closeDialog();
+            dismissDialog();
         }
     });
 }
@@ -122,12 +123,15 @@ export function createDialogElement(config) {
 /**
  * Show dialog
  * @param {HTMLElement} dialog - Dialog element
+ * @param {Object} [options] - Options
+ * @param {function(): void} [options.onDismiss] - Called when closed by ESC or an overlay click
  */
-export function showDialog(dialog) {
+export function showDialog(dialog, { onDismiss = null } = {}) {
     dialogContainer.innerHTML = '';
     dialogContainer.appendChild(dialog);
     dialogContainer.style.display = 'flex';
     currentDialog = dialog;
+    dismissHandler = onDismiss;
 
     // Animate in
     setTimeout(() => {
@@ -141,13 +145,26 @@ export function showDialog(dialog) {
     }
 }
 
+/**
+ * Close the current dialog without a choice (ESC, overlay click)
+ */
+function dismissDialog() {
+    const handler = dismissHandler;
+    closeDialog();
+    if (handler) handler();
+}
+
 /**
  * Close current dialog
  */
 export function closeDialog() {
+    dismissHandler = null;
     if (currentDialog) {
-        currentDialog.classList.remove('dialog-show');
+        const closingDialog = currentDialog;
+        closingDialog.classList.remove('dialog-show');
         setTimeout(() => {
+            // A follow-up dialog may have been shown in the meantime
+            if (currentDialog !== closingDialog) return;
             dialogContainer.style.display = 'none';
             dialogContainer.innerHTML = '';
             currentDialog = null;
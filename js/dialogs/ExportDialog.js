@@ -4,8 +4,10 @@
  * Features:
  * - String preview
  * - RLE compression toggle
- * - Multiple export formats (copy, txt, png)
+ * - Multiple export formats (copy, txt, png, svg, gif, sprite sheet)
  * - PNG scale selection
+ * - SVG options (size, CSS classes per palette color)
+ * - Animated GIF options (frame source, per-frame delays, loop count, scale)
  *
  * @module ExportDialog
  *
@@ -20,9 +22,11 @@ import { escapeHtml } from './DialogHelpers.js';
 /**
  * Show custom export dialog
  * @param {string} dataString - Export data string
+ * @param {Object} options - Dialog options
+ * @param {Object} [options.gifSources] - GIF frame sources (GIFExport.getFrameSources())
  * @returns {Promise<Object|null>} Resolves with export options or null
  */
-export function showExportDialog(dataString) {
+export function showExportDialog(dataString, options = {}) {
     return new Promise((resolve) => {
         // Get compression stats
         const compressionStats = Compression ? Compression.getStats(dataString) : null;
@@ -33,7 +37,7 @@ export function showExportDialog(dataString) {
             message: 'Choose how you want to export your pixel art:',
             icon: 'download',
             type: 'info',
-            customContent: buildExportDialogContent(dataString, compressionStats, canCompress),
+            customContent: buildExportDialogContent(dataString, compressionStats, canCompress, !!options.gifSources),
             buttons: [
                 {
                     text: 'Cancel',
@@ -48,6 +52,10 @@ export function showExportDialog(dataString) {
 
         showDialog(dialog);
         setupExportHandlers(dialog, resolve);
+        setupSVGHandlers(dialog, resolve);
+        if (options.gifSources) {
+            setupGIFHandlers(dialog, options.gifSources, resolve);
+        }
     });
 }
 
@@ -55,11 +63,13 @@ export function showExportDialog(dataString) {
  * Build export dialog HTML content
  * @private
  */
-function buildExportDialogContent(dataString, compressionStats, canCompress) {
+function buildExportDialogContent(dataString, compressionStats, canCompress, canExportGIF) {
     const previewContent = buildPreviewSection(dataString);
     const compressionContent = canCompress ? buildCompressionSection(dataString, compressionStats) : '';
-    const formatContent = buildFormatSection();
+    const formatContent = buildFormatSection(canExportGIF);
     const pngScaleContent = buildPNGScaleSection();
+    const svgContent = buildSVGSection();
+    const gifContent = canExportGIF ? buildGIFSection() : '';
 
     return `
         <div class="export-options">
@@ -67,6 +77,8 @@ function buildExportDialogContent(dataString, compressionStats, canCompress) {
             ${compressionContent}
             ${formatContent}
             ${pngScaleContent}
+            ${svgContent}
+            ${gifContent}
         </div>
     `;
 }
@@ -143,7 +155,14 @@ function buildCompressionPreview(dataString, compressionStats) {
  * Build format selection section
  * @private
  */
-function buildFormatSection() {
+function buildFormatSection(canExportGIF) {
+    const gifButton = canExportGIF ? `
+                <button class="export-format-btn" data-format="download-gif">
+                    <span class="material-symbols-outlined export-format-icon">animation</span>
+                    <span class="export-format-label">Download GIF</span>
+                    <span class="export-format-desc">Animated image</span>
+                </button>` : '';
+
     return `
         <div class="export-format-section">
             <strong>Export as:</strong>
@@ -163,6 +182,16 @@ function buildFormatSection() {
                     <span class="export-format-label">Download PNG</span>
                     <span class="export-format-desc">Save as image</span>
                 </button>
+                <button class="export-format-btn" data-format="download-svg">
+                    <span class="material-symbols-outlined export-format-icon">shape_line</span>
+                    <span class="export-format-label">Download SVG</span>
+                    <span class="export-format-desc">Scalable vector</span>
+                </button>${gifButton}
+                <button class="export-format-btn" data-format="sprite-sheet">
+                    <span class="material-symbols-outlined export-format-icon">grid_view</span>
+                    <span class="export-format-label">Sprite Sheet</span>
+                    <span class="export-format-desc">PNG + atlas</span>
+                </button>
             </div>
         </div>
     `;
@@ -186,6 +215,177 @@ function buildPNGScaleSection() {
     `;
 }
 
+/**
+ * Build SVG options section
+ * @private
+ */
+function buildSVGSection() {
+    return `
+        <div id="svgOptions" class="gif-options" style="display: none;">
+            <div class="gif-settings">
+                <div class="gif-setting">
+                    <span>Size</span>
+                    <div class="png-scale-buttons svg-scale-buttons">
+                        <button class="png-scale-btn" data-scale="1">1×</button>
+                        <button class="png-scale-btn" data-scale="4">4×</button>
+                        <button class="png-scale-btn active" data-scale="8">8×</button>
+                        <button class="png-scale-btn" data-scale="16">16×</button>
+                    </div>
+                </div>
+            </div>
+            <label class="export-checkbox-label">
+                <input type="checkbox" id="svgUseClasses" class="export-checkbox" />
+                <span>CSS class per palette color</span>
+            </label>
+            <div class="export-option-info">
+                Colors become <code>.px-&lt;index&gt;</code> rules in a &lt;style&gt; block, so the palette can be restyled from CSS.
+            </div>
+            <button id="svgExportBtn" class="dialog-btn dialog-btn-primary">Export SVG</button>
+        </div>
+    `;
+}
+
+/**
+ * Setup SVG options handlers
+ * @private
+ */
+function setupSVGHandlers(dialog, resolve) {
+    let scale = 8;
+
+    dialog.querySelectorAll('.svg-scale-buttons .png-scale-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            dialog.querySelectorAll('.svg-scale-buttons .png-scale-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            scale = parseInt(btn.dataset.scale);
+        });
+    });
+
+    dialog.querySelector('#svgExportBtn').addEventListener('click', () => {
+        closeDialog();
+        resolve({
+            format: 'download-svg',
+            compress: false,
+            scale,
+            svg: {
+                scale,
+                useClasses: dialog.querySelector('#svgUseClasses').checked
+            }
+        });
+    });
+}
+
+/**
+ * Build GIF options section
+ * @private
+ */
+function buildGIFSection() {
+    return `
+        <div id="gifOptions" class="gif-options" style="display: none;">
+            <strong>Frames from:</strong>
+            <div class="png-scale-buttons gif-source-buttons">
+                <button class="png-scale-btn" data-source="frames">Animation</button>
+                <button class="png-scale-btn" data-source="layers">Layers</button>
+                <button class="png-scale-btn" data-source="tabs">Open Tabs</button>
+            </div>
+            <div id="gifFrameList" class="gif-frame-list"></div>
+            <div class="gif-settings">
+                <label class="gif-setting">
+                    <span>Loop</span>
+                    <input type="number" id="gifLoop" class="gif-input" min="0" max="65535" value="0" />
+                    <span class="export-info-small">0 = forever</span>
+                </label>
+                <div class="gif-setting">
+                    <span>Scale</span>
+                    <div class="png-scale-buttons gif-scale-buttons">
+                        <button class="png-scale-btn active" data-scale="1">1×</button>
+                        <button class="png-scale-btn" data-scale="2">2×</button>
+                        <button class="png-scale-btn" data-scale="4">4×</button>
+                        <button class="png-scale-btn" data-scale="8">8×</button>
+                    </div>
+                </div>
+            </div>
+            <button id="gifExportBtn" class="dialog-btn dialog-btn-primary">Export GIF</button>
+        </div>
+    `;
+}
+
+/**
+ * Render the selectable GIF frame rows for a source
+ * @private
+ * @param {HTMLElement} list - List container
+ * @param {Array<{id: string, label: string, delay: number}>} items - Source items
+ */
+function renderGIFFrameList(list, items) {
+    if (items.length === 0) {
+        list.innerHTML = '<div class="export-info-small">Nothing to export from this source.</div>';
+        return;
+    }
+
+    list.innerHTML = items.map((item, index) => `
+        <label class="gif-frame-row" data-id="${escapeHtml(item.id)}">
+            <input type="checkbox" class="export-checkbox gif-frame-check" checked />
+            <span class="gif-frame-label">${index + 1}. ${escapeHtml(item.label)}</span>
+            <input type="number" class="gif-input gif-frame-delay" min="10" max="655350" step="10" value="${item.delay}" />
+            <span class="export-info-small">ms</span>
+        </label>
+    `).join('');
+}
+
+/**
+ * Setup GIF options handlers
+ * GIF export is confirmed explicitly so frames, delays and loop can be set.
+ * @private
+ */
+function setupGIFHandlers(dialog, gifSources, resolve) {
+    const list = dialog.querySelector('#gifFrameList');
+    let source = gifSources.frames.length > 1 ? 'frames' : 'tabs';
+    let scale = 1;
+
+    const selectSource = (next) => {
+        source = next;
+        dialog.querySelectorAll('.gif-source-buttons .png-scale-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.source === source);
+        });
+        renderGIFFrameList(list, gifSources[source] || []);
+    };
+
+    dialog.querySelectorAll('.gif-source-buttons .png-scale-btn').forEach(btn => {
+        btn.addEventListener('click', () => selectSource(btn.dataset.source));
+    });
+
+    dialog.querySelectorAll('.gif-scale-buttons .png-scale-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            dialog.querySelectorAll('.gif-scale-buttons .png-scale-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            scale = parseInt(btn.dataset.scale);
+        });
+    });
+
+    dialog.querySelector('#gifExportBtn').addEventListener('click', () => {
+        const items = [...list.querySelectorAll('.gif-frame-row')]
+            .filter(row => row.querySelector('.gif-frame-check').checked)
+            .map(row => ({
+                id: row.dataset.id,
+                delay: Math.max(10, parseInt(row.querySelector('.gif-frame-delay').value) || 0)
+            }));
+
+        closeDialog();
+        resolve({
+            format: 'download-gif',
+            compress: false,
+            scale,
+            gif: {
+                source,
+                items,
+                loop: Math.max(0, parseInt(dialog.querySelector('#gifLoop').value) || 0),
+                scale
+            }
+        });
+    });
+
+    selectSource(source);
+}
+
 /**
  * Setup export dialog event handlers
  * @private
@@ -210,6 +410,16 @@ function setupExportHandlers(dialog, resolve) {
                 pngOptions.style.display = 'none';
             }
 
+            // SVG and GIF need their options confirmed first
+            dialog.querySelector('#svgOptions').style.display = selectedFormat === 'download-svg' ? 'flex' : 'none';
+            const gifOptions = dialog.querySelector('#gifOptions');
+            if (gifOptions) {
+                gifOptions.style.display = selectedFormat === 'download-gif' ? 'flex' : 'none';
+            }
+            if (selectedFormat === 'download-svg' || selectedFormat === 'download-gif') {
+                return;
+            }
+
             // Auto-submit on selection
             setTimeout(() => {
                 const useCompression = dialog.querySelector('#exportCompress')?.checked || false;
@@ -224,10 +434,10 @@ function setupExportHandlers(dialog, resolve) {
     });
 
     // PNG scale handlers
-    dialog.querySelectorAll('.png-scale-btn').forEach(btn => {
+    dialog.querySelectorAll('#pngScaleOptions .png-scale-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
-            dialog.querySelectorAll('.png-scale-btn').forEach(b => b.classList.remove('active'));
+            dialog.querySelectorAll('#pngScaleOptions .png-scale-btn').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
             selectedScale = parseInt(btn.dataset.scale);
         });
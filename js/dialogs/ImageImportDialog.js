@@ -0,0 +1,162 @@
+/**
+ * ImageImportDialog - Quantization options for PNG/GIF/BMP import
+ *
+ * Features:
+ * - Live preview of the quantized result
+ * - Distance metric (perceptual Lab or RGB)
+ * - Dithering (none, ordered, Floyd–Steinberg)
+ * - Alpha threshold
+ * - Maximum size (downscaling)
+ *
+ * @module ImageImportDialog
+ *
+ * @typedef {import('../importers/ImageQuantizer.js').RGBAImage} RGBAImage
+ * @typedef {import('../importers/PNGImporter.js').ImageImportOptions} ImageImportOptions
+ * @typedef {import('../importers/PNGImporter.js').ImageImportResult} ImageImportResult
+ */
+
+import PNGImporter from '../importers/PNGImporter.js';
+import Constants from '../../config/constants.js';
+import { createDialogElement, showDialog, closeDialog } from './DialogCore.js';
+
+const PREVIEW_SIZE = 192;
+
+/**
+ * Show the image import dialog
+ * @param {RGBAImage} image - Decoded image
+ * @param {Object} config - Dialog configuration
+ * @param {string} config.fileName - Source file name
+ * @param {Object<number, string>|null} config.palette - Palette overrides to match against
+ * @returns {Promise<ImageImportResult|null>} Resolves with the conversion or null
+ */
+export function showImageImportDialog(image, { fileName, palette = null }) {
+    return new Promise((resolve) => {
+        const options = { ...PNGImporter.getDefaultOptions(image), palette };
+        let result = null;
+
+        const dialog = createDialogElement({
+            title: 'Import Image',
+            message: `${fileName} (${image.width}×${image.height})`,
+            icon: 'image',
+            type: 'info',
+            customContent: buildContent(options),
+            buttons: [
+                {
+                    text: 'Cancel',
+                    type: 'secondary',
+                    action: () => {
+                        closeDialog();
+                        resolve(null);
+                    }
+                },
+                {
+                    text: 'Import as New Tab',
+                    type: 'primary',
+                    action: () => {
+                        closeDialog();
+                        resolve(result);
+                    }
+                }
+            ]
+        });
+
+        const update = () => {
+            options.metric = dialog.querySelector('#importMetric').value;
+            options.dither = dialog.querySelector('#importDither').value;
+            options.alphaThreshold = parseInt(dialog.querySelector('#importAlpha').value);
+            options.maxSize = parseInt(dialog.querySelector('#importMaxSize').value) || options.maxSize;
+
+            dialog.querySelector('#importAlphaValue').textContent = options.alphaThreshold;
+
+            try {
+                result = PNGImporter.convert(image, options);
+                renderPreview(dialog.querySelector('#importPreview'), result);
+                dialog.querySelector('#importInfo').textContent =
+                    `${result.width}×${result.height}${result.scaled ? ' (downscaled)' : ''}`;
+            } catch (error) {
+                result = null;
+                dialog.querySelector('#importInfo').textContent = error.message;
+            }
+        };
+
+        dialog.querySelectorAll('.image-import-control').forEach(control => {
+            control.addEventListener('change', update);
+            control.addEventListener('input', update);
+        });
+
+        showDialog(dialog);
+        update();
+    });
+}
+
+/**
+ * Build dialog content
+ * @private
+ * @param {ImageImportOptions} options - Initial options
+ * @returns {string} HTML
+ */
+function buildContent(options) {
+    const { minSize, maxSize } = Constants.canvas;
+    const selected = (value, current) => (value === current ? 'selected' : '');
+
+    return `
+        <div class="export-options image-import">
+            <div class="image-import-preview">
+                <canvas id="importPreview" width="${PREVIEW_SIZE}" height="${PREVIEW_SIZE}"></canvas>
+                <span id="importInfo" class="export-info-small"></span>
+            </div>
+            <div class="image-import-settings">
+                <label class="gif-setting">
+                    <span>Color match</span>
+                    <select id="importMetric" class="gif-input image-import-control">
+                        <option value="lab" ${selected('lab', options.metric)}>Perceptual (Lab)</option>
+                        <option value="rgb" ${selected('rgb', options.metric)}>RGB</option>
+                    </select>
+                </label>
+                <label class="gif-setting">
+                    <span>Dithering</span>
+                    <select id="importDither" class="gif-input image-import-control">
+                        <option value="none" ${selected('none', options.dither)}>None</option>
+                        <option value="ordered" ${selected('ordered', options.dither)}>Ordered (Bayer)</option>
+                        <option value="floyd-steinberg" ${selected('floyd-steinberg', options.dither)}>Floyd–Steinberg</option>
+                    </select>
+                </label>
+                <label class="gif-setting">
+                    <span>Alpha threshold</span>
+                    <input type="range" id="importAlpha" class="image-import-control" min="0" max="255" value="${options.alphaThreshold}" />
+                    <span id="importAlphaValue" class="export-info-small">${options.alphaThreshold}</span>
+                </label>
+                <label class="gif-setting">
+                    <span>Max size</span>
+                    <input type="number" id="importMaxSize" class="gif-input image-import-control" min="${minSize}" max="${maxSize}" value="${options.maxSize}" />
+                    <span class="export-info-small">px (≤ ${maxSize})</span>
+                </label>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Draw a conversion result scaled to fit the preview canvas
+ * @private
+ * @param {HTMLCanvasElement} canvas - Preview canvas
+ * @param {ImageImportResult} result - Conversion result
+ */
+function renderPreview(canvas, { width, height, pixels, colors }) {
+    const scale = Math.max(1, Math.floor(PREVIEW_SIZE / Math.max(width, height)));
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const colorIndex = pixels[y][x];
+            if (colorIndex === 0) continue;
+            ctx.fillStyle = colors[colorIndex];
+            ctx.fillRect(x * scale, y * scale, scale, scale);
+        }
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * LayerPropertiesDialog - Layer name, opacity and blend mode
+ *
+ * Opacity and blend mode changes are passed to a preview callback while
+ * the dialog is open, so the canvas shows them before they are applied.
+ *
+ * @module LayerPropertiesDialog
+ *
+ * @typedef {import('../layerManager.js').Layer} Layer
+ *
+ * @typedef {Object} LayerProperties
+ * @property {string} name - Layer name
+ * @property {number} opacity - Opacity (0-1)
+ * @property {import('../core/LayerBlend.js').BlendMode} blendMode - Blend mode
+ */
+
+import LayerBlend from '../core/LayerBlend.js';
+import { createDialogElement, showDialog, closeDialog } from './DialogCore.js';
+import { escapeHtml } from './DialogHelpers.js';
+
+/**
+ * Show the layer properties dialog
+ * @param {Layer} layer - Layer to edit
+ * @param {Object} [options] - Options
+ * @param {function({opacity: number, blendMode: string}): void} [options.onPreview] - Called on every change
+ * @returns {Promise<LayerProperties|null>} Resolves with the new properties, or null when cancelled
+ */
+export function showLayerPropertiesDialog(layer, { onPreview = null } = {}) {
+    return new Promise((resolve) => {
+        const dialog = createDialogElement({
+            title: 'Layer Properties',
+            message: null,
+            icon: 'tune',
+            type: 'info',
+            customContent: buildContent(layer),
+            buttons: [
+                {
+                    text: 'Cancel',
+                    type: 'secondary',
+                    action: () => {
+                        closeDialog();
+                        resolve(null);
+                    }
+                },
+                {
+                    text: 'Apply',
+                    type: 'primary',
+                    action: () => {
+                        closeDialog();
+                        resolve({ name: nameInput.value.trim() || layer.name, ...readValues() });
+                    }
+                }
+            ]
+        });
+
+        const nameInput = dialog.querySelector('.layer-props-name');
+        const opacityInput = dialog.querySelector('.layer-props-opacity');
+        const opacityValue = dialog.querySelector('.layer-props-opacity-value');
+        const blendSelect = dialog.querySelector('.layer-props-blend');
+
+        const readValues = () => ({
+            opacity: parseInt(opacityInput.value) / 100,
+            blendMode: blendSelect.value
+        });
+
+        const update = () => {
+            opacityValue.textContent = `${opacityInput.value}%`;
+            if (onPreview) onPreview(readValues());
+        };
+
+        opacityInput.addEventListener('input', update);
+        blendSelect.addEventListener('change', update);
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') dialog.querySelector('.dialog-btn-primary').click();
+        });
+
+        showDialog(dialog, { onDismiss: () => resolve(null) });
+        nameInput.focus();
+        nameInput.select();
+    });
+}
+
+/**
+ * Build dialog content
+ * @private
+ * @param {Layer} layer - Layer
+ * @returns {string} HTML
+ */
+function buildContent(layer) {
+    const opacity = Math.round(LayerBlend.normalizeOpacity(layer.opacity) * 100);
+    const blendMode = LayerBlend.normalizeBlendMode(layer.blendMode);
+    const options = LayerBlend.BLEND_MODES.map(mode =>
+        `<option value="${mode}"${mode === blendMode ? ' selected' : ''}>${LayerBlend.BLEND_MODE_LABELS[mode]}</option>`
+    ).join('');
+
+    return `
+        <div class="export-options">
+            <label class="gif-setting layer-props-row">
+                <span>Name</span>
+                <input type="text" class="dialog-input layer-props-name" value="${escapeHtml(layer.name)}" />
+            </label>
+            <label class="gif-setting layer-props-row">
+                <span>Opacity</span>
+                <input type="range" class="layer-props-opacity" min="0" max="100" value="${opacity}" />
+                <span class="layer-props-opacity-value">${opacity}%</span>
+            </label>
+            <label class="gif-setting layer-props-row">
+                <span>Blend mode</span>
+                <select class="gif-input layer-props-blend">${options}</select>
+            </label>
+            <div class="export-info-small">Data strings store the layers flattened in normal mode; PNG export and the canvas show opacity and blending.</div>
+        </div>
+    `;
+}
@@ -0,0 +1,264 @@
+/**
+ * RevisionsDialog - Saved file revisions
+ *
+ * Features:
+ * - Current version and earlier revisions with thumbnails and save times
+ * - Restore a revision, open any version as a new tab, delete revisions
+ * - Visual pixel diff between two ticked versions (added, removed and
+ *   recolored pixels highlighted over the newer one)
+ *
+ * @module RevisionsDialog
+ *
+ * @typedef {import('../types.js').SavedFile} SavedFile
+ * @typedef {import('../types.js').FileRevision} FileRevision
+ * @typedef {import('../core/PixelDiff.js').PixelDiffResult} PixelDiffResult
+ */
+
+import Codec from '../core/Codec.js';
+import ProjectDocument from '../core/ProjectDocument.js';
+import PixelDiff from '../core/PixelDiff.js';
+import { createDialogElement, showDialog, closeDialog } from './DialogCore.js';
+import { escapeHtml } from './DialogHelpers.js';
+
+const THUMBNAIL_SIZE = 48;
+const DIFF_SIZE = 160;
+const FADED_ALPHA = 0.25;
+
+/**
+ * Show the revisions dialog
+ * @param {SavedFile} file - Saved file (its current version is listed first)
+ * @param {Array<FileRevision>} revisions - Revisions, newest first
+ * @returns {Promise<{action: 'restore'|'open'|'delete', revision: FileRevision|null}|null>}
+ *   Chosen action (revision null = current version) or null when closed
+ */
+export function showRevisionsDialog(file, revisions) {
+    return new Promise((resolve) => {
+        const versions = [
+            { revision: null, timestamp: file.timestamp, data: file.data },
+            ...revisions.map(revision => ({ revision, timestamp: revision.timestamp, data: revision.data }))
+        ].map(version => ({ ...version, image: decodeImage(version.data) }));
+
+        const dialog = createDialogElement({
+            title: `Revisions of "${file.name}"`,
+            message: null,
+            icon: 'history',
+            type: 'info',
+            customContent: buildContent(versions),
+            buttons: [
+                {
+                    text: 'Close',
+                    type: 'secondary',
+                    action: () => {
+                        closeDialog();
+                        resolve(null);
+                    }
+                }
+            ]
+        });
+
+        dialog.querySelectorAll('.revision-action').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                closeDialog();
+                resolve({ action: btn.dataset.action, revision: versions[parseInt(btn.dataset.index)].revision });
+            });
+        });
+
+        setupCompare(dialog, versions);
+        showDialog(dialog);
+    });
+}
+
+/**
+ * Decode stored data into its flattened active frame
+ * @private
+ * @param {string} data - Project document or data string
+ * @returns {{width: number, height: number, pixels: Array<Array<number>>, colors: Array<string|null>}|null}
+ */
+function decodeImage(data) {
+    const doc = ProjectDocument.parse(data);
+    if (!doc) return null;
+
+    return {
+        width: doc.width,
+        height: doc.height,
+        pixels: ProjectDocument.flattenPixels(doc),
+        colors: Codec.applyPalette(doc.palette)
+    };
+}
+
+/**
+ * Draw an image onto a canvas scaled to fit a box
+ * @private
+ * @param {HTMLCanvasElement} canvas - Target (resized)
+ * @param {Object} image - Decoded image
+ * @param {number} size - Box size (px)
+ * @param {Object} [options] - Options
+ * @param {number} [options.width] - Width to size the canvas for (defaults to the image's)
+ * @param {number} [options.height] - Height to size the canvas for (defaults to the image's)
+ * @param {number} [options.alpha=1] - Opacity of the pixels
+ * @returns {number} Scale used
+ */
+function drawImage(canvas, image, size, { width = image.width, height = image.height, alpha = 1 } = {}) {
+    const scale = Math.max(1, Math.floor(size / Math.max(width, height)));
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+
+    const ctx = canvas.getContext('2d');
+    ctx.globalAlpha = alpha;
+    image.pixels.forEach((row, y) => row.forEach((index, x) => {
+        if (index === 0 || !image.colors[index]) return;
+        ctx.fillStyle = image.colors[index];
+        ctx.fillRect(x * scale, y * scale, scale, scale);
+    }));
+    return scale;
+}
+
+/**
+ * Get a thumbnail of a version
+ * @private
+ * @param {Object|null} image - Decoded image
+ * @returns {string} PNG data URL ('' if unreadable)
+ */
+function createThumbnail(image) {
+    if (!image) return '';
+    const canvas = document.createElement('canvas');
+    drawImage(canvas, image, THUMBNAIL_SIZE);
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Build dialog content
+ * @private
+ * @param {Array<Object>} versions - Current version and revisions
+ * @returns {string} HTML
+ */
+function buildContent(versions) {
+    const rows = versions.map((version, index) => {
+        const current = version.revision === null;
+        const size = version.image ? `${version.image.width}×${version.image.height}` : 'Unreadable';
+        const actionButton = (action, icon, title) => `
+            <button class="icon-btn revision-action" data-action="${action}" data-index="${index}" title="${title}">
+                <span class="material-symbols-outlined">${icon}</span>
+            </button>`;
+
+        return `
+            <label class="gif-frame-row revision-row">
+                <input type="checkbox" class="export-checkbox revision-compare" data-index="${index}" ${index < 2 ? 'checked' : ''} ${version.image ? '' : 'disabled'} />
+                <img class="revision-thumb" src="${createThumbnail(version.image)}" alt="" />
+                <span class="gif-frame-label">
+                    ${escapeHtml(new Date(version.timestamp).toLocaleString())}
+                    <span class="export-info-small">${size}${current ? ' • Current' : ''}</span>
+                </span>
+                ${actionButton('open', 'open_in_new', 'Open as new tab')}
+                ${current ? '' : actionButton('restore', 'restore', 'Restore this version')}
+                ${current ? '' : actionButton('delete', 'delete', 'Delete revision')}
+            </label>
+        `;
+    }).join('');
+
+    const hint = versions.length > 1
+        ? 'Tick two versions to compare them.'
+        : 'No earlier versions yet. Each save over this file keeps the previous version here.';
+    const legend = Object.entries(PixelDiff.KIND_COLORS)
+        .map(([kind, color]) => `<span class="revision-legend"><span class="revision-swatch" style="background: ${color}"></span>${kind}</span>`)
+        .join('');
+
+    return `
+        <div class="export-options">
+            <div class="export-info-small">${hint}</div>
+            <div class="gif-frame-list revision-list">${rows}</div>
+            <div class="revision-diff" style="display: none;">
+                <div class="revision-diff-images">
+                    <figure><canvas class="revision-before"></canvas><figcaption>Older</figcaption></figure>
+                    <figure><canvas class="revision-after"></canvas><figcaption>Newer</figcaption></figure>
+                    <figure><canvas class="revision-changes"></canvas><figcaption>Changes</figcaption></figure>
+                </div>
+                <div class="export-info-small revision-diff-summary"></div>
+                <div class="export-info-small">${legend}</div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Keep at most two versions ticked and show their diff
+ * @private
+ * @param {HTMLElement} dialog - Dialog element
+ * @param {Array<Object>} versions - Current version and revisions
+ */
+function setupCompare(dialog, versions) {
+    const checkboxes = [...dialog.querySelectorAll('.revision-compare')];
+    let ticked = checkboxes.filter(box => box.checked && !box.disabled).map(box => parseInt(box.dataset.index));
+
+    const update = () => {
+        const panel = dialog.querySelector('.revision-diff');
+        if (ticked.length !== 2) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        // Versions are listed newest first
+        const [newer, older] = [...ticked].sort((a, b) => a - b).map(index => versions[index].image);
+        renderDiff(dialog, older, newer);
+        panel.style.display = 'block';
+    };
+
+    checkboxes.forEach(box => {
+        box.addEventListener('change', () => {
+            const index = parseInt(box.dataset.index);
+            ticked = ticked.filter(i => i !== index);
+            if (box.checked) {
+                ticked.push(index);
+                if (ticked.length > 2) {
+                    checkboxes[ticked.shift()].checked = false;
+                }
+            }
+            update();
+        });
+    });
+
+    update();
+}
+
+/**
+ * Draw both versions and their differences
+ * @private
+ * @param {HTMLElement} dialog - Dialog element
+ * @param {Object} before - Older decoded image
+ * @param {Object} after - Newer decoded image
+ */
+function renderDiff(dialog, before, after) {
+    const diff = PixelDiff.compare(before.pixels, after.pixels);
+    const area = { width: diff.width, height: diff.height };
+
+    drawImage(dialog.querySelector('.revision-before'), before, DIFF_SIZE, area);
+    drawImage(dialog.querySelector('.revision-after'), after, DIFF_SIZE, area);
+    drawChanges(dialog.querySelector('.revision-changes'), diff, after);
+
+    const total = diff.changes.length;
+    dialog.querySelector('.revision-diff-summary').textContent = total === 0
+        ? 'No pixel differences.'
+        : `${total} pixel${total === 1 ? '' : 's'} changed: ${diff.added} added, ${diff.removed} removed, ${diff.recolored} recolored` +
+          (before.width !== after.width || before.height !== after.height
+              ? ` (size ${before.width}×${before.height} → ${after.width}×${after.height})`
+              : '');
+}
+
+/**
+ * Draw the newer version faded with the changed pixels highlighted
+ * @private
+ * @param {HTMLCanvasElement} canvas - Target
+ * @param {PixelDiffResult} diff - Differences
+ * @param {Object} after - Newer decoded image
+ */
+function drawChanges(canvas, diff, after) {
+    const scale = drawImage(canvas, after, DIFF_SIZE, { width: diff.width, height: diff.height, alpha: FADED_ALPHA });
+
+    const ctx = canvas.getContext('2d');
+    ctx.globalAlpha = 1;
+    diff.changes.forEach(change => {
+        ctx.fillStyle = PixelDiff.KIND_COLORS[PixelDiff.getKind(change)];
+        ctx.fillRect(change.x * scale, change.y * scale, scale, scale);
+    });
+}
@@ -0,0 +1,298 @@
+/**
+ * ShortcutsDialog - Keyboard shortcut editor
+ *
+ * Features:
+ * - All commands by category with their keybindings, filterable by name or key
+ * - Add a keybinding by pressing it (single keys or Ctrl/Alt/Shift chords)
+ * - Remove keybindings, reset a command to its preset
+ * - Preset choice (Inline.px, Aseprite, Photoshop)
+ * - Conflicts (one keybinding on several commands) are highlighted and
+ *   must be resolved before saving
+ * - Import and export of keymaps as JSON
+ *
+ * Changes are made on a copy and only returned on Save.
+ *
+ * @module ShortcutsDialog
+ *
+ * @typedef {import('../keymapManager.js').KeymapState} KeymapState
+ * @typedef {import('../keymapManager.js').KeymapPresetInfo} KeymapPresetInfo
+ *
+ * @typedef {Object} ShortcutCommand
+ * @property {string} id - Command ID
+ * @property {string} label - Display label
+ * @property {string} [category] - Group
+ *
+ * @typedef {Object} ShortcutsDialogConfig
+ * @property {Array<ShortcutCommand>} commands - Commands to list
+ * @property {Array<KeymapPresetInfo>} presets - Available presets
+ * @property {KeymapState} keymap - Keymap to edit
+ */
+
+import CommandRegistry from '../core/CommandRegistry.js';
+import Keymap from '../core/Keymap.js';
+import { createDialogElement, showDialog, closeDialog } from './DialogCore.js';
+import { escapeHtml } from './DialogHelpers.js';
+
+/**
+ * Show the shortcut editor
+ * @param {ShortcutsDialogConfig} config - Commands, presets and keymap
+ * @returns {Promise<{action: 'save'|'export', keymap: KeymapState}|{action: 'import', file: File, keymap: KeymapState}|null>}
+ *   Resolves with the chosen action and the edited keymap, or null when cancelled
+ */
+export function showShortcutsDialog({ commands, presets, keymap }) {
+    return new Promise((resolve) => {
+        const state = {
+            draft: { preset: keymap.preset, bindings: Keymap.resolve(keymap.bindings) },
+            filter: '',
+            recording: null
+        };
+
+        const finish = (result) => {
+            closeDialog();
+            resolve(result);
+        };
+
+        const dialog = createDialogElement({
+            title: 'Keyboard Shortcuts',
+            message: null,
+            icon: 'keyboard',
+            type: 'info',
+            customContent: buildContent(presets, state.draft.preset),
+            buttons: [
+                {
+                    text: 'Cancel',
+                    type: 'secondary',
+                    action: () => finish(null)
+                },
+                {
+                    text: 'Save',
+                    type: 'primary',
+                    action: () => {
+                        if (Keymap.findConflicts(state.draft.bindings).length > 0) {
+                            dialog.querySelector('.shortcut-conflicts')?.classList.add('shortcut-conflicts-blocking');
+                            return;
+                        }
+                        finish({ action: 'save', keymap: state.draft });
+                    }
+                }
+            ]
+        });
+        dialog.classList.add('shortcuts-dialog');
+
+        setupEditor(dialog, commands, presets, state, finish);
+        showDialog(dialog, { onDismiss: () => resolve(null) });
+    });
+}
+
+/**
+ * Build the static part of the dialog
+ * @private
+ * @param {Array<KeymapPresetInfo>} presets - Available presets
+ * @param {string} selected - Preset in use
+ * @returns {string} HTML
+ */
+function buildContent(presets, selected) {
+    const options = presets.map(preset =>
+        `<option value="${escapeHtml(preset.id)}"${preset.id === selected ? ' selected' : ''}>${escapeHtml(preset.label)}</option>`
+    ).join('');
+
+    return `
+        <div class="export-options">
+            <div class="gif-settings shortcut-toolbar">
+                <label class="gif-setting">
+                    <span>Preset</span>
+                    <select class="gif-input shortcut-preset">${options}</select>
+                </label>
+                <input type="search" class="gif-input shortcut-filter" placeholder="Filter by name or key" />
+                <button class="icon-btn shortcut-reset-all" title="Reset all to preset">
+                    <span class="material-symbols-outlined">restart_alt</span>
+                </button>
+                <button class="icon-btn shortcut-import" title="Import keymap (JSON)">
+                    <span class="material-symbols-outlined">upload</span>
+                </button>
+                <button class="icon-btn shortcut-export" title="Export keymap (JSON)">
+                    <span class="material-symbols-outlined">download</span>
+                </button>
+                <input type="file" class="shortcut-file" accept=".json,application/json" style="display: none;" />
+            </div>
+            <div class="shortcut-conflicts"></div>
+            <div class="gif-frame-list shortcut-list"></div>
+        </div>
+    `;
+}
+
+/**
+ * Wire up the editor
+ * @private
+ * @param {HTMLElement} dialog - Dialog element
+ * @param {Array<ShortcutCommand>} commands - Commands to list
+ * @param {Array<KeymapPresetInfo>} presets - Available presets
+ * @param {Object} state - Draft keymap, filter text and command being recorded
+ * @param {function(Object|null): void} finish - Closes the dialog with a result
+ */
+function setupEditor(dialog, commands, presets, state, finish) {
+    const list = dialog.querySelector('.shortcut-list');
+    const labels = Object.fromEntries(commands.map(command => [command.id, command.label]));
+    const getPreset = () => presets.find(preset => preset.id === state.draft.preset) || presets[0];
+
+    const render = () => {
+        renderConflicts(dialog.querySelector('.shortcut-conflicts'), state.draft.bindings, labels);
+        renderList(list, commands, state, getPreset().bindings);
+        list.querySelector('.shortcut-record.recording')?.focus();
+    };
+
+    dialog.querySelector('.shortcut-preset').addEventListener('change', (e) => {
+        state.draft.preset = e.target.value;
+        state.draft.bindings = Keymap.resolve(getPreset().bindings);
+        render();
+    });
+
+    dialog.querySelector('.shortcut-filter').addEventListener('input', (e) => {
+        state.filter = e.target.value.trim().toLowerCase();
+        render();
+    });
+
+    dialog.querySelector('.shortcut-reset-all').addEventListener('click', () => {
+        state.draft.bindings = Keymap.resolve(getPreset().bindings);
+        render();
+    });
+
+    const fileInput = dialog.querySelector('.shortcut-file');
+    dialog.querySelector('.shortcut-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (file) finish({ action: 'import', file, keymap: state.draft });
+    });
+    dialog.querySelector('.shortcut-export').addEventListener('click', () => {
+        finish({ action: 'export', keymap: state.draft });
+    });
+
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        const id = button?.dataset.id;
+        if (!id) return;
+
+        if (button.classList.contains('shortcut-record')) {
+            state.recording = state.recording === id ? null : id;
+        } else if (button.classList.contains('shortcut-chip-remove')) {
+            state.draft.bindings[id] = state.draft.bindings[id].filter(binding => binding !== button.dataset.binding);
+        } else if (button.classList.contains('shortcut-reset')) {
+            state.draft.bindings[id] = [...(getPreset().bindings[id] || [])];
+        }
+        render();
+    });
+
+    // Anything else clicked stops recording
+    dialog.addEventListener('click', (e) => {
+        if (state.recording && !e.target.closest('.shortcut-record')) {
+            state.recording = null;
+            render();
+        }
+    });
+
+    // While recording, key presses belong to the editor: not to the app's
+    // shortcuts and not to the dialog's Escape handling
+    dialog.addEventListener('keydown', (e) => {
+        if (!state.recording) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const binding = CommandRegistry.eventToKeybinding(e);
+        if (!binding) return; // Modifier alone: wait for the key
+
+        if (binding !== 'Escape') {
+            const current = state.draft.bindings[state.recording] || [];
+            if (!current.includes(binding)) {
+                state.draft.bindings[state.recording] = [...current, binding];
+            }
+        }
+        state.recording = null;
+        render();
+    }, true);
+
+    render();
+}
+
+/**
+ * Show the conflicts of a keymap
+ * @private
+ * @param {HTMLElement} container - Conflict area
+ * @param {Object<string, Array<string>>} bindings - Keymap
+ * @param {Object<string, string>} labels - Command labels by ID
+ */
+function renderConflicts(container, bindings, labels) {
+    const conflicts = Keymap.findConflicts(bindings);
+    container.classList.remove('shortcut-conflicts-blocking');
+    container.innerHTML = conflicts.map(({ binding, ids }) => `
+        <div class="export-info-small export-warning">
+            <kbd>${escapeHtml(binding)}</kbd> is bound to ${ids.map(id => `<strong>${escapeHtml(labels[id] || id)}</strong>`).join(' and ')}
+        </div>
+    `).join('');
+}
+
+/**
+ * Render the command rows
+ * @private
+ * @param {HTMLElement} list - List element
+ * @param {Array<ShortcutCommand>} commands - Commands
+ * @param {Object} state - Draft keymap, filter text and command being recorded
+ * @param {Object<string, Array<string>>} presetBindings - Keybindings of the chosen preset
+ */
+function renderList(list, commands, state, presetBindings) {
+    const { bindings } = state.draft;
+    const conflicting = new Set(Keymap.findConflicts(bindings).map(conflict => conflict.binding));
+
+    const visible = commands.filter(command => !state.filter ||
+        command.label.toLowerCase().includes(state.filter) ||
+        (bindings[command.id] || []).some(binding => binding.toLowerCase().includes(state.filter)));
+
+    const groups = new Map();
+    visible.forEach(command => {
+        const category = command.category || 'Other';
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(command);
+    });
+
+    const html = [...groups.entries()].map(([category, group]) => `
+        <div class="shortcut-group-header">${escapeHtml(category)}</div>
+        ${group.map(command => buildRow(command, bindings[command.id] || [], presetBindings[command.id] || [], conflicting, state.recording)).join('')}
+    `).join('');
+
+    list.innerHTML = html || '<div class="export-info-small">No matching commands.</div>';
+}
+
+/**
+ * Build one command row
+ * @private
+ * @param {ShortcutCommand} command - Command
+ * @param {Array<string>} bindings - Its keybindings
+ * @param {Array<string>} presetBindings - Its keybindings in the preset
+ * @param {Set<string>} conflicting - Keybindings with conflicts
+ * @param {string|null} recording - Command being recorded
+ * @returns {string} HTML
+ */
+function buildRow(command, bindings, presetBindings, conflicting, recording) {
+    const id = escapeHtml(command.id);
+    const chips = bindings.map(binding => `
+        <span class="shortcut-chip${conflicting.has(binding) ? ' conflict' : ''}">
+            <kbd>${escapeHtml(binding)}</kbd>
+            <button class="shortcut-chip-remove" data-id="${id}" data-binding="${escapeHtml(binding)}" title="Remove">×</button>
+        </span>
+    `).join('');
+
+    const isRecording = recording === command.id;
+    const changed = !Keymap.isSame(bindings, presetBindings);
+
+    return `
+        <div class="gif-frame-row shortcut-row">
+            <span class="gif-frame-label" title="${id}">${escapeHtml(command.label)}</span>
+            <span class="shortcut-keys">${chips}</span>
+            <button class="shortcut-record${isRecording ? ' recording' : ''}" data-id="${id}" title="Add shortcut">
+                ${isRecording ? 'Press keys…' : '+'}
+            </button>
+            <button class="icon-btn shortcut-reset" data-id="${id}" title="Reset to preset"${changed ? '' : ' disabled'}>
+                <span class="material-symbols-outlined">undo</span>
+            </button>
+        </div>
+    `;
+}
@@ -0,0 +1,224 @@
+/**
+ * SpriteSheetDialog - Sprite sheet export options
+ *
+ * Features:
+ * - Pick open tabs and saved files to pack
+ * - Grid or tight packing with padding
+ * - Scale selection
+ * - Atlas format (TexturePacker JSON hash/array, CSS sprites)
+ * - Live sheet size estimate
+ *
+ * @module SpriteSheetDialog
+ *
+ * @typedef {import('../spriteSheetExport.js').SpriteSource} SpriteSource
+ * @typedef {import('../spriteSheetExport.js').SpriteSheetOptions} SpriteSheetOptions
+ */
+
+import SpritePacker from '../core/SpritePacker.js';
+import Constants from '../../config/constants.js';
+import { createDialogElement, showDialog, closeDialog } from './DialogCore.js';
+import { escapeHtml } from './DialogHelpers.js';
+
+/**
+ * Show the sprite sheet dialog
+ * @param {{tabs: Array<SpriteSource>, files: Array<SpriteSource>}} sources - Sprite sources
+ * @returns {Promise<SpriteSheetOptions|null>} Resolves with export options or null
+ */
+export function showSpriteSheetDialog(sources) {
+    return new Promise((resolve) => {
+        const options = {
+            packing: 'grid',
+            padding: Constants.spriteSheet.defaultPadding,
+            scale: 1,
+            atlasFormat: 'json-hash'
+        };
+
+        const dialog = createDialogElement({
+            title: 'Export Sprite Sheet',
+            message: 'Pack tabs and saved files into one PNG with an atlas descriptor:',
+            icon: 'grid_view',
+            type: 'info',
+            customContent: buildContent(sources, options),
+            buttons: [
+                {
+                    text: 'Cancel',
+                    type: 'secondary',
+                    action: () => {
+                        closeDialog();
+                        resolve(null);
+                    }
+                },
+                {
+                    text: 'Export Sheet',
+                    type: 'primary',
+                    action: () => {
+                        const items = getSelectedItems(dialog);
+                        if (items.length === 0) return;
+                        closeDialog();
+                        resolve({ ...options, items });
+                    }
+                }
+            ]
+        });
+
+        const update = () => {
+            options.padding = Math.min(
+                Constants.spriteSheet.maxPadding,
+                Math.max(0, parseInt(dialog.querySelector('#spritePadding').value) || 0)
+            );
+            options.atlasFormat = dialog.querySelector('#spriteAtlasFormat').value;
+            updateSummary(dialog, sources, options);
+        };
+
+        setupToggleGroup(dialog, '.sprite-packing-buttons', 'packing', (value) => {
+            options.packing = value;
+            update();
+        });
+        setupToggleGroup(dialog, '.sprite-scale-buttons', 'scale', (value) => {
+            options.scale = parseInt(value);
+            update();
+        });
+
+        dialog.querySelectorAll('.sprite-source-check, #spritePadding, #spriteAtlasFormat').forEach(control => {
+            control.addEventListener('change', update);
+            control.addEventListener('input', update);
+        });
+
+        showDialog(dialog);
+        update();
+    });
+}
+
+/**
+ * Build dialog content
+ * @private
+ * @param {{tabs: Array<SpriteSource>, files: Array<SpriteSource>}} sources - Sprite sources
+ * @param {Object} options - Initial options
+ * @returns {string} HTML
+ */
+function buildContent(sources, options) {
+    const formatOptions = Object.entries(SpritePacker.ATLAS_FORMATS)
+        .map(([id, format]) => `<option value="${id}" ${id === options.atlasFormat ? 'selected' : ''}>${escapeHtml(format.label)}</option>`)
+        .join('');
+
+    return `
+        <div class="export-options">
+            <strong>Open Tabs:</strong>
+            ${buildSourceList('tabs', sources.tabs, true)}
+            <strong>Saved Files:</strong>
+            ${buildSourceList('files', sources.files, false)}
+            <div class="gif-settings">
+                <div class="gif-setting">
+                    <span>Packing</span>
+                    <div class="png-scale-buttons sprite-packing-buttons">
+                        <button class="png-scale-btn active" data-packing="grid">Grid</button>
+                        <button class="png-scale-btn" data-packing="tight">Tight</button>
+                    </div>
+                </div>
+                <label class="gif-setting">
+                    <span>Padding</span>
+                    <input type="number" id="spritePadding" class="gif-input" min="0" max="${Constants.spriteSheet.maxPadding}" value="${options.padding}" />
+                    <span class="export-info-small">px</span>
+                </label>
+            </div>
+            <div class="gif-settings">
+                <div class="gif-setting">
+                    <span>Scale</span>
+                    <div class="png-scale-buttons sprite-scale-buttons">
+                        <button class="png-scale-btn active" data-scale="1">1×</button>
+                        <button class="png-scale-btn" data-scale="2">2×</button>
+                        <button class="png-scale-btn" data-scale="4">4×</button>
+                        <button class="png-scale-btn" data-scale="8">8×</button>
+                    </div>
+                </div>
+                <label class="gif-setting">
+                    <span>Atlas</span>
+                    <select id="spriteAtlasFormat" class="gif-input sprite-atlas-select">${formatOptions}</select>
+                </label>
+            </div>
+            <div id="spriteSheetSummary" class="export-info-small"></div>
+        </div>
+    `;
+}
+
+/**
+ * Build a checkbox list for one source
+ * @private
+ * @param {'tabs'|'files'} source - Source key
+ * @param {Array<SpriteSource>} items - Items
+ * @param {boolean} checked - Initial checkbox state
+ * @returns {string} HTML
+ */
+function buildSourceList(source, items, checked) {
+    if (items.length === 0) {
+        return '<div class="export-info-small">Nothing here.</div>';
+    }
+
+    const rows = items.map(item => `
+        <label class="gif-frame-row" data-source="${source}" data-id="${escapeHtml(item.id)}">
+            <input type="checkbox" class="export-checkbox sprite-source-check" ${checked ? 'checked' : ''} />
+            <span class="gif-frame-label">${escapeHtml(item.label)}</span>
+            <span class="export-info-small">${item.width}×${item.height}</span>
+        </label>
+    `).join('');
+
+    return `<div class="gif-frame-list">${rows}</div>`;
+}
+
+/**
+ * Wire a group of toggle buttons (one active at a time)
+ * @private
+ * @param {HTMLElement} dialog - Dialog element
+ * @param {string} selector - Button container selector
+ * @param {string} key - Dataset key holding the value
+ * @param {function(string): void} onSelect - Selection callback
+ */
+function setupToggleGroup(dialog, selector, key, onSelect) {
+    const buttons = dialog.querySelectorAll(`${selector} .png-scale-btn`);
+    buttons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            buttons.forEach(b => b.classList.toggle('active', b === btn));
+            onSelect(btn.dataset[key]);
+        });
+    });
+}
+
+/**
+ * Get the checked sprites in list order
+ * @private
+ * @param {HTMLElement} dialog - Dialog element
+ * @returns {SpriteSheetOptions['items']} Selected items
+ */
+function getSelectedItems(dialog) {
+    return [...dialog.querySelectorAll('.gif-frame-row')]
+        .filter(row => row.querySelector('.sprite-source-check').checked)
+        .map(row => ({ source: row.dataset.source, id: row.dataset.id }));
+}
+
+/**
+ * Show the resulting sheet size for the current selection
+ * @private
+ * @param {HTMLElement} dialog - Dialog element
+ * @param {{tabs: Array<SpriteSource>, files: Array<SpriteSource>}} sources - Sprite sources
+ * @param {Object} options - Current options
+ */
+function updateSummary(dialog, sources, options) {
+    const summary = dialog.querySelector('#spriteSheetSummary');
+    const items = getSelectedItems(dialog);
+    const sprites = items
+        .map(item => sources[item.source].find(source => source.id === item.id))
+        .filter(Boolean)
+        .map(source => ({ name: source.id, width: source.width * options.scale, height: source.height * options.scale }));
+
+    if (sprites.length === 0) {
+        summary.textContent = 'Select at least one sprite.';
+        return;
+    }
+
+    const { width, height } = SpritePacker.pack(sprites, options);
+    const { maxSize } = Constants.spriteSheet;
+    const tooLarge = width > maxSize || height > maxSize;
+    summary.textContent = `${sprites.length} sprite(s) → ${width}×${height} px` +
+        (tooLarge ? ` (exceeds the ${maxSize}×${maxSize} limit)` : '');
+    summary.classList.toggle('export-warning', tooLarge);
+}
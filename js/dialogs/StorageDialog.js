@@ -0,0 +1,164 @@
+/**
+ * StorageDialog - Storage usage view
+ *
+ * Features:
+ * - Active backend, space used and browser quota
+ * - Per-item sizes of saved files, autosaves and other entries
+ * - Delete buttons to free space
+ * - Request persistent storage
+ *
+ * @module StorageDialog
+ *
+ * @typedef {import('../storageUsage.js').StorageReport} StorageReport
+ * @typedef {import('../storageUsage.js').StorageUsageItem} StorageUsageItem
+ */
+
+import formatUtils from '../utils/FormatUtils.js';
+import { createDialogElement, showDialog, closeDialog } from './DialogCore.js';
+import { escapeHtml } from './DialogHelpers.js';
+
+// Quota share from which the usage bar turns into a warning
+const WARNING_RATIO = 0.9;
+
+/**
+ * Show the storage dialog
+ * @param {StorageReport} report - Usage report
+ * @returns {Promise<{action: 'delete', item: StorageUsageItem}|{action: 'persist'}|null>}
+ *   Resolves with the chosen action or null when closed
+ */
+export function showStorageDialog(report) {
+    return new Promise((resolve) => {
+        const buttons = [
+            {
+                text: 'Close',
+                type: 'secondary',
+                action: () => {
+                    closeDialog();
+                    resolve(null);
+                }
+            }
+        ];
+
+        if (report.usage.backend && !report.usage.persisted) {
+            buttons.push({
+                text: 'Keep Data Persistent',
+                type: 'primary',
+                action: () => {
+                    closeDialog();
+                    resolve({ action: 'persist' });
+                }
+            });
+        }
+
+        const dialog = createDialogElement({
+            title: 'Storage',
+            message: null,
+            icon: 'database',
+            type: report.usage.quotaExceeded ? 'warning' : 'info',
+            customContent: buildContent(report),
+            buttons
+        });
+
+        const items = report.groups.flatMap(group => group.items);
+        dialog.querySelectorAll('.storage-delete-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                closeDialog();
+                resolve({ action: 'delete', item: items[parseInt(btn.dataset.index)] });
+            });
+        });
+
+        showDialog(dialog);
+    });
+}
+
+/**
+ * Build dialog content
+ * @private
+ * @param {StorageReport} report - Usage report
+ * @returns {string} HTML
+ */
+function buildContent({ usage, groups }) {
+    let index = 0;
+    const groupHtml = groups.map(group => {
+        const rows = group.items.map(item => buildItemRow(item, index++)).join('');
+        return `
+            <div class="storage-group-header">
+                <strong>${escapeHtml(group.title)}</strong>
+                <span class="export-info-small">${formatUtils.formatFileSize(group.size)}</span>
+            </div>
+            <div class="gif-frame-list storage-list">${rows}</div>
+        `;
+    }).join('');
+
+    return `
+        <div class="export-options">
+            ${buildSummary(usage)}
+            ${groupHtml || '<div class="export-info-small">Nothing stored yet.</div>'}
+        </div>
+    `;
+}
+
+/**
+ * Build the totals and quota bar
+ * @private
+ * @param {Object} usage - Storage usage
+ * @returns {string} HTML
+ */
+function buildSummary(usage) {
+    if (!usage.backend) {
+        return '<div class="export-info-small export-warning">Browser storage is not available. Nothing will be saved.</div>';
+    }
+
+    const lines = [`Stored in <strong>${escapeHtml(usage.backend)}</strong>: ${formatUtils.formatFileSize(usage.used)}`];
+    let bar = '';
+
+    if (usage.quota) {
+        const ratio = Math.min(1, (usage.originUsage ?? usage.used) / usage.quota);
+        const warning = ratio >= WARNING_RATIO || usage.quotaExceeded;
+        lines.push(`${formatUtils.formatFileSize(usage.originUsage ?? usage.used)} of ${formatUtils.formatFileSize(usage.quota)} available to this site in use`);
+        bar = `
+            <div class="storage-bar${warning ? ' storage-bar-warning' : ''}">
+                <div class="storage-bar-fill" style="width: ${(ratio * 100).toFixed(1)}%"></div>
+            </div>
+        `;
+    }
+    if (usage.quotaExceeded) {
+        lines.push('<span class="export-warning">The last save failed: storage is full. Delete files to free space.</span>');
+    }
+    lines.push(usage.persisted
+        ? 'Persistent: the browser will not clear this data on its own.'
+        : 'Not persistent: the browser may clear this data when disk space runs low.');
+
+    return `
+        <div class="storage-summary">
+            ${bar}
+            ${lines.map(line => `<div class="export-info-small">${line}</div>`).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Build one item row
+ * @private
+ * @param {StorageUsageItem} item - Item
+ * @param {number} index - Item index across groups
+ * @returns {string} HTML
+ */
+function buildItemRow(item, index) {
+    const deleteButton = item.deletable
+        ? `<button class="icon-btn storage-delete-btn" data-index="${index}" title="Delete">
+               <span class="material-symbols-outlined">delete</span>
+           </button>`
+        : '';
+
+    return `
+        <div class="gif-frame-row storage-row">
+            <span class="gif-frame-label">
+                ${escapeHtml(item.label)}
+                ${item.detail ? `<span class="export-info-small storage-detail">${escapeHtml(item.detail)}</span>` : ''}
+            </span>
+            <span class="export-info-small storage-size">${formatUtils.formatFileSize(item.size)}</span>
+            ${deleteButton}
+        </div>
+    `;
+}
@@ -0,0 +1,172 @@
+/**
+ * <inline-px> Custom HTML Element
+ *
+ * Renders ultra-compact pixel art strings as PNG images
+ * with automatic scaling and crisp rendering.
+ *
+ * This is the source of the standalone inline-px.js script. It is bundled
+ * by vite.element.config.js (npm run build:element) together with the shared
+ * Codec, so the element always uses the exact palette the editor exports.
+ *
+ * Usage:
+ *   <inline-px data="16x16:000..." scale="4"></inline-px>
+ *
+ * Attributes:
+ *   - data: Pixel art string (WxH:DATA or WxH:RLE:DATA, optionally with an
+ *           embedded palette: WxH:PAL:<char><RRGGBB>...[:RLE]:DATA).
+ *           Animated strings (WxH:ANIM:<ms,ms,...>[:RLE]:<frame>|<frame>...)
+ *           loop forever using each frame's duration.
+ *   - scale: Image scale multiplier (default: 1)
+ *   - alt: Alternative text for accessibility
+ *   - class: CSS classes
+ *
+ * Example:
+ *   <inline-px
+ *     data="16x16:0000000000000000003BB00BB3000000B11111111B..."
+ *     scale="4"
+ *     alt="Heart sprite"
+ *     class="pixelart"
+ *   ></inline-px>
+ *
+ * @module InlinePxElement
+ */
+
+import Codec from '../core/Codec.js';
+
+const STYLES = `
+    :host {
+        display: inline-block;
+        line-height: 0;
+    }
+    img {
+        display: block;
+        image-rendering: -moz-crisp-edges;
+        image-rendering: -webkit-crisp-edges;
+        image-rendering: pixelated;
+        image-rendering: crisp-edges;
+        max-width: 100%;
+        height: auto;
+    }
+`;
+
+/**
+ * Draw decoded pixels onto a new canvas
+ * @param {{width: number, height: number, pixels: Array<Array<number>>, colors: Array<string|null>}} image - Decoded image
+ * @param {number} scale - Scale multiplier
+ * @returns {HTMLCanvasElement} Rendered canvas
+ */
+function renderToCanvas({ width, height, pixels, colors }, scale) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const color = colors[pixels[y][x]];
+            if (color) {
+                ctx.fillStyle = color;
+                ctx.fillRect(x * scale, y * scale, scale, scale);
+            }
+        }
+    }
+
+    return canvas;
+}
+
+class InlinePxElement extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.animationTimer = null;
+    }
+
+    connectedCallback() {
+        this.render();
+    }
+
+    disconnectedCallback() {
+        this.stopAnimation();
+    }
+
+    static get observedAttributes() {
+        return ['data', 'scale', 'alt'];
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue !== newValue) {
+            this.render();
+        }
+    }
+
+    stopAnimation() {
+        if (this.animationTimer) {
+            clearTimeout(this.animationTimer);
+            this.animationTimer = null;
+        }
+    }
+
+    /**
+     * Cycle the <img> through pre-rendered frames
+     * @param {HTMLImageElement} img - Image element in the shadow root
+     * @param {Array<{url: string, duration: number}>} frames - Frame data URLs
+     */
+    playAnimation(img, frames) {
+        let index = 0;
+
+        const advance = () => {
+            index = (index + 1) % frames.length;
+            img.src = frames[index].url;
+            this.animationTimer = setTimeout(advance, frames[index].duration);
+        };
+
+        this.animationTimer = setTimeout(advance, frames[0].duration);
+    }
+
+    render() {
+        this.stopAnimation();
+
+        const dataString = this.getAttribute('data');
+        if (!dataString) {
+            this.shadowRoot.innerHTML = '<p style="color: red;">Missing "data" attribute</p>';
+            return;
+        }
+
+        const scale = Math.max(1, parseInt(this.getAttribute('scale') || '1'));
+        const alt = this.getAttribute('alt') || 'Inline.px pixel art';
+
+        try {
+            const image = Codec.decode(dataString);
+            if (!image) {
+                throw new Error('Malformed data string');
+            }
+
+            const frames = (image.frames || [{ pixels: image.pixels, duration: 0 }]).map(frame => ({
+                url: renderToCanvas({ ...image, pixels: frame.pixels }, scale).toDataURL('image/png'),
+                duration: frame.duration
+            }));
+
+            this.shadowRoot.innerHTML = `
+                <style>${STYLES}</style>
+                <img src="${frames[0].url}" alt="${alt}" width="${image.width * scale}" height="${image.height * scale}" />
+            `;
+
+            if (frames.length > 1 && this.isConnected) {
+                this.playAnimation(this.shadowRoot.querySelector('img'), frames);
+            }
+        } catch (error) {
+            console.error('Inline.px render error:', error);
+            this.shadowRoot.innerHTML = `<p style="color: red;">Invalid pixel art data</p>`;
+        }
+    }
+}
+
+// Register custom element
+if (!customElements.get('inline-px')) {
+    customElements.define('inline-px', InlinePxElement);
+    console.log('✓ <inline-px> custom element registered');
+}
+
+export default InlinePxElement;
@@ -0,0 +1,864 @@
+/**
+ * FileBrowserUI - Open File Browser
+ *
+ * The "Open File" modal for saved files:
+ * - Folder sidebar: all files, files without folder, and each folder with
+ *   its file count (create, rename, delete; drop files on a folder to move them)
+ * - Search by name, tag, size or dominant color (see FileManager.queryFiles)
+ * - Sort order
+ * - Tag chips (click to search by tag) and a tag editor per file
+ * - Revisions per file: restore, open as new tab, compare
+ * - Multi-select (checkbox, Ctrl/Cmd+click, Shift+click for ranges) with
+ *   bulk move, tag, export and delete
+ * - Export the library or the selection as a project bundle (.zip) and
+ *   import bundles with name conflict handling
+ * - File commands (open, rename, duplicate, export, delete...) for the
+ *   file context menu and the row buttons; they take {fileId} as context
+ *
+ * @module FileBrowserUI
+ *
+ * @typedef {import('./types.js').SavedFile} SavedFile
+ */
+
+import logger from './core/Logger.js';
+import CommandRegistry from './core/CommandRegistry.js';
+import Dialogs from './dialogs.js';
+import FileManager from './fileManager.js';
+import ColorPalette from './colorPalette.js';
+import PNGExport from './pngExport.js';
+import ProjectDocument from './core/ProjectDocument.js';
+import Codec from './core/Codec.js';
+import { escapeHtml } from './dialogs/DialogHelpers.js';
+
+const PREVIEW_SIZE = 64;
+
+let modalElement = null;
+let foldersElement = null;
+let listElement = null;
+let emptyElement = null;
+let searchInput = null;
+let sortSelect = null;
+let bulkBarElement = null;
+let onSelectCallback = null;
+let onOpenInNewTabCallback = null;
+
+// Shown folder (null = all files, '' = files without folder)
+let currentFolder = null;
+let visibleFiles = [];
+let lastClickedId = null;
+const selectedIds = new Set();
+
+// Preview images by "<id>:<timestamp>"
+const previewCache = new Map();
+
+/**
+ * Initialize the file browser
+ * @param {Object} options - Options
+ * @param {function(SavedFile): void} [options.onOpenInNewTab] - Opens a file (or revision) in a new tab
+ */
+function init(options = {}) {
+    onOpenInNewTabCallback = options.onOpenInNewTab || null;
+    modalElement = document.getElementById('fileModal');
+    foldersElement = document.getElementById('fileFolders');
+    listElement = document.getElementById('fileList');
+    emptyElement = document.getElementById('noFilesMessage');
+    searchInput = document.getElementById('fileSearch');
+    sortSelect = document.getElementById('fileSort');
+    bulkBarElement = document.getElementById('fileBulkBar');
+
+    if (!modalElement || !listElement) {
+        logger.warn?.('File browser elements not found');
+        return;
+    }
+
+    document.getElementById('closeModal')?.addEventListener('click', hide);
+    modalElement.addEventListener('click', (e) => {
+        if (e.target === modalElement) hide();
+    });
+    modalElement.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') hide();
+    });
+
+    Object.entries(FileManager.SORT_OPTIONS).forEach(([value, { label }]) => {
+        sortSelect.add(new Option(label, value));
+    });
+    sortSelect.addEventListener('change', renderFiles);
+    searchInput.addEventListener('input', renderFiles);
+
+    const actions = {
+        newFolderBtn: handleNewFolder,
+        exportLibraryBtn: exportLibrary,
+        importBundleBtn: () => document.getElementById('bundleFileInput')?.click(),
+        fileSelectAllBtn: toggleSelectAll,
+        fileMoveBtn: moveSelected,
+        fileTagBtn: tagSelected,
+        fileExportBtn: exportSelected,
+        fileDeleteBtn: deleteSelected
+    };
+    Object.entries(actions).forEach(([id, handler]) => {
+        document.getElementById(id)?.addEventListener('click', handler);
+    });
+    document.getElementById('bundleFileInput')?.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) importBundle(file);
+    });
+
+    registerCommands();
+    logger.info?.('FileBrowserUI initialized');
+}
+
+/**
+ * Register the file commands
+ * @private
+ */
+function registerCommands() {
+    // Runs the action with the context's saved file
+    const withFile = (action) => (context) => action(getFile(context));
+    const hasFile = (context) => getFile(context) !== null;
+
+    CommandRegistry.registerAll([
+        {
+            id: 'library.open',
+            label: 'Open',
+            icon: 'folder_open',
+            category: 'Library',
+            enabled: (context) => hasFile(context) && onSelectCallback !== null,
+            handler: withFile(openFile)
+        },
+        {
+            id: 'library.openInNewTab',
+            label: 'Open in New Tab',
+            icon: 'tab',
+            category: 'Library',
+            enabled: (context) => hasFile(context) && onOpenInNewTabCallback !== null,
+            handler: withFile(file => {
+                hide();
+                onOpenInNewTabCallback(file);
+            })
+        },
+        { id: 'library.rename', label: 'Rename', icon: 'edit', category: 'Library', enabled: hasFile, handler: withFile(renameFile) },
+        { id: 'library.duplicate', label: 'Duplicate', icon: 'content_copy', category: 'Library', enabled: hasFile, handler: withFile(duplicateFile) },
+        { id: 'library.editTags', label: 'Edit Tags', icon: 'sell', category: 'Library', enabled: hasFile, handler: withFile(editTags) },
+        { id: 'library.revisions', label: 'Revisions', icon: 'history', category: 'Library', enabled: hasFile, handler: withFile(showRevisions) },
+        {
+            id: 'library.exportText',
+            label: 'As Text File',
+            icon: 'description',
+            category: 'Library',
+            enabled: hasFile,
+            handler: withFile(file => FileManager.exportAsFile(file.data, file.name))
+        },
+        {
+            id: 'library.exportPng',
+            label: 'As PNG Image',
+            icon: 'image',
+            category: 'Library',
+            enabled: hasFile,
+            handler: withFile(file => PNGExport.exportDataStringToPNG(file.data, 1, `${file.name}.png`))
+        },
+        { id: 'library.delete', label: 'Delete', icon: 'delete', category: 'Library', enabled: hasFile, handler: withFile(deleteFile) }
+    ]);
+}
+
+/**
+ * @private
+ * @param {{fileId?: string}} context - Command context
+ * @returns {SavedFile|null} The saved file, or null if it doesn't exist
+ */
+function getFile(context) {
+    return FileManager.getAllFiles().find(file => file.id === context?.fileId) || null;
+}
+
+/**
+ * Open the browser
+ * @param {Object} options - Options
+ * @param {function(SavedFile): void} options.onSelect - Called with the file to open
+ */
+function show({ onSelect }) {
+    if (!modalElement) return;
+
+    onSelectCallback = onSelect;
+    selectedIds.clear();
+    lastClickedId = null;
+
+    render();
+    modalElement.style.display = 'flex';
+    searchInput.focus();
+}
+
+/**
+ * Close the browser
+ */
+function hide() {
+    if (!modalElement) return;
+    modalElement.style.display = 'none';
+    onSelectCallback = null;
+}
+
+/**
+ * @returns {boolean} Whether the browser is open
+ */
+function isOpen() {
+    return modalElement?.style.display === 'flex';
+}
+
+/**
+ * Re-render folders and files
+ * @private
+ */
+function render() {
+    renderFolders();
+    renderFiles();
+}
+
+// ==================== FOLDERS ====================
+
+/**
+ * Render the folder sidebar
+ * @private
+ */
+function renderFolders() {
+    const files = FileManager.getAllFiles();
+    const folders = FileManager.getFolders();
+
+    if (currentFolder && !folders.includes(currentFolder)) {
+        currentFolder = null;
+    }
+
+    const countIn = folder => files.filter(file => (file.folder || '') === folder).length;
+    const entries = [
+        { folder: null, label: 'All Files', icon: 'folder_copy', count: files.length },
+        { folder: '', label: 'No Folder', icon: 'draft', count: countIn('') },
+        ...folders.map(folder => ({ folder, label: folder, icon: 'folder', count: countIn(folder) }))
+    ];
+
+    foldersElement.innerHTML = '';
+    entries.forEach(entry => foldersElement.appendChild(createFolderItem(entry)));
+}
+
+/**
+ * Create a sidebar row
+ * @private
+ * @param {{folder: string|null, label: string, icon: string, count: number}} entry - Folder entry
+ * @returns {HTMLElement} Row
+ */
+function createFolderItem({ folder, label, icon, count }) {
+    const item = document.createElement('div');
+    item.className = 'file-folder-item' + (folder === currentFolder ? ' active' : '');
+
+    const editable = folder !== null && folder !== '';
+    item.innerHTML = `
+        <span class="material-symbols-outlined">${icon}</span>
+        <span class="file-folder-name">${escapeHtml(label)}</span>
+        <span class="file-folder-count">${count}</span>
+        ${editable ? `
+            <button class="file-folder-btn" data-action="rename" title="Rename folder">
+                <span class="material-symbols-outlined">edit</span>
+            </button>
+            <button class="file-folder-btn" data-action="delete" title="Delete folder">
+                <span class="material-symbols-outlined">delete</span>
+            </button>
+        ` : ''}
+    `;
+
+    item.addEventListener('click', (e) => {
+        const action = e.target.closest('.file-folder-btn')?.dataset.action;
+        if (action === 'rename') {
+            handleRenameFolder(folder);
+        } else if (action === 'delete') {
+            handleDeleteFolder(folder);
+        } else {
+            currentFolder = folder;
+            render();
+        }
+    });
+
+    // Drop files to move them (not on "All Files")
+    if (folder !== null) {
+        item.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            item.classList.add('drop-target');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+        item.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            item.classList.remove('drop-target');
+            const ids = e.dataTransfer.getData('text/plain').split('\n').filter(Boolean);
+            if (ids.length > 0 && await FileManager.moveFiles(ids, folder)) {
+                render();
+            }
+        });
+    }
+
+    return item;
+}
+
+/**
+ * @private
+ */
+async function handleNewFolder() {
+    const name = await Dialogs.prompt('New Folder', 'Folder name:', '', { placeholder: 'e.g. Characters' });
+    if (!name || !name.trim()) return;
+
+    if (await FileManager.createFolder(name)) {
+        currentFolder = FileManager.normalizeFolderName(name);
+        render();
+    }
+}
+
+/**
+ * @private
+ * @param {string} folder - Folder name
+ */
+async function handleRenameFolder(folder) {
+    const name = await Dialogs.prompt('Rename Folder', 'New folder name:', folder);
+    if (!name || !name.trim() || name === folder) return;
+
+    if (await FileManager.renameFolder(folder, name)) {
+        if (currentFolder === folder) {
+            currentFolder = FileManager.normalizeFolderName(name);
+        }
+        render();
+    }
+}
+
+/**
+ * @private
+ * @param {string} folder - Folder name
+ */
+async function handleDeleteFolder(folder) {
+    const confirmed = await Dialogs.confirm(
+        'Delete Folder',
+        `Delete the folder "${folder}"? Its files are kept without a folder.`,
+        { confirmText: 'Delete Folder', type: 'warning' }
+    );
+    if (!confirmed) return;
+
+    if (await FileManager.deleteFolder(folder)) {
+        if (currentFolder === folder) currentFolder = null;
+        render();
+    }
+}
+
+// ==================== FILES ====================
+
+/**
+ * Render the files matching folder, search and sort
+ * @private
+ */
+function renderFiles() {
+    visibleFiles = FileManager.queryFiles({
+        query: searchInput.value,
+        folder: currentFolder,
+        sort: sortSelect.value
+    });
+
+    // Forget selected files that no longer exist
+    const existing = new Set(FileManager.getAllFiles().map(file => file.id));
+    [...selectedIds].forEach(id => {
+        if (!existing.has(id)) selectedIds.delete(id);
+    });
+
+    listElement.innerHTML = '';
+    visibleFiles.forEach(file => listElement.appendChild(createFileItem(file)));
+
+    emptyElement.textContent = existing.size === 0 ? 'No saved files found.' : 'No files match.';
+    emptyElement.style.display = visibleFiles.length === 0 ? 'block' : 'none';
+
+    updateBulkBar();
+}
+
+/**
+ * Create a file row
+ * @private
+ * @param {SavedFile} file - Saved file
+ * @returns {HTMLElement} Row
+ */
+function createFileItem(file) {
+    const item = document.createElement('div');
+    item.className = 'file-grid-item' + (selectedIds.has(file.id) ? ' selected' : '');
+    item.dataset.fileId = file.id;
+    item.draggable = true;
+
+    const dimensions = file.width && file.height ? `${file.width}×${file.height}` : 'Unknown';
+    const dominant = FileManager.getDominantColor(file);
+    const swatch = dominant
+        ? `<span class="file-grid-swatch" style="background: ${escapeHtml(dominant.hex)}" title="${escapeHtml(dominant.name || dominant.hex)}"></span>`
+        : '';
+    const folder = currentFolder === null && file.folder
+        ? `<span class="file-grid-folder"><span class="material-symbols-outlined">folder</span>${escapeHtml(file.folder)}</span>`
+        : '';
+    const tags = (file.tags || [])
+        .map(tag => `<button class="file-tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`)
+        .join('');
+
+    item.innerHTML = `
+        <input type="checkbox" class="file-grid-select" title="Select" ${selectedIds.has(file.id) ? 'checked' : ''}>
+        <div class="file-grid-preview">
+            <img src="${getPreview(file)}" alt="${escapeHtml(file.name)}" />
+        </div>
+        <div class="file-grid-details">
+            <div class="file-grid-name">${escapeHtml(file.name)}</div>
+            <div class="file-grid-meta">
+                ${swatch}
+                <span class="file-grid-info">${dimensions}</span>
+                <span class="file-grid-date">${new Date(file.timestamp).toLocaleDateString()}</span>
+                ${folder}
+            </div>
+            ${tags ? `<div class="file-grid-tags">${tags}</div>` : ''}
+        </div>
+        <div class="file-grid-actions">
+            <button class="icon-btn" data-command="library.revisions" title="Revisions">
+                <span class="material-symbols-outlined">history</span>
+            </button>
+            <button class="icon-btn" data-command="library.editTags" title="Edit tags">
+                <span class="material-symbols-outlined">sell</span>
+            </button>
+            <button class="icon-btn" data-command="library.delete" title="Delete">
+                <span class="material-symbols-outlined">delete</span>
+            </button>
+        </div>
+    `;
+
+    item.addEventListener('click', (e) => handleItemClick(e, file));
+    item.addEventListener('dragstart', (e) => {
+        const ids = selectedIds.has(file.id) ? [...selectedIds] : [file.id];
+        e.dataTransfer.setData('text/plain', ids.join('\n'));
+        e.dataTransfer.effectAllowed = 'move';
+    });
+
+    return item;
+}
+
+/**
+ * Handle a click anywhere on a file row
+ * @private
+ * @param {MouseEvent} e - Click event
+ * @param {SavedFile} file - Saved file
+ */
+function handleItemClick(e, file) {
+    const tag = e.target.closest('.file-tag')?.dataset.tag;
+    const command = e.target.closest('[data-command]')?.dataset.command;
+
+    if (tag) {
+        searchInput.value = `tag:${tag}`;
+        renderFiles();
+    } else if (command) {
+        CommandRegistry.execute(command, { fileId: file.id });
+    } else if (e.shiftKey && lastClickedId) {
+        selectRange(lastClickedId, file.id);
+    } else if (e.target.classList.contains('file-grid-select') || e.ctrlKey || e.metaKey) {
+        toggleSelected(file.id);
+    } else {
+        openFile(file);
+    }
+}
+
+/**
+ * Close the browser and hand a file to the caller of show()
+ * @private
+ * @param {SavedFile} file - Saved file
+ */
+function openFile(file) {
+    const onSelect = onSelectCallback;
+    hide();
+    onSelect?.(file);
+}
+
+/**
+ * Get a file's preview image (flattened first frame)
+ * @private
+ * @param {SavedFile} file - Saved file
+ * @returns {string} PNG data URL
+ */
+function getPreview(file) {
+    const cacheKey = `${file.id}:${file.timestamp}`;
+    if (!previewCache.has(cacheKey)) {
+        previewCache.set(cacheKey, renderPreview(ProjectDocument.toDataString(file.data) || file.data).toDataURL('image/png'));
+    }
+    return previewCache.get(cacheKey);
+}
+
+/**
+ * Render a preview canvas for a file
+ * @private
+ * @param {string} dataString - Pixel data string (WxH[:PAL:...][:RLE]:DATA)
+ * @returns {HTMLCanvasElement}
+ */
+function renderPreview(dataString) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    try {
+        // Parse data string (decompresses and resolves an embedded palette)
+        const image = Codec.decode(dataString);
+        if (!image) {
+            logger.warn?.('Preview: Invalid data format:', String(dataString).substring(0, 50));
+            canvas.width = PREVIEW_SIZE;
+            canvas.height = PREVIEW_SIZE;
+            ctx.fillStyle = '#333';
+            ctx.fillRect(0, 0, PREVIEW_SIZE, PREVIEW_SIZE);
+            return canvas;
+        }
+
+        const { width, height, pixels, colors } = image;
+
+        // Scale to fit the preview box
+        const scale = Math.min(PREVIEW_SIZE / width, PREVIEW_SIZE / height);
+        canvas.width = Math.floor(width * scale);
+        canvas.height = Math.floor(height * scale);
+        ctx.imageSmoothingEnabled = false;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const color = colors[pixels[y][x]];
+                if (pixels[y][x] !== 0 && color) {
+                    ctx.fillStyle = color;
+                    ctx.fillRect(x * scale, y * scale, scale, scale);
+                }
+            }
+        }
+    } catch (error) {
+        logger.error?.('Preview generation failed:', error);
+        canvas.width = PREVIEW_SIZE;
+        canvas.height = PREVIEW_SIZE;
+        ctx.fillStyle = '#f00';
+        ctx.fillRect(0, 0, PREVIEW_SIZE, PREVIEW_SIZE);
+    }
+
+    return canvas;
+}
+
+/**
+ * @private
+ * @param {SavedFile} file - Saved file
+ */
+async function editTags(file) {
+    const text = await Dialogs.prompt(
+        'Edit Tags',
+        `Tags for "${file.name}", separated by commas:`,
+        (file.tags || []).join(', '),
+        { placeholder: 'e.g. character, walk-cycle' }
+    );
+    if (text === null) return;
+
+    if (await FileManager.setTags(file.id, FileManager.parseTags(text))) {
+        renderFiles();
+    }
+}
+
+/**
+ * @private
+ * @param {SavedFile} file - Saved file
+ */
+async function renameFile(file) {
+    const name = (await Dialogs.prompt(
+        'Rename File',
+        `New name for "${file.name}":`,
+        file.name,
+        { placeholder: 'File name' }
+    ))?.trim();
+    if (!name || name === file.name) return;
+
+    if (FileManager.getAllFiles().some(saved => saved.name === name)) {
+        await Dialogs.alert('Name Taken', `A file named "${name}" already exists.`, 'warning');
+        return;
+    }
+    if (await FileManager.renameFile(file.id, name)) {
+        renderFiles();
+    }
+}
+
+/**
+ * @private
+ * @param {SavedFile} file - Saved file
+ */
+async function duplicateFile(file) {
+    if (await FileManager.duplicateFile(file.id)) {
+        render();
+    }
+}
+
+/**
+ * @private
+ * @param {SavedFile} file - Saved file
+ */
+async function deleteFile(file) {
+    const confirmed = await Dialogs.confirm(
+        'Delete File',
+        `Delete "${file.name}"? This cannot be undone.`,
+        { confirmText: 'Delete', type: 'error', dangerous: true }
+    );
+
+    if (confirmed && await FileManager.deleteFile(file.id)) {
+        render();
+    }
+}
+
+/**
+ * Show a file's revisions until closed
+ * @private
+ * @param {SavedFile} file - Saved file
+ */
+async function showRevisions(file) {
+    for (;;) {
+        const choice = await Dialogs.revisionsDialog(file, FileManager.getRevisions(file.id));
+        if (!choice) return;
+
+        const { action, revision } = choice;
+        const savedAt = revision ? new Date(revision.timestamp).toLocaleString() : '';
+
+        if (action === 'open') {
+            hide();
+            onOpenInNewTabCallback?.(revision
+                ? { ...file, name: `${file.name} (${savedAt})`, data: revision.data, width: revision.width, height: revision.height }
+                : file);
+            return;
+        }
+
+        if (action === 'restore') {
+            const confirmed = await Dialogs.confirm(
+                'Restore Revision',
+                `Make the version of ${savedAt} the current "${file.name}"? The current version is kept as a revision.`,
+                { confirmText: 'Restore', type: 'warning' }
+            );
+            if (!confirmed) continue;
+
+            const restored = await FileManager.restoreRevision(file.id, revision.id);
+            if (restored) {
+                file = restored;
+                render();
+            }
+        } else if (action === 'delete') {
+            const confirmed = await Dialogs.confirm(
+                'Delete Revision',
+                `Delete the version of ${savedAt}? This cannot be undone.`,
+                { confirmText: 'Delete', type: 'error', dangerous: true }
+            );
+            if (confirmed) {
+                await FileManager.deleteRevision(file.id, revision.id);
+            }
+        }
+    }
+}
+
+// ==================== SELECTION ====================
+
+/**
+ * @private
+ * @param {string} id - File ID
+ */
+function toggleSelected(id) {
+    if (selectedIds.has(id)) {
+        selectedIds.delete(id);
+    } else {
+        selectedIds.add(id);
+    }
+    lastClickedId = id;
+    renderFiles();
+}
+
+/**
+ * Select the visible files between two files (inclusive)
+ * @private
+ * @param {string} fromId - File ID
+ * @param {string} toId - File ID
+ */
+function selectRange(fromId, toId) {
+    const ids = visibleFiles.map(file => file.id);
+    const from = ids.indexOf(fromId);
+    const to = ids.indexOf(toId);
+    if (from === -1 || to === -1) {
+        toggleSelected(toId);
+        return;
+    }
+
+    ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => selectedIds.add(id));
+    lastClickedId = toId;
+    renderFiles();
+}
+
+/**
+ * Select all visible files, or clear the selection if they all are selected
+ * @private
+ */
+function toggleSelectAll() {
+    const allSelected = visibleFiles.length > 0 && visibleFiles.every(file => selectedIds.has(file.id));
+    if (allSelected) {
+        selectedIds.clear();
+    } else {
+        visibleFiles.forEach(file => selectedIds.add(file.id));
+    }
+    renderFiles();
+}
+
+/**
+ * Show the bulk action bar while files are selected
+ * @private
+ */
+function updateBulkBar() {
+    if (!bulkBarElement) return;
+
+    bulkBarElement.style.display = selectedIds.size > 0 ? 'flex' : 'none';
+    const count = document.getElementById('fileSelectedCount');
+    if (count) {
+        count.textContent = `${selectedIds.size} selected`;
+    }
+}
+
+/**
+ * @private
+ * @param {number} count - Number of files
+ * @returns {string} "1 file" / "n files"
+ */
+function filesLabel(count) {
+    return count === 1 ? '1 file' : `${count} files`;
+}
+
+/**
+ * @private
+ */
+async function moveSelected() {
+    const folders = FileManager.getFolders();
+    const name = await Dialogs.prompt(
+        'Move Files',
+        `Move ${filesLabel(selectedIds.size)} to folder (empty = no folder).` +
+            (folders.length > 0 ? ` Folders: ${folders.join(', ')}` : ''),
+        currentFolder || '',
+        { placeholder: 'Folder name' }
+    );
+    if (name === null) return;
+
+    if (await FileManager.moveFiles([...selectedIds], name)) {
+        render();
+    }
+}
+
+/**
+ * @private
+ */
+async function tagSelected() {
+    const text = await Dialogs.prompt(
+        'Add Tags',
+        `Tags to add to ${filesLabel(selectedIds.size)}, separated by commas:`,
+        '',
+        { placeholder: 'e.g. character, walk-cycle' }
+    );
+    const tags = FileManager.parseTags(text);
+    if (tags.length === 0) return;
+
+    if (await FileManager.addTags([...selectedIds], tags)) {
+        renderFiles();
+    }
+}
+
+/**
+ * @private
+ */
+function exportSelected() {
+    exportFiles([...selectedIds]);
+}
+
+/**
+ * @private
+ */
+async function deleteSelected() {
+    const count = selectedIds.size;
+    const confirmed = await Dialogs.confirm(
+        'Delete Files',
+        `Delete ${filesLabel(count)}? This cannot be undone.`,
+        { confirmText: 'Delete', type: 'error', dangerous: true }
+    );
+
+    if (confirmed && await FileManager.deleteFiles([...selectedIds])) {
+        selectedIds.clear();
+        render();
+    }
+}
+
+// ==================== BUNDLES ====================
+
+/**
+ * @private
+ */
+async function exportLibrary() {
+    if (FileManager.getAllFiles().length === 0) {
+        await Dialogs.alert('No Files', 'There are no saved files to export.', 'info');
+        return;
+    }
+    await exportFiles(null);
+}
+
+/**
+ * Download files (with the editor's custom palette) as a project bundle
+ * @private
+ * @param {Array<string>|null} ids - File IDs (null = whole library)
+ */
+async function exportFiles(ids) {
+    try {
+        await FileManager.exportBundle(ids, { editorPalette: ColorPalette.getPaletteOverrides() });
+    } catch (error) {
+        logger.error?.('Bundle export failed', error);
+        await Dialogs.alert('Export Failed', error.message, 'error');
+    }
+}
+
+/**
+ * Import a project bundle, asking how to handle existing names
+ * @param {File} file - .zip file
+ * @returns {Promise<boolean>} Whether anything was imported
+ */
+async function importBundle(file) {
+    let bundle;
+    try {
+        bundle = await FileManager.readBundle(file);
+    } catch (error) {
+        logger.error?.('Bundle import failed', error);
+        await Dialogs.alert('Import Failed', error.message, 'error');
+        return false;
+    }
+
+    if (bundle.files.length === 0) {
+        await Dialogs.alert('Empty Bundle', 'The bundle contains no readable sprites.', 'warning');
+        return false;
+    }
+
+    const existingNames = new Set(FileManager.getAllFiles().map(saved => saved.name));
+    const choice = await Dialogs.bundleImportDialog(bundle, existingNames);
+    if (!choice) return false;
+
+    const result = await FileManager.importBundle(bundle, choice.resolutions);
+    if (!result) return false;
+
+    // Recorded as an undoable palette change of the open document
+    if (choice.palette) ColorPalette.applyPaletteOverrides(choice.palette.colors);
+
+    if (isOpen()) render();
+    await Dialogs.alert(
+        'Bundle Imported',
+        `${filesLabel(result.added)} added, ${result.replaced} overwritten, ${result.skipped} skipped.`,
+        'success'
+    );
+    return result.added + result.replaced > 0;
+}
+
+/**
+ * Check whether a file looks like a project bundle
+ * @param {File} file - File
+ * @returns {boolean}
+ */
+function isBundleFile(file) {
+    return /\.zip$/i.test(file.name) || file.type === 'application/zip';
+}
+
+const FileBrowserUI = {
+    init,
+    show,
+    hide,
+    isOpen,
+    importBundle,
+    isBundleFile
+};
+
+export default FileBrowserUI;
@@ -2,57 +2,89 @@
  * FileManager Module
  *
  * Handles file operations including:
- * - Save to browser's LocalStorage
- * - Load from LocalStorage
+ * - Save to browser storage (IndexedDB, or LocalStorage as fallback)
+ * - Load from browser storage
  * - Export as .txt file
  * - Export as text string
  * - Import from text string
+ * - Folders, tags, search and bulk changes for the file browser
+ * - Project bundles (.zip with manifest, sprites and palettes) for
+ *   backing up and sharing several files at once
  *
- * Storage format in LocalStorage:
+ * Storage format (see Storage):
  * - Key: "pixelart_files"
  * - Value: JSON array of file objects
- * - Each file: {id, name, data, timestamp, width, height}
+ * - Each file: {id, name, data, timestamp, width, height, folder, tags}
+ * - Key: "pixelart_folders" - names of created folders (also kept while empty)
+ * - Key: "pixelart_revisions_<fileId>" - earlier versions of a file, newest
+ *   first, kept on every overwrite within files.revisionLimit/revisionMaxAgeDays
+ * - data: project document with all layers (see ProjectDocument);
+ *   files saved before layers were persisted hold a plain WxH:DATA string
  *
  * @typedef {import('./types.js').SavedFile} SavedFile
- * @typedef {import('./types.js').StorageStats} StorageStats
+ * @typedef {import('./types.js').FileRevision} FileRevision
+ * @typedef {import('./storage/Storage.js').StorageUsage} StorageUsage
+ * @typedef {import('./core/ProjectBundle.js').DecodedBundle} DecodedBundle
  */
 
 import logger from './core/Logger.js';
 import Dialogs from './dialogs.js';
-import StorageUtils from './utils/StorageUtils.js';
+import Storage from './storage/Storage.js';
+import ProjectDocument from './core/ProjectDocument.js';
+import Codec from './core/Codec.js';
+import ColorConfig from '../config/colors.js';
+import ProjectBundle from './core/ProjectBundle.js';
+import Constants from '../config/constants.js';
 
 const STORAGE_KEY = 'pixelart_files';
+const FOLDERS_KEY = 'pixelart_folders';
+const REVISIONS_PREFIX = 'pixelart_revisions_';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true });
+const byArea = (a, b) => a.width * a.height - b.width * b.height;
+const byColor = (a, b) => (getDominantColor(a)?.index ?? Infinity) - (getDominantColor(b)?.index ?? Infinity);
+
+/** Sort orders for queryFiles() */
+const SORT_OPTIONS = {
+    newest: { label: 'Newest first', compare: (a, b) => b.timestamp - a.timestamp },
+    oldest: { label: 'Oldest first', compare: (a, b) => a.timestamp - b.timestamp },
+    name: { label: 'Name A–Z', compare: byName },
+    'name-desc': { label: 'Name Z–A', compare: (a, b) => byName(b, a) },
+    largest: { label: 'Largest first', compare: (a, b) => byArea(b, a) },
+    smallest: { label: 'Smallest first', compare: byArea },
+    color: { label: 'Dominant color', compare: byColor }
+};
+
+// Dominant colors by "<id>:<timestamp>" (files are immutable per timestamp)
+const dominantColors = new Map();
 /** @type {string|null} */
 let currentFileName = null;
 
-// Track modal event handlers for cleanup
-let modalCloseHandler = null;
-let modalOutsideClickHandler = null;
-
 /**
- * Get all saved files from LocalStorage
+ * Get all saved files
  * @returns {Array<SavedFile>} Array of file objects
  */
 function getAllFiles() {
-    const files = StorageUtils.getJSON(STORAGE_KEY, []);
+    const files = Storage.getJSON(STORAGE_KEY, []);
     return files;
 }
 
 /**
- * Save files array to LocalStorage
+ * Save files array
  * @param {Array<SavedFile>} files - Array of file objects
  * @returns {Promise<boolean>} Success status
  */
 async function saveAllFiles(files) {
-    const success = StorageUtils.setJSON(STORAGE_KEY, files);
+    const success = await Storage.setJSON(STORAGE_KEY, files);
 
     if (!success) {
-        logger.error?.('Error saving to LocalStorage');
+        logger.error?.('Error saving files to storage');
 
-        if (StorageUtils.isQuotaExceeded()) {
+        if (Storage.isQuotaExceeded()) {
             await Dialogs.alert('Storage Full', 'Storage quota exceeded. Please delete some files to free up space.', 'error');
-        } else if (!StorageUtils.isStorageAvailable()) {
-            await Dialogs.alert('Storage Unavailable', 'LocalStorage is not available. Your browser may be in private mode.', 'error');
+        } else if (!Storage.isAvailable()) {
+            await Dialogs.alert('Storage Unavailable', 'Browser storage is not available. Your browser may be in private mode.', 'error');
         } else {
             await Dialogs.alert('Save Failed', 'Failed to save file. Please try again.', 'error');
         }
@@ -62,8 +94,8 @@ async function saveAllFiles(files) {
 }
 
 /**
- * Save current canvas to LocalStorage
- * @param {string} dataString - Pixel data string from canvas
+ * Save current canvas to browser storage
+ * @param {string} dataString - Project document (or pixel data string) from canvas
  * @param {string} name - Optional file name
  * @returns {Promise<boolean>} Success status
  */
@@ -79,16 +111,14 @@ async function save(dataString, name = null) {
         if (!name) return false; // User cancelled
     }
 
-    // Parse dimensions from data string
-    const parts = dataString.split(':');
-    if (parts.length !== 2) {
+    // Parse dimensions from document or data string
+    const dimensions = ProjectDocument.getDimensions(dataString);
+    if (!dimensions) {
         await Dialogs.alert('Invalid Format', 'Invalid data format.', 'error');
         return false;
     }
 
-    const dimensions = parts[0].split('x');
-    const width = parseInt(dimensions[0]);
-    const height = parseInt(dimensions[1]);
+    const { width, height } = dimensions;
 
     // Get existing files
     const files = getAllFiles();
@@ -117,19 +147,25 @@ async function save(dataString, name = null) {
         data: dataString,
         timestamp: Date.now(),
         width: width,
-        height: height
+        height: height,
+        folder: existingIndex >= 0 ? files[existingIndex].folder || '' : '',
+        tags: existingIndex >= 0 ? files[existingIndex].tags || [] : []
     };
 
+    let saved;
     if (existingIndex >= 0) {
-        // Update existing file
-        files[existingIndex] = fileObject;
+        // Update existing file (keeps folder and tags, the old version becomes a revision)
+        saved = await overwriteKeepingRevision(files[existingIndex], () => {
+            files[existingIndex] = fileObject;
+            return saveAllFiles(files);
+        });
     } else {
         // Add new file
         files.push(fileObject);
+        saved = await saveAllFiles(files);
     }
 
-    // Save to LocalStorage
-    if (saveAllFiles(files)) {
+    if (saved) {
         currentFileName = name;
         await Dialogs.alert('Saved!', `Saved as "${name}"`, 'success');
         return true;
@@ -139,7 +175,7 @@ async function save(dataString, name = null) {
 }
 
 /**
- * Load a file from LocalStorage by ID
+ * Load a saved file by ID
  * @param {string} id - File ID
  * @returns {SavedFile|null} File object or null if not found
  */
@@ -156,21 +192,65 @@ function load(id) {
 }
 
 /**
- * Delete a file from LocalStorage
+ * Delete a saved file
  * @param {string} id - File ID
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-function deleteFile(id) {
+async function deleteFile(id) {
     const files = getAllFiles();
     const newFiles = files.filter(f => f.id !== id);
 
-    if (newFiles.length < files.length) {
-        return saveAllFiles(newFiles);
+    if (newFiles.length < files.length && await saveAllFiles(newFiles)) {
+        await Storage.removeItem(getRevisionsKey(id));
+        return true;
     }
 
     return false;
 }
 
+/**
+ * Rename a saved file
+ * @param {string} id - File ID
+ * @param {string} name - New name
+ * @returns {Promise<boolean>} Success (false if another file has the name)
+ */
+async function renameFile(id, name) {
+    const files = getAllFiles();
+    const file = files.find(f => f.id === id);
+    if (!file || !name || files.some(f => f.id !== id && f.name === name)) {
+        return false;
+    }
+
+    const oldName = file.name;
+    file.name = name;
+    if (!await saveAllFiles(files)) return false;
+
+    if (currentFileName === oldName) currentFileName = name;
+    return true;
+}
+
+/**
+ * Save a copy of a file under a free name ("<name> copy", "<name> copy (2)"...)
+ * The copy starts without revisions.
+ * @param {string} id - File ID
+ * @returns {Promise<SavedFile|null>} The copy, or null on failure
+ */
+async function duplicateFile(id) {
+    const files = getAllFiles();
+    const file = files.find(f => f.id === id);
+    if (!file) return null;
+
+    const copy = {
+        ...file,
+        id: generateId(),
+        name: getUniqueName(`${file.name} copy`, new Set(files.map(f => f.name))),
+        timestamp: Date.now(),
+        tags: [...(file.tags || [])]
+    };
+    files.push(copy);
+    return await saveAllFiles(files) ? copy : null;
+}
+
 /**
  * Export data string as downloadable .txt file
  * @param {string} dataString - Pixel data string
@@ -186,8 +266,15 @@ function exportAsFile(dataString, filename = null) {
         filename += '.txt';
     }
 
-    // Create blob
-    const blob = new Blob([dataString], { type: 'text/plain' });
+    downloadBlob(new Blob([dataString], { type: 'text/plain' }), filename);
+}
+
+/**
+ * Download a blob as a file
+ * @param {Blob} blob - Contents
+ * @param {string} filename - File name
+ */
+function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
 
     // Create download link
@@ -243,174 +330,576 @@ function formatDate(timestamp) {
     return date.toLocaleString();
 }
 
+/**
+ * Get the stored size of each saved file
+ * @returns {Array<{file: SavedFile, size: number}>} Files with their size in characters
+ */
+function getFileSizes() {
+    return getAllFiles().map(file => ({ file, size: JSON.stringify(file).length }));
+}
+
 /**
  * Get storage usage statistics
- * @returns {StorageStats|null} Storage stats {used, total, percentage}
+ * @returns {Promise<StorageUsage>} Storage usage
  */
 function getStorageStats() {
-    return StorageUtils.getStorageStats();
+    return Storage.getUsage();
+}
+
+// ==================== REVISIONS ====================
+
+/**
+ * Get the storage key of a file's revisions
+ * @private
+ * @param {string} fileId - File ID
+ * @returns {string} Storage key
+ */
+function getRevisionsKey(fileId) {
+    return REVISIONS_PREFIX + fileId;
 }
 
 /**
- * Display file selection modal
- * @param {Function} onSelectCallback - Callback when file is selected
+ * Get the earlier versions of a saved file
+ * @param {string} fileId - File ID
+ * @returns {Array<FileRevision>} Revisions, newest first
  */
-function showLoadDialog(onSelectCallback) {
-    const modal = document.getElementById('fileModal');
-    const fileList = document.getElementById('fileList');
-    const noFilesMessage = document.getElementById('noFilesMessage');
-    const closeBtn = document.getElementById('closeModal');
+function getRevisions(fileId) {
+    return Storage.getJSON(getRevisionsKey(fileId), []);
+}
 
-    if (!modal || !fileList) {
-        logger.error?.('Modal elements not found');
-        return;
-    }
+/**
+ * Drop revisions beyond the configured count and age
+ * @private
+ * @param {Array<FileRevision>} revisions - Revisions, newest first
+ * @returns {Array<FileRevision>} Kept revisions
+ */
+function applyRetention(revisions) {
+    const { revisionLimit, revisionMaxAgeDays } = Constants.files;
+    const oldest = revisionMaxAgeDays > 0 ? Date.now() - revisionMaxAgeDays * DAY_MS : 0;
+    return revisions.filter(revision => revision.timestamp >= oldest).slice(0, revisionLimit);
+}
 
-    // Remove old event listeners to prevent memory leaks
-    if (modalCloseHandler) {
-        closeBtn.removeEventListener('click', modalCloseHandler);
+/**
+ * Keep a file's current version as a revision before it is replaced
+ * @private
+ * @param {SavedFile} file - File as currently stored
+ * @returns {Promise<boolean>} Success (also true when revisions are off)
+ */
+async function addRevision(file) {
+    const key = getRevisionsKey(file.id);
+    if (Constants.files.revisionLimit === 0) {
+        return Storage.removeItem(key);
     }
-    if (modalOutsideClickHandler) {
-        modal.removeEventListener('click', modalOutsideClickHandler);
+
+    const revisions = getRevisions(file.id);
+    if (revisions[0]?.data === file.data) return true;
+
+    const revision = {
+        id: 'rev_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+        timestamp: file.timestamp,
+        data: file.data,
+        width: file.width,
+        height: file.height
+    };
+    return Storage.setJSON(key, applyRetention([revision, ...revisions]));
+}
+
+/**
+ * Overwrite a saved file, keeping its current version as a revision
+ * Asks before overwriting when the revision can't be stored (e.g. storage
+ * is full), and takes the revision back if the file can't be written.
+ * @private
+ * @param {SavedFile} file - File about to be overwritten
+ * @param {function(): Promise<boolean>} write - Changes and saves the file
+ * @returns {Promise<boolean>} True if the file was written
+ */
+async function overwriteKeepingRevision(file, write) {
+    const key = getRevisionsKey(file.id);
+    const previous = Storage.getJSON(key, null);
+
+    if (!await addRevision(file)) {
+        const confirmed = await Dialogs.confirm(
+            'No Revision Saved',
+            `The current version of "${file.name}" could not be kept as a revision. Overwrite it anyway?`,
+            {
+                confirmText: 'Overwrite',
+                cancelText: 'Cancel',
+                type: 'warning'
+            }
+        );
+        if (!confirmed) return false;
     }
 
-    // Get files
+    if (await write()) return true;
+
+    await (previous ? Storage.setJSON(key, previous) : Storage.removeItem(key));
+    return false;
+}
+
+/**
+ * Make a revision the current version of its file
+ * The replaced version is kept as a revision, so restoring can be undone.
+ * @param {string} fileId - File ID
+ * @param {string} revisionId - Revision ID
+ * @returns {Promise<SavedFile|null>} Updated file or null on failure
+ */
+async function restoreRevision(fileId, revisionId) {
     const files = getAllFiles();
+    const file = files.find(f => f.id === fileId);
+    const revision = getRevisions(fileId).find(r => r.id === revisionId);
+    if (!file || !revision) return null;
+
+    const restored = await overwriteKeepingRevision(file, () => {
+        Object.assign(file, {
+            data: revision.data,
+            width: revision.width,
+            height: revision.height,
+            timestamp: Date.now()
+        });
+        return saveAllFiles(files);
+    });
 
-    // Clear file list
-    fileList.innerHTML = '';
+    if (!restored) return null;
+    logger.info?.(`Restored "${file.name}" to the version of ${formatDate(revision.timestamp)}`);
+    return file;
+}
 
-    if (files.length === 0) {
-        noFilesMessage.classList.remove('hidden');
-    } else {
-        noFilesMessage.classList.add('hidden');
+/**
+ * Delete one revision
+ * @param {string} fileId - File ID
+ * @param {string} revisionId - Revision ID
+ * @returns {Promise<boolean>} Success
+ */
+function deleteRevision(fileId, revisionId) {
+    const revisions = getRevisions(fileId).filter(revision => revision.id !== revisionId);
+    const key = getRevisionsKey(fileId);
+    return revisions.length > 0 ? Storage.setJSON(key, revisions) : Storage.removeItem(key);
+}
 
-        // Sort by timestamp (newest first)
-        files.sort((a, b) => b.timestamp - a.timestamp);
+// ==================== FOLDERS & TAGS ====================
 
-        // Create file items
-        files.forEach(file => {
-            const item = createFileItem(file, onSelectCallback);
-            fileList.appendChild(item);
-        });
-    }
+/**
+ * Clean up a folder name
+ * @param {string} name - Folder name
+ * @returns {string} Trimmed name with single spaces ('' = no folder)
+ */
+function normalizeFolderName(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ');
+}
 
-    // Show modal
-    modal.classList.add('flex');
-    modal.classList.remove('hidden');
-
-    // Close button handler
-    modalCloseHandler = () => {
-        modal.classList.add('hidden');
-        modal.classList.remove('flex');
-        closeBtn.removeEventListener('click', modalCloseHandler);
-        modal.removeEventListener('click', modalOutsideClickHandler);
-        modalCloseHandler = null;
-        modalOutsideClickHandler = null;
-    };
+/**
+ * Get all folders (created ones and those files are in)
+ * @returns {Array<string>} Folder names, sorted
+ */
+function getFolders() {
+    const folders = new Set(Storage.getJSON(FOLDERS_KEY, []));
+    getAllFiles().forEach(file => {
+        if (file.folder) folders.add(file.folder);
+    });
+    return [...folders].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
 
-    // Click outside to close
-    modalOutsideClickHandler = (e) => {
-        if (e.target === modal) {
-            modalCloseHandler();
-        }
-    };
+/**
+ * Create an (empty) folder
+ * @param {string} name - Folder name
+ * @returns {Promise<boolean>} Success
+ */
+async function createFolder(name) {
+    const folder = normalizeFolderName(name);
+    if (!folder) return false;
 
-    closeBtn.addEventListener('click', modalCloseHandler);
-    modal.addEventListener('click', modalOutsideClickHandler);
+    const folders = Storage.getJSON(FOLDERS_KEY, []);
+    if (folders.includes(folder)) return true;
+    return Storage.setJSON(FOLDERS_KEY, [...folders, folder]);
 }
 
 /**
- * Create a file list item element
- * @param {Object} file - File object
- * @param {Function} onSelectCallback - Callback when file is selected
- * @returns {HTMLElement} File item element
+ * Rename a folder (and move its files along)
+ * @param {string} oldName - Current name
+ * @param {string} newName - New name
+ * @returns {Promise<boolean>} Success
  */
-function createFileItem(file, onSelectCallback) {
-    const item = document.createElement('div');
-    item.className = 'file-item';
+async function renameFolder(oldName, newName) {
+    const folder = normalizeFolderName(newName);
+    if (!folder) return false;
 
-    const info = document.createElement('div');
-    info.className = 'file-item-info';
+    const folders = Storage.getJSON(FOLDERS_KEY, []).map(name => name === oldName ? folder : name);
+    await Storage.setJSON(FOLDERS_KEY, [...new Set([...folders, folder])]);
+    return updateFiles(getFileIdsInFolder(oldName), file => { file.folder = folder; });
+}
 
-    const name = document.createElement('div');
-    name.className = 'file-item-name';
-    name.textContent = file.name;
+/**
+ * Delete a folder; its files stay, without a folder
+ * @param {string} name - Folder name
+ * @returns {Promise<boolean>} Success
+ */
+async function deleteFolder(name) {
+    await Storage.setJSON(FOLDERS_KEY, Storage.getJSON(FOLDERS_KEY, []).filter(folder => folder !== name));
+    return updateFiles(getFileIdsInFolder(name), file => { file.folder = ''; });
+}
 
-    const meta = document.createElement('div');
-    meta.className = 'file-item-meta';
-    meta.textContent = `${file.width}x${file.height} • ${formatDate(file.timestamp)}`;
+/**
+ * @private
+ * @param {string} folder - Folder name
+ * @returns {Array<string>} IDs of the files in the folder
+ */
+function getFileIdsInFolder(folder) {
+    return getAllFiles().filter(file => file.folder === folder).map(file => file.id);
+}
 
-    info.appendChild(name);
-    info.appendChild(meta);
+/**
+ * Parse tags typed by the user
+ * @param {string} text - Comma-separated tags ("#" prefixes allowed)
+ * @returns {Array<string>} Unique lowercase tags
+ */
+function parseTags(text) {
+    const tags = String(text || '')
+        .split(',')
+        .map(tag => tag.trim().replace(/^#/, '').replace(/\s+/g, '-').toLowerCase())
+        .filter(Boolean);
+    return [...new Set(tags)];
+}
 
-    const actions = document.createElement('div');
-    actions.className = 'file-item-actions';
+/**
+ * Change several saved files in one write
+ * @param {Array<string>} ids - File IDs
+ * @param {function(SavedFile): void} update - Mutates each file
+ * @returns {Promise<boolean>} Success
+ */
+async function updateFiles(ids, update) {
+    if (ids.length === 0) return true;
 
-    // Load button
-    const loadBtn = document.createElement('button');
-    loadBtn.className = 'btn btn-success';
-    loadBtn.textContent = 'Load';
-    loadBtn.addEventListener('click', () => {
-        const modal = document.getElementById('fileModal');
-        modal.classList.add('hidden');
-        modal.classList.remove('flex');
-        onSelectCallback(file);
+    const selected = new Set(ids);
+    const files = getAllFiles();
+    files.forEach(file => {
+        if (selected.has(file.id)) update(file);
     });
+    return saveAllFiles(files);
+}
 
-    // Delete button
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'btn btn-danger';
-    deleteBtn.textContent = 'Delete';
-    deleteBtn.addEventListener('click', async () => {
-        const confirmed = await Dialogs.confirm(
-            'Delete File',
-            `Delete "${file.name}"? This cannot be undone.`,
-            {
-                confirmText: 'Delete',
-                cancelText: 'Cancel',
-                type: 'error',
-                dangerous: true
-            }
-        );
+/**
+ * Move files into a folder
+ * @param {Array<string>} ids - File IDs
+ * @param {string} folder - Folder name ('' = no folder)
+ * @returns {Promise<boolean>} Success
+ */
+async function moveFiles(ids, folder) {
+    const name = normalizeFolderName(folder);
+    if (name) await createFolder(name);
+    return updateFiles(ids, file => { file.folder = name; });
+}
+
+/**
+ * Add tags to files
+ * @param {Array<string>} ids - File IDs
+ * @param {Array<string>} tags - Tags (see parseTags)
+ * @returns {Promise<boolean>} Success
+ */
+function addTags(ids, tags) {
+    return updateFiles(ids, file => {
+        file.tags = [...new Set([...(file.tags || []), ...tags])];
+    });
+}
+
+/**
+ * Replace a file's tags
+ * @param {string} id - File ID
+ * @param {Array<string>} tags - Tags (see parseTags)
+ * @returns {Promise<boolean>} Success
+ */
+function setTags(id, tags) {
+    return updateFiles([id], file => { file.tags = tags; });
+}
+
+/**
+ * Delete several saved files
+ * @param {Array<string>} ids - File IDs
+ * @returns {Promise<boolean>} Success
+ */
+async function deleteFiles(ids) {
+    const selected = new Set(ids);
+    const files = getAllFiles();
+    const remaining = files.filter(file => !selected.has(file.id));
+    if (remaining.length === files.length || !await saveAllFiles(remaining)) {
+        return false;
+    }
+
+    await Promise.all(ids.map(id => Storage.removeItem(getRevisionsKey(id))));
+    return true;
+}
+
+// ==================== BUNDLES ====================
+
+/**
+ * Run bytes through a browser compression stream
+ * @private
+ * @param {Uint8Array} bytes - Input
+ * @param {TransformStream} transform - CompressionStream or DecompressionStream
+ * @returns {Promise<Uint8Array>} Output
+ */
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Get a raw deflate/inflate function backed by the browser's streams
+ * @private
+ * @param {'deflate'|'inflate'} direction - Direction
+ * @returns {function(Uint8Array): Promise<Uint8Array>|null} Function or null if unsupported
+ */
+function getRawCodec(direction) {
+    const Stream = direction === 'deflate' ? globalThis.CompressionStream : globalThis.DecompressionStream;
+    try {
+        new Stream('deflate-raw');
+    } catch (error) {
+        return null;
+    }
+    return bytes => pipeBytes(bytes, new Stream('deflate-raw'));
+}
+
+/**
+ * Download saved files as a project bundle (.zip)
+ * Without IDs the whole library is exported, including empty folders.
+ * @param {Array<string>|null} ids - File IDs (null = all files)
+ * @param {Object} options - Options
+ * @param {Object<number, string>|null} [options.editorPalette=null] - Editor palette overrides to include
+ * @returns {Promise<number>} Number of files exported
+ */
+async function exportBundle(ids = null, { editorPalette = null } = {}) {
+    const selected = ids ? new Set(ids) : null;
+    const files = getAllFiles().filter(file => !selected || selected.has(file.id));
+
+    const bytes = await ProjectBundle.encode(files, {
+        folders: selected ? [] : getFolders(),
+        editorPalette,
+        deflateRaw: getRawCodec('deflate')
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    const name = files.length === 1 ? files[0].name : `inline-px-library-${date}`;
+    downloadBlob(new Blob([bytes], { type: 'application/zip' }), `${name}.zip`);
+
+    logger.info?.(`Exported bundle with ${files.length} files`);
+    return files.length;
+}
+
+/**
+ * Read a project bundle file
+ * @param {Blob} file - .zip file
+ * @returns {Promise<DecodedBundle>} Bundle contents
+ * @throws {Error} If the file is not a readable bundle
+ */
+async function readBundle(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    return ProjectBundle.decode(bytes, { inflateRaw: getRawCodec('inflate') });
+}
+
+/**
+ * Pick a free name: "Name (2)", "Name (3)", ...
+ * @private
+ * @param {string} name - Wanted name
+ * @param {Set<string>} taken - Names in use
+ * @returns {string} Free name
+ */
+function getUniqueName(name, taken) {
+    let candidate = name;
+    for (let n = 2; taken.has(candidate); n++) {
+        candidate = `${name} (${n})`;
+    }
+    return candidate;
+}
 
-        if (confirmed) {
-            if (deleteFile(file.id)) {
-                item.remove();
-
-                // Check if no files left
-                const fileListElement = document.getElementById('fileList');
-                if (fileListElement && fileListElement.children.length === 0) {
-                    const noFilesMessage = document.getElementById('noFilesMessage');
-                    if (noFilesMessage) {
-                        noFilesMessage.classList.remove('hidden');
-                    }
-                }
+/**
+ * Merge a bundle into the saved files
+ * Files whose name already exists are handled by their resolution
+ * (default: rename).
+ * @param {DecodedBundle} bundle - Bundle contents
+ * @param {Array<'rename'|'overwrite'|'skip'|null>} resolutions - Per bundle file
+ * @returns {Promise<{added: number, replaced: number, skipped: number}|null>} Counts, or null if saving failed
+ */
+async function importBundle(bundle, resolutions = []) {
+    const files = getAllFiles();
+    const names = new Set(files.map(file => file.name));
+    const result = { added: 0, replaced: 0, skipped: 0 };
+    const revisions = [];
+
+    bundle.files.forEach((incoming, index) => {
+        const file = {
+            ...incoming,
+            folder: normalizeFolderName(incoming.folder),
+            tags: parseTags(incoming.tags.join(','))
+        };
+
+        const existingIndex = files.findIndex(existing => existing.name === file.name);
+        if (existingIndex >= 0) {
+            const resolution = resolutions[index] || 'rename';
+            if (resolution === 'skip') {
+                result.skipped++;
+                return;
+            }
+            if (resolution === 'overwrite') {
+                revisions.push(addRevision(files[existingIndex]));
+                files[existingIndex] = { ...file, id: files[existingIndex].id, timestamp: Date.now() };
+                result.replaced++;
+                return;
             }
+            file.name = getUniqueName(file.name, names);
         }
+
+        names.add(file.name);
+        files.push({ id: generateId(), ...file });
+        result.added++;
     });
 
-    actions.appendChild(loadBtn);
-    actions.appendChild(deleteBtn);
+    await Promise.all(revisions);
+
+    const folders = Storage.getJSON(FOLDERS_KEY, []);
+    const newFolders = bundle.folders.map(normalizeFolderName).filter(folder => folder && !folders.includes(folder));
+    if (newFolders.length > 0) {
+        await Storage.setJSON(FOLDERS_KEY, [...folders, ...new Set(newFolders)]);
+    }
+
+    if (result.added + result.replaced > 0 && !await saveAllFiles(files)) {
+        return null;
+    }
 
-    item.appendChild(info);
-    item.appendChild(actions);
+    logger.info?.(`Imported bundle: ${result.added} added, ${result.replaced} replaced, ${result.skipped} skipped`);
+    return result;
+}
 
-    return item;
+// ==================== SEARCH & SORT ====================
+
+/**
+ * Get the most used color of a file (flattened first frame)
+ * @param {SavedFile} file - Saved file
+ * @returns {{index: number, hex: string, name: string|null}|null} Color (name only for
+ *   unmodified palette colors) or null for empty/unreadable files
+ */
+function getDominantColor(file) {
+    const cacheKey = `${file.id}:${file.timestamp}`;
+    if (dominantColors.has(cacheKey)) {
+        return dominantColors.get(cacheKey);
+    }
+
+    let result = null;
+    try {
+        const image = Codec.decode(ProjectDocument.toDataString(file.data) || file.data);
+        const counts = new Map();
+        (image?.pixels || []).forEach(row => row.forEach(index => {
+            if (index !== 0) counts.set(index, (counts.get(index) || 0) + 1);
+        }));
+
+        let best = 0;
+        counts.forEach((count, index) => {
+            if (best === 0 || count > counts.get(best)) best = index;
+        });
+        if (best > 0) {
+            result = {
+                index: best,
+                hex: image.colors[best],
+                name: image.palette?.[best] ? null : ColorConfig.palette[best]?.name || null
+            };
+        }
+    } catch (error) {
+        logger.debug?.(`Dominant color unavailable for ${file.name}`, error);
+    }
+
+    dominantColors.set(cacheKey, result);
+    return result;
+}
+
+/**
+ * Turn a search query into a file test
+ * Terms must all match. A term is a name/tag substring, "tag:x" or "#x",
+ * a size like "16x16", or "color:red" / "color:#ff0000" (dominant color).
+ * @private
+ * @param {string} query - Search query
+ * @returns {function(SavedFile): boolean} Test
+ */
+function createMatcher(query) {
+    const hasTag = (file, text) => (file.tags || []).some(tag => tag.includes(text));
+
+    const tests = String(query || '').toLowerCase().split(/\s+/).filter(Boolean).map(term => {
+        const size = term.match(/^(\d+)[x×](\d+)$/);
+        if (size) {
+            return file => file.width === parseInt(size[1]) && file.height === parseInt(size[2]);
+        }
+        if (term.startsWith('tag:') || term.startsWith('#')) {
+            const tag = term.replace(/^(tag:|#)/, '');
+            return file => hasTag(file, tag);
+        }
+        if (term.startsWith('color:')) {
+            const color = term.slice('color:'.length).replace(/-/g, ' ');
+            return file => {
+                const dominant = getDominantColor(file);
+                if (!dominant) return false;
+                return color.startsWith('#')
+                    ? dominant.hex.toLowerCase() === color
+                    : (dominant.name || '').toLowerCase().includes(color);
+            };
+        }
+        return file => file.name.toLowerCase().includes(term) || hasTag(file, term);
+    });
+
+    return file => tests.every(test => test(file));
+}
+
+/**
+ * Find saved files
+ * @param {Object} options - Query
+ * @param {string} [options.query=''] - Search query (see createMatcher)
+ * @param {string|null} [options.folder=null] - Folder (null = all, '' = files without folder)
+ * @param {string} [options.sort='newest'] - Key of SORT_OPTIONS
+ * @returns {Array<SavedFile>} Matching files, sorted
+ */
+function queryFiles({ query = '', folder = null, sort = 'newest' } = {}) {
+    const matches = createMatcher(query);
+    const compare = (SORT_OPTIONS[sort] || SORT_OPTIONS.newest).compare;
+
+    return getAllFiles()
+        .filter(file => folder === null || (file.folder || '') === folder)
+        .filter(matches)
+        .sort(compare);
 }
 
 const FileManager = {
+    STORAGE_KEY,
+    REVISIONS_PREFIX,
+    SORT_OPTIONS,
     save,
     load,
     deleteFile,
+    deleteFiles,
+    renameFile,
+    duplicateFile,
+    getRevisions,
+    restoreRevision,
+    deleteRevision,
+    getFolders,
+    normalizeFolderName,
+    createFolder,
+    renameFolder,
+    deleteFolder,
+    moveFiles,
+    parseTags,
+    addTags,
+    setTags,
+    updateFiles,
+    getDominantColor,
+    queryFiles,
     getAllFiles,
     exportAsFile,
+    downloadBlob,
+    exportBundle,
+    readBundle,
+    importBundle,
     getCurrentFileName,
     setCurrentFileName,
     clearCurrentFileName,
     formatDate,
-    getStorageStats,
-    showLoadDialog
+    getFileSizes,
+    getStorageStats
 };
 
 export default FileManager;
@@ -0,0 +1,380 @@
+/**
+ * FrameManager - Animation Frames
+ *
+ * Features:
+ * - Multiple frames per document, each with its own layer stack
+ * - Per-frame durations (ms)
+ * - Add, duplicate, delete and reorder frames
+ * - Frame composites for thumbnails, onion skin and playback
+ *
+ * The active frame's layers live in LayerManager so tools keep drawing on
+ * LayerManager's active layer. Inactive frames are stored as deep copies of
+ * LayerManager.exportLayerData() and swapped in on selectFrame().
+ *
+ * @module FrameManager
+ *
+ * @typedef {Object} Frame
+ * @property {string} id - Unique frame ID
+ * @property {number} duration - Frame duration in ms
+ * @property {Object|null} layerData - Stored layer data (null for the active frame)
+ *
+ * @typedef {import('./core/ProjectDocument.js').FrameLayerData} FrameLayerData
+ */
+
+import logger from './core/Logger.js';
+import eventBus from './core/EventBus.js';
+import Constants from '../config/constants.js';
+import LayerManager from './layerManager.js';
+import ProjectDocument from './core/ProjectDocument.js';
+import LayerGroups from './core/LayerGroups.js';
+
+let frames = [];
+let activeIndex = 0;
+let nextFrameId = 1;
+
+/**
+ * Reset to a single frame holding LayerManager's current layers
+ * @param {number} duration - Frame duration in ms
+ */
+function init(duration = Constants.animation.defaultFrameDuration) {
+    frames = [];
+    nextFrameId = 1;
+    frames.push(createFrame(null, duration));
+    activeIndex = 0;
+
+    logger.debug?.('FrameManager initialized');
+}
+
+/**
+ * Create a frame record
+ * @private
+ * @param {Object|null} layerData - Stored layer data (null when active)
+ * @param {number} duration - Frame duration in ms
+ * @param {string|null} id - Frame ID to keep (a new one is generated otherwise)
+ * @returns {Frame} Frame
+ */
+function createFrame(layerData, duration, id = null) {
+    return {
+        id: id || `frame_${nextFrameId++}`,
+        duration: clampDuration(duration),
+        layerData
+    };
+}
+
+/**
+ * Clamp a duration to the configured range
+ * @private
+ * @param {number} duration - Duration in ms
+ * @returns {number} Clamped duration
+ */
+function clampDuration(duration) {
+    const { defaultFrameDuration, minFrameDuration, maxFrameDuration } = Constants.animation;
+    const value = Math.round(Number(duration));
+    if (!Number.isFinite(value)) return defaultFrameDuration;
+    return Math.max(minFrameDuration, Math.min(maxFrameDuration, value));
+}
+
+/**
+ * Deep copy layer data so stored frames never share pixel arrays
+ * @private
+ * @param {Object} layerData - LayerManager.exportLayerData() shaped data
+ * @returns {Object} Copy
+ */
+function cloneLayerData(layerData) {
+    return {
+        ...layerData,
+        layers: layerData.layers.map(layer => ({
+            ...layer,
+            data: layer.data.map(row => [...row])
+        })),
+        groups: (layerData.groups || []).map(group => ({ ...group }))
+    };
+}
+
+/**
+ * Get a frame's layer data (live data for the active frame)
+ * @private
+ * @param {number} index - Frame index
+ * @returns {Object} Layer data
+ */
+function getLayerData(index) {
+    return index === activeIndex ? LayerManager.exportLayerData() : frames[index].layerData;
+}
+
+/**
+ * Get frame count
+ * @returns {number} Number of frames
+ */
+function getFrameCount() {
+    return frames.length;
+}
+
+/**
+ * Get the active frame index
+ * @returns {number} Active frame index
+ */
+function getActiveIndex() {
+    return activeIndex;
+}
+
+/**
+ * Get frame metadata (without pixel data)
+ * @returns {Array<{id: string, index: number, duration: number, active: boolean}>} Frames in order
+ */
+function getFrames() {
+    return frames.map((frame, index) => ({
+        id: frame.id,
+        index,
+        duration: frame.duration,
+        active: index === activeIndex
+    }));
+}
+
+/**
+ * Find a frame by ID
+ * @param {string} frameId - Frame ID
+ * @returns {number} Frame index or -1
+ */
+function getFrameIndex(frameId) {
+    return frames.findIndex(frame => frame.id === frameId);
+}
+
+/**
+ * Get the active frame's ID
+ * @returns {string} Frame ID
+ */
+function getActiveFrameId() {
+    return frames[activeIndex].id;
+}
+
+/**
+ * Get the total animation length
+ * @returns {number} Sum of all frame durations in ms
+ */
+function getTotalDuration() {
+    return frames.reduce((total, frame) => total + frame.duration, 0);
+}
+
+/**
+ * Make a frame the active one (its layers are loaded into LayerManager)
+ * @param {number} index - Frame index
+ * @returns {boolean} Success
+ */
+function selectFrame(index) {
+    if (index < 0 || index >= frames.length) {
+        logger.warn?.(`Frame not found: ${index}`);
+        return false;
+    }
+    if (index === activeIndex) return true;
+
+    frames[activeIndex].layerData = cloneLayerData(LayerManager.exportLayerData());
+
+    const target = frames[index];
+    LayerManager.importLayerData(target.layerData);
+    target.layerData = null;
+    activeIndex = index;
+
+    logger.info?.(`Frame selected: ${index + 1}/${frames.length}`);
+    eventBus.emit('frame:selected', { index, frameId: target.id });
+
+    return true;
+}
+
+/**
+ * Insert a new empty frame after the active one and select it
+ * The new frame has the same layers (names, visibility) as the active frame.
+ * @returns {number} Index of the new frame
+ */
+function addFrame() {
+    const source = LayerManager.exportLayerData();
+    const layerData = cloneLayerData(source);
+    layerData.layers.forEach(layer => layer.data.forEach(row => row.fill(0)));
+
+    return insertFrame(layerData, frames[activeIndex].duration, 'frame:created');
+}
+
+/**
+ * Duplicate the active frame, insert the copy after it and select it
+ * @returns {number} Index of the new frame
+ */
+function duplicateFrame() {
+    const layerData = cloneLayerData(LayerManager.exportLayerData());
+    return insertFrame(layerData, frames[activeIndex].duration, 'frame:created');
+}
+
+/**
+ * Insert a stored frame after the active frame and select it
+ * @private
+ * @param {Object} layerData - Layer data for the new frame
+ * @param {number} duration - Frame duration in ms
+ * @param {string} eventName - Event to emit
+ * @returns {number} Index of the new frame
+ */
+function insertFrame(layerData, duration, eventName) {
+    const frame = createFrame(layerData, duration);
+    const index = activeIndex + 1;
+    frames.splice(index, 0, frame);
+
+    logger.info?.(`Frame created: ${frame.id} at ${index + 1}`);
+    eventBus.emit(eventName, { index, frameId: frame.id });
+
+    selectFrame(index);
+    return index;
+}
+
+/**
+ * Delete a frame
+ * @param {number} index - Frame index
+ * @returns {boolean} Success
+ */
+function deleteFrame(index) {
+    if (frames.length === 1) {
+        logger.warn?.('Cannot delete the only frame');
+        return false;
+    }
+    if (index < 0 || index >= frames.length) {
+        logger.warn?.(`Frame not found: ${index}`);
+        return false;
+    }
+
+    // Move off the frame first so LayerManager never holds deleted layers
+    if (index === activeIndex) {
+        selectFrame(index === 0 ? 1 : index - 1);
+    }
+
+    const [frame] = frames.splice(index, 1);
+    if (index < activeIndex) {
+        activeIndex--;
+    }
+
+    logger.info?.(`Frame deleted: ${frame.id}`);
+    eventBus.emit('frame:deleted', { index, frameId: frame.id });
+
+    return true;
+}
+
+/**
+ * Move a frame to a new position
+ * @param {number} fromIndex - Current index
+ * @param {number} toIndex - New index
+ * @returns {boolean} Success
+ */
+function moveFrame(fromIndex, toIndex) {
+    if (fromIndex < 0 || fromIndex >= frames.length ||
+        toIndex < 0 || toIndex >= frames.length || fromIndex === toIndex) {
+        return false;
+    }
+
+    const activeFrame = frames[activeIndex];
+    const [frame] = frames.splice(fromIndex, 1);
+    frames.splice(toIndex, 0, frame);
+    activeIndex = frames.indexOf(activeFrame);
+
+    logger.info?.(`Frame ${frame.id} moved: ${fromIndex} → ${toIndex}`);
+    eventBus.emit('frame:moved', { frameId: frame.id, oldIndex: fromIndex, newIndex: toIndex });
+
+    return true;
+}
+
+/**
+ * Set a frame's duration
+ * @param {number} index - Frame index
+ * @param {number} duration - Duration in ms (clamped to the configured range)
+ * @returns {boolean} Success
+ */
+function setFrameDuration(index, duration) {
+    const frame = frames[index];
+    if (!frame) return false;
+
+    frame.duration = clampDuration(duration);
+    eventBus.emit('frame:durationChanged', { index, frameId: frame.id, duration: frame.duration });
+
+    return true;
+}
+
+/**
+ * Composite a frame's visible layers
+ * @param {number} index - Frame index
+ * @returns {Array<Array<number>>|null} Flattened 2D pixel array or null
+ */
+function getFrameComposite(index) {
+    if (index < 0 || index >= frames.length) return null;
+    if (index === activeIndex) return LayerManager.compositeAllLayers();
+
+    const { layers, groups, canvasWidth, canvasHeight } = frames[index].layerData;
+    const sorted = [...layers].sort((a, b) => a.zIndex - b.zIndex);
+    return ProjectDocument.compositeLayers(LayerGroups.applyVisibility(sorted, groups), canvasWidth, canvasHeight);
+}
+
+/**
+ * Resize the stored (inactive) frames
+ * The active frame is resized through LayerManager.resizeLayers().
+ * @param {number} width - New width
+ * @param {number} height - New height
+ */
+function resizeFrames(width, height) {
+    frames.forEach((frame, index) => {
+        if (index === activeIndex || !frame.layerData) return;
+
+        frame.layerData.layers.forEach(layer => {
+            const oldData = layer.data;
+            layer.data = Array.from({ length: height }, (_, y) =>
+                Array.from({ length: width }, (_, x) => oldData[y]?.[x] ?? 0));
+        });
+        frame.layerData.canvasWidth = width;
+        frame.layerData.canvasHeight = height;
+    });
+}
+
+/**
+ * Export every frame for saving
+ * @returns {Array<FrameLayerData>} Frames in order (active frame uses live layers)
+ */
+function exportFrames() {
+    return frames.map((frame, index) => ({
+        id: frame.id,
+        duration: frame.duration,
+        layerData: getLayerData(index)
+    }));
+}
+
+/**
+ * Replace all frames (for loading)
+ * Frame IDs are kept when the list carries them (history snapshots).
+ * @param {Array<FrameLayerData>} frameList - Frames in order (at least one)
+ * @param {number} index - Frame to make active
+ */
+function importFrames(frameList, index = 0) {
+    nextFrameId = Math.max(0, ...frameList.map(frame => parseInt(frame.id?.split('_')[1]) || 0)) + 1;
+    activeIndex = Math.max(0, Math.min(frameList.length - 1, index));
+    frames = frameList.map(frame => createFrame(frame.layerData, frame.duration, frame.id));
+
+    const active = frames[activeIndex];
+    LayerManager.importLayerData(active.layerData);
+    active.layerData = null;
+
+    logger.info?.(`Imported ${frames.length} frame(s)`);
+    eventBus.emit('frame:imported', { frameCount: frames.length, activeIndex });
+}
+
+const FrameManager = {
+    init,
+    getFrameCount,
+    getActiveIndex,
+    getActiveFrameId,
+    getFrameIndex,
+    getFrames,
+    getTotalDuration,
+    selectFrame,
+    addFrame,
+    duplicateFrame,
+    deleteFrame,
+    moveFrame,
+    setFrameDuration,
+    getFrameComposite,
+    resizeFrames,
+    exportFrames,
+    importFrames
+};
+
+export default FrameManager;
@@ -0,0 +1,278 @@
+/**
+ * Headless API - DOM-free Entry Point
+ *
+ * Everything needed to work with data strings outside the editor (Node,
+ * build scripts, the `inline-px` CLI), built only on DOM-free modules:
+ * - parse / serialize data strings and project documents
+ * - compress / decompress (RLE)
+ * - validate and stats
+ * - render to PNG bytes, SVG markup or animated GIF bytes
+ * - convert RGBA images or PNG bytes back into data strings
+ *
+ * Inputs accept either a data string (WxH[:PAL:...][:ANIM:...][:RLE]:DATA)
+ * or a JSON project document; documents are flattened first.
+ *
+ * @module Headless
+ *
+ * @typedef {import('./core/Codec.js').DecodedFrame} DecodedFrame
+ * @typedef {import('./importers/ImageQuantizer.js').RGBAImage} RGBAImage
+ * @typedef {import('./core/PngCodec.js').ZlibFunction} ZlibFunction
+ *
+ * @typedef {Object} ParsedImage
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {Object<number, string>|null} palette - Palette overrides (index -> hex)
+ * @property {Array<string|null>} colors - Colors by palette index (overrides applied)
+ * @property {Array<DecodedFrame>} frames - Frames (a single frame for still images)
+ *
+ * @typedef {Object} ImageConvertOptions
+ * @property {'rgb'|'lab'} [metric] - Color distance metric
+ * @property {'none'|'ordered'|'floyd-steinberg'} [dither] - Dithering mode
+ * @property {number} [alphaThreshold] - Alpha below this becomes transparent
+ * @property {number} [maxSize] - Downscale so neither side exceeds this
+ * @property {Object<number, string>|null} [palette] - Palette overrides to match against and embed
+ * @property {boolean} [compress=false] - RLE compress the result when smaller
+ */
+
+import Codec from './core/Codec.js';
+import ProjectDocument from './core/ProjectDocument.js';
+import PngCodec from './core/PngCodec.js';
+import SvgEncoder from './core/SvgEncoder.js';
+import GifEncoder from './core/GifEncoder.js';
+import ImageQuantizer from './importers/ImageQuantizer.js';
+import Compression from './compression.js';
+import ValidationUtils from './utils/ValidationUtils.js';
+import Constants from '../config/constants.js';
+
+/**
+ * Normalize input to an uncompressed data string
+ * @param {string} input - Data string or JSON project document
+ * @returns {string} Data string
+ */
+function toDataString(input) {
+    const text = typeof input === 'string' ? input.trim() : '';
+    if (!ProjectDocument.isDocument(text)) {
+        return Compression.decompress(text);
+    }
+
+    const dataString = ProjectDocument.toDataString(text);
+    if (!dataString) {
+        throw new Error('Invalid project document');
+    }
+    return dataString;
+}
+
+/**
+ * Validate a data string or project document
+ * @param {string} input - Data string or JSON project document
+ * @returns {{valid: boolean, error: string|null, info: Object|null}} Validation result
+ */
+function validate(input) {
+    let dataString;
+    try {
+        dataString = ProjectDocument.isDocument(input) ? toDataString(input) : (input || '').trim();
+    } catch (error) {
+        return { valid: false, error: error.message, info: null };
+    }
+    return ValidationUtils.validateDataString(dataString);
+}
+
+/**
+ * Parse a data string or project document
+ * @param {string} input - Data string or JSON project document
+ * @returns {ParsedImage} Parsed image
+ */
+function parse(input) {
+    const result = validate(input);
+    if (!result.valid) {
+        throw new Error(`Invalid data string: ${result.error}`);
+    }
+
+    const decoded = Codec.decode(toDataString(input));
+    return {
+        width: decoded.width,
+        height: decoded.height,
+        palette: decoded.palette,
+        colors: decoded.colors,
+        frames: decoded.frames || [{ pixels: decoded.pixels, duration: Constants.animation.defaultFrameDuration }]
+    };
+}
+
+/**
+ * Serialize pixels or frames as a data string
+ * @param {Array<Array<number>>|Array<DecodedFrame>} pixelsOrFrames - 2D index array or frames
+ * @param {Object} options - Serialize options
+ * @param {Object<number, string>|null} [options.palette=null] - Palette overrides to embed
+ * @param {boolean} [options.compress=false] - RLE compress when smaller
+ * @returns {string} Data string
+ */
+function serialize(pixelsOrFrames, { palette = null, compress: useCompression = false } = {}) {
+    const isFrames = pixelsOrFrames.length > 0 && Array.isArray(pixelsOrFrames[0]?.pixels);
+    const dataString = isFrames
+        ? Codec.encodeAnimation(pixelsOrFrames, palette)
+        : Codec.encode(pixelsOrFrames, palette);
+    return useCompression ? compress(dataString) : dataString;
+}
+
+/**
+ * RLE compress a data string if that makes it shorter
+ * @param {string} dataString - Data string
+ * @returns {string} Compressed (or unchanged) data string
+ */
+function compress(dataString) {
+    return Compression.smartCompress(Compression.decompress(dataString)).data;
+}
+
+/**
+ * Remove RLE compression from a data string
+ * @param {string} dataString - Data string
+ * @returns {string} Uncompressed data string
+ */
+function decompress(dataString) {
+    return Compression.decompress(dataString);
+}
+
+/**
+ * Summarize a data string or project document
+ * @param {string} input - Data string or JSON project document
+ * @returns {Object} Dimensions, frames, color usage and compression figures
+ */
+function stats(input) {
+    const image = parse(input);
+    const dataString = toDataString(input);
+    const compression = Compression.getStats(dataString);
+
+    const counts = new Map();
+    image.frames.forEach(frame => frame.pixels.forEach(row => row.forEach(index => {
+        counts.set(index, (counts.get(index) || 0) + 1);
+    })));
+
+    const pixelCount = image.width * image.height * image.frames.length;
+    const transparent = counts.get(0) || 0;
+    counts.delete(0);
+
+    return {
+        width: image.width,
+        height: image.height,
+        frameCount: image.frames.length,
+        totalDuration: image.frames.length > 1 ? image.frames.reduce((sum, f) => sum + f.duration, 0) : 0,
+        paletteOverrides: image.palette ? Object.keys(image.palette).length : 0,
+        pixelCount,
+        transparentPixels: transparent,
+        colorsUsed: [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([index, count]) => ({ index, char: Codec.indexToChar(index), color: image.colors[index], count })),
+        inputLength: typeof input === 'string' ? input.trim().length : 0,
+        uncompressedLength: dataString.length,
+        compressedLength: compression.compressedSize ?? dataString.length,
+        compressionSavings: compression.savings
+    };
+}
+
+/**
+ * Pick a frame of a parsed image
+ * @private
+ * @param {ParsedImage} image - Parsed image
+ * @param {number} frame - Frame index
+ * @returns {Array<Array<number>>} Pixels
+ */
+function getFramePixels(image, frame) {
+    const selected = image.frames[frame];
+    if (!selected) {
+        throw new Error(`Frame ${frame + 1} does not exist (${image.frames.length} frame(s))`);
+    }
+    return selected.pixels;
+}
+
+/**
+ * Render one frame as PNG bytes
+ * @param {string} input - Data string or JSON project document
+ * @param {Object} options - Render options
+ * @param {number} [options.scale=1] - Integer scale factor
+ * @param {number} [options.frame=0] - Frame index
+ * @param {ZlibFunction} [options.deflate] - zlib deflate (node:zlib deflateSync); uncompressed otherwise
+ * @returns {Uint8Array} PNG bytes
+ */
+function renderPNG(input, { scale = 1, frame = 0, deflate = null } = {}) {
+    const image = parse(input);
+    return PngCodec.encodeIndexed(getFramePixels(image, frame), image.colors, { scale, deflate });
+}
+
+/**
+ * Render one frame as SVG markup
+ * @param {string} input - Data string or JSON project document
+ * @param {Object} options - Render options (SvgEncoder options plus `frame`)
+ * @returns {string} SVG markup
+ */
+function renderSVG(input, { frame = 0, ...options } = {}) {
+    const image = parse(input);
+    return SvgEncoder.encode(getFramePixels(image, frame), image.colors, options);
+}
+
+/**
+ * Render all frames as an animated GIF
+ * @param {string} input - Data string or JSON project document
+ * @param {Object} options - Render options
+ * @param {number} [options.scale=1] - Integer scale factor
+ * @param {number} [options.loop=0] - Repetitions after the first play (0 = forever)
+ * @returns {Uint8Array} GIF bytes
+ */
+function renderGIF(input, { scale = 1, loop = 0 } = {}) {
+    const image = parse(input);
+    return GifEncoder.encode({
+        frames: image.frames.map(frame => ({ pixels: frame.pixels, colors: image.colors, delay: frame.duration })),
+        loop,
+        scale
+    });
+}
+
+/**
+ * Convert an RGBA image into a data string (palette quantization)
+ * @param {RGBAImage} image - Source image
+ * @param {ImageConvertOptions} options - Conversion options
+ * @returns {string} Data string
+ */
+function fromImage(image, options = {}) {
+    const { minSize, maxSize } = Constants.canvas;
+    const defaults = Constants.imageImport;
+    const limit = Math.max(minSize, Math.min(maxSize, Math.floor(options.maxSize) || maxSize));
+    const palette = options.palette || null;
+
+    const { pixels } = ImageQuantizer.quantizeToFit(image, {
+        maxSize: limit,
+        minSize,
+        colors: Codec.applyPalette(palette),
+        metric: options.metric || defaults.defaultMetric,
+        dither: options.dither || defaults.defaultDither,
+        alphaThreshold: options.alphaThreshold ?? defaults.alphaThreshold
+    });
+
+    return serialize(pixels, { palette, compress: !!options.compress });
+}
+
+/**
+ * Convert PNG bytes into a data string
+ * @param {Uint8Array} bytes - PNG bytes
+ * @param {ImageConvertOptions & {inflate: ZlibFunction}} options - Conversion options and zlib inflate
+ * @returns {string} Data string
+ */
+function fromPNG(bytes, options) {
+    return fromImage(PngCodec.decode(bytes, { inflate: options.inflate }), options);
+}
+
+const Headless = {
+    toDataString,
+    validate,
+    parse,
+    serialize,
+    compress,
+    decompress,
+    stats,
+    renderPNG,
+    renderSVG,
+    renderGIF,
+    fromImage,
+    fromPNG
+};
+
+export default Headless;
@@ -1,23 +1,54 @@
 /**
  * History Module - Undo/Redo System
  *
- * Manages canvas history for undo/redo functionality.
- * Stores snapshots of canvas state with efficient memory management.
+ * Command-based undo/redo: every entry knows how to undo and redo itself
+ * and reports an estimate of the memory it holds (see HistoryRecorder for
+ * the entries the editor records). Instead of a fixed number of steps, the
+ * oldest entries are dropped once the stacks exceed the memory budget.
  *
- * @typedef {Object} HistoryState
- * @property {string} data - Canvas data string
- * @property {string} action - Action description
- * @property {number} timestamp - State timestamp
+ * Each open document (tab) has its own stacks, each held to the budget;
+ * switchDocument() swaps them; exportDocument()/loadDocument() move them
+ * in and out as plain data so they can be stored with the autosave.
+ * Positions count applied entries: 0 is the oldest state still available,
+ * undoCount is the current state.
+ *
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - Action description ("Pencil", "Delete Layer", ...)
+ * @property {string} type - Entry kind ('pixels', 'layer', 'palette', 'document')
+ * @property {Function} undo - Revert the change
+ * @property {Function} redo - Re-apply the change
+ * @property {number} size - Approximate memory held by the entry (bytes)
+ * @property {Object|null} record - Serializable description of the change (see HistoryRecorder)
+ * @property {HistoryThumbnail|null} thumbnail - Preview of the state after the entry
+ * @property {number} timestamp - Time the entry was recorded
+ *
+ * @typedef {import('./core/HistoryCodec.js').HistoryStacksData} HistoryStacksData
+ *
+ * @typedef {Object} HistoryThumbnail
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {Uint8Array} pixels - Row-major color indices
  */
 
 import logger from './core/Logger.js';
+import eventBus from './core/EventBus.js';
 
-// History stacks
+// History stacks of the current document
 let undoStack = [];
 let redoStack = [];
+let baseThumbnail = null; // State before the oldest undo entry
+
+// Stacks of the other open documents (documentId -> {undoStack, redoStack, baseThumbnail})
+const documents = new Map();
+let currentDocumentId = null;
 
 // Settings
-const MAX_HISTORY = 50; // Maximum number of undo states
+const DEFAULT_MEMORY_BUDGET = 16 * 1024 * 1024;
+let memoryBudget = DEFAULT_MEMORY_BUDGET;
+let memoryUsed = 0;
+
+// True while an entry is being undone/redone (its edits must not be recorded)
+let applying = false;
 
 // Callbacks
 let onHistoryChange = null;
@@ -25,109 +56,331 @@ let onHistoryChange = null;
 /**
  * Initialize history system
  * @param {Object} options - Configuration options
+ * @param {Function} [options.onHistoryChange] - Called with {canUndo, canRedo, undoCount, redoCount}
+ * @param {number} [options.memoryBudget] - Memory budget in bytes
  */
 function init(options = {}) {
     if (options.onHistoryChange) {
         onHistoryChange = options.onHistoryChange;
     }
+    if (options.memoryBudget) {
+        setMemoryBudget(options.memoryBudget);
+    }
 
     logger.info('History system initialized');
 }
 
 /**
- * Save current state to history
- * @param {string} dataString - Canvas data string (WxH:DATA)
- * @param {string} action - Description of action (optional)
+ * Set the memory budget (drops the oldest entries of every document if it is now exceeded)
+ * @param {number} bytes - Memory budget in bytes
  */
-function pushState(dataString, action = 'Change') {
-    if (!dataString) return;
-
-    // Add to undo stack
-    undoStack.push({
-        data: dataString,
-        action: action,
-        timestamp: Date.now()
-    });
+function setMemoryBudget(bytes) {
+    memoryBudget = bytes > 0 ? bytes : DEFAULT_MEMORY_BUDGET;
+    enforceBudget();
+    documents.forEach(stacks => trimToBudget(stacks, getStacksSize(stacks)));
+    notifyHistoryChange();
+}
 
-    // Limit stack size
-    if (undoStack.length > MAX_HISTORY) {
-        undoStack.shift();
-    }
+/**
+ * Record a new entry (clears the redo stack)
+ * @param {Object} entry - Entry without timestamp (see HistoryEntry)
+ */
+function push(entry) {
+    if (!entry || applying) return;
 
-    // Clear redo stack when new action is performed
     redoStack = [];
+    undoStack.push(createEntry(entry));
 
+    updateMemoryUsed();
+    enforceBudget();
     notifyHistoryChange();
+    eventBus.emit(eventBus.Events.HISTORY_STATE_ADDED, { label: entry.label });
+}
+
+/**
+ * Normalize an entry
+ * @private
+ * @param {Object} entry - Entry (timestamp defaults to now)
+ * @returns {HistoryEntry} Entry
+ */
+function createEntry(entry) {
+    return {
+        label: entry.label || 'Change',
+        type: entry.type || 'change',
+        undo: entry.undo,
+        redo: entry.redo,
+        size: (entry.size || 0) + (entry.thumbnail ? entry.thumbnail.pixels.length : 0),
+        record: entry.record || null,
+        thumbnail: entry.thumbnail || null,
+        timestamp: entry.timestamp || Date.now()
+    };
+}
+
+/**
+ * Drop the oldest undo entries until the current stacks fit the memory budget
+ * @private
+ */
+function enforceBudget() {
+    const stacks = { undoStack, redoStack, baseThumbnail };
+    memoryUsed = trimToBudget(stacks, memoryUsed);
+    baseThumbnail = stacks.baseThumbnail;
+}
+
+/**
+ * Drop the oldest entries of a document's stacks until they fit the memory budget
+ * The newest entry is always kept, even if it alone exceeds the budget.
+ * @private
+ * @param {{undoStack: Array<HistoryEntry>, redoStack: Array<HistoryEntry>, baseThumbnail: HistoryThumbnail|null}} stacks - Stacks (changed in place)
+ * @param {number} used - Memory the stacks hold
+ * @returns {number} Memory they hold afterwards
+ */
+function trimToBudget(stacks, used) {
+    while (used > memoryBudget && stacks.undoStack.length + stacks.redoStack.length > 1) {
+        const fromUndo = stacks.undoStack.length > 0;
+        const dropped = fromUndo ? stacks.undoStack.shift() : stacks.redoStack.shift();
+        // A redo entry's thumbnail shows a later state, not the new base
+        if (fromUndo && dropped.thumbnail) stacks.baseThumbnail = dropped.thumbnail;
+        used -= dropped.size;
+        logger.debug(`History budget exceeded, dropped: ${dropped.label}`);
+    }
+    return used;
+}
+
+/**
+ * Get the memory held by a document's stacks
+ * @private
+ * @param {{undoStack: Array<HistoryEntry>, redoStack: Array<HistoryEntry>}} stacks - Stacks
+ * @returns {number} Bytes
+ */
+function getStacksSize({ undoStack: undoEntries, redoStack: redoEntries }) {
+    return [...undoEntries, ...redoEntries].reduce((total, entry) => total + entry.size, 0);
+}
+
+/**
+ * Recalculate the memory held by both stacks
+ * @private
+ */
+function updateMemoryUsed() {
+    memoryUsed = getStacksSize({ undoStack, redoStack });
+}
+
+/**
+ * Run an entry's undo or redo function
+ * @private
+ * @param {HistoryEntry} entry - Entry
+ * @param {'undo'|'redo'} direction - Function to run
+ * @returns {boolean} Success
+ */
+function apply(entry, direction) {
+    applying = true;
+    try {
+        entry[direction]();
+        return true;
+    } catch (error) {
+        logger.error(`History ${direction} failed: ${entry.label}`, error);
+        return false;
+    } finally {
+        applying = false;
+    }
+}
+
+/**
+ * Drop the whole history after an entry failed to apply
+ * The document may be left half-changed, so no other entry can be trusted
+ * to apply on top of it.
+ * @private
+ * @param {HistoryEntry} entry - Failed entry
+ */
+function discardAfterFailure(entry) {
+    logger.warn(`History cleared after a failed step: ${entry.label}`);
+    clear(null);
 }
 
 /**
  * Undo last action
- * @param {string} currentState - Current canvas state to save before undo
- * @returns {string|null} Previous state data or null if nothing to undo
+ * @returns {HistoryEntry|null} Undone entry, or null if nothing to undo or undoing failed
  */
-function undo(currentState) {
+function undo() {
     if (undoStack.length === 0) {
         logger.debug('Nothing to undo');
         return null;
     }
 
-    // Save current state to redo stack
-    if (currentState) {
-        redoStack.push({
-            data: currentState,
-            action: 'Redo point',
-            timestamp: Date.now()
-        });
+    const entry = undoStack.pop();
+    if (!apply(entry, 'undo')) {
+        discardAfterFailure(entry);
+        return null;
     }
-
-    // Get previous state
-    const previousState = undoStack.pop();
+    redoStack.push(entry);
+    updateMemoryUsed();
 
     notifyHistoryChange();
-    logger.info('Undo:', previousState.action);
+    logger.info('Undo:', entry.label);
+    eventBus.emit(eventBus.Events.UNDO_PERFORMED, { label: entry.label });
 
-    return previousState.data;
+    return entry;
 }
 
 /**
  * Redo last undone action
- * @param {string} currentState - Current canvas state to save before redo
- * @returns {string|null} Next state data or null if nothing to redo
+ * @returns {HistoryEntry|null} Redone entry, or null if nothing to redo or redoing failed
  */
-function redo(currentState) {
+function redo() {
     if (redoStack.length === 0) {
         logger.debug('Nothing to redo');
         return null;
     }
 
-    // Save current state to undo stack
-    if (currentState) {
-        undoStack.push({
-            data: currentState,
-            action: 'Undo point',
-            timestamp: Date.now()
-        });
+    const entry = redoStack.pop();
+    if (!apply(entry, 'redo')) {
+        discardAfterFailure(entry);
+        return null;
     }
-
-    // Get next state
-    const nextState = redoStack.pop();
+    undoStack.push(entry);
+    updateMemoryUsed();
 
     notifyHistoryChange();
-    logger.info('Redo:', nextState.action);
+    logger.info('Redo:', entry.label);
+    eventBus.emit(eventBus.Events.REDO_PERFORMED, { label: entry.label });
+
+    return entry;
+}
+
+/**
+ * Undo or redo until a position is reached
+ * Stops at the first step that fails (which clears the history).
+ * @param {number} position - Number of applied entries (0 = oldest available state)
+ * @returns {number} Entries undone (negative) or redone (positive)
+ */
+function jumpTo(position) {
+    const target = Math.max(0, Math.min(undoStack.length + redoStack.length, position));
+    let steps = 0;
+
+    while (undoStack.length > target) {
+        if (!undo()) return steps;
+        steps--;
+    }
+    while (undoStack.length < target) {
+        if (!redo()) return steps;
+        steps++;
+    }
 
-    return nextState.data;
+    return steps;
 }
 
 /**
- * Clear all history
+ * Clear the current document's history
+ * @param {HistoryThumbnail|null} thumbnail - Preview of the current state
  */
-function clear() {
+function clear(thumbnail = null) {
     undoStack = [];
     redoStack = [];
+    baseThumbnail = thumbnail;
+    memoryUsed = 0;
     notifyHistoryChange();
     logger.info('History cleared');
 }
 
+/**
+ * Make another document's stacks the current ones
+ * Documents seen for the first time start with empty stacks.
+ * @param {string} documentId - Document (tab) ID
+ */
+function switchDocument(documentId) {
+    if (documentId === currentDocumentId) return;
+
+    if (currentDocumentId !== null) {
+        documents.set(currentDocumentId, { undoStack, redoStack, baseThumbnail });
+    }
+
+    const stored = documents.get(documentId);
+    documents.delete(documentId);
+    undoStack = stored ? stored.undoStack : [];
+    redoStack = stored ? stored.redoStack : [];
+    baseThumbnail = stored ? stored.baseThumbnail : null;
+    currentDocumentId = documentId;
+
+    // The budget may have been lowered while these stacks were stored
+    updateMemoryUsed();
+    enforceBudget();
+    notifyHistoryChange();
+    logger.debug(`History switched to document: ${documentId}`);
+}
+
+/**
+ * Drop a document's stacks (e.g. when its tab is closed)
+ * @param {string} documentId - Document (tab) ID
+ */
+function removeDocument(documentId) {
+    if (documentId === currentDocumentId) {
+        currentDocumentId = null;
+        clear();
+    } else {
+        documents.delete(documentId);
+    }
+}
+
+/**
+ * Get the current document's stacks as plain data (for storage)
+ * @returns {HistoryStacksData} Steps with their records
+ */
+function exportDocument() {
+    const toData = ({ label, type, timestamp, thumbnail, record }) => ({ label, type, timestamp, thumbnail, record });
+    return {
+        undo: undoStack.filter(entry => entry.record).map(toData),
+        redo: redoStack.filter(entry => entry.record).map(toData),
+        baseThumbnail
+    };
+}
+
+/**
+ * Replace a document's stacks (e.g. with a history restored from storage)
+ * @param {string} documentId - Document (tab) ID
+ * @param {Object} stacks - {undo, redo, baseThumbnail}; entries as for push(), redo with the next entry last
+ */
+function loadDocument(documentId, { undo: undoEntries = [], redo: redoEntries = [], baseThumbnail: thumbnail = null }) {
+    const stacks = {
+        undoStack: undoEntries.map(createEntry),
+        redoStack: redoEntries.map(createEntry),
+        baseThumbnail: thumbnail
+    };
+
+    if (documentId !== currentDocumentId) {
+        trimToBudget(stacks, getStacksSize(stacks));
+        documents.set(documentId, stacks);
+        return;
+    }
+
+    ({ undoStack, redoStack, baseThumbnail } = stacks);
+    updateMemoryUsed();
+    enforceBudget();
+    notifyHistoryChange();
+}
+
+/**
+ * Set the preview of the state before the oldest entry
+ * @param {HistoryThumbnail|null} thumbnail - Preview
+ */
+function setBaseThumbnail(thumbnail) {
+    baseThumbnail = thumbnail;
+    notifyHistoryChange();
+}
+
+/**
+ * Get every step of the current document's history, oldest first
+ * @returns {{steps: Array<{label: string, type: string, timestamp: number, thumbnail: HistoryThumbnail|null}>, position: number, baseThumbnail: HistoryThumbnail|null}}
+ *   Steps (applied entries followed by undone ones), current position and
+ *   preview of the state before the first step
+ */
+function getSteps() {
+    const toStep = ({ label, type, timestamp, thumbnail }) => ({ label, type, timestamp, thumbnail });
+    return {
+        steps: [...undoStack, ...[...redoStack].reverse()].map(toStep),
+        position: undoStack.length,
+        baseThumbnail
+    };
+}
+
 /**
  * Check if undo is available
  * @returns {boolean}
@@ -144,6 +397,14 @@ function canRedo() {
     return redoStack.length > 0;
 }
 
+/**
+ * Check if an entry is currently being undone or redone
+ * @returns {boolean}
+ */
+function isApplying() {
+    return applying;
+}
+
 /**
  * Get history stats
  * @returns {Object}
@@ -152,7 +413,8 @@ function getStats() {
     return {
         undoCount: undoStack.length,
         redoCount: redoStack.length,
-        maxHistory: MAX_HISTORY
+        memoryUsed,
+        memoryBudget
     };
 }
 
@@ -160,24 +422,36 @@ function getStats() {
  * Notify listeners of history change
  */
 function notifyHistoryChange() {
+    const state = {
+        canUndo: canUndo(),
+        canRedo: canRedo(),
+        undoCount: undoStack.length,
+        redoCount: redoStack.length
+    };
+
     if (onHistoryChange) {
-        onHistoryChange({
-            canUndo: canUndo(),
-            canRedo: canRedo(),
-            undoCount: undoStack.length,
-            redoCount: redoStack.length
-        });
+        onHistoryChange(state);
     }
+    eventBus.emit(eventBus.Events.HISTORY_CHANGED, state);
 }
 
 const History = {
     init,
-    pushState,
+    push,
     undo,
     redo,
+    jumpTo,
     clear,
+    switchDocument,
+    removeDocument,
+    exportDocument,
+    loadDocument,
+    setBaseThumbnail,
+    getSteps,
     canUndo,
     canRedo,
+    isApplying,
+    setMemoryBudget,
     getStats
 };
 
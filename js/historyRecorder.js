@@ -0,0 +1,719 @@
+/**
+ * HistoryRecorder - Turns Document Edits into Undo Entries
+ *
+ * Records History entries for everything that changes the document:
+ * - Strokes: only the changed pixels of the layer that was drawn on
+ * - Pixel edits outside strokes (e.g. Clear): changed pixels per layer
+ * - Layer create/delete/move/rename/visibility/properties (opacity, blend mode)
+ * - Palette edits (before/after overrides)
+ * - Resizes, frame operations, merges and group operations: packed
+ *   snapshot of all frames
+ *
+ * Entries address layers and frames by ID, never by array reference:
+ * switching frames swaps deep copies of the layer data in and out.
+ * Undoing an edit on another frame selects that frame first.
+ *
+ * Every entry carries a small thumbnail of the active frame after the edit
+ * for the History panel.
+ *
+ * Entries are built from plain change records (kind + IDs + packed
+ * pixels), so the history can be serialized with HistoryCodec and stored
+ * with the autosave of its tab.
+ *
+ * @module HistoryRecorder
+ *
+ * @typedef {import('./core/ProjectDocument.js').FrameLayerData} FrameLayerData
+ * @typedef {import('./history.js').HistoryThumbnail} HistoryThumbnail
+ *
+ * @typedef {Object} LayerDiff
+ * @property {string} layerId - Layer ID
+ * @property {number} width - Layer width at record time (for index → x/y)
+ * @property {Uint32Array} indices - Changed pixel indices (y * width + x)
+ * @property {Uint8Array} before - Color indices before the change
+ * @property {Uint8Array} after - Color indices after the change
+ */
+
+import logger from './core/Logger.js';
+import eventBus from './core/EventBus.js';
+import History from './history.js';
+import LayerManager from './layerManager.js';
+import FrameManager from './frameManager.js';
+import PixelCanvas from './canvas/PixelCanvas.js';
+import ColorPalette from './colorPalette.js';
+import HistoryCodec from './core/HistoryCodec.js';
+import Constants from '../config/constants.js';
+
+// Fixed cost per entry (closures, record metadata) for the memory estimate
+const ENTRY_OVERHEAD = 128;
+
+// History entry type of each record kind
+const RECORD_TYPES = {
+    pixels: 'pixels',
+    layerCreated: 'layer',
+    layerDeleted: 'layer',
+    layerMoved: 'layer',
+    layerRenamed: 'layer',
+    layerVisibility: 'layer',
+    layerProperties: 'layer',
+    palette: 'palette',
+    document: 'document'
+};
+
+// Tools whose edits are named "<Tool> stroke"
+const STROKE_TOOLS = ['brush', 'pencil', 'eraser'];
+
+// Packed layer pixels captured when the current stroke started
+let pendingStroke = null;
+
+// Set while recordDocument() runs its edit: the snapshot covers everything it does
+let recordingDocument = false;
+
+/**
+ * Start listening for strokes and layer operations
+ */
+function init() {
+    eventBus.on(eventBus.Events.DRAWING_STARTED, beginStroke);
+    eventBus.on(eventBus.Events.DRAWING_ENDED, endStroke);
+
+    eventBus.on('layer:created', recordLayerCreated);
+    eventBus.on('layer:deleted', recordLayerDeleted);
+    eventBus.on('layer:moved', recordLayerMoved);
+    eventBus.on('layer:renamed', recordLayerRenamed);
+    eventBus.on('layer:visibilityChanged', recordLayerVisibility);
+    eventBus.on('layer:propertiesChanged', recordLayerProperties);
+
+    // A document without history yet starts at its loaded state
+    eventBus.on(eventBus.Events.FILE_LOADED, () => {
+        const { steps, baseThumbnail } = History.getSteps();
+        if (steps.length === 0 && !baseThumbnail) {
+            History.setBaseThumbnail(captureThumbnail());
+        }
+    });
+
+    logger.debug?.('HistoryRecorder initialized');
+}
+
+/**
+ * Check if edits should be recorded right now
+ * @private
+ * @returns {boolean}
+ */
+function isRecording() {
+    return !History.isApplying() && !recordingDocument && LayerManager.getActiveLayer() !== null;
+}
+
+/**
+ * Pack a layer's 2D pixel array into bytes
+ * @private
+ * @param {Array<Array<number>>} data - 2D color indices
+ * @returns {Uint8Array} Row-major color indices
+ */
+function packPixels(data) {
+    const width = data[0]?.length || 0;
+    const packed = new Uint8Array(width * data.length);
+    data.forEach((row, y) => packed.set(row, y * width));
+    return packed;
+}
+
+/**
+ * Unpack bytes into a fresh 2D pixel array
+ * @private
+ * @param {Uint8Array} packed - Row-major color indices
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Array<Array<number>>} 2D color indices
+ */
+function unpackPixels(packed, width, height) {
+    return Array.from({ length: height }, (_, y) => Array.from(packed.subarray(y * width, (y + 1) * width)));
+}
+
+/**
+ * Compare a layer with its packed earlier state
+ * @private
+ * @param {string} layerId - Layer ID
+ * @param {Uint8Array} packed - Pixels before the change
+ * @returns {LayerDiff|null} Diff or null if nothing changed (or the size changed)
+ */
+function diffLayer(layerId, packed) {
+    const layer = LayerManager.getLayer(layerId);
+    if (!layer) return null;
+
+    const current = packPixels(layer.data);
+    if (current.length !== packed.length) return null;
+
+    const indices = [];
+    for (let i = 0; i < current.length; i++) {
+        if (current[i] !== packed[i]) indices.push(i);
+    }
+    if (indices.length === 0) return null;
+
+    return {
+        layerId,
+        width: layer.data[0].length,
+        indices: Uint32Array.from(indices),
+        before: Uint8Array.from(indices, i => packed[i]),
+        after: Uint8Array.from(indices, i => current[i])
+    };
+}
+
+/**
+ * Write one side of a diff back into its layer
+ * @private
+ * @param {LayerDiff} diff - Layer diff
+ * @param {'before'|'after'} side - Values to write
+ */
+function applyDiff(diff, side) {
+    const layer = LayerManager.getLayer(diff.layerId);
+    if (!layer) {
+        throw new Error(`Layer not found: ${diff.layerId}`);
+    }
+
+    const values = diff[side];
+    diff.indices.forEach((index, i) => {
+        layer.data[Math.floor(index / diff.width)][index % diff.width] = values[i];
+    });
+}
+
+/**
+ * Capture a downscaled preview of the active frame
+ * @returns {HistoryThumbnail|null} Thumbnail or null without a document
+ */
+function captureThumbnail() {
+    if (!LayerManager.getActiveLayer()) return null;
+
+    const pixels = LayerManager.compositeAllLayers();
+    const sourceHeight = pixels.length;
+    const sourceWidth = pixels[0]?.length || 0;
+    const scale = Math.min(1, Constants.history.thumbnailSize / Math.max(sourceWidth, sourceHeight, 1));
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+
+    const packed = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const row = pixels[Math.floor(y / scale)] || [];
+        for (let x = 0; x < width; x++) {
+            packed[y * width + x] = row[Math.floor(x / scale)] || 0;
+        }
+    }
+
+    return { width, height, pixels: packed };
+}
+
+// ==================== RECORDS ====================
+
+/**
+ * Pack a layer (pixels as bytes, other properties as they are)
+ * @private
+ * @param {Object} layer - Layer
+ * @returns {Object} Packed layer
+ */
+function packLayer({ data, ...properties }) {
+    return { ...properties, width: data[0]?.length || 0, height: data.length, pixels: packPixels(data) };
+}
+
+/**
+ * Rebuild a layer packed by packLayer()
+ * @private
+ * @param {Object} packed - Packed layer
+ * @returns {Object} Layer with fresh pixel data
+ */
+function unpackLayer({ pixels, width, height, ...properties }) {
+    return { ...properties, data: unpackPixels(pixels, width, height) };
+}
+
+/**
+ * Estimate the memory a record holds
+ * @private
+ * @param {Object} record - Change record
+ * @returns {number} Bytes
+ */
+function getRecordSize(record) {
+    switch (record.kind) {
+        case 'pixels':
+            return ENTRY_OVERHEAD + record.diffs.reduce((total, diff) => total + diff.indices.length * 6, 0);
+        case 'layerCreated':
+        case 'layerDeleted':
+            return ENTRY_OVERHEAD + (record.layer ? record.layer.pixels.length : 0);
+        case 'document':
+            return ENTRY_OVERHEAD + getSnapshotSize(record.before) + getSnapshotSize(record.after);
+        default:
+            return ENTRY_OVERHEAD;
+    }
+}
+
+/**
+ * Set a layer's visibility
+ * @private
+ * @param {string} layerId - Layer ID
+ * @param {boolean} visible - Visibility
+ */
+function setLayerVisible(layerId, visible) {
+    if (LayerManager.getLayer(layerId)?.visible !== visible) {
+        LayerManager.toggleVisibility(layerId);
+    }
+}
+
+/**
+ * Undo or redo the change a record describes
+ * Layers removed by undoing their creation are packed into the record so
+ * redo (and a stored history) can bring them back.
+ * @private
+ * @param {Object} record - Change record
+ * @param {'undo'|'redo'} direction - Direction
+ */
+function applyRecord(record, direction) {
+    const undo = direction === 'undo';
+    if (record.frameId) activateFrame(record.frameId);
+
+    switch (record.kind) {
+        case 'pixels':
+            record.diffs.forEach(diff => applyDiff(diff, undo ? 'before' : 'after'));
+            break;
+
+        case 'layerCreated':
+            if (undo) {
+                const layer = LayerManager.getLayer(record.layerId);
+                if (!layer) throw new Error(`Layer not found: ${record.layerId}`);
+                record.layer = packLayer(layer);
+                record.wasActive = LayerManager.getActiveLayer()?.id === record.layerId;
+                LayerManager.deleteLayer(record.layerId);
+            } else {
+                LayerManager.insertLayer(unpackLayer(record.layer), record.index);
+                if (record.wasActive) LayerManager.setActiveLayer(record.layerId);
+            }
+            break;
+
+        case 'layerDeleted':
+            if (undo) {
+                LayerManager.insertLayer(unpackLayer(record.layer), record.index);
+                if (record.wasActive) LayerManager.setActiveLayer(record.layerId);
+            } else {
+                LayerManager.deleteLayer(record.layerId);
+            }
+            break;
+
+        case 'layerMoved':
+            // Records stored before groups existed carry no group IDs (keep the group)
+            LayerManager.moveLayer(record.layerId, undo ? record.oldIndex : record.newIndex, undo ? record.oldGroupId : record.newGroupId);
+            break;
+
+        case 'layerRenamed':
+            LayerManager.renameLayer(record.layerId, undo ? record.oldName : record.newName);
+            break;
+
+        case 'layerVisibility':
+            setLayerVisible(record.layerId, undo ? !record.visible : record.visible);
+            break;
+
+        case 'layerProperties':
+            LayerManager.setLayerProperties(record.layerId, undo ? record.before : record.after);
+            break;
+
+        case 'palette':
+            ColorPalette.applyPaletteOverrides(undo ? record.before : record.after);
+            break;
+
+        case 'document':
+            restoreFrames(undo ? record.before : record.after);
+            break;
+    }
+}
+
+/**
+ * Turn a record into a History entry
+ * @private
+ * @param {string} label - Action description
+ * @param {Object} record - Change record
+ * @returns {Object} Entry without thumbnail and timestamp
+ * @throws {Error} If the record kind is unknown
+ */
+function createEntry(label, record) {
+    const type = RECORD_TYPES[record?.kind];
+    if (!type) {
+        throw new Error(`Unknown history record: ${record?.kind}`);
+    }
+
+    return {
+        label,
+        type,
+        record,
+        size: getRecordSize(record),
+        undo: () => applyRecord(record, 'undo'),
+        redo: () => applyRecord(record, 'redo')
+    };
+}
+
+/**
+ * Record a change with a thumbnail of the current state
+ * @private
+ * @param {string} label - Action description
+ * @param {Object} record - Change record
+ */
+function pushRecord(label, record) {
+    History.push({ ...createEntry(label, record), thumbnail: captureThumbnail() });
+}
+
+/**
+ * Make the frame an entry belongs to the active one
+ * @private
+ * @param {string} frameId - Frame ID
+ */
+function activateFrame(frameId) {
+    const index = FrameManager.getFrameIndex(frameId);
+    if (index === -1) {
+        throw new Error(`Frame not found: ${frameId}`);
+    }
+    FrameManager.selectFrame(index);
+}
+
+/**
+ * Record layer diffs as one entry
+ * @private
+ * @param {string} label - Action description
+ * @param {string} frameId - Frame the pixels were changed on
+ * @param {Array<LayerDiff>} diffs - Changed layers
+ */
+function pushPixelRecord(label, frameId, diffs) {
+    if (diffs.length === 0) return;
+    pushRecord(label, { kind: 'pixels', frameId, diffs });
+}
+
+// ==================== STROKES & PIXEL EDITS ====================
+
+/**
+ * Remember the active layer's pixels at the start of a stroke
+ * @private
+ */
+function beginStroke() {
+    if (!isRecording()) {
+        pendingStroke = null;
+        return;
+    }
+
+    const layer = LayerManager.getActiveLayer();
+    pendingStroke = {
+        frameId: FrameManager.getActiveFrameId(),
+        layerId: layer.id,
+        packed: packPixels(layer.data)
+    };
+}
+
+/**
+ * Record the pixels the finished stroke changed
+ * @private
+ * @param {Object} payload - {toolId, toolName}
+ */
+function endStroke({ toolId, toolName } = {}) {
+    if (!pendingStroke) return;
+
+    const { frameId, layerId, packed } = pendingStroke;
+    pendingStroke = null;
+
+    if (FrameManager.getActiveFrameId() !== frameId) return;
+    const diff = diffLayer(layerId, packed);
+    if (diff) {
+        const label = STROKE_TOOLS.includes(toolId) ? `${toolName} stroke` : toolName;
+        pushPixelRecord(label || 'Draw', frameId, [diff]);
+    }
+}
+
+/**
+ * Run a pixel edit on the active frame and record the changed pixels
+ * @param {string} label - Action description
+ * @param {Function} edit - Edit to run
+ * @returns {*} The edit's return value
+ */
+function recordPixels(label, edit) {
+    if (!isRecording()) return edit();
+
+    const frameId = FrameManager.getActiveFrameId();
+    const before = LayerManager.getLayers().map(layer => ({ layerId: layer.id, packed: packPixels(layer.data) }));
+
+    const result = edit();
+
+    pushPixelRecord(label, frameId, before
+        .map(({ layerId, packed }) => diffLayer(layerId, packed))
+        .filter(Boolean));
+
+    return result;
+}
+
+// ==================== LAYER OPERATIONS ====================
+
+/**
+ * @private
+ * @param {Object} layer - Created layer
+ */
+function recordLayerCreated(layer) {
+    if (!isRecording()) return;
+
+    pushRecord('New Layer', {
+        kind: 'layerCreated',
+        frameId: FrameManager.getActiveFrameId(),
+        layerId: layer.id,
+        index: layer.zIndex,
+        layer: null,
+        wasActive: false
+    });
+}
+
+/**
+ * @private
+ * @param {Object} payload - {layerId, layer, index, wasActive}
+ */
+function recordLayerDeleted({ layerId, layer, index, wasActive }) {
+    if (!isRecording()) return;
+
+    pushRecord('Delete Layer', {
+        kind: 'layerDeleted',
+        frameId: FrameManager.getActiveFrameId(),
+        layerId,
+        index,
+        layer: packLayer(layer),
+        wasActive
+    });
+}
+
+/**
+ * @private
+ * @param {Object} payload - {layerId, oldIndex, newIndex, oldGroupId, newGroupId}
+ */
+function recordLayerMoved({ layerId, oldIndex, newIndex, oldGroupId, newGroupId }) {
+    if (!isRecording()) return;
+
+    pushRecord('Move Layer', {
+        kind: 'layerMoved',
+        frameId: FrameManager.getActiveFrameId(),
+        layerId,
+        oldIndex,
+        newIndex,
+        oldGroupId,
+        newGroupId
+    });
+}
+
+/**
+ * @private
+ * @param {Object} payload - {layerId, oldName, newName}
+ */
+function recordLayerRenamed({ layerId, oldName, newName }) {
+    if (!isRecording() || oldName === newName) return;
+
+    pushRecord('Rename Layer', {
+        kind: 'layerRenamed',
+        frameId: FrameManager.getActiveFrameId(),
+        layerId,
+        oldName,
+        newName
+    });
+}
+
+/**
+ * @private
+ * @param {Object} payload - {layerId, visible}
+ */
+function recordLayerVisibility({ layerId, visible }) {
+    if (!isRecording()) return;
+
+    pushRecord(visible ? 'Show Layer' : 'Hide Layer', {
+        kind: 'layerVisibility',
+        frameId: FrameManager.getActiveFrameId(),
+        layerId,
+        visible
+    });
+}
+
+/**
+ * @private
+ * @param {Object} payload - {layerId, before, after} with opacity and blend mode
+ */
+function recordLayerProperties({ layerId, before, after }) {
+    if (!isRecording()) return;
+
+    pushRecord('Layer Properties', {
+        kind: 'layerProperties',
+        frameId: FrameManager.getActiveFrameId(),
+        layerId,
+        before,
+        after
+    });
+}
+
+// ==================== PALETTE ====================
+
+/**
+ * Record a change of the document's palette overrides
+ * Undo shows the old colors in the palette, which writes them back to
+ * the document through the PALETTE_CHANGED handler.
+ * @param {Object<number, string>|null} before - Overrides before the edit
+ * @param {Object<number, string>|null} after - Overrides after the edit
+ */
+function recordPalette(before, after) {
+    if (!isRecording()) return;
+    pushRecord('Edit Palette', { kind: 'palette', before, after });
+}
+
+// ==================== DOCUMENT SNAPSHOTS ====================
+
+/**
+ * Capture all frames with packed pixels
+ * @private
+ * @returns {{frames: Array<Object>, activeIndex: number}} Snapshot
+ */
+function captureFrames() {
+    const frames = FrameManager.exportFrames().map(frame => ({
+        ...frame,
+        layerData: {
+            ...frame.layerData,
+            layers: frame.layerData.layers.map(({ data, ...layer }) => ({ ...layer, packed: packPixels(data) }))
+        }
+    }));
+
+    return { frames, activeIndex: FrameManager.getActiveIndex() };
+}
+
+/**
+ * Get the bytes of packed pixels in a snapshot
+ * @private
+ * @param {Object} snapshot - Snapshot from captureFrames()
+ * @returns {number} Bytes
+ */
+function getSnapshotSize({ frames }) {
+    return frames.reduce((total, frame) => total +
+        frame.layerData.layers.reduce((sum, layer) => sum + layer.packed.length, 0), 0);
+}
+
+/**
+ * Restore a snapshot taken by captureFrames()
+ * @private
+ * @param {Object} snapshot - Snapshot
+ */
+function restoreFrames({ frames, activeIndex }) {
+    const frameList = frames.map(frame => {
+        const { canvasWidth, canvasHeight } = frame.layerData;
+        return {
+            ...frame,
+            layerData: {
+                ...frame.layerData,
+                layers: frame.layerData.layers.map(({ packed, ...layer }) => ({
+                    ...layer,
+                    data: unpackPixels(packed, canvasWidth, canvasHeight)
+                }))
+            }
+        };
+    });
+
+    PixelCanvas.restoreFrames(frameList, activeIndex);
+}
+
+/**
+ * Run a document-wide edit (resize, frame operations) and record
+ * snapshots of all frames before and after it
+ * @param {string} label - Action description
+ * @param {Function} edit - Edit to run; returning false means nothing changed
+ * @returns {*} The edit's return value
+ */
+function recordDocument(label, edit) {
+    if (!isRecording()) return edit();
+
+    const before = captureFrames();
+    let result;
+    recordingDocument = true;
+    try {
+        result = edit();
+    } finally {
+        recordingDocument = false;
+    }
+    if (result === false) return result;
+
+    pushRecord(label, { kind: 'document', before, after: captureFrames() });
+
+    return result;
+}
+
+// ==================== PERSISTENCE ====================
+
+/**
+ * Serialize the current document's history for storage next to it
+ * @param {string} documentText - Exported document the history leads to
+ * @returns {string|null} Encoded history or null if there is none
+ */
+function exportHistory(documentText) {
+    if (!Constants.history.persistLimit) return null;
+
+    const stacks = History.exportDocument();
+    if (stacks.undo.length === 0 && stacks.redo.length === 0) return null;
+
+    const { text, undoCount, redoCount } = HistoryCodec.encode(stacks, {
+        documentText,
+        maxLength: Constants.history.persistLimit
+    });
+
+    const dropped = stacks.undo.length - undoCount + stacks.redo.length - redoCount;
+    if (dropped > 0) {
+        logger.debug?.(`Stored history over limit, left out ${dropped} step(s)`);
+    }
+    return text;
+}
+
+/**
+ * Rebuild History entries from stored steps
+ * A step that cannot be rebuilt cuts off everything behind it (older undo
+ * steps, later redo steps), since those could not be reached anymore.
+ * @private
+ * @param {Array<Object>} steps - Stored steps, farthest from the current state first
+ * @returns {Array<Object>} Entries
+ */
+function rebuildEntries(steps) {
+    const entries = [];
+    steps.forEach(step => {
+        try {
+            entries.push({
+                ...createEntry(step.label, step.record),
+                thumbnail: step.thumbnail || null,
+                timestamp: step.timestamp
+            });
+        } catch (error) {
+            logger.warn?.('Skipping stored history step:', error.message);
+            entries.length = 0;
+        }
+    });
+    return entries;
+}
+
+/**
+ * Restore a stored history for a document
+ * Anything that does not match (other format version, other document
+ * state, corrupt data) leaves the document with an empty history.
+ * @param {string} documentId - Document (tab) ID
+ * @param {string|null} text - Encoded history from exportHistory()
+ * @param {string} documentText - Document the history was stored with
+ * @returns {boolean} Whether a history was restored
+ */
+function restoreHistory(documentId, text, documentText) {
+    if (!text) return false;
+
+    try {
+        const stored = HistoryCodec.decode(text, documentText);
+        const undo = rebuildEntries(stored.undo);
+        const redo = rebuildEntries(stored.redo);
+        History.loadDocument(documentId, { undo, redo, baseThumbnail: stored.baseThumbnail });
+        logger.info?.(`Restored ${undo.length + redo.length} history step(s) for ${documentId}`);
+        return true;
+    } catch (error) {
+        logger.warn?.(`Stored history for ${documentId} not restored, starting empty:`, error.message);
+        return false;
+    }
+}
+
+const HistoryRecorder = {
+    init,
+    captureThumbnail,
+    recordPixels,
+    recordPalette,
+    recordDocument,
+    exportHistory,
+    restoreHistory
+};
+
+export default HistoryRecorder;
@@ -0,0 +1,209 @@
+/**
+ * HistoryUI - Undo History Panel
+ *
+ * Lists every step of the current tab's undo history:
+ * - "Original" (oldest available state) followed by each recorded step
+ * - Current state highlighted, undone steps dimmed
+ * - Click a step to jump to that state
+ * - Hover a step to see a thumbnail of the state after it
+ * - Memory used by the history (against the configured budget)
+ *
+ * @module HistoryUI
+ *
+ * @typedef {import('./history.js').HistoryThumbnail} HistoryThumbnail
+ */
+
+import logger from './core/Logger.js';
+import eventBus from './core/EventBus.js';
+import History from './history.js';
+import ColorPalette from './colorPalette.js';
+import formatUtils from './utils/FormatUtils.js';
+
+const TYPE_ICONS = {
+    base: 'history',
+    pixels: 'brush',
+    layer: 'layers',
+    palette: 'palette',
+    document: 'aspect_ratio'
+};
+
+const PREVIEW_SIZE = 96;
+
+let historyListElement = null;
+let memoryElement = null;
+let previewElement = null;
+let onJumpCallback = null;
+
+/**
+ * Initialize the history panel
+ * @param {Object} options - Options
+ * @param {Function} options.onJump - Called with a position when a step is clicked
+ */
+function init(options = {}) {
+    historyListElement = document.getElementById('historyList');
+    memoryElement = document.getElementById('historyMemory');
+    onJumpCallback = options.onJump || null;
+
+    if (!historyListElement) {
+        logger.warn?.('History list element not found');
+        return;
+    }
+
+    createPreviewElement();
+
+    eventBus.on(eventBus.Events.HISTORY_CHANGED, render);
+    eventBus.on(eventBus.Events.PALETTE_CHANGED, hidePreview);
+
+    render();
+    logger.info?.('HistoryUI initialized');
+}
+
+/**
+ * Create the floating thumbnail preview
+ * @private
+ */
+function createPreviewElement() {
+    previewElement = document.createElement('div');
+    previewElement.className = 'history-preview';
+    previewElement.style.display = 'none';
+    previewElement.appendChild(document.createElement('canvas'));
+    document.body.appendChild(previewElement);
+}
+
+/**
+ * Render the step list
+ */
+function render() {
+    if (!historyListElement) return;
+
+    hidePreview();
+    historyListElement.innerHTML = '';
+
+    const { steps, position, baseThumbnail } = History.getSteps();
+    if (memoryElement) {
+        const { memoryUsed, memoryBudget } = History.getStats();
+        memoryElement.textContent = steps.length > 0
+            ? `${formatUtils.formatFileSize(memoryUsed)} / ${formatUtils.formatFileSize(memoryBudget, 0)}`
+            : '';
+    }
+
+    if (steps.length === 0 && !baseThumbnail) return;
+
+    const base = { label: 'Original', type: 'base', timestamp: null, thumbnail: baseThumbnail };
+    [base, ...steps].forEach((step, index) => {
+        historyListElement.appendChild(createStepItem(step, index, position));
+    });
+
+    historyListElement.querySelector('.history-item.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Create a step item element
+ * @private
+ * @param {{label: string, type: string, timestamp: number|null, thumbnail: HistoryThumbnail|null}} step - Step
+ * @param {number} stepPosition - Position the step leads to
+ * @param {number} position - Current position
+ * @returns {HTMLElement} Step item element
+ */
+function createStepItem(step, stepPosition, position) {
+    const item = document.createElement('div');
+    item.className = 'history-item' +
+        (stepPosition === position ? ' active' : '') +
+        (stepPosition > position ? ' undone' : '');
+    item.dataset.position = stepPosition;
+
+    const icon = document.createElement('span');
+    icon.className = 'material-symbols-outlined history-icon';
+    icon.textContent = TYPE_ICONS[step.type] || 'edit';
+
+    const label = document.createElement('span');
+    label.className = 'history-label';
+    label.textContent = step.label;
+
+    item.appendChild(icon);
+    item.appendChild(label);
+
+    if (step.timestamp) {
+        const time = document.createElement('span');
+        time.className = 'history-time';
+        time.textContent = new Date(step.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        item.appendChild(time);
+    }
+
+    item.addEventListener('click', () => handleStepClick(stepPosition));
+    if (step.thumbnail) {
+        item.addEventListener('mouseenter', () => showPreview(step.thumbnail, item));
+        item.addEventListener('mouseleave', hidePreview);
+    }
+
+    return item;
+}
+
+/**
+ * Handle step click (jump to state)
+ * @private
+ * @param {number} position - Target position
+ */
+function handleStepClick(position) {
+    if (onJumpCallback) onJumpCallback(position);
+}
+
+/**
+ * Show a thumbnail next to a step item
+ * @private
+ * @param {HistoryThumbnail} thumbnail - Thumbnail
+ * @param {HTMLElement} item - Hovered item
+ */
+function showPreview(thumbnail, item) {
+    if (!previewElement) return;
+
+    const canvas = previewElement.querySelector('canvas');
+    drawThumbnail(canvas, thumbnail);
+
+    const scale = PREVIEW_SIZE / Math.max(thumbnail.width, thumbnail.height);
+    canvas.style.width = `${Math.round(thumbnail.width * scale)}px`;
+    canvas.style.height = `${Math.round(thumbnail.height * scale)}px`;
+
+    const rect = item.getBoundingClientRect();
+    previewElement.style.display = 'block';
+    previewElement.style.top = `${Math.max(8, rect.top)}px`;
+    previewElement.style.left = `${Math.max(8, rect.left - previewElement.offsetWidth - 8)}px`;
+}
+
+/**
+ * Hide the thumbnail preview
+ * @private
+ */
+function hidePreview() {
+    if (previewElement) {
+        previewElement.style.display = 'none';
+    }
+}
+
+/**
+ * Draw a thumbnail at 1:1 scale with the current palette
+ * @private
+ * @param {HTMLCanvasElement} canvas - Target canvas (resized to fit)
+ * @param {HistoryThumbnail} thumbnail - Thumbnail
+ */
+function drawThumbnail(canvas, { width, height, pixels }) {
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+
+    for (let i = 0; i < pixels.length; i++) {
+        if (pixels[i] !== 0) {
+            ctx.fillStyle = ColorPalette.getColor(pixels[i]);
+            ctx.fillRect(i % width, Math.floor(i / width), 1, 1);
+        }
+    }
+}
+
+const HistoryUI = {
+    init,
+    render
+};
+
+export default HistoryUI;
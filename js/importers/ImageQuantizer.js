@@ -0,0 +1,332 @@
+/**
+ * ImageQuantizer - Map RGBA images onto the 64-color palette
+ *
+ * Converts decoded image data into palette indices:
+ * - Nearest palette color by RGB or perceptual (CIE Lab) distance
+ * - Optional ordered (4×4 Bayer) or Floyd–Steinberg dithering
+ * - Alpha thresholding to index 0 (transparent)
+ * - Area-averaging downscale for images above the maximum canvas size
+ *
+ * Shared by the browser importer (PNGImporter) and the headless API.
+ *
+ * This module must stay DOM-free; decoding files is PNGImporter's job.
+ *
+ * @module ImageQuantizer
+ *
+ * @typedef {Object} RGBAImage
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {Uint8ClampedArray|Uint8Array} data - RGBA bytes, row-major
+ *
+ * @typedef {Object} QuantizeOptions
+ * @property {Array<string|null>} colors - Colors by palette index (index 0 is never used)
+ * @property {'rgb'|'lab'} [metric='lab'] - Color distance metric
+ * @property {'none'|'ordered'|'floyd-steinberg'} [dither='none'] - Dithering mode
+ * @property {number} [alphaThreshold=128] - Pixels with lower alpha become index 0
+ */
+
+const BAYER_4X4 = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5]
+];
+
+// Amplitude of the ordered dither offset (per channel, 0-255 scale)
+const ORDERED_SPREAD = 32;
+
+/**
+ * Convert '#RRGGBB' to [r, g, b]
+ * @private
+ * @param {string} hex - Hex color
+ * @returns {Array<number>} RGB channels
+ */
+function hexToRgb(hex) {
+    return [
+        parseInt(hex.substring(1, 3), 16),
+        parseInt(hex.substring(3, 5), 16),
+        parseInt(hex.substring(5, 7), 16)
+    ];
+}
+
+/**
+ * Convert an sRGB channel to linear light
+ * @private
+ * @param {number} value - Channel (0-255)
+ * @returns {number} Linear value (0-1)
+ */
+function toLinear(value) {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert sRGB to CIE Lab (D65 white point)
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {Array<number>} [L, a, b]
+ */
+function rgbToLab(r, g, b) {
+    const lr = toLinear(r);
+    const lg = toLinear(g);
+    const lb = toLinear(b);
+
+    const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+    const y = (lr * 0.2126 + lg * 0.7152 + lb * 0.0722);
+    const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+
+    const f = t => (t > 0.008856 ? Math.cbrt(t) : (7.787 * t) + 16 / 116);
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+
+    return [(116 * fy) - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Build a nearest-color matcher for a palette
+ * Results are cached per RGB value, so large flat areas stay cheap.
+ * @param {Array<string|null>} colors - Colors by palette index
+ * @param {'rgb'|'lab'} metric - Distance metric
+ * @returns {function(number, number, number): number} (r, g, b) -> palette index (>= 1)
+ */
+function createMatcher(colors, metric = 'lab') {
+    const entries = [];
+    colors.forEach((hex, index) => {
+        if (index === 0 || typeof hex !== 'string' || !hex.startsWith('#')) return;
+        const rgb = hexToRgb(hex);
+        entries.push({ index, rgb, lab: rgbToLab(...rgb) });
+    });
+
+    if (entries.length === 0) {
+        throw new Error('Palette has no colors to match against');
+    }
+
+    const useLab = metric === 'lab';
+    const cache = new Map();
+
+    return (r, g, b) => {
+        const key = (r << 16) | (g << 8) | b;
+        const cached = cache.get(key);
+        if (cached !== undefined) return cached;
+
+        const target = useLab ? rgbToLab(r, g, b) : [r, g, b];
+        let best = entries[0].index;
+        let bestDistance = Infinity;
+
+        for (const entry of entries) {
+            const ref = useLab ? entry.lab : entry.rgb;
+            const d0 = target[0] - ref[0];
+            const d1 = target[1] - ref[1];
+            const d2 = target[2] - ref[2];
+            const distance = d0 * d0 + d1 * d1 + d2 * d2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = entry.index;
+            }
+        }
+
+        cache.set(key, best);
+        return best;
+    };
+}
+
+/**
+ * Clamp a channel to 0-255 and round it
+ * @private
+ * @param {number} value - Channel value
+ * @returns {number} Byte value
+ */
+function clampByte(value) {
+    return value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+}
+
+/**
+ * Quantize an RGBA image to palette indices
+ * @param {RGBAImage} image - Source image
+ * @param {QuantizeOptions} options - Palette and quantization options
+ * @returns {Array<Array<number>>} 2D array of palette indices
+ */
+function quantize(image, { colors, metric = 'lab', dither = 'none', alphaThreshold = 128 }) {
+    const { width, height, data } = image;
+    const match = createMatcher(colors, metric);
+    const pixels = Array.from({ length: height }, () => new Array(width).fill(0));
+
+    // Working copy for error diffusion
+    const rgb = new Float32Array(width * height * 3);
+    for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+        rgb[j] = data[i];
+        rgb[j + 1] = data[i + 1];
+        rgb[j + 2] = data[i + 2];
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            if (data[p * 4 + 3] < alphaThreshold) continue;
+
+            let r = rgb[p * 3];
+            let g = rgb[p * 3 + 1];
+            let b = rgb[p * 3 + 2];
+
+            if (dither === 'ordered') {
+                const offset = ((BAYER_4X4[y % 4][x % 4] + 0.5) / 16 - 0.5) * ORDERED_SPREAD;
+                r += offset;
+                g += offset;
+                b += offset;
+            }
+
+            const index = match(clampByte(r), clampByte(g), clampByte(b));
+            pixels[y][x] = index;
+
+            if (dither === 'floyd-steinberg') {
+                const [pr, pg, pb] = hexToRgb(colors[index]);
+                diffuseError(rgb, data, width, height, x, y, [r - pr, g - pg, b - pb], alphaThreshold);
+            }
+        }
+    }
+
+    return pixels;
+}
+
+/**
+ * Spread quantization error to unvisited neighbours (Floyd–Steinberg)
+ * Transparent neighbours don't take any error.
+ * @private
+ */
+function diffuseError(rgb, data, width, height, x, y, error, alphaThreshold) {
+    const targets = [
+        [1, 0, 7 / 16],
+        [-1, 1, 3 / 16],
+        [0, 1, 5 / 16],
+        [1, 1, 1 / 16]
+    ];
+
+    for (const [dx, dy, weight] of targets) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) continue;
+
+        const n = ny * width + nx;
+        if (data[n * 4 + 3] < alphaThreshold) continue;
+
+        rgb[n * 3] += error[0] * weight;
+        rgb[n * 3 + 1] += error[1] * weight;
+        rgb[n * 3 + 2] += error[2] * weight;
+    }
+}
+
+/**
+ * Compute the target size for an image that must fit within maxSize
+ * Aspect ratio is kept; each side is at least 1 pixel.
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} maxSize - Maximum width/height
+ * @returns {{width: number, height: number, scaled: boolean}} Target size
+ */
+function fitSize(width, height, maxSize) {
+    if (width <= maxSize && height <= maxSize) {
+        return { width, height, scaled: false };
+    }
+
+    const factor = maxSize / Math.max(width, height);
+    return {
+        width: Math.max(1, Math.min(maxSize, Math.round(width * factor))),
+        height: Math.max(1, Math.min(maxSize, Math.round(height * factor))),
+        scaled: true
+    };
+}
+
+/**
+ * Downscale an RGBA image by area averaging (alpha-weighted)
+ * @param {RGBAImage} image - Source image
+ * @param {number} targetWidth - Target width
+ * @param {number} targetHeight - Target height
+ * @returns {RGBAImage} Downscaled image
+ */
+function downscale(image, targetWidth, targetHeight) {
+    const { width, height, data } = image;
+    if (targetWidth === width && targetHeight === height) return image;
+
+    const out = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+    const scaleX = width / targetWidth;
+    const scaleY = height / targetHeight;
+
+    for (let ty = 0; ty < targetHeight; ty++) {
+        const y0 = Math.floor(ty * scaleY);
+        const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * scaleY));
+
+        for (let tx = 0; tx < targetWidth; tx++) {
+            const x0 = Math.floor(tx * scaleX);
+            const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * scaleX));
+
+            let r = 0, g = 0, b = 0, a = 0, count = 0;
+            for (let y = y0; y < y1 && y < height; y++) {
+                for (let x = x0; x < x1 && x < width; x++) {
+                    const i = (y * width + x) * 4;
+                    const alpha = data[i + 3];
+                    r += data[i] * alpha;
+                    g += data[i + 1] * alpha;
+                    b += data[i + 2] * alpha;
+                    a += alpha;
+                    count++;
+                }
+            }
+
+            const o = (ty * targetWidth + tx) * 4;
+            if (a > 0) {
+                out[o] = r / a;
+                out[o + 1] = g / a;
+                out[o + 2] = b / a;
+            }
+            out[o + 3] = count > 0 ? a / count : 0;
+        }
+    }
+
+    return { width: targetWidth, height: targetHeight, data: out };
+}
+
+/**
+ * Pad an image with transparent pixels up to a minimum size
+ * @param {Array<Array<number>>} pixels - 2D array of palette indices
+ * @param {number} minSize - Minimum width/height
+ * @returns {Array<Array<number>>} Padded pixels (top-left aligned)
+ */
+function padToMinSize(pixels, minSize) {
+    const height = pixels.length;
+    const width = height > 0 ? pixels[0].length : 0;
+    if (width >= minSize && height >= minSize) return pixels;
+
+    const targetWidth = Math.max(width, minSize);
+    const targetHeight = Math.max(height, minSize);
+    return Array.from({ length: targetHeight }, (_, y) =>
+        Array.from({ length: targetWidth }, (_, x) => pixels[y]?.[x] ?? 0));
+}
+
+/**
+ * Downscale an image to fit, quantize it and pad it to the minimum size
+ * @param {RGBAImage} image - Source image
+ * @param {QuantizeOptions & {maxSize: number, minSize: number}} options - Size limits and quantization options
+ * @returns {{pixels: Array<Array<number>>, scaled: boolean}} Palette indices and whether the image was downscaled
+ */
+function quantizeToFit(image, { maxSize, minSize = 1, ...options }) {
+    const target = fitSize(image.width, image.height, maxSize);
+    const source = downscale(image, target.width, target.height);
+    return {
+        pixels: padToMinSize(quantize(source, options), minSize),
+        scaled: target.scaled
+    };
+}
+
+const ImageQuantizer = {
+    rgbToLab,
+    createMatcher,
+    quantize,
+    fitSize,
+    downscale,
+    padToMinSize,
+    quantizeToFit
+};
+
+export default ImageQuantizer;
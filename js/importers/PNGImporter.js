@@ -0,0 +1,178 @@
+/**
+ * PNGImporter - Raster Image Import (PNG, GIF, BMP)
+ *
+ * Decodes image files with the browser and converts them into regular
+ * data strings via ImageQuantizer, so imports load exactly like
+ * PixelData.importFromString input:
+ * - Browser decoding (createImageBitmap with an <img> fallback)
+ * - Downscaling to Constants.canvas.maxSize
+ * - Palette quantization with optional dithering
+ * - The current custom palette is used and embedded (PAL section)
+ *
+ * Animated GIFs import their first frame.
+ *
+ * @module PNGImporter
+ *
+ * @typedef {import('./ImageQuantizer.js').RGBAImage} RGBAImage
+ *
+ * @typedef {Object} ImageImportOptions
+ * @property {'rgb'|'lab'} metric - Color distance metric
+ * @property {'none'|'ordered'|'floyd-steinberg'} dither - Dithering mode
+ * @property {number} alphaThreshold - Alpha below this becomes transparent (0-255)
+ * @property {number} maxSize - Maximum width/height of the result
+ * @property {Object<number, string>|null} palette - Palette overrides to match against
+ *
+ * @typedef {Object} ImageImportResult
+ * @property {number} width - Result width
+ * @property {number} height - Result height
+ * @property {Array<Array<number>>} pixels - 2D array of palette indices
+ * @property {Array<string|null>} colors - Colors by index used for matching
+ * @property {boolean} scaled - True if the image was downscaled
+ * @property {string} dataString - WxH[:PAL:...]:DATA string
+ */
+
+import logger from '../core/Logger.js';
+import Codec from '../core/Codec.js';
+import ImageQuantizer from './ImageQuantizer.js';
+import Constants from '../../config/constants.js';
+
+const SUPPORTED_EXTENSIONS = /\.(png|gif|bmp)$/i;
+
+/**
+ * Check whether a file looks like a supported image
+ * @param {File} file - File to check
+ * @returns {boolean} True for PNG, GIF and BMP files
+ */
+function isSupportedFile(file) {
+    if (!file) return false;
+    return Constants.imageImport.acceptedTypes.includes(file.type) || SUPPORTED_EXTENSIONS.test(file.name || '');
+}
+
+/**
+ * Load a file into something drawable
+ * @private
+ * @param {File} file - Image file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+ */
+function loadDrawable(file) {
+    if (typeof createImageBitmap === 'function') {
+        return createImageBitmap(file);
+    }
+
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The file could not be decoded as an image'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Decode an image file into RGBA pixels
+ * @param {File} file - PNG, GIF or BMP file
+ * @returns {Promise<RGBAImage>} Decoded pixels
+ */
+async function decodeFile(file) {
+    if (!isSupportedFile(file)) {
+        throw new Error('Unsupported file type. Please choose a PNG, GIF or BMP image.');
+    }
+
+    let drawable;
+    try {
+        drawable = await loadDrawable(file);
+    } catch (error) {
+        logger.error?.('Image decoding failed', error);
+        throw new Error('The file could not be decoded as an image');
+    }
+
+    const width = drawable.width;
+    const height = drawable.height;
+    if (!width || !height) {
+        throw new Error('The image is empty');
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(drawable, 0, 0);
+    drawable.close?.();
+
+    const { data } = ctx.getImageData(0, 0, width, height);
+    logger.info?.(`Image decoded: ${file.name} (${width}×${height})`);
+
+    return { width, height, data };
+}
+
+/**
+ * Get the default import options
+ * @param {RGBAImage} image - Decoded image (used to size maxSize)
+ * @returns {ImageImportOptions} Options
+ */
+function getDefaultOptions(image) {
+    const { defaultMetric, defaultDither, alphaThreshold } = Constants.imageImport;
+    return {
+        metric: defaultMetric,
+        dither: defaultDither,
+        alphaThreshold,
+        maxSize: Math.min(Constants.canvas.maxSize, Math.max(image.width, image.height)),
+        palette: null
+    };
+}
+
+/**
+ * Convert decoded pixels into palette indices and a data string
+ * @param {RGBAImage} image - Decoded image
+ * @param {ImageImportOptions} options - Import options
+ * @returns {ImageImportResult} Conversion result
+ */
+function convert(image, options) {
+    const { minSize, maxSize } = Constants.canvas;
+    const limit = Math.max(minSize, Math.min(maxSize, Math.floor(options.maxSize) || maxSize));
+
+    const colors = Codec.applyPalette(options.palette);
+
+    const { pixels, scaled } = ImageQuantizer.quantizeToFit(image, {
+        maxSize: limit,
+        minSize,
+        colors,
+        metric: options.metric,
+        dither: options.dither,
+        alphaThreshold: options.alphaThreshold
+    });
+
+    return {
+        width: pixels[0].length,
+        height: pixels.length,
+        pixels,
+        colors,
+        scaled,
+        dataString: Codec.encode(pixels, options.palette)
+    };
+}
+
+/**
+ * Derive a tab name from a file name
+ * @param {File} file - Image file
+ * @returns {string} Name without extension
+ */
+function getTabName(file) {
+    return (file?.name || 'Imported').replace(/\.[^.]+$/, '') || 'Imported';
+}
+
+const PNGImporter = {
+    isSupportedFile,
+    decodeFile,
+    getDefaultOptions,
+    convert,
+    getTabName
+};
+
+export default PNGImporter;
@@ -0,0 +1,168 @@
+/**
+ * KeymapManager - User Keyboard Shortcuts
+ *
+ * The keymap in use is a preset (config/keymaps.js) plus the user's own
+ * changes on top of it. Both are stored and applied to the
+ * CommandRegistry; KEYMAP_CHANGED tells the UI to refresh its shortcut
+ * labels.
+ *
+ * Call init() after all commands are registered: presets and stored
+ * changes are resolved against the commands' default keybindings.
+ *
+ * @module KeymapManager
+ *
+ * @typedef {import('./core/Keymap.js').KeymapBindings} KeymapBindings
+ *
+ * @typedef {Object} KeymapState
+ * @property {string} preset - Preset ID
+ * @property {KeymapBindings} bindings - Keybindings of every command
+ *
+ * @typedef {Object} KeymapPresetInfo
+ * @property {string} id - Preset ID
+ * @property {string} label - Display name
+ * @property {KeymapBindings} bindings - Keybindings of every command
+ *
+ * @typedef {Object} KeymapImport
+ * @property {KeymapState} keymap - Imported keymap
+ * @property {Array<string>} skipped - Unknown commands and unreadable keybindings
+ */
+
+import logger from './core/Logger.js';
+import eventBus from './core/EventBus.js';
+import CommandRegistry from './core/CommandRegistry.js';
+import Keymap from './core/Keymap.js';
+import Storage from './storage/Storage.js';
+import FileManager from './fileManager.js';
+import KeymapPresets from '../config/keymaps.js';
+
+const STORAGE_KEY = 'pixelart_keymap';
+const DEFAULT_PRESET = 'default';
+
+let presetId = DEFAULT_PRESET;
+/** @type {KeymapBindings} Changes on top of the preset */
+let changes = {};
+
+/**
+ * Load the stored keymap and apply it
+ */
+function init() {
+    const stored = Storage.getJSON(STORAGE_KEY, null);
+    if (stored) {
+        presetId = KeymapPresets[stored.preset] ? stored.preset : DEFAULT_PRESET;
+        changes = stored.changes && typeof stored.changes === 'object' ? stored.changes : {};
+    }
+
+    apply();
+    logger.info?.(`Keymap initialized (${presetId})`);
+}
+
+/**
+ * Get the default keybindings of all commands
+ * @private
+ * @returns {KeymapBindings}
+ */
+function getDefaults() {
+    const defaults = {};
+    CommandRegistry.getAll().forEach(command => {
+        defaults[command.id] = CommandRegistry.getDefaultKeybindings(command.id);
+    });
+    return defaults;
+}
+
+/**
+ * Get the keybindings of a preset
+ * @private
+ * @param {string} id - Preset ID
+ * @returns {KeymapBindings} Keybindings of every command
+ */
+function getPresetBindings(id) {
+    const defaults = getDefaults();
+    // Presets may name commands that aren't registered (yet)
+    const known = Object.fromEntries(Object.entries(KeymapPresets[id]?.bindings || {})
+        .filter(([commandId]) => commandId in defaults));
+    return Keymap.resolve(defaults, known);
+}
+
+/**
+ * @returns {Array<KeymapPresetInfo>} Available presets
+ */
+function getPresets() {
+    return Object.entries(KeymapPresets).map(([id, preset]) => ({
+        id,
+        label: preset.label,
+        bindings: getPresetBindings(id)
+    }));
+}
+
+/**
+ * @returns {KeymapState} Keymap in use
+ */
+function getKeymap() {
+    const bindings = getPresetBindings(presetId);
+    const known = Object.fromEntries(Object.entries(changes).filter(([id]) => id in bindings));
+    return { preset: presetId, bindings: Keymap.resolve(bindings, known) };
+}
+
+/**
+ * Use a keymap and store it
+ * @param {KeymapState} keymap - Keymap (commands not listed keep their preset keybindings)
+ */
+function setKeymap(keymap) {
+    presetId = KeymapPresets[keymap.preset] ? keymap.preset : DEFAULT_PRESET;
+    changes = Keymap.getChanges(getPresetBindings(presetId), keymap.bindings);
+    Storage.setJSON(STORAGE_KEY, { preset: presetId, changes });
+
+    apply();
+    logger.info?.(`Keymap saved (${presetId}, ${Object.keys(changes).length} changes)`);
+}
+
+/**
+ * Apply the keymap in use to the CommandRegistry
+ * @private
+ */
+function apply() {
+    CommandRegistry.setKeymap(Keymap.getChanges(getDefaults(), getKeymap().bindings));
+    eventBus.emit(eventBus.Events.KEYMAP_CHANGED);
+}
+
+/**
+ * Download a keymap as a JSON file
+ * @param {KeymapState} keymap - Keymap
+ */
+function exportKeymap(keymap) {
+    const json = Keymap.serialize(keymap.bindings, keymap.preset);
+    FileManager.downloadBlob(new Blob([json], { type: 'application/json' }), `inline-px-keymap-${keymap.preset}.json`);
+}
+
+/**
+ * Read a keymap file
+ * Commands the file doesn't list keep the keybindings of its preset.
+ * @param {Blob} file - .json file
+ * @returns {Promise<KeymapImport>} Imported keymap (not applied yet)
+ * @throws {Error} If the file is not a keymap
+ */
+async function importKeymap(file) {
+    const parsed = Keymap.parse(await file.text());
+    const preset = KeymapPresets[parsed.preset] ? parsed.preset : DEFAULT_PRESET;
+    const base = getPresetBindings(preset);
+
+    const known = {};
+    const skipped = [...parsed.invalid];
+    Object.entries(parsed.bindings).forEach(([id, bindings]) => {
+        if (id in base) known[id] = bindings;
+        else skipped.push(id);
+    });
+
+    return { keymap: { preset, bindings: Keymap.resolve(base, known) }, skipped };
+}
+
+const KeymapManager = {
+    init,
+    getPresets,
+    getKeymap,
+    setKeymap,
+    exportKeymap,
+    importKeymap
+};
+
+export default KeymapManager;
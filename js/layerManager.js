@@ -4,29 +4,55 @@
  * Features:
  * - Multiple layers with independent pixel data
  * - Layer visibility toggle
+ * - Layer opacity and blend modes (see LayerBlend)
  * - Layer reordering (z-index)
  * - Layer naming
  * - Active layer selection
  * - Layer preview thumbnails
+ * - Duplicate, merge down, merge visible and flatten
+ * - Layer groups (see LayerGroups): hidden, moved, merged and deleted as a unit
+ *
+ * Merging writes the indexed composite of the merged layers (like data
+ * strings store it) and keeps their opacity and blend mode. When that would
+ * look different, the blended image is baked to the nearest palette colors
+ * instead, as long as no visible layer lies below (see getMergeMode).
  *
  * @module LayerManager
  *
+ * @typedef {'down'|'visible'|'flatten'|'group'} MergeOperation
+ *
  * @typedef {Object} Layer
  * @property {string} id - Unique layer ID
  * @property {string} name - Layer name
  * @property {boolean} visible - Visibility flag
  * @property {number} opacity - Layer opacity (0-1)
+ * @property {import('./core/LayerBlend.js').BlendMode} blendMode - Blend mode
+ * @property {string|null} groupId - Group the layer is in
  * @property {Array<Array<number>>} data - 2D pixel array
  * @property {number} zIndex - Render order (higher = on top)
  * @property {number} created - Creation timestamp
+ *
+ * @typedef {import('./core/LayerGroups.js').LayerGroup} LayerGroup
+ * @typedef {import('./core/LayerGroups.js').GroupRange} GroupRange
+ *
+ * @typedef {Object} LayerStep
+ * @property {number} index - Z-index to move to
+ * @property {string|null} groupId - Group to be in afterwards
  */
 
 import logger from './core/Logger.js';
 import eventBus from './core/EventBus.js';
+import LayerBlend from './core/LayerBlend.js';
+import LayerGroups from './core/LayerGroups.js';
+import ImageQuantizer from './importers/ImageQuantizer.js';
+import Constants from '../config/constants.js';
 
 let layers = [];
+/** @type {Array<LayerGroup>} */
+let groups = [];
 let activeLayerId = null;
 let nextLayerId = 1;
+let nextGroupId = 1;
 let canvasWidth = 16;
 let canvasHeight = 16;
 
@@ -39,7 +65,9 @@ function init(width, height) {
     canvasWidth = width || 16;
     canvasHeight = height || 16;
     layers = [];
+    groups = [];
     nextLayerId = 1;
+    nextGroupId = 1;
 
     // Create default layer
     const defaultLayer = createLayer('Background', canvasWidth, canvasHeight);
@@ -66,6 +94,8 @@ function createLayer(name = 'Layer', width, height, initialData = null) {
         name: name,
         visible: true,
         opacity: 1.0,
+        blendMode: 'normal',
+        groupId: null,
         data: initialData || createEmptyData(layerWidth, layerHeight),
         zIndex: layers.length,
         created: Date.now()
@@ -123,10 +153,11 @@ function deleteLayer(layerId) {
     }
 
     const layer = layers[index];
+    const wasActive = activeLayerId === layerId;
     layers.splice(index, 1);
 
     // If deleted layer was active, select another
-    if (activeLayerId === layerId) {
+    if (wasActive) {
         activeLayerId = layers[Math.max(0, index - 1)].id;
         eventBus.emit('layer:activeChanged', getActiveLayer());
     }
@@ -135,11 +166,33 @@ function deleteLayer(layerId) {
     layers.forEach((l, i) => l.zIndex = i);
 
     logger.info?.(`Layer deleted: ${layer.name}`);
-    eventBus.emit('layer:deleted', { layerId, layer });
+    eventBus.emit('layer:deleted', { layerId, layer, index, wasActive });
 
     return true;
 }
 
+/**
+ * Insert an existing layer (e.g. to restore a deleted one)
+ * @param {Layer} layer - Layer to insert
+ * @param {number} index - Target z-index (clamped)
+ * @returns {Layer} Inserted layer
+ */
+function insertLayer(layer, index = layers.length) {
+    const position = Math.max(0, Math.min(layers.length, index));
+    if (!getGroup(layer.groupId)) layer.groupId = null;
+
+    layers.splice(position, 0, layer);
+    layers.forEach((l, i) => l.zIndex = i);
+
+    // Keep new IDs from colliding with the restored one
+    nextLayerId = Math.max(nextLayerId, (parseInt(layer.id.split('_')[1]) || 0) + 1);
+
+    logger.info?.(`Layer inserted: ${layer.name} at ${position}`);
+    eventBus.emit('layer:created', layer);
+
+    return layer;
+}
+
 /**
  * Get layer by ID
  * @param {string} layerId - Layer ID
@@ -219,18 +272,51 @@ function renameLayer(layerId, newName) {
     return true;
 }
 
+/**
+ * Set layer opacity and blend mode
+ * @param {string} layerId - Layer ID
+ * @param {{opacity?: number, blendMode?: string}} properties - Properties to change
+ * @returns {boolean} True if anything changed
+ */
+function setLayerProperties(layerId, properties) {
+    const layer = getLayer(layerId);
+    if (!layer) return false;
+
+    const before = { opacity: layer.opacity, blendMode: layer.blendMode };
+    const after = {
+        opacity: 'opacity' in properties ? LayerBlend.normalizeOpacity(properties.opacity) : before.opacity,
+        blendMode: 'blendMode' in properties ? LayerBlend.normalizeBlendMode(properties.blendMode) : before.blendMode
+    };
+    if (after.opacity === before.opacity && after.blendMode === before.blendMode) {
+        return false;
+    }
+
+    layer.opacity = after.opacity;
+    layer.blendMode = after.blendMode;
+
+    logger.info?.(`Layer ${layer.name}: opacity ${after.opacity}, ${after.blendMode}`);
+    eventBus.emit('layer:propertiesChanged', { layerId, before, after });
+
+    return true;
+}
+
 /**
  * Move layer (reorder z-index)
+ * The caller keeps groups together: a layer that lands between layers of
+ * a group must be moved into that group.
  * @param {string} layerId - Layer ID
  * @param {number} newIndex - New z-index
+ * @param {string|null} [groupId] - Group to put the layer in (default: keep its group)
  * @returns {boolean} Success
  */
-function moveLayer(layerId, newIndex) {
+function moveLayer(layerId, newIndex, groupId) {
     const layer = getLayer(layerId);
     if (!layer) return false;
 
     const oldIndex = layer.zIndex;
-    if (newIndex < 0 || newIndex >= layers.length || newIndex === oldIndex) {
+    const oldGroupId = layer.groupId || null;
+    const newGroupId = groupId === undefined ? oldGroupId : (getGroup(groupId) ? groupId : null);
+    if (newIndex < 0 || newIndex >= layers.length || (newIndex === oldIndex && newGroupId === oldGroupId)) {
         return false;
     }
 
@@ -242,13 +328,243 @@ function moveLayer(layerId, newIndex) {
 
     // Re-index all layers
     layers.forEach((l, i) => l.zIndex = i);
+    layer.groupId = newGroupId;
 
     logger.info?.(`Layer ${layer.name} moved: ${oldIndex} → ${newIndex}`);
-    eventBus.emit('layer:moved', { layerId, oldIndex, newIndex });
+    eventBus.emit('layer:moved', { layerId, oldIndex, newIndex, oldGroupId, newGroupId });
+
+    return true;
+}
+
+/**
+ * Work out where "move up/down one step" takes a layer
+ * At the edge of its group a layer steps out of the group; next to a
+ * group it steps into it, or over it when the group is collapsed.
+ * @param {string} layerId - Layer ID
+ * @param {number} direction - 1 (up) or -1 (down)
+ * @returns {LayerStep|null} Target, or null at the top/bottom of the stack
+ */
+function getLayerStep(layerId, direction) {
+    const layer = getLayer(layerId);
+    if (!layer) return null;
+
+    const index = layer.zIndex;
+    const neighbor = layers[index + direction];
+
+    if (layer.groupId) {
+        return neighbor?.groupId === layer.groupId
+            ? { index: index + direction, groupId: layer.groupId }
+            : { index, groupId: null };
+    }
+
+    if (!neighbor) return null;
+    if (!neighbor.groupId) return { index: index + direction, groupId: null };
+
+    if (getGroup(neighbor.groupId).collapsed) {
+        const range = LayerGroups.getRange(layers, neighbor.groupId);
+        return { index: direction > 0 ? range.end : range.start, groupId: null };
+    }
+    return { index, groupId: neighbor.groupId };
+}
+
+/**
+ * Duplicate a layer (placed right above it, in the same group)
+ * @param {string} layerId - Layer ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.name] - Name of the copy (default: "<name> copy")
+ * @param {Array<Array<number>>} [options.data] - Pixels for the copy (default: the layer's)
+ * @returns {Layer|null} The copy, or null if the layer doesn't exist
+ */
+function duplicateLayer(layerId, { name, data } = {}) {
+    const source = getLayer(layerId);
+    if (!source) return null;
+
+    const layer = {
+        id: `layer_${nextLayerId++}`,
+        name: name || `${source.name} copy`,
+        visible: source.visible,
+        opacity: source.opacity,
+        blendMode: source.blendMode,
+        groupId: source.groupId || null,
+        data: data || source.data.map(row => [...row]),
+        zIndex: source.zIndex + 1,
+        created: Date.now()
+    };
+
+    return insertLayer(layer, source.zIndex + 1);
+}
+
+/**
+ * Get the layer a layer would be merged down into
+ * @param {string} layerId - Layer ID
+ * @returns {Layer|null} The visible layer right below it in the same group, or null
+ */
+function getMergeDownTarget(layerId) {
+    const layer = getLayer(layerId);
+    const below = layer ? layers[layer.zIndex - 1] : null;
+    if (!layer?.visible || !below?.visible || (below.groupId || null) !== (layer.groupId || null)) {
+        return null;
+    }
+    return below;
+}
 
+/**
+ * Merge a layer into the layer below it
+ * The lower layer keeps its name (and its opacity and blend mode unless baked).
+ * @param {string} layerId - Layer ID
+ * @param {Array<string|null>|null} [colors=null] - Colors by palette index, to bake with (null = never bake)
+ * @returns {boolean} Success
+ */
+function mergeDown(layerId, colors = null) {
+    const merged = getMergeLayers('down', layerId);
+    const content = merged ? getMergedContent(merged, colors) : null;
+    if (!content) return false;
+
+    const target = merged[0];
+    Object.assign(target, content.look);
+    mergeLayers(target, merged, content.data);
     return true;
 }
 
+/**
+ * Merge all visible layers into the lowest one
+ * Hidden layers (and layers of hidden groups) are left as they are.
+ * @param {Array<string|null>|null} [colors=null] - Colors by palette index, to bake with (null = never bake)
+ * @returns {boolean} False if fewer than two layers are visible or they can't be merged
+ */
+function mergeVisible(colors = null) {
+    const visible = getMergeLayers('visible');
+    const content = visible ? getMergedContent(visible, colors) : null;
+    if (!content) return false;
+
+    const target = visible[0];
+    Object.assign(target, content.look);
+    mergeLayers(target, visible, content.data);
+    return true;
+}
+
+/**
+ * Flatten the image into a single layer
+ * Hidden layers are discarded and all groups are removed.
+ * @param {Array<string|null>|null} [colors=null] - Colors by palette index, to bake with (null = never bake)
+ * @returns {boolean} False if there is nothing to flatten or it can't be flattened
+ */
+function flattenImage(colors = null) {
+    const displayed = getMergeLayers('flatten');
+    const content = displayed ? getMergedContent(displayed, colors) : null;
+    if (!content) return false;
+
+    const target = layers[0];
+    Object.assign(target, { name: 'Background', visible: true, ...content.look, groupId: null });
+    groups = [];
+
+    mergeLayers(target, displayed, content.data);
+    return true;
+}
+
+/**
+ * Find the layers a merge combines
+ * @private
+ * @param {MergeOperation} operation - Merge operation
+ * @param {string} [id] - Layer ID for 'down', group ID for 'group'
+ * @returns {Array<Layer>|null} Layers, bottom to top, or null if there is nothing to merge
+ */
+function getMergeLayers(operation, id) {
+    switch (operation) {
+        case 'down': {
+            const target = getMergeDownTarget(id);
+            return target ? [target, getLayer(id)] : null;
+        }
+        case 'visible': {
+            const visible = getDisplayedLayers().filter(layer => layer.visible);
+            return visible.length >= 2 ? visible : null;
+        }
+        case 'flatten':
+            return layers.length < 2 && !layers[0]?.groupId ? null : getDisplayedLayers();
+        case 'group': {
+            const members = getGroupLayers(id);
+            return getGroup(id) && members.some(layer => layer.visible) ? members : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check how a merge would keep the look of its layers
+ * @param {MergeOperation} operation - Merge operation
+ * @param {string} [id] - Layer ID for 'down', group ID for 'group'
+ * @returns {'keep'|'bake'|'refuse'|null} 'keep' if the layers merge as they are, 'bake' if only
+ *   baking them to palette colors keeps their look, 'refuse' if neither does, null if there is nothing to merge
+ */
+function getMergeMode(operation, id) {
+    const list = getMergeLayers(operation, id);
+    if (!list) return null;
+    if (LayerBlend.getMergedLook(list)) return 'keep';
+    return canBake(list) ? 'bake' : 'refuse';
+}
+
+/**
+ * Check if merged layers can be baked
+ * Their blended image only stands in for them without a visible layer below.
+ * @private
+ * @param {Array<Layer>} list - Layers to merge, bottom to top
+ * @returns {boolean} True if nothing visible lies below them
+ */
+function canBake(list) {
+    return getDisplayedLayers().slice(0, list[0].zIndex).every(layer => !layer.visible);
+}
+
+/**
+ * Work out the pixels and look of merged layers
+ * Layers whose indexed composite looks the same are merged as they are;
+ * otherwise their blended image is baked to the nearest palette colors
+ * (pixels below the image import alpha threshold become transparent).
+ * @private
+ * @param {Array<Layer>} list - Layers to merge, bottom to top
+ * @param {Array<string|null>|null} colors - Colors by palette index (null = never bake)
+ * @returns {{data: Array<Array<number>>, look: {opacity: number, blendMode: string}}|null} Merged layer content, or null to refuse
+ */
+function getMergedContent(list, colors) {
+    const look = LayerBlend.getMergedLook(list);
+    if (look) return { data: compositeLayers(list), look };
+
+    if (!colors || !canBake(list)) {
+        logger.warn?.('Merge refused: the layers differ in opacity or blend mode, or translucent layers overlap');
+        return null;
+    }
+
+    const { defaultMetric, alphaThreshold } = Constants.imageImport;
+    const image = { width: canvasWidth, height: canvasHeight, data: LayerBlend.compositeRGBA(list, canvasWidth, canvasHeight, colors) };
+    return {
+        data: ImageQuantizer.quantize(image, { colors, metric: defaultMetric, alphaThreshold }),
+        look: { opacity: 1, blendMode: 'normal' }
+    };
+}
+
+/**
+ * Replace merged layers by one of them
+ * @private
+ * @param {Layer} target - Layer that stays in place
+ * @param {Array<Layer>} merged - Merged layers (including target)
+ * @param {Array<Array<number>>} data - Their composite, for the target
+ */
+function mergeLayers(target, merged, data) {
+    target.data = data;
+
+    const removedIds = merged.filter(layer => layer.id !== target.id).map(layer => layer.id);
+    layers = layers.filter(layer => !removedIds.includes(layer.id));
+    layers.forEach((l, i) => l.zIndex = i);
+
+    if (removedIds.includes(activeLayerId)) {
+        activeLayerId = target.id;
+        eventBus.emit('layer:activeChanged', target);
+    }
+
+    logger.info?.(`Merged ${merged.length} layers into ${target.name}`);
+    eventBus.emit('layer:merged', { layerId: target.id, removedIds });
+}
+
 /**
  * Resize all layers
  * @param {number} newWidth - New width
@@ -281,13 +597,33 @@ function resizeLayers(newWidth, newHeight) {
 
 /**
  * Composite all visible layers into single pixel data
+ * Opacity and blend modes are ignored: this is the indexed, normal-mode
+ * image that data strings store (see compositeRGBA for the blended one).
  * @returns {Array<Array<number>>} Composited pixel data
  */
 function compositeAllLayers() {
+    return compositeLayers(getDisplayedLayers());
+}
+
+/**
+ * Get the layers with the visibility they are shown with
+ * @private
+ * @returns {Array<Layer>} Layers, bottom to top; those in hidden groups are invisible copies
+ */
+function getDisplayedLayers() {
+    return LayerGroups.applyVisibility(getLayers(), groups);
+}
+
+/**
+ * Composite visible layers (indexed, normal mode)
+ * @private
+ * @param {Array<Layer>} list - Layers, bottom to top
+ * @returns {Array<Array<number>>} Composited pixel data
+ */
+function compositeLayers(list) {
     const result = createEmptyData(canvasWidth, canvasHeight);
-    const sortedLayers = getLayers(); // Bottom to top
 
-    sortedLayers.forEach(layer => {
+    list.forEach(layer => {
         if (!layer.visible || !layer.data) return;
 
         for (let y = 0; y < canvasHeight; y++) {
@@ -307,6 +643,256 @@ function compositeAllLayers() {
     return result;
 }
 
+/**
+ * Check if the layers need blending to be shown as they look
+ * @returns {boolean} True if a visible layer is translucent or not in normal mode
+ */
+function isBlended() {
+    return LayerBlend.isBlended(getDisplayedLayers());
+}
+
+/**
+ * Composite all visible layers with their opacity and blend modes
+ * @param {Array<string|null>} colors - Colors by palette index
+ * @returns {Uint8ClampedArray} RGBA bytes (ImageData layout)
+ */
+function compositeRGBA(colors) {
+    return LayerBlend.compositeRGBA(getDisplayedLayers(), canvasWidth, canvasHeight, colors);
+}
+
+// ==================== GROUPS ====================
+
+/**
+ * Get group by ID
+ * @param {string} groupId - Group ID
+ * @returns {LayerGroup|null} Group or null
+ */
+function getGroup(groupId) {
+    return groups.find(g => g.id === groupId) || null;
+}
+
+/**
+ * Get the groups that hold layers
+ * @returns {Array<LayerGroup>} Groups
+ */
+function getGroups() {
+    return LayerGroups.getUsedGroups(groups, layers);
+}
+
+/**
+ * Get a group's layers
+ * @param {string} groupId - Group ID
+ * @returns {Array<Layer>} Layers, bottom to top
+ */
+function getGroupLayers(groupId) {
+    return layers.filter(l => l.groupId === groupId);
+}
+
+/**
+ * Find where a group's layers are in the stack
+ * @param {string} groupId - Group ID
+ * @returns {GroupRange|null} Z-index range, or null if the group has no layers
+ */
+function getGroupRange(groupId) {
+    return LayerGroups.getRange(layers, groupId);
+}
+
+/**
+ * Put a layer into a new group (in place)
+ * @param {string} layerId - Layer ID (must not be in a group)
+ * @param {string} [name] - Group name
+ * @returns {LayerGroup|null} New group, or null if the layer is missing or already grouped
+ */
+function createGroup(layerId, name) {
+    const layer = getLayer(layerId);
+    if (!layer || layer.groupId) return null;
+
+    const group = {
+        id: `group_${nextGroupId++}`,
+        name: name || `Group ${getGroups().length + 1}`,
+        visible: true,
+        collapsed: false
+    };
+    groups.push(group);
+    layer.groupId = group.id;
+
+    logger.info?.(`Group created: ${group.name} (${group.id})`);
+    eventBus.emit('layer:groupChanged', { groupId: group.id });
+
+    return group;
+}
+
+/**
+ * Remove a group, keeping its layers where they are
+ * @param {string} groupId - Group ID
+ * @returns {boolean} Success
+ */
+function ungroup(groupId) {
+    const group = getGroup(groupId);
+    if (!group) return false;
+
+    getGroupLayers(groupId).forEach(layer => layer.groupId = null);
+    groups = groups.filter(g => g !== group);
+
+    logger.info?.(`Group removed: ${group.name}`);
+    eventBus.emit('layer:groupChanged', { groupId });
+
+    return true;
+}
+
+/**
+ * Delete a group and its layers
+ * @param {string} groupId - Group ID
+ * @returns {boolean} False if the group is missing or holds every layer
+ */
+function deleteGroup(groupId) {
+    const group = getGroup(groupId);
+    const members = getGroupLayers(groupId);
+    if (!group || members.length === 0 || members.length === layers.length) return false;
+
+    const range = getGroupRange(groupId);
+    layers = layers.filter(layer => layer.groupId !== groupId);
+    layers.forEach((l, i) => l.zIndex = i);
+    groups = groups.filter(g => g !== group);
+
+    if (members.some(layer => layer.id === activeLayerId)) {
+        activeLayerId = layers[Math.max(0, range.start - 1)].id;
+        eventBus.emit('layer:activeChanged', getActiveLayer());
+    }
+
+    logger.info?.(`Group deleted: ${group.name} (${members.length} layers)`);
+    eventBus.emit('layer:groupChanged', { groupId });
+
+    return true;
+}
+
+/**
+ * Rename a group
+ * @param {string} groupId - Group ID
+ * @param {string} newName - New name
+ * @returns {boolean} Success
+ */
+function renameGroup(groupId, newName) {
+    const group = getGroup(groupId);
+    if (!group) return false;
+
+    group.name = newName.trim() || group.name;
+    eventBus.emit('layer:groupChanged', { groupId });
+
+    return true;
+}
+
+/**
+ * Toggle a group's visibility (hides or shows all its layers)
+ * @param {string} groupId - Group ID
+ * @returns {boolean} New visibility state
+ */
+function toggleGroupVisibility(groupId) {
+    const group = getGroup(groupId);
+    if (!group) return false;
+
+    group.visible = !group.visible;
+    logger.info?.(`Group ${group.name} visibility: ${group.visible}`);
+    eventBus.emit('layer:groupChanged', { groupId });
+
+    return group.visible;
+}
+
+/**
+ * Collapse or expand a group in the layer panel
+ * @param {string} groupId - Group ID
+ * @param {boolean} collapsed - Collapsed state
+ */
+function setGroupCollapsed(groupId, collapsed) {
+    const group = getGroup(groupId);
+    if (!group || group.collapsed === collapsed) return;
+
+    group.collapsed = collapsed;
+    eventBus.emit('layer:groupChanged', { groupId });
+}
+
+/**
+ * Move a group's layers together
+ * @param {string} groupId - Group ID
+ * @param {number} newIndex - New z-index of the group's bottom layer
+ * @returns {boolean} Success
+ */
+function moveGroup(groupId, newIndex) {
+    const range = getGroupRange(groupId);
+    if (!range) return false;
+
+    const members = layers.slice(range.start, range.end + 1);
+    const rest = layers.filter(layer => layer.groupId !== groupId);
+    if (newIndex < 0 || newIndex > rest.length || newIndex === range.start) {
+        return false;
+    }
+
+    // Never land inside another group
+    const below = rest[newIndex - 1];
+    if (below?.groupId && rest[newIndex]?.groupId === below.groupId) {
+        return false;
+    }
+
+    rest.splice(newIndex, 0, ...members);
+    layers = rest;
+    layers.forEach((l, i) => l.zIndex = i);
+
+    logger.info?.(`Group ${getGroup(groupId).name} moved: ${range.start} → ${newIndex}`);
+    eventBus.emit('layer:groupChanged', { groupId });
+
+    return true;
+}
+
+/**
+ * Work out where "move up/down one step" takes a group
+ * Groups step over a whole neighboring group at once.
+ * @param {string} groupId - Group ID
+ * @param {number} direction - 1 (up) or -1 (down)
+ * @returns {number|null} New z-index of the group's bottom layer, or null at the top/bottom
+ */
+function getGroupStep(groupId, direction) {
+    const range = getGroupRange(groupId);
+    if (!range) return null;
+
+    const neighbor = layers[direction > 0 ? range.end + 1 : range.start - 1];
+    if (!neighbor) return null;
+
+    const size = neighbor.groupId ? getGroupLayers(neighbor.groupId).length : 1;
+    return range.start + direction * size;
+}
+
+/**
+ * Merge a group's visible layers into one layer that takes its place
+ * The layer is named after the group and is hidden if the group was.
+ * @param {string} groupId - Group ID
+ * @param {Array<string|null>|null} [colors=null] - Colors by palette index, to bake with (null = never bake)
+ * @returns {boolean} False if the group is missing, has no visible layer or can't be merged
+ */
+function mergeGroup(groupId, colors = null) {
+    const group = getGroup(groupId);
+    const members = getMergeLayers('group', groupId);
+    const content = members ? getMergedContent(members, colors) : null;
+    if (!content) return false;
+
+    const target = members.find(layer => layer.visible);
+    Object.assign(target, { name: group.name, visible: group.visible, ...content.look, groupId: null });
+    groups = groups.filter(g => g !== group);
+
+    mergeLayers(target, members, content.data);
+    return true;
+}
+
+/**
+ * Composite a group's layers with their opacity and blend modes
+ * The group is composited as if it were visible.
+ * @param {string} groupId - Group ID
+ * @param {Array<string|null>} colors - Colors by palette index
+ * @returns {Uint8ClampedArray} RGBA bytes (ImageData layout)
+ */
+function compositeGroupRGBA(groupId, colors) {
+    return LayerBlend.compositeRGBA(getGroupLayers(groupId), canvasWidth, canvasHeight, colors);
+}
+
 /**
  * Export layer data for saving
  * @returns {Object} Serializable layer data
@@ -318,10 +904,13 @@ function exportLayerData() {
             name: l.name,
             visible: l.visible,
             opacity: l.opacity,
+            blendMode: l.blendMode,
+            groupId: l.groupId || null,
             data: l.data,
             zIndex: l.zIndex,
             created: l.created
         })),
+        groups: groups.map(g => ({ ...g })),
         activeLayerId,
         canvasWidth,
         canvasHeight
@@ -333,13 +922,19 @@ function exportLayerData() {
  * @param {Object} layerData - Exported layer data
  */
 function importLayerData(layerData) {
-    layers = layerData.layers || [];
+    groups = LayerGroups.normalizeGroups(layerData.groups);
+    layers = LayerGroups.normalizeLayers((layerData.layers || []).map(layer => ({
+        ...layer,
+        opacity: LayerBlend.normalizeOpacity(layer.opacity),
+        blendMode: LayerBlend.normalizeBlendMode(layer.blendMode)
+    })), groups);
     activeLayerId = layerData.activeLayerId || (layers[0]?.id || null);
     canvasWidth = layerData.canvasWidth || 16;
     canvasHeight = layerData.canvasHeight || 16;
 
     // Ensure unique IDs
     nextLayerId = Math.max(...layers.map(l => parseInt(l.id.split('_')[1]) || 0), 0) + 1;
+    nextGroupId = Math.max(...groups.map(g => parseInt(g.id.split('_')[1]) || 0), 0) + 1;
 
     logger.info?.(`Imported ${layers.length} layers`);
     eventBus.emit('layer:imported', { layerCount: layers.length });
@@ -349,15 +944,40 @@ const LayerManager = {
     init,
     createLayer,
     deleteLayer,
+    insertLayer,
     getLayer,
     getActiveLayer,
     setActiveLayer,
     getLayers,
     toggleVisibility,
     renameLayer,
+    setLayerProperties,
     moveLayer,
+    getLayerStep,
+    duplicateLayer,
+    getMergeDownTarget,
+    getMergeMode,
+    mergeDown,
+    mergeVisible,
+    flattenImage,
+    getGroup,
+    getGroups,
+    getGroupLayers,
+    getGroupRange,
+    createGroup,
+    ungroup,
+    deleteGroup,
+    renameGroup,
+    toggleGroupVisibility,
+    setGroupCollapsed,
+    moveGroup,
+    getGroupStep,
+    mergeGroup,
     resizeLayers,
     compositeAllLayers,
+    isBlended,
+    compositeRGBA,
+    compositeGroupRGBA,
     exportLayerData,
     importLayerData
 };
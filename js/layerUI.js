@@ -7,7 +7,15 @@
  * - Visibility toggle
  * - Layer selection
  * - Layer renaming
- * - Add/delete operations
+ * - Layer properties (opacity, blend mode) with live preview
+ * - Add/delete/duplicate, merge and flatten operations
+ * - Collapsible layer groups; dragging a layer onto a group header moves
+ *   it into the group, dragging a header moves the whole group
+ * - Layer commands; they take {layerId} as context (default: active layer).
+ *   Group commands take {groupId} (default: the context layer's group)
+ *
+ * Merges and group operations are recorded as document snapshots. Merges
+ * that bake blended layers into palette colors ask first.
  *
  * @module LayerUI
  */
@@ -15,12 +23,21 @@
 import LayerManager from './layerManager.js';
 import logger from './core/Logger.js';
 import eventBus from './core/EventBus.js';
+import CommandRegistry from './core/CommandRegistry.js';
 import Dialogs from './dialogs.js';
 import ColorPalette from './colorPalette.js';
+import LayerBlend from './core/LayerBlend.js';
+import Codec from './core/Codec.js';
+import SelectionMask from './core/SelectionMask.js';
+import HistoryRecorder from './historyRecorder.js';
+import PixelCanvas from './canvas/PixelCanvas.js';
+import ToolRegistry from './tools/ToolRegistry.js';
+import PNGExport from './pngExport.js';
 
 let layersListElement = null;
 let addLayerBtn = null;
-let draggedLayerId = null;
+/** @type {{layerId?: string, groupId?: string}|null} Dataset of the dragged item */
+let dragged = null;
 
 /**
  * Initialize layer UI
@@ -42,15 +59,190 @@ function init() {
     eventBus.on('layer:deleted', render);
     eventBus.on('layer:renamed', render);
     eventBus.on('layer:visibilityChanged', render);
+    eventBus.on('layer:propertiesChanged', render);
     eventBus.on('layer:activeChanged', render);
     eventBus.on('layer:moved', render);
+    eventBus.on('layer:merged', render);
+    eventBus.on('layer:groupChanged', render);
+    eventBus.on('layer:imported', render);
 
     // Don't render initially - wait for file to be created/loaded
     // render();
 
+    registerCommands();
     logger.info?.('LayerUI initialized');
 }
 
+/**
+ * Register the layer commands
+ * @private
+ */
+function registerCommands() {
+    const hasLayer = (ctx) => getContextLayer(ctx) !== null;
+    const withLayer = (action) => (ctx) => action(getContextLayer(ctx).id);
+    const hasGroup = (ctx) => getContextGroup(ctx) !== null;
+    const withGroup = (action) => (ctx) => action(getContextGroup(ctx).id);
+    const canStep = (direction) => (ctx) => hasLayer(ctx) && LayerManager.getLayerStep(getContextLayer(ctx).id, direction) !== null;
+    const canStepGroup = (direction) => (ctx) => hasGroup(ctx) && LayerManager.getGroupStep(getContextGroup(ctx).id, direction) !== null;
+
+    CommandRegistry.registerAll([
+        { id: 'layer.add', label: 'New Layer', icon: 'add', category: 'Layer', enabled: () => LayerManager.getActiveLayer() !== null, handler: handleAddLayer },
+        {
+            id: 'layer.delete',
+            label: 'Delete Layer',
+            icon: 'delete',
+            category: 'Layer',
+            enabled: (ctx) => hasLayer(ctx) && LayerManager.getLayers().length > 1,
+            handler: withLayer(handleDeleteLayer)
+        },
+        { id: 'layer.rename', label: 'Rename Layer', icon: 'edit', category: 'Layer', enabled: hasLayer, handler: withLayer(handleLayerRename) },
+        { id: 'layer.duplicate', label: 'Duplicate Layer', icon: 'content_copy', category: 'Layer', keybinding: 'Ctrl+J', enabled: hasLayer, handler: withLayer(handleDuplicateLayer) },
+        {
+            id: 'layer.fromSelection',
+            label: 'New Layer from Selection',
+            icon: 'library_add',
+            category: 'Layer',
+            enabled: (ctx) => hasLayer(ctx) && ToolRegistry.getSelectionMask() !== null,
+            handler: withLayer(handleLayerFromSelection)
+        },
+        { id: 'layer.properties', label: 'Layer Properties', icon: 'tune', category: 'Layer', enabled: hasLayer, handler: withLayer(handleLayerProperties) },
+        {
+            id: 'layer.toggleVisibility',
+            label: 'Show/Hide Layer',
+            icon: 'visibility',
+            category: 'Layer',
+            enabled: hasLayer,
+            handler: withLayer(handleToggleVisibility)
+        },
+        {
+            id: 'layer.moveUp',
+            label: 'Move Layer Up',
+            icon: 'arrow_upward',
+            category: 'Layer',
+            enabled: canStep(1),
+            handler: withLayer(layerId => moveLayerBy(layerId, 1))
+        },
+        {
+            id: 'layer.moveDown',
+            label: 'Move Layer Down',
+            icon: 'arrow_downward',
+            category: 'Layer',
+            enabled: canStep(-1),
+            handler: withLayer(layerId => moveLayerBy(layerId, -1))
+        },
+        {
+            id: 'layer.mergeDown',
+            label: 'Merge Down',
+            icon: 'vertical_align_bottom',
+            category: 'Layer',
+            keybinding: 'Ctrl+E',
+            enabled: (ctx) => hasLayer(ctx) && LayerManager.getMergeDownTarget(getContextLayer(ctx).id) !== null,
+            handler: withLayer(handleMergeDown)
+        },
+        {
+            id: 'layer.mergeVisible',
+            label: 'Merge Visible',
+            icon: 'call_merge',
+            category: 'Layer',
+            keybinding: 'Ctrl+Shift+E',
+            enabled: () => LayerManager.getLayers().filter(isShown).length > 1,
+            handler: handleMergeVisible
+        },
+        {
+            id: 'layer.flatten',
+            label: 'Flatten Image',
+            icon: 'compress',
+            category: 'Layer',
+            enabled: () => LayerManager.getLayers().length > 1 || LayerManager.getGroups().length > 0,
+            handler: handleFlatten
+        },
+        {
+            id: 'layer.group',
+            label: 'Group Layer',
+            icon: 'create_new_folder',
+            category: 'Layer',
+            keybinding: 'Ctrl+G',
+            enabled: (ctx) => hasLayer(ctx) && !getContextLayer(ctx).groupId,
+            handler: withLayer(handleGroupLayer)
+        },
+        {
+            id: 'layer.removeFromGroup',
+            label: 'Remove from Group',
+            icon: 'drive_file_move',
+            category: 'Layer',
+            enabled: (ctx) => hasLayer(ctx) && !!getContextLayer(ctx).groupId,
+            handler: withLayer(handleRemoveFromGroup)
+        },
+        { id: 'layer.renameGroup', label: 'Rename Group', icon: 'edit', category: 'Layer', enabled: hasGroup, handler: withGroup(handleGroupRename) },
+        {
+            id: 'layer.toggleGroupVisibility',
+            label: 'Show/Hide Group',
+            icon: 'visibility',
+            category: 'Layer',
+            enabled: hasGroup,
+            handler: withGroup(handleToggleGroupVisibility)
+        },
+        {
+            id: 'layer.toggleGroupCollapsed',
+            label: 'Collapse/Expand Group',
+            icon: 'unfold_less',
+            category: 'Layer',
+            enabled: hasGroup,
+            handler: withGroup(handleToggleGroupCollapsed)
+        },
+        { id: 'layer.moveGroupUp', label: 'Move Group Up', icon: 'arrow_upward', category: 'Layer', enabled: canStepGroup(1), handler: withGroup(groupId => moveGroupBy(groupId, 1)) },
+        { id: 'layer.moveGroupDown', label: 'Move Group Down', icon: 'arrow_downward', category: 'Layer', enabled: canStepGroup(-1), handler: withGroup(groupId => moveGroupBy(groupId, -1)) },
+        { id: 'layer.ungroup', label: 'Ungroup', icon: 'folder_off', category: 'Layer', keybinding: 'Ctrl+Shift+G', enabled: hasGroup, handler: withGroup(handleUngroup) },
+        {
+            id: 'layer.mergeGroup',
+            label: 'Merge Group',
+            icon: 'call_merge',
+            category: 'Layer',
+            enabled: (ctx) => hasGroup(ctx) && LayerManager.getGroupLayers(getContextGroup(ctx).id).some(layer => layer.visible),
+            handler: withGroup(handleMergeGroup)
+        },
+        { id: 'layer.exportGroup', label: 'Export Group as PNG', icon: 'download', category: 'Layer', enabled: hasGroup, handler: withGroup(handleExportGroup) },
+        {
+            id: 'layer.deleteGroup',
+            label: 'Delete Group',
+            icon: 'folder_delete',
+            category: 'Layer',
+            enabled: (ctx) => hasGroup(ctx) && LayerManager.getGroupLayers(getContextGroup(ctx).id).length < LayerManager.getLayers().length,
+            handler: withGroup(handleDeleteGroup)
+        }
+    ]);
+}
+
+/**
+ * Get the layer a layer command applies to
+ * @private
+ * @param {{layerId?: string}} ctx - Command context
+ * @returns {Object|null} The context's layer, or the active layer
+ */
+function getContextLayer(ctx) {
+    return ctx.layerId ? LayerManager.getLayer(ctx.layerId) : LayerManager.getActiveLayer();
+}
+
+/**
+ * Get the group a group command applies to
+ * @private
+ * @param {{groupId?: string, layerId?: string}} ctx - Command context
+ * @returns {Object|null} The context's group, or the group of the context layer
+ */
+function getContextGroup(ctx) {
+    const groupId = ctx.groupId || getContextLayer(ctx)?.groupId;
+    return groupId && LayerManager.getGroupRange(groupId) ? LayerManager.getGroup(groupId) : null;
+}
+
+/**
+ * @private
+ * @param {Object} layer - Layer data
+ * @returns {boolean} True if the layer and its group are visible
+ */
+function isShown(layer) {
+    return layer.visible && LayerManager.getGroup(layer.groupId)?.visible !== false;
+}
+
 /**
  * Render the layer list
  */
@@ -62,9 +254,16 @@ function render() {
 
     layersListElement.innerHTML = '';
 
-    layers.forEach(layer => {
-        const layerItem = createLayerItem(layer, layer.id === activeLayer?.id);
-        layersListElement.appendChild(layerItem);
+    layers.forEach((layer, index) => {
+        const group = LayerManager.getGroup(layer.groupId);
+        if (!group?.collapsed) {
+            layersListElement.appendChild(createLayerItem(layer, layer.id === activeLayer?.id, group));
+        }
+
+        // The list runs bottom to top, so the header follows the group's top layer
+        if (group && layers[index + 1]?.groupId !== group.id) {
+            layersListElement.appendChild(createGroupItem(group, activeLayer?.groupId === group.id));
+        }
     });
 }
 
@@ -72,11 +271,14 @@ function render() {
  * Create a single layer item element
  * @param {Object} layer - Layer data
  * @param {boolean} isActive - Is this the active layer
+ * @param {Object|null} group - The layer's group
  * @returns {HTMLElement} Layer item element
  */
-function createLayerItem(layer, isActive) {
+function createLayerItem(layer, isActive, group = null) {
     const item = document.createElement('div');
     item.className = 'layer-item' + (isActive ? ' active' : '');
+    if (group) item.classList.add('layer-item-grouped');
+    if (group && !group.visible) item.classList.add('layer-item-hidden');
     item.dataset.layerId = layer.id;
     item.draggable = true;
 
@@ -96,9 +298,7 @@ function createLayerItem(layer, isActive) {
 
     const meta = document.createElement('div');
     meta.className = 'layer-meta';
-    const width = layer.data[0]?.length || 0;
-    const height = layer.data.length || 0;
-    meta.textContent = `${width}×${height}`;
+    meta.textContent = getLayerMeta(layer);
 
     info.appendChild(name);
     info.appendChild(meta);
@@ -117,6 +317,16 @@ function createLayerItem(layer, isActive) {
         handleToggleVisibility(layer.id);
     });
 
+    // Properties button
+    const propertiesBtn = document.createElement('button');
+    propertiesBtn.className = 'layer-btn layer-btn-properties';
+    propertiesBtn.title = 'Layer Properties';
+    propertiesBtn.innerHTML = '<span class="material-symbols-outlined">tune</span>';
+    propertiesBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleLayerProperties(layer.id);
+    });
+
     // Delete button
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'layer-btn layer-btn-delete';
@@ -128,6 +338,7 @@ function createLayerItem(layer, isActive) {
     });
 
     controls.appendChild(visibilityBtn);
+    controls.appendChild(propertiesBtn);
     controls.appendChild(deleteBtn);
 
     // Assemble
@@ -140,12 +351,110 @@ function createLayerItem(layer, isActive) {
     item.addEventListener('dblclick', () => handleLayerRename(layer.id, name));
 
     // Drag and drop
+    addDragHandlers(item);
+
+    return item;
+}
+
+/**
+ * Create a group header element
+ * @private
+ * @param {Object} group - Group data
+ * @param {boolean} holdsActive - Whether the active layer is in the group
+ * @returns {HTMLElement} Group header element
+ */
+function createGroupItem(group, holdsActive) {
+    const item = document.createElement('div');
+    item.className = 'layer-group' + (group.collapsed ? ' collapsed' : '') + (group.collapsed && holdsActive ? ' active' : '');
+    item.dataset.groupId = group.id;
+    item.draggable = true;
+
+    const toggle = document.createElement('button');
+    toggle.className = 'layer-group-toggle';
+    toggle.title = group.collapsed ? 'Expand Group' : 'Collapse Group';
+    toggle.innerHTML = `<span class="material-symbols-outlined">${group.collapsed ? 'chevron_right' : 'expand_more'}</span>`;
+    toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleToggleGroupCollapsed(group.id);
+    });
+
+    const icon = document.createElement('span');
+    icon.className = 'material-symbols-outlined layer-group-icon';
+    icon.textContent = group.collapsed ? 'folder' : 'folder_open';
+
+    const info = document.createElement('div');
+    info.className = 'layer-info';
+
+    const name = document.createElement('div');
+    name.className = 'layer-name';
+    name.textContent = group.name;
+
+    const count = LayerManager.getGroupLayers(group.id).length;
+    const meta = document.createElement('div');
+    meta.className = 'layer-meta';
+    meta.textContent = count === 1 ? '1 layer' : `${count} layers`;
+
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const controls = document.createElement('div');
+    controls.className = 'layer-controls';
+
+    const visibilityBtn = document.createElement('button');
+    visibilityBtn.className = 'layer-btn layer-btn-visibility' + (group.visible ? ' active' : '');
+    visibilityBtn.title = group.visible ? 'Hide Group' : 'Show Group';
+    visibilityBtn.innerHTML = '<span class="material-symbols-outlined"></span>';
+    visibilityBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleToggleGroupVisibility(group.id);
+    });
+    controls.appendChild(visibilityBtn);
+
+    item.appendChild(toggle);
+    item.appendChild(icon);
+    item.appendChild(info);
+    item.appendChild(controls);
+
+    // Clicking the header selects the group's top layer, so group commands apply to it
+    item.addEventListener('click', () => {
+        const members = LayerManager.getGroupLayers(group.id);
+        if (members.length > 0 && !holdsActive) {
+            LayerManager.setActiveLayer(members[members.length - 1].id);
+        }
+    });
+    item.addEventListener('dblclick', () => handleGroupRename(group.id));
+
+    addDragHandlers(item);
+
+    return item;
+}
+
+/**
+ * Make a layer or group item draggable and a drop target
+ * @private
+ * @param {HTMLElement} item - Layer item or group header
+ */
+function addDragHandlers(item) {
     item.addEventListener('dragstart', handleDragStart);
     item.addEventListener('dragover', handleDragOver);
     item.addEventListener('drop', handleDrop);
     item.addEventListener('dragend', handleDragEnd);
+}
 
-    return item;
+/**
+ * Describe a layer's size, and its opacity and blend mode when not the defaults
+ * @private
+ * @param {Object} layer - Layer data
+ * @returns {string} Meta line
+ */
+function getLayerMeta(layer) {
+    const parts = [`${layer.data[0]?.length || 0}×${layer.data.length || 0}`];
+    const opacity = LayerBlend.normalizeOpacity(layer.opacity);
+    const blendMode = LayerBlend.normalizeBlendMode(layer.blendMode);
+
+    if (opacity < 1) parts.push(`${Math.round(opacity * 100)}%`);
+    if (blendMode !== 'normal') parts.push(LayerBlend.BLEND_MODE_LABELS[blendMode]);
+    return parts.join(' · ');
 }
 
 /**
@@ -228,6 +537,34 @@ async function handleLayerRename(layerId, nameElement) {
     }
 }
 
+/**
+ * Edit a layer's name, opacity and blend mode
+ * The canvas previews opacity and blend mode while the dialog is open;
+ * the final change goes through LayerManager so it is one undo step.
+ * @param {string} layerId - Layer ID
+ */
+async function handleLayerProperties(layerId) {
+    const layer = LayerManager.getLayer(layerId);
+    if (!layer) return;
+
+    const original = { opacity: layer.opacity, blendMode: layer.blendMode };
+    const preview = ({ opacity, blendMode }) => {
+        layer.opacity = LayerBlend.normalizeOpacity(opacity);
+        layer.blendMode = LayerBlend.normalizeBlendMode(blendMode);
+    };
+
+    const result = await Dialogs.layerPropertiesDialog(layer, { onPreview: preview });
+    preview(original);
+    if (!result) return;
+
+    if (result.name !== layer.name) {
+        LayerManager.renameLayer(layerId, result.name);
+    }
+    if (LayerManager.setLayerProperties(layerId, { opacity: result.opacity, blendMode: result.blendMode })) {
+        eventBus.emit('canvas:changed'); // Trigger re-render
+    }
+}
+
 /**
  * Handle toggle visibility
  * @param {string} layerId - Layer ID
@@ -264,12 +601,266 @@ async function handleDeleteLayer(layerId) {
     }
 }
 
+/**
+ * Move a layer one step up (toward the top) or down the stack
+ * Steps into and out of groups at their edges (see LayerManager.getLayerStep).
+ * @param {string} layerId - Layer ID
+ * @param {number} direction - 1 (up) or -1 (down)
+ */
+function moveLayerBy(layerId, direction) {
+    const step = LayerManager.getLayerStep(layerId, direction);
+    if (step && LayerManager.moveLayer(layerId, step.index, step.groupId)) {
+        eventBus.emit('canvas:changed'); // Trigger re-render
+    }
+}
+
+/**
+ * Duplicate a layer and select the copy
+ * @param {string} layerId - Layer ID
+ */
+function handleDuplicateLayer(layerId) {
+    const copy = HistoryRecorder.recordDocument('Duplicate Layer', () => selectNewLayer(LayerManager.duplicateLayer(layerId)));
+    if (copy) {
+        eventBus.emit('canvas:changed'); // Trigger re-render
+    }
+}
+
+/**
+ * Copy the selected pixels of a layer into a new layer above it
+ * @param {string} layerId - Layer ID
+ */
+function handleLayerFromSelection(layerId) {
+    const layer = LayerManager.getLayer(layerId);
+    const mask = ToolRegistry.getSelectionMask();
+    if (!layer || !mask) return;
+
+    const data = layer.data.map((row, y) => row.map((value, x) => SelectionMask.contains(mask, x, y) ? value : 0));
+    const created = HistoryRecorder.recordDocument('New Layer from Selection', () =>
+        selectNewLayer(LayerManager.duplicateLayer(layerId, { name: `${layer.name} selection`, data })));
+    if (created) {
+        eventBus.emit('canvas:changed'); // Trigger re-render
+    }
+}
+
+/**
+ * Make a newly created layer the active one
+ * @private
+ * @param {Object|null} layer - Created layer
+ * @returns {Object|false} The layer, or false if none was created (nothing to record)
+ */
+function selectNewLayer(layer) {
+    if (!layer) return false;
+    LayerManager.setActiveLayer(layer.id);
+    return layer;
+}
+
+/**
+ * Merge a layer into the one below it
+ * @param {string} layerId - Layer ID
+ */
+function handleMergeDown(layerId) {
+    return runMerge('Merge Down', 'down', layerId, colors => LayerManager.mergeDown(layerId, colors));
+}
+
+/**
+ * Merge all visible layers
+ */
+function handleMergeVisible() {
+    return runMerge('Merge Visible', 'visible', null, colors => LayerManager.mergeVisible(colors));
+}
+
+/**
+ * Flatten the image into one layer (asks first when hidden layers would be lost)
+ */
+function handleFlatten() {
+    const hidden = LayerManager.getLayers().filter(layer => !isShown(layer)).length;
+    const warnings = hidden > 0 ? [`${hidden === 1 ? '1 hidden layer' : `${hidden} hidden layers`} will be discarded.`] : [];
+    return runMerge('Flatten Image', 'flatten', null, colors => LayerManager.flattenImage(colors), warnings);
+}
+
+/**
+ * Run a merge as one undo step
+ * Asks first when it discards something or has to bake blended layers into
+ * palette colors, and explains merges that can't keep the layers' look.
+ * @param {string} label - Action name (history label and dialog title)
+ * @param {import('./layerManager.js').MergeOperation} operation - Merge operation
+ * @param {string|null} id - Layer ID for 'down', group ID for 'group'
+ * @param {function(Array<string|null>): boolean} merge - Runs the merge with the palette colors
+ * @param {Array<string>} [warnings=[]] - Other consequences to confirm
+ */
+async function runMerge(label, operation, id, merge, warnings = []) {
+    const mode = LayerManager.getMergeMode(operation, id);
+    if (!mode) return;
+
+    if (mode === 'refuse') {
+        await Dialogs.alert(
+            'Cannot Merge',
+            'Merging would change how these layers look: they differ in opacity or blend mode (or translucent ' +
+            'layers overlap) and visible layers lie below them. Give them the same opacity and blend mode, ' +
+            'or use Merge Visible or Flatten Image.',
+            'warning'
+        );
+        return;
+    }
+
+    const consequences = mode === 'bake'
+        ? [...warnings, 'Opacity and blend modes will be baked into the nearest palette colors.']
+        : warnings;
+    if (consequences.length > 0) {
+        const confirmed = await Dialogs.confirm(label, consequences.join(' '), {
+            confirmText: operation === 'flatten' ? 'Flatten' : 'Merge',
+            cancelText: 'Cancel',
+            type: 'warning'
+        });
+        if (!confirmed) return;
+    }
+
+    const colors = Codec.applyPalette(PixelCanvas.getPalette());
+    if (HistoryRecorder.recordDocument(label, () => merge(colors))) {
+        eventBus.emit('canvas:changed'); // Trigger re-render
+    }
+}
+
+/**
+ * Put a layer into a new group
+ * @param {string} layerId - Layer ID
+ */
+function handleGroupLayer(layerId) {
+    HistoryRecorder.recordDocument('Group Layer', () => LayerManager.createGroup(layerId) !== null);
+}
+
+/**
+ * Take a layer out of its group (it moves right above the group)
+ * @param {string} layerId - Layer ID
+ */
+function handleRemoveFromGroup(layerId) {
+    const range = LayerManager.getGroupRange(LayerManager.getLayer(layerId)?.groupId);
+    if (range && LayerManager.moveLayer(layerId, range.end, null)) {
+        eventBus.emit('canvas:changed'); // Trigger re-render
+    }
+}
+
+/**
+ * Rename a group
+ * @param {string} groupId - Group ID
+ */
+async function handleGroupRename(groupId) {
+    const group = LayerManager.getGroup(groupId);
+    if (!group) return;
+
+    const newName = await Dialogs.prompt('Rename Group', 'Enter new group name:', group.name);
+    if (newName && newName !== group.name) {
+        HistoryRecorder.recordDocument('Rename Group', () => LayerManager.renameGroup(groupId, newName));
+    }
+}
+
+/**
+ * Show or hide a group's layers
+ * @param {string} groupId - Group ID
+ */
+function handleToggleGroupVisibility(groupId) {
+    const group = LayerManager.getGroup(groupId);
+    if (!group) return;
+
+    HistoryRecorder.recordDocument(group.visible ? 'Hide Group' : 'Show Group', () => LayerManager.toggleGroupVisibility(groupId));
+    eventBus.emit('canvas:changed'); // Trigger re-render
+}
+
+/**
+ * Collapse or expand a group in the panel (not an undo step)
+ * @param {string} groupId - Group ID
+ */
+function handleToggleGroupCollapsed(groupId) {
+    const group = LayerManager.getGroup(groupId);
+    if (group) {
+        LayerManager.setGroupCollapsed(groupId, !group.collapsed);
+    }
+}
+
+/**
+ * Move a group one step up or down, over a whole neighboring group
+ * @param {string} groupId - Group ID
+ * @param {number} direction - 1 (up) or -1 (down)
+ */
+function moveGroupBy(groupId, direction) {
+    const index = LayerManager.getGroupStep(groupId, direction);
+    if (index !== null) {
+        moveGroupTo(groupId, index);
+    }
+}
+
+/**
+ * @private
+ * @param {string} groupId - Group ID
+ * @param {number} index - New z-index of the group's bottom layer
+ */
+function moveGroupTo(groupId, index) {
+    if (HistoryRecorder.recordDocument('Move Group', () => LayerManager.moveGroup(groupId, index))) {
+        eventBus.emit('canvas:changed'); // Trigger re-render
+    }
+}
+
+/**
+ * Remove a group, keeping its layers
+ * @param {string} groupId - Group ID
+ */
+function handleUngroup(groupId) {
+    // Layers of a hidden group show up again
+    if (HistoryRecorder.recordDocument('Ungroup', () => LayerManager.ungroup(groupId))) {
+        eventBus.emit('canvas:changed'); // Trigger re-render
+    }
+}
+
+/**
+ * Merge a group's visible layers into one layer
+ * @param {string} groupId - Group ID
+ */
+function handleMergeGroup(groupId) {
+    return runMerge('Merge Group', 'group', groupId, colors => LayerManager.mergeGroup(groupId, colors));
+}
+
+/**
+ * Download a group's layers, composited on their own, as a PNG
+ * @param {string} groupId - Group ID
+ */
+function handleExportGroup(groupId) {
+    const group = LayerManager.getGroup(groupId);
+    if (!group) return;
+
+    const { width, height } = PixelCanvas.getDimensions();
+    const rgba = LayerManager.compositeGroupRGBA(groupId, Codec.applyPalette(PixelCanvas.getPalette()));
+    PNGExport.exportRGBAToPNG(rgba, width, height, 1, `${group.name}.png`);
+    logger.info?.(`Group exported: ${group.name}`);
+}
+
+/**
+ * Delete a group and its layers
+ * @param {string} groupId - Group ID
+ */
+async function handleDeleteGroup(groupId) {
+    const group = LayerManager.getGroup(groupId);
+    if (!group) return;
+
+    const count = LayerManager.getGroupLayers(groupId).length;
+    const confirmed = await Dialogs.confirm(
+        'Delete Group',
+        `Delete group "${group.name}" and its ${count === 1 ? 'layer' : `${count} layers`}?`,
+        'Delete',
+        'Cancel'
+    );
+
+    if (confirmed && HistoryRecorder.recordDocument('Delete Group', () => LayerManager.deleteGroup(groupId))) {
+        eventBus.emit('canvas:changed'); // Trigger re-render
+    }
+}
+
 /**
  * Handle drag start
  * @param {DragEvent} e - Drag event
  */
 function handleDragStart(e) {
-    draggedLayerId = e.currentTarget.dataset.layerId;
+    const { layerId, groupId } = e.currentTarget.dataset;
+    dragged = { layerId, groupId };
     e.currentTarget.classList.add('dragging');
     e.dataTransfer.effectAllowed = 'move';
 }
@@ -283,42 +874,73 @@ function handleDragOver(e) {
     e.dataTransfer.dropEffect = 'move';
 
     const target = e.currentTarget;
-    if (target.dataset.layerId !== draggedLayerId) {
+    const isSelf = dragged && (dragged.layerId
+        ? target.dataset.layerId === dragged.layerId
+        : target.dataset.groupId === dragged.groupId);
+    if (dragged && !isSelf) {
         target.classList.add('drag-over');
     }
 }
 
 /**
  * Handle drop
+ * A layer dropped on a layer takes its place (and its group); dropped on
+ * a group header it becomes the group's top layer. A group dropped on
+ * anything lands next to that layer or group.
  * @param {DragEvent} e - Drag event
  */
 function handleDrop(e) {
     e.preventDefault();
     e.currentTarget.classList.remove('drag-over');
-
-    const targetLayerId = e.currentTarget.dataset.layerId;
-    if (draggedLayerId && targetLayerId && draggedLayerId !== targetLayerId) {
-        // Get target layer's new index
-        const layers = LayerManager.getLayers();
-        const targetIndex = layers.findIndex(l => l.id === targetLayerId);
-
-        if (targetIndex !== -1) {
-            LayerManager.moveLayer(draggedLayerId, targetIndex);
+    if (!dragged) return;
+
+    const target = e.currentTarget.dataset;
+    if (dragged.groupId) {
+        dropGroup(dragged.groupId, target);
+    } else if (dragged.layerId && target.groupId) {
+        const layer = LayerManager.getLayer(dragged.layerId);
+        const range = LayerManager.getGroupRange(target.groupId);
+        if (layer && range && LayerManager.moveLayer(layer.id, layer.zIndex > range.end ? range.end + 1 : range.end, target.groupId)) {
+            eventBus.emit('canvas:changed'); // Trigger re-render
+        }
+    } else if (dragged.layerId && target.layerId && dragged.layerId !== target.layerId) {
+        const targetLayer = LayerManager.getLayer(target.layerId);
+        if (targetLayer && LayerManager.moveLayer(dragged.layerId, targetLayer.zIndex, targetLayer.groupId || null)) {
             eventBus.emit('canvas:changed'); // Trigger re-render
         }
     }
 }
 
+/**
+ * Move a dragged group next to the layer or group it was dropped on
+ * @private
+ * @param {string} groupId - Dragged group
+ * @param {{layerId?: string, groupId?: string}} target - Dataset of the drop target
+ */
+function dropGroup(groupId, target) {
+    const targetGroupId = target.groupId || LayerManager.getLayer(target.layerId)?.groupId;
+    const own = LayerManager.getGroupRange(groupId);
+    const targetLayer = LayerManager.getLayer(target.layerId);
+    const unit = targetGroupId
+        ? LayerManager.getGroupRange(targetGroupId)
+        : (targetLayer ? { start: targetLayer.zIndex, end: targetLayer.zIndex } : null);
+    if (!own || !unit || targetGroupId === groupId) return;
+
+    // Dragged up it lands above the target, dragged down below it
+    const size = own.end - own.start + 1;
+    moveGroupTo(groupId, own.start < unit.start ? unit.end - size + 1 : unit.start);
+}
+
 /**
  * Handle drag end
  * @param {DragEvent} e - Drag event
  */
 function handleDragEnd(e) {
     e.currentTarget.classList.remove('dragging');
-    document.querySelectorAll('.layer-item').forEach(item => {
+    document.querySelectorAll('.layer-item, .layer-group').forEach(item => {
         item.classList.remove('drag-over');
     });
-    draggedLayerId = null;
+    dragged = null;
 }
 
 const LayerUI = {
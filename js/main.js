@@ -12,6 +12,7 @@
 import logger from './core/Logger.js';
 import eventBus from './core/EventBus.js';
 import configLoader from './core/ConfigLoader.js';
+import CommandRegistry from './core/CommandRegistry.js';
 
 // Utility Modules
 import validationUtils from './utils/ValidationUtils.js';
@@ -26,13 +27,28 @@ import CanvasRenderer from './canvas/CanvasRenderer.js';
 import ToolRegistry from './tools/ToolRegistry.js';
 import TabManager from './tabManager.js';
 import FileManager from './fileManager.js';
+import FileBrowserUI from './fileBrowserUI.js';
 import Autosave from './autosave.js';
+import Storage from './storage/Storage.js';
+import StorageUsage from './storageUsage.js';
 import Viewport from './viewport.js';
 import History from './history.js';
+import HistoryRecorder from './historyRecorder.js';
+import HistoryUI from './historyUI.js';
+import SymmetryUI from './symmetryUI.js';
 import Compression from './compression.js';
 import PNGExport from './pngExport.js';
+import SVGExport from './svgExport.js';
+import GIFExport from './gifExport.js';
+import SpriteSheetExport from './spriteSheetExport.js';
+import PNGImporter from './importers/PNGImporter.js';
 import ContextMenu from './contextMenu.js';
+import Clipboard from './clipboard.js';
+import CommandPalette from './commandPalette.js';
+import KeymapManager from './keymapManager.js';
 import LayerUI from './layerUI.js';
+import TimelineUI from './timelineUI.js';
+import ProjectDocument from './core/ProjectDocument.js';
 
 // Tool Implementations
 import BrushTool from './tools/implementations/BrushTool.js';
@@ -44,13 +60,14 @@ import EllipseTool from './tools/implementations/EllipseTool.js';
 import FillTool from './tools/implementations/FillTool.js';
 import SelectTool from './tools/implementations/SelectTool.js';
 import MagicWandTool from './tools/implementations/MagicWandTool.js';
+import LassoTool from './tools/implementations/LassoTool.js';
+import PolygonLassoTool from './tools/implementations/PolygonLassoTool.js';
 import MoveTool from './tools/implementations/MoveTool.js';
 import HandTool from './tools/implementations/HandTool.js';
 
 // Application state
 let initialized = false;
 let constants = null;
-let historyDebounceTimer = null;
 
 /**
  * Initialize the application.
@@ -90,6 +107,7 @@ async function init() {
  */
 async function initializeCoreSystems() {
     Dialogs.init();
+    await Storage.init(); // Saved files and autosaves are read from its cache
     await ColorPalette.init('colorPalette', onColorChange);
 
     const { defaultWidth, defaultHeight } = constants.canvas;
@@ -100,9 +118,16 @@ async function initializeCoreSystems() {
     TabManager.init(false); // Don't auto-restore tabs - show welcome screen instead
     Autosave.init();
     Viewport.init();
-    History.init({ onHistoryChange: updateHistoryUI });
+    History.init({ onHistoryChange: updateHistoryUI, memoryBudget: constants.history.memoryBudget });
+    HistoryRecorder.init();
     ContextMenu.init();
+    Clipboard.init();
     LayerUI.init();
+    TimelineUI.init({ onChange: onCanvasChange });
+    HistoryUI.init({ onJump: handleHistoryJump });
+    SymmetryUI.init();
+    FileBrowserUI.init({ onOpenInNewTab: loadFileFromWelcomeScreen });
+    CommandPalette.init({ onOpenFile: loadFileFromWelcomeScreen });
 
     logger.info('Core systems initialized');
 }
@@ -114,7 +139,8 @@ async function initializeCoreSystems() {
 async function initializeTools() {
     const toolClasses = [
         BrushTool, PencilTool, EraserTool, LineTool, RectangleTool,
-        EllipseTool, FillTool, SelectTool, MagicWandTool, MoveTool, HandTool
+        EllipseTool, FillTool, SelectTool, LassoTool, PolygonLassoTool, MagicWandTool,
+        MoveTool, HandTool
     ];
 
     ToolRegistry.init({
@@ -137,11 +163,14 @@ async function initializeTools() {
  * @private
  */
 function initializeUI() {
+    registerCommands();
+    KeymapManager.init(); // Needs every command registered
     setupToolbox();
     setupMenuBar();
     setupPropertiesPanel();
     setupWelcomeScreen();
     setupContextMenus();
+    setupImageDrop();
     updateLiveExportPreview();
     updateSizePresetHighlight();
 }
@@ -160,34 +189,144 @@ function setupToolbox() {
         const btn = document.createElement('button');
         btn.className = 'tool-btn';
         btn.dataset.tool = toolConfig.id;
-        btn.title = `${toolConfig.name} (${toolConfig.shortcut})`;
+        const shortcut = CommandRegistry.getShortcutLabel(`tool.${toolConfig.id}`);
+        btn.title = shortcut ? `${toolConfig.name} (${shortcut})` : toolConfig.name;
 
         if (toolConfig.id === ToolRegistry.getCurrentToolId()) {
             btn.classList.add('active');
         }
 
-        btn.innerHTML = `<span class="material-symbols-outlined tool-icon">${toolConfig.icon}</span><span class="tool-label">${toolConfig.name}</span><span class="tool-shortcut">${toolConfig.shortcut}</span>`;
-        btn.addEventListener('click', () => ToolRegistry.setCurrentTool(toolConfig.id));
+        btn.innerHTML = `<span class="material-symbols-outlined tool-icon">${toolConfig.icon}</span><span class="tool-label">${toolConfig.name}</span><span class="tool-shortcut">${shortcut}</span>`;
+        btn.addEventListener('click', () => CommandRegistry.execute(`tool.${toolConfig.id}`));
         toolbox.appendChild(btn);
     });
 
     logger.debug('Toolbox setup complete');
 }
 
+/**
+ * Register the application commands.
+ * Clipboard and FileBrowserUI register their own commands in init().
+ * @private
+ */
+function registerCommands() {
+    const hasDocument = () => TabManager.getCurrentTab() !== null;
+
+    CommandRegistry.registerAll([
+        // File
+        { id: 'file.new', label: 'New', icon: 'description', category: 'File', keybinding: 'Ctrl+N', handler: handleNew },
+        { id: 'file.save', label: 'Save', icon: 'save', category: 'File', keybinding: 'Ctrl+S', enabled: hasDocument, handler: handleSave },
+        { id: 'file.open', label: 'Load', icon: 'folder_open', category: 'File', keybinding: 'Ctrl+O', handler: handleLoad },
+        { id: 'file.storage', label: 'Storage Usage', icon: 'database', category: 'File', handler: handleStorage },
+        { id: 'file.export', label: 'Export', icon: 'download', category: 'File', enabled: hasDocument, handler: handleExportFile },
+        { id: 'file.importString', label: 'Import String', icon: 'upload', category: 'File', handler: handleImportString },
+        {
+            id: 'file.importImage',
+            label: 'Import Image',
+            icon: 'image',
+            category: 'File',
+            handler: () => document.getElementById('imageFileInput')?.click()
+        },
+        { id: 'file.compare', label: 'Compare', icon: 'compare', category: 'File', handler: handleCompare },
+
+        // Edit (cut, copy, paste and selection: see Clipboard)
+        { id: 'edit.undo', label: 'Undo', icon: 'undo', category: 'Edit', keybinding: 'Ctrl+Z', enabled: () => History.canUndo(), handler: handleUndo },
+        {
+            id: 'edit.redo',
+            label: 'Redo',
+            icon: 'redo',
+            category: 'Edit',
+            keybinding: ['Ctrl+Y', 'Ctrl+Shift+Z'],
+            enabled: () => History.canRedo(),
+            handler: handleRedo
+        },
+
+        // Canvas and view
+        { id: 'canvas.clear', label: 'Clear Canvas', icon: 'delete', category: 'Canvas', enabled: hasDocument, handler: handleClear },
+        { id: 'canvas.copyString', label: 'Copy Data String', icon: 'content_copy', category: 'Canvas', handler: handleCopyLiveString },
+        { id: 'view.toggleGrid', label: 'Toggle Grid', icon: 'grid_on', category: 'View', keybinding: 'G', handler: handleGridToggle },
+
+        // Colors: {colorIndex} from the palette, otherwise the current color
+        { id: 'color.copyCode', label: 'Copy Color Code', icon: 'content_copy', category: 'Color', handler: handleCopyColorCode },
+        { id: 'color.copyHex', label: 'Copy Hex Value', icon: 'tag', category: 'Color', handler: handleCopyColorHex },
+        {
+            id: 'color.select',
+            label: 'Use Color',
+            icon: 'palette',
+            category: 'Color',
+            enabled: (ctx) => ctx.colorIndex !== undefined && ctx.colorIndex !== ColorPalette.getCurrentColorIndex(),
+            handler: (ctx) => ColorPalette.selectColor(ctx.colorIndex)
+        },
+
+        // Tabs: {tabId} from the tab bar, otherwise the current tab
+        { id: 'tab.rename', label: 'Rename Tab', icon: 'edit', category: 'Tab', enabled: (ctx) => !!getContextTab(ctx), handler: (ctx) => TabManager.renameTab(getContextTab(ctx).id) },
+        { id: 'tab.duplicate', label: 'Duplicate Tab', icon: 'content_copy', category: 'Tab', enabled: (ctx) => !!getContextTab(ctx), handler: handleDuplicateTab },
+        // Ctrl+W closes the browser tab and can't be taken over
+        { id: 'tab.close', label: 'Close Tab', icon: 'close', category: 'Tab', keybinding: 'Alt+W', enabled: (ctx) => !!getContextTab(ctx), handler: (ctx) => TabManager.closeTab(getContextTab(ctx).id) },
+        {
+            id: 'tab.closeOthers',
+            label: 'Close Other Tabs',
+            icon: 'close',
+            category: 'Tab',
+            enabled: (ctx) => !!getContextTab(ctx) && TabManager.getAllTabs().length > 1,
+            handler: (ctx) => closeTabs(TabManager.getAllTabs().filter(tab => tab !== getContextTab(ctx)))
+        },
+        { id: 'tab.closeAll', label: 'Close All Tabs', icon: 'close', category: 'Tab', enabled: hasDocument, handler: () => closeTabs(TabManager.getAllTabs()) },
+
+        { id: 'help.shortcuts', label: 'Keyboard Shortcuts', icon: 'keyboard', category: 'Help', keybinding: 'Ctrl+/', handler: handleShortcuts },
+        { id: 'help.about', label: 'About Inline.px', icon: 'info', category: 'Help', handler: handleAbout }
+    ]);
+
+    ToolRegistry.getAllTools().forEach(tool => CommandRegistry.register({
+        id: `tool.${tool.id}`,
+        label: tool.name,
+        icon: tool.icon,
+        category: 'Tools',
+        keybinding: tool.shortcut,
+        handler: () => ToolRegistry.setCurrentTool(tool.id)
+    }));
+}
+
 /**
  * Bind event listeners for the main menu bar.
+ * Buttons with a data-command attribute run that command.
  * @private
  */
 function setupMenuBar() {
-    bindEvent('newBtn', handleNew);
-    bindEvent('saveBtn', handleSave);
-    bindEvent('loadBtn', handleLoad);
-    bindEvent('undoBtn', handleUndo);
-    bindEvent('redoBtn', handleRedo);
-    bindEvent('exportFileBtn', handleExportFile);
-    bindEvent('importStringBtn', handleImportString);
-    bindEvent('clearBtn', handleClear);
-    bindEvent('copyLiveStringBtn', handleCopyLiveString);
+    document.querySelectorAll('[data-command]').forEach(btn => {
+        const command = CommandRegistry.get(btn.dataset.command);
+        if (!command) {
+            logger.warn?.(`Unknown command on menu button: ${btn.dataset.command}`);
+            return;
+        }
+
+        btn.addEventListener('click', () => CommandRegistry.execute(command.id));
+    });
+    updateMenuShortcuts();
+
+    bindEvent('imageFileInput', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) handleImportImage(file);
+    }, 'change');
+
+    bindEvent('closeImportModal', closeImportModal);
+    bindEvent('cancelImportBtn', closeImportModal);
+    bindEvent('confirmImportBtn', handleConfirmImport);
+}
+
+/**
+ * Show the current keybindings in the menu button tooltips.
+ * @private
+ */
+function updateMenuShortcuts() {
+    document.querySelectorAll('[data-command]').forEach(btn => {
+        const command = CommandRegistry.get(btn.dataset.command);
+        if (!command) return;
+
+        const shortcut = CommandRegistry.getShortcutLabel(command.id);
+        btn.title = shortcut ? `${command.label} (${shortcut})` : command.label;
+    });
 }
 
 /**
@@ -230,9 +369,6 @@ function setupPropertiesPanel() {
             input.addEventListener('input', updateSizePresetHighlight);
         }
     });
-
-    // Grid toggle
-    bindEvent('gridToggleBtn', handleGridToggle);
 }
 
 /**
@@ -244,18 +380,13 @@ function setupWelcomeScreen() {
     bindEvent('welcomeNewBtn', showNewFileDialog);
 
     // Welcome screen "Open File" button
-    bindEvent('welcomeLoadBtn', showOpenFileDialog);
+    bindEvent('welcomeLoadBtn', () => FileBrowserUI.show({ onSelect: loadFileFromWelcomeScreen }));
 
     // New File Modal handlers
     bindEvent('closeNewFileModal', closeNewFileModal);
     bindEvent('cancelNewFileBtn', closeNewFileModal);
     bindEvent('confirmNewFileBtn', handleCreateNewFile);
 
-    // File Modal close handler
-    bindEvent('closeModal', () => {
-        document.getElementById('fileModal').style.display = 'none';
-    });
-
     // New File Modal preset buttons
     document.querySelectorAll('.preset-btn-modal').forEach(btn => {
         btn.addEventListener('click', () => {
@@ -298,27 +429,14 @@ function setupContextMenus() {
         // Check if clicked on canvas
         const canvasContainer = e.target.closest('#canvasContainer');
         if (canvasContainer) {
-            const context = {
-                canUndo: History?.canUndo() || false,
-                canRedo: History?.canRedo() || false,
-                hasSelection: false, // TODO: Implement selection detection
-                hasClipboard: false // TODO: Implement clipboard check
-            };
-            ContextMenu.show(e.clientX, e.clientY, ContextMenu.getCanvasMenuItems(context), context);
+            ContextMenu.show(e.clientX, e.clientY, ContextMenu.getCanvasMenuItems({}), {});
             return;
         }
 
         // Check if clicked on color palette
         const colorSwatch = e.target.closest('.color-swatch');
         if (colorSwatch) {
-            const colorIndex = parseInt(colorSwatch.dataset.index);
-            const color = ColorPalette.getColor(colorIndex);
-
-            const context = {
-                colorIndex: colorIndex,
-                color: colorSwatch.dataset.char || '0',
-                hex: color || '#000000'
-            };
+            const context = { colorIndex: parseInt(colorSwatch.dataset.index) };
             ContextMenu.show(e.clientX, e.clientY, ContextMenu.getPaletteMenuItems(context), context);
             return;
         }
@@ -326,13 +444,7 @@ function setupContextMenus() {
         // Check if clicked on tab
         const tab = e.target.closest('.tab');
         if (tab) {
-            const tabId = tab.dataset.tabId;
-            const allTabs = TabManager?.getAllTabs() || [];
-
-            const context = {
-                tabId: tabId,
-                hasMultipleTabs: allTabs.length > 1
-            };
+            const context = { tabId: tab.dataset.tabId };
             ContextMenu.show(e.clientX, e.clientY, ContextMenu.getTabMenuItems(context), context);
             return;
         }
@@ -340,27 +452,30 @@ function setupContextMenus() {
         // Check if clicked on file item
         const fileItem = e.target.closest('.file-grid-item');
         if (fileItem) {
-            logger.info?.('File item detected:', fileItem);
-            const fileName = fileItem.querySelector('.file-grid-name')?.textContent || 'Unknown';
-
-            const context = {
-                fileName: fileName,
-                fileElement: fileItem
-            };
+            const context = { fileId: fileItem.dataset.fileId };
             ContextMenu.show(e.clientX, e.clientY, ContextMenu.getFileMenuItems(context), context);
             return;
         }
 
+        // Check if clicked on a layer group header
+        const layerGroup = e.target.closest('.layer-group');
+        if (layerGroup) {
+            const context = { groupId: layerGroup.dataset.groupId };
+            ContextMenu.show(e.clientX, e.clientY, ContextMenu.getLayerGroupMenuItems(context), context);
+            return;
+        }
+
+        // Check if clicked on a layer (or the layer list: active layer)
+        const layerItem = e.target.closest('.layer-item');
+        if (layerItem || e.target.closest('#layersList')) {
+            const context = layerItem ? { layerId: layerItem.dataset.layerId } : {};
+            ContextMenu.show(e.clientX, e.clientY, ContextMenu.getLayerMenuItems(context), context);
+            return;
+        }
+
         // Fallback: Show generic menu
         logger.info?.('No specific target, showing generic menu');
-        ContextMenu.show(e.clientX, e.clientY, [
-            {
-                id: 'about',
-                label: 'About Inline.px',
-                icon: 'info',
-                action: () => console.log('About')
-            }
-        ], {});
+        ContextMenu.show(e.clientX, e.clientY, [{ command: 'help.about' }], {});
     });
 
     logger.debug('Context menus setup complete');
@@ -368,42 +483,20 @@ function setupContextMenus() {
 
 /**
  * Setup global keyboard shortcuts.
+ * Key presses run the enabled command bound to them (see registerCommands).
  * @private
  */
 function setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
-        const key = e.key.toLowerCase();
-        if (e.key === 'Escape') {
-            e.preventDefault();
-            ToolRegistry.clearSelection();
-            return;
-        }
-        // Grid toggle (G key)
-        if (key === 'g' && !e.ctrlKey && !e.metaKey && !e.shiftKey && !e.altKey) {
-            e.preventDefault();
-            handleGridToggle();
-            return;
-        }
-        if (ToolRegistry && /^[a-z]$/.test(key)) {
-            const tool = ToolRegistry.getToolByShortcut(key.toUpperCase());
-            if (tool) {
-                e.preventDefault();
-                ToolRegistry.setCurrentTool(tool.getId());
-                return;
-            }
-        }
-        if (e.ctrlKey || e.metaKey) {
-            const shortcuts = { 'z': handleUndo, 'y': handleRedo, 'n': handleNew, 's': handleSave, 'o': handleLoad };
-            if (shortcuts[key]) {
-                e.preventDefault();
-                if (key === 'z' && e.shiftKey) {
-                    handleRedo();
-                } else {
-                    shortcuts[key]();
-                }
-            }
-        }
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) return;
+
+        const binding = CommandRegistry.eventToKeybinding(e);
+        const command = binding && CommandRegistry.findByKeybinding(binding);
+        // Native keys (Ctrl+V) are performed by the browser's own event
+        if (!command || command.nativeKey) return;
+
+        e.preventDefault();
+        CommandRegistry.execute(command.id);
     });
 }
 
@@ -415,13 +508,33 @@ function setupEventListeners() {
     // Listen for FILE_LOADED event to update UI when tabs are switched or files loaded
     eventBus.on(eventBus.Events.FILE_LOADED, () => {
         updateCanvasSizeInputs();
+        // Show the document's own palette (or the default one)
+        ColorPalette.applyPaletteOverrides(PixelCanvas.getPalette());
         updateLiveExportPreview();
+        TimelineUI.stopPlayback();
+    });
+
+    // Custom colors travel with the document (PAL section)
+    eventBus.on(eventBus.Events.PALETTE_CHANGED, ({ overrides }) => {
+        const before = PixelCanvas.getPalette();
+        if (PixelCanvas.setPalette(overrides)) {
+            HistoryRecorder.recordPalette(before, overrides);
+        }
+    });
+
+    // Rebound shortcuts show up in the toolbox and tooltips
+    eventBus.on(eventBus.Events.KEYMAP_CHANGED, () => {
+        setupToolbox();
+        updateMenuShortcuts();
     });
 }
 
 // ==================== EVENT HANDLERS ====================
 
 function onToolChange(toolId, toolConfig) {
+    // A floating paste is placed with the Move tool; leaving it commits the paste
+    if (toolId !== 'move') Clipboard.commitFloating();
+
     document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.tool === toolId));
     document.getElementById('currentToolName').textContent = toolConfig.name;
     document.querySelector('.canvas-container').style.cursor = toolConfig.cursor; // Dynamic cursor per tool
@@ -447,11 +560,6 @@ function onColorChange(index, color) {
 function onCanvasChange() {
     updateLiveExportPreview();
     TabManager.markCurrentTabDirty();
-    clearTimeout(historyDebounceTimer);
-    historyDebounceTimer = setTimeout(() => {
-        const currentState = PixelCanvas.exportToString();
-        History.pushState(currentState, 'Paint');
-    }, constants.history.debounceTime);
 }
 
 function updateHistoryUI({ canUndo, canRedo, undoCount, redoCount }) {
@@ -550,152 +658,6 @@ function handleCreateNewFile() {
     logger.info(`Created new file: ${name} (${width}×${height})`);
 }
 
-/**
- * Show open file dialog with file grid and previews
- */
-async function showOpenFileDialog() {
-    const files = FileManager.getAllFiles();
-
-    if (files.length === 0) {
-        await Dialogs.alert('No Files', 'No saved files found. Create a new file to get started.', 'info');
-        return;
-    }
-
-    const modal = document.getElementById('fileModal');
-    const fileList = document.getElementById('fileList');
-    const noFilesMessage = document.getElementById('noFilesMessage');
-
-    // Clear previous content
-    fileList.innerHTML = '';
-
-    // Create file grid items with previews
-    files.forEach(file => {
-        const item = createFileGridItem(file);
-        item.addEventListener('click', () => {
-            loadFileFromWelcomeScreen(file);
-            modal.style.display = 'none';
-        });
-        fileList.appendChild(item);
-    });
-
-    noFilesMessage.style.display = files.length === 0 ? 'block' : 'none';
-    modal.style.display = 'flex';
-}
-
-/**
- * Create file grid item with preview
- * @param {Object} file - File object
- * @returns {HTMLElement}
- */
-function createFileGridItem(file) {
-    const item = document.createElement('div');
-    item.className = 'file-grid-item';
-
-    // Generate preview canvas and convert to image
-    const previewCanvas = generateFilePreview(file.data);
-    const previewDataURL = previewCanvas.toDataURL('image/png');
-
-    // Format date
-    const date = new Date(file.timestamp);
-    const dateStr = date.toLocaleDateString();
-
-    // Get dimensions from file object (already parsed in SavedFile)
-    const dimensions = file.width && file.height ? `${file.width}×${file.height}` : 'Unknown';
-
-    item.innerHTML = `
-        <div class="file-grid-preview">
-            <img src="${previewDataURL}" alt="${file.name}" />
-        </div>
-        <div class="file-grid-details">
-            <div class="file-grid-name">${file.name}</div>
-            <div class="file-grid-meta">
-                <span class="file-grid-info">${dimensions}</span>
-                <span class="file-grid-date">${dateStr}</span>
-            </div>
-        </div>
-    `;
-
-    return item;
-}
-
-/**
- * Generate preview canvas for a file
- * @param {string} dataString - Pixel data string (WxH:DATA)
- * @returns {HTMLCanvasElement}
- */
-function generateFilePreview(dataString) {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-
-    try {
-        // Parse data string
-        let parsedData = dataString;
-
-        // Check if compressed, decompress if needed
-        if (Compression && Compression.isCompressed(dataString)) {
-            parsedData = Compression.decompress(dataString);
-            logger.debug?.('Preview: Decompressed data');
-        }
-
-        const match = parsedData.match(/^(\d+)x(\d+):(.+)$/);
-        if (!match) {
-            logger.warn?.('Preview: Invalid data format:', parsedData.substring(0, 50));
-            // Fallback for invalid data
-            canvas.width = 64;
-            canvas.height = 64;
-            ctx.fillStyle = '#333';
-            ctx.fillRect(0, 0, 64, 64);
-            return canvas;
-        }
-
-        const width = parseInt(match[1]);
-        const height = parseInt(match[2]);
-        const data = match[3];
-
-        logger.debug?.(`Preview: Rendering ${width}×${height}, data length: ${data.length}`);
-
-        // Calculate scale to fit in 64x64
-        const scale = Math.min(64 / width, 64 / height);
-        canvas.width = Math.floor(width * scale);
-        canvas.height = Math.floor(height * scale);
-
-        // Draw pixels
-        ctx.imageSmoothingEnabled = false;
-
-        let pixelsDrawn = 0;
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const index = y * width + x;
-                if (index < data.length) {
-                    const char = data[index];
-                    const colorIndex = ColorPalette.getIndexFromChar(char);
-
-                    // Skip transparent pixels (0)
-                    if (colorIndex === 0) continue;
-
-                    const color = ColorPalette.getColor(colorIndex);
-                    if (color) {
-                        ctx.fillStyle = color;
-                        ctx.fillRect(x * scale, y * scale, scale, scale);
-                        pixelsDrawn++;
-                    }
-                }
-            }
-        }
-
-        logger.debug?.(`Preview: Drew ${pixelsDrawn} pixels`);
-
-    } catch (error) {
-        logger.error?.('Preview generation failed:', error);
-        canvas.width = 64;
-        canvas.height = 64;
-        ctx.fillStyle = '#f00';
-        ctx.fillRect(0, 0, 64, 64);
-    }
-
-    return canvas;
-}
-
 /**
  * Load file from welcome screen
  * @param {Object} file - File object
@@ -704,9 +666,9 @@ function loadFileFromWelcomeScreen(file) {
     hideWelcomeScreen();
 
     // Create tab with file data
-    const match = file.data.match(/^(\d+)x(\d+):/);
-    const width = match ? parseInt(match[1]) : 16;
-    const height = match ? parseInt(match[2]) : 16;
+    const dimensions = ProjectDocument.getDimensions(file.data);
+    const width = dimensions ? dimensions.width : 16;
+    const height = dimensions ? dimensions.height : 16;
 
     TabManager.createNewTab(file.name, width, height, file.data);
     FileManager.setCurrentFileName(file.name);
@@ -722,8 +684,8 @@ function handleNew() {
 
 async function handleSave() {
     let currentName = TabManager.getCurrentTab()?.name || FileManager.getCurrentFileName();
-    const dataString = PixelCanvas.exportToString();
-    const success = await FileManager.save(dataString, currentName);
+    const documentString = PixelCanvas.exportDocument();
+    const success = await FileManager.save(documentString, currentName);
     if (success) {
         logger.info('Saved successfully');
         TabManager.markCurrentTabClean();
@@ -732,22 +694,70 @@ async function handleSave() {
 }
 
 function handleLoad() {
-    FileManager.showLoadDialog((file) => {
-        if (PixelCanvas.importFromString(file.data)) {
-            hideWelcomeScreen();
-            TabManager.setCurrentTabName(file.name);
-            FileManager.setCurrentFileName(file.name);
-            TabManager.markCurrentTabClean();
-            updateCanvasSizeInputs();
-            updateLiveExportPreview();
+    FileBrowserUI.show({ onSelect: openFileInCurrentTab });
+}
+
+/**
+ * Replace the current tab's document with a saved file
+ * @param {Object} file - File object
+ */
+function openFileInCurrentTab(file) {
+    if (PixelCanvas.importDocument(file.data)) {
+        // Undo entries refer to the replaced document's layers and frames
+        History.clear(HistoryRecorder.captureThumbnail());
+        hideWelcomeScreen();
+        TabManager.setCurrentTabName(file.name);
+        FileManager.setCurrentFileName(file.name);
+        TabManager.markCurrentTabClean();
+        updateCanvasSizeInputs();
+        updateLiveExportPreview();
+    }
+}
+
+/**
+ * Show storage usage until closed; deletes items and requests persistence
+ */
+async function handleStorage() {
+    for (;;) {
+        const choice = await Dialogs.storageDialog(await StorageUsage.getReport());
+        if (!choice) return;
+
+        if (choice.action === 'persist') {
+            if (!await Storage.requestPersistence()) {
+                await Dialogs.alert('Not Persistent', 'The browser declined to make storage persistent.', 'warning');
+            }
+        } else if (choice.action === 'delete') {
+            const confirmed = await Dialogs.confirm(
+                'Delete',
+                `Delete "${choice.item.label}"? This cannot be undone.`,
+                { confirmText: 'Delete', type: 'error', dangerous: true }
+            );
+            if (confirmed && !await StorageUsage.deleteItem(choice.item)) {
+                await Dialogs.alert('Delete Failed', `Could not delete "${choice.item.label}".`, 'error');
+            }
         }
+    }
+}
+
+/**
+ * Compare two open tabs or pasted data strings
+ * Starts with the current tab as "after" and the previous tab (if any) as "before".
+ */
+async function handleCompare() {
+    const tabs = TabManager.getAllTabs();
+    const current = tabs.indexOf(TabManager.getCurrentTab());
+    const sources = tabs.map(tab => ({ name: tab.name, data: TabManager.getTabDocument(tab.id) || '' }));
+
+    await Dialogs.compareDialog(sources, {
+        before: current > 0 ? current - 1 : (tabs.length > 1 ? 1 : -1),
+        after: current
     });
 }
 
 async function handleExportFile() {
     let dataString = PixelCanvas.exportToString();
     const filename = FileManager.getCurrentFileName() || 'pixelart';
-    const options = await Dialogs.exportDialog(dataString);
+    const options = await Dialogs.exportDialog(dataString, { gifSources: GIFExport.getFrameSources() });
     if (!options) return;
 
     if (options.compress) {
@@ -768,6 +778,47 @@ async function handleExportFile() {
             await Dialogs.alert('PNG Exported!', `Exported as ${pngFilename} at ${options.scale}× scale.`, 'success');
             break;
         }
+        case 'download-svg': {
+            const svgFilename = filename.replace(/\.txt$/, '') + '.svg';
+            SVGExport.exportToSVG(options.svg, svgFilename);
+            await Dialogs.alert('SVG Exported!', `Exported as ${svgFilename}.`, 'success');
+            break;
+        }
+        case 'download-gif': {
+            const gifFilename = filename.replace(/\.txt$/, '') + '.gif';
+            try {
+                const frameCount = GIFExport.exportToGIF(options.gif, gifFilename);
+                await Dialogs.alert('GIF Exported!', `Exported ${frameCount} frame(s) as ${gifFilename} at ${options.gif.scale}× scale.`, 'success');
+            } catch (error) {
+                logger.error('GIF export failed', error);
+                await Dialogs.alert('GIF Export Failed', error.message, 'error');
+            }
+            break;
+        }
+        case 'sprite-sheet':
+            await handleExportSpriteSheet(filename.replace(/\.txt$/, ''));
+            break;
+    }
+}
+
+/**
+ * Pack selected tabs/files into a sprite sheet with an atlas descriptor
+ * @param {string} basename - Output filename without extension
+ */
+async function handleExportSpriteSheet(basename) {
+    const options = await Dialogs.spriteSheetDialog(SpriteSheetExport.getSources());
+    if (!options) return;
+
+    try {
+        const result = await SpriteSheetExport.exportSpriteSheet(options, `${basename}-sheet`);
+        await Dialogs.alert(
+            'Sprite Sheet Exported!',
+            `Packed ${result.count} sprite(s) into ${result.imageName} (${result.width}×${result.height}) with ${result.atlasName}.`,
+            'success'
+        );
+    } catch (error) {
+        logger.error('Sprite sheet export failed', error);
+        await Dialogs.alert('Sprite Sheet Export Failed', error.message, 'error');
     }
 }
 
@@ -776,20 +827,105 @@ function handleImportString() {
     const textarea = document.getElementById('importTextarea');
     if (modal && textarea) {
         textarea.value = '';
-        modal.classList.add('flex');
-        modal.classList.remove('hidden');
+        modal.style.display = 'flex';
         textarea.focus();
     }
 }
 
+function closeImportModal() {
+    document.getElementById('importModal').style.display = 'none';
+}
+
+/**
+ * Open the pasted data string or project document in a new tab
+ */
+async function handleConfirmImport() {
+    const text = document.getElementById('importTextarea').value.trim();
+    const valid = ProjectDocument.isDocument(text)
+        ? ProjectDocument.parse(text) !== null
+        : validationUtils.validateDataString(text).valid;
+    const dimensions = valid ? ProjectDocument.getDimensions(text) : null;
+    if (!dimensions) {
+        await Dialogs.alert('Invalid Data', 'Paste a data string (WxH:DATA) or a saved project document.', 'error');
+        return;
+    }
+
+    closeImportModal();
+    hideWelcomeScreen();
+    TabManager.createNewTab('Imported', dimensions.width, dimensions.height, text);
+    updateCanvasSizeInputs();
+    updateLiveExportPreview();
+}
+
+/**
+ * Import a PNG/GIF/BMP file as a new tab
+ * The quantized result is opened like any other data string, so it gets
+ * history and autosave through the regular canvas change path.
+ * @param {File} file - Image file
+ */
+async function handleImportImage(file) {
+    if (!PNGImporter.isSupportedFile(file)) {
+        await Dialogs.alert('Unsupported File', 'Please choose a PNG, GIF or BMP image.', 'error');
+        return;
+    }
+
+    try {
+        const image = await PNGImporter.decodeFile(file);
+        const result = await Dialogs.imageImportDialog(image, {
+            fileName: file.name,
+            palette: PixelCanvas.getPalette()
+        });
+        if (!result) return;
+
+        hideWelcomeScreen();
+        TabManager.createNewTab(PNGImporter.getTabName(file), result.width, result.height, result.dataString);
+        updateCanvasSizeInputs();
+        updateLiveExportPreview();
+
+        logger.info(`Imported image: ${file.name} (${result.width}×${result.height})`);
+    } catch (error) {
+        logger.error('Image import failed', error);
+        await Dialogs.alert('Import Failed', error.message, 'error');
+    }
+}
+
+/**
+ * Accept image files and project bundles dropped anywhere on the page
+ * @private
+ */
+function setupImageDrop() {
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+    document.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+
+    document.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        const files = Array.from(e.dataTransfer.files);
+        const image = files.find(f => PNGImporter.isSupportedFile(f));
+        const bundle = files.find(f => FileBrowserUI.isBundleFile(f));
+        if (image) {
+            handleImportImage(image);
+        } else if (bundle) {
+            FileBrowserUI.importBundle(bundle);
+        } else if (files.length > 0) {
+            Dialogs.alert('Unsupported File', 'Drop a PNG, GIF or BMP image or a .zip bundle to import it.', 'error');
+        }
+    });
+}
+
 async function handleClear() {
     const confirmed = await Dialogs.confirm(
         'Clear Canvas',
-        'Are you sure you want to clear the canvas? This cannot be undone.',
+        'Are you sure you want to clear the canvas?',
         { confirmText: 'Clear', type: 'warning', dangerous: true }
     );
     if (confirmed) {
-        PixelCanvas.clear();
+        HistoryRecorder.recordPixels('Clear Canvas', () => PixelCanvas.clear());
         updateLiveExportPreview();
     }
 }
@@ -800,6 +936,24 @@ async function handleCopyLiveString() {
     await clipboardUtils.copyWithFeedback(dataString, btn);
 }
 
+/**
+ * Copy a palette color's data string character
+ * @param {{colorIndex?: number}} ctx - Command context
+ */
+async function handleCopyColorCode(ctx) {
+    const index = ctx.colorIndex ?? ColorPalette.getCurrentColorIndex();
+    await clipboardUtils.copyText(ColorPalette.getBase64Char(index));
+}
+
+/**
+ * Copy a palette color's hex value
+ * @param {{colorIndex?: number}} ctx - Command context
+ */
+async function handleCopyColorHex(ctx) {
+    const index = ctx.colorIndex ?? ColorPalette.getCurrentColorIndex();
+    await clipboardUtils.copyText(ColorPalette.getColor(index));
+}
+
 function handleGridToggle() {
     const currentState = CanvasRenderer.getGridVisible();
     const newState = !currentState;
@@ -837,37 +991,125 @@ async function handleResize() {
         if (!confirmed) return;
     }
 
-    if (PixelCanvas.resize(width, height)) {
+    if (HistoryRecorder.recordDocument('Resize Canvas', () => PixelCanvas.resize(width, height))) {
         updateLiveExportPreview();
         updateSizePresetHighlight();
         if (Viewport) Viewport.updateCanvasSize();
     }
 }
 
+/**
+ * Get the tab a tab command applies to
+ * @param {{tabId?: string}} ctx - Command context
+ * @returns {Object|null} The context's tab, or the current tab
+ */
+function getContextTab(ctx) {
+    return ctx.tabId
+        ? TabManager.getAllTabs().find(tab => tab.id === ctx.tabId) || null
+        : TabManager.getCurrentTab();
+}
+
+/**
+ * Open a copy of a tab's document in a new tab
+ * @param {{tabId?: string}} ctx - Command context
+ */
+function handleDuplicateTab(ctx) {
+    const tab = getContextTab(ctx);
+    const documentString = TabManager.getTabDocument(tab.id);
+    const { width, height } = ProjectDocument.getDimensions(documentString) || tab;
+    TabManager.createNewTab(`${tab.name} copy`, width, height, documentString);
+    updateCanvasSizeInputs();
+    updateLiveExportPreview();
+}
+
+/**
+ * Close tabs one after another (each asks about unsaved changes)
+ * @param {Array<Object>} tabs - Tabs to close
+ */
+async function closeTabs(tabs) {
+    for (const tab of [...tabs]) {
+        await TabManager.closeTab(tab.id);
+    }
+}
+
+/**
+ * Edit the keyboard shortcuts
+ * Import and export close the editor; it reopens with the keymap as edited so far.
+ */
+async function handleShortcuts() {
+    let keymap = KeymapManager.getKeymap();
+
+    for (;;) {
+        const choice = await Dialogs.shortcutsDialog({
+            commands: CommandRegistry.getAll(),
+            presets: KeymapManager.getPresets(),
+            keymap
+        });
+        if (!choice) return;
+        keymap = choice.keymap;
+
+        if (choice.action === 'save') {
+            KeymapManager.setKeymap(keymap);
+            return;
+        }
+        if (choice.action === 'export') {
+            KeymapManager.exportKeymap(keymap);
+        } else if (choice.action === 'import') {
+            try {
+                const result = await KeymapManager.importKeymap(choice.file);
+                keymap = result.keymap;
+                if (result.skipped.length > 0) {
+                    await Dialogs.alert(
+                        'Keymap Imported',
+                        `Skipped entries this version doesn't know: ${result.skipped.join(', ')}`,
+                        'warning'
+                    );
+                }
+            } catch (error) {
+                await Dialogs.alert('Import Failed', error.message, 'error');
+            }
+        }
+    }
+}
+
+async function handleAbout() {
+    await Dialogs.alert(
+        'About Inline.px',
+        'A lightweight pixel art editor that runs entirely in the browser and stores images as compact data strings.',
+        'info'
+    );
+}
+
 function handleUndo() {
     if (!History.canUndo()) return logger.debug('Nothing to undo');
-    const currentState = PixelCanvas.exportToString();
-    const previousState = History.undo(currentState);
-    if (previousState) {
-        PixelCanvas.importFromString(previousState);
-        updateCanvasSizeInputs();
-        updateLiveExportPreview();
-        logger.info('Undo performed');
+    const entry = History.undo();
+    afterHistoryStep(); // A failed step may have changed part of the document
+    if (entry) {
+        logger.info(`Undo performed: ${entry.label}`);
     }
 }
 
 function handleRedo() {
     if (!History.canRedo()) return logger.debug('Nothing to redo');
-    const currentState = PixelCanvas.exportToString();
-    const nextState = History.redo(currentState);
-    if (nextState) {
-        PixelCanvas.importFromString(nextState);
-        updateCanvasSizeInputs();
-        updateLiveExportPreview();
-        logger.info('Redo performed');
+    const entry = History.redo();
+    afterHistoryStep(); // A failed step may have changed part of the document
+    if (entry) {
+        logger.info(`Redo performed: ${entry.label}`);
     }
 }
 
+function handleHistoryJump(position) {
+    History.jumpTo(position);
+    afterHistoryStep();
+}
+
+function afterHistoryStep() {
+    updateCanvasSizeInputs();
+    onCanvasChange();
+    if (Viewport) Viewport.updateCanvasSize();
+    eventBus.emit(eventBus.Events.CANVAS_CHANGED);
+}
+
 function updateCanvasSizeInputs() {
     const { width, height } = PixelCanvas.getDimensions();
     document.getElementById('canvasWidth').value = width;
@@ -875,10 +1117,10 @@ function updateCanvasSizeInputs() {
     updateSizePresetHighlight();
 }
 
-function bindEvent(elementId, handler) {
+function bindEvent(elementId, handler, eventName = 'click') {
     const element = document.getElementById(elementId);
     if (element) {
-        element.addEventListener('click', handler);
+        element.addEventListener(eventName, handler);
     }
 }
 
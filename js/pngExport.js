@@ -3,51 +3,50 @@
  *
  * Exports pixel art as PNG images using Canvas API
  * Supports different scales and formats
+ *
+ * Layer opacity and blend modes are honored: translucent pixels are
+ * written with their alpha (true RGBA output).
  */
 
 import logger from './core/Logger.js';
 import PixelCanvas from './canvas/PixelCanvas.js';
-import ColorPalette from './colorPalette.js';
-import Compression from './compression.js';
+import Codec from './core/Codec.js';
+import ProjectDocument from './core/ProjectDocument.js';
 
 /**
- * Export current canvas to PNG
- * @param {number} scale - Scale factor (1, 2, 4, 8, etc.)
- * @param {string} filename - Output filename
+ * Render the current canvas (all visible layers) at a scale
+ * @private
+ * @param {number} scale - Scale factor
+ * @returns {HTMLCanvasElement} Canvas holding the image
  */
-function exportToPNG(scale = 1, filename = 'pixelart.png') {
-    const canvas = document.getElementById('pixelCanvas');
-    if (!canvas) {
-        logger.error('Canvas not found');
-        return;
-    }
-
-    const dimensions = PixelCanvas.getDimensions();
-    const pixelData = PixelCanvas.getPixelData();
+function renderCurrent(scale) {
+    const { width, height } = PixelCanvas.getDimensions();
 
-    // Create temporary canvas at desired scale
     const exportCanvas = document.createElement('canvas');
-    exportCanvas.width = dimensions.width * scale;
-    exportCanvas.height = dimensions.height * scale;
+    exportCanvas.width = width * scale;
+    exportCanvas.height = height * scale;
     const ctx = exportCanvas.getContext('2d');
 
     // Disable image smoothing for pixel-perfect rendering
     ctx.imageSmoothingEnabled = false;
-    ctx.imageSmoothingQuality = 'high';
 
-    // Draw each pixel at scaled size
-    for (let y = 0; y < dimensions.height; y++) {
-        for (let x = 0; x < dimensions.width; x++) {
-            const colorIndex = pixelData[y][x];
+    const blended = PixelCanvas.getBlendedPixelData();
+    if (blended) {
+        drawRGBA(ctx, blended, width, height, scale);
+    } else {
+        drawPixels(ctx, PixelCanvas.getPixelData(), Codec.applyPalette(PixelCanvas.getPalette()), scale);
+    }
 
-            // Skip transparent pixels (0)
-            if (colorIndex === 0) continue;
+    return exportCanvas;
+}
 
-            const color = ColorPalette.getColor(colorIndex);
-            ctx.fillStyle = color;
-            ctx.fillRect(x * scale, y * scale, scale, scale);
-        }
-    }
+/**
+ * Export current canvas to PNG
+ * @param {number} scale - Scale factor (1, 2, 4, 8, etc.)
+ * @param {string} filename - Output filename
+ */
+function exportToPNG(scale = 1, filename = 'pixelart.png') {
+    const exportCanvas = renderCurrent(scale);
 
     // Convert to blob and download
     exportCanvas.toBlob((blob) => {
@@ -56,45 +55,81 @@ function exportToPNG(scale = 1, filename = 'pixelart.png') {
 }
 
 /**
- * Export pixel art data string to PNG
- * @param {string} dataString - Pixel art data string (WxH:DATA)
+ * Draw palette-indexed pixels onto a 2D context
+ * Index 0 is left transparent.
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Array<Array<number>>} pixels - 2D array of palette indices
+ * @param {Array<string|null>} colors - Colors by palette index
+ * @param {number} scale - Scale factor
+ * @param {number} offsetX - Left edge in the target (px)
+ * @param {number} offsetY - Top edge in the target (px)
+ */
+function drawPixels(ctx, pixels, colors, scale = 1, offsetX = 0, offsetY = 0) {
+    for (let y = 0; y < pixels.length; y++) {
+        for (let x = 0; x < pixels[y].length; x++) {
+            const colorIndex = pixels[y][x];
+
+            if (colorIndex === 0) continue; // Skip transparent
+
+            ctx.fillStyle = colors[colorIndex];
+            ctx.fillRect(offsetX + x * scale, offsetY + y * scale, scale, scale);
+        }
+    }
+}
+
+/**
+ * Draw RGBA pixels onto a 2D context
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Uint8ClampedArray} rgba - RGBA bytes (ImageData layout)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} scale - Scale factor
+ * @param {number} offsetX - Left edge in the target (px)
+ * @param {number} offsetY - Top edge in the target (px)
+ */
+function drawRGBA(ctx, rgba, width, height, scale = 1, offsetX = 0, offsetY = 0) {
+    const source = document.createElement('canvas');
+    source.width = width;
+    source.height = height;
+    source.getContext('2d').putImageData(new ImageData(rgba, width, height), 0, 0);
+
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(source, offsetX, offsetY, width * scale, height * scale);
+}
+
+/**
+ * Export pixel art data string or project document to PNG
+ * Uses the palette embedded in the string, if any. Documents are exported
+ * with their layer opacity and blend modes (active frame).
+ * @param {string} dataString - Data string (WxH[:PAL:...][:RLE]:DATA) or JSON project document
  * @param {number} scale - Scale factor
  * @param {string} filename - Output filename
  */
 function exportDataStringToPNG(dataString, scale = 1, filename = 'pixelart.png') {
-    // Parse data string
-    let parsedData = dataString;
-
-    // Check if compressed, decompress if needed
-    if (Compression && Compression.isCompressed(dataString)) {
-        parsedData = Compression.decompress(dataString);
+    // Parse (decompresses and resolves the palette)
+    const doc = ProjectDocument.parse(dataString);
+    if (!doc) {
+        logger.error('Invalid data string for PNG export');
+        return;
     }
 
-    const [dimensions, data] = parsedData.split(':');
-    const [width, height] = dimensions.split('x').map(Number);
+    exportRGBAToPNG(ProjectDocument.flattenRGBA(doc), doc.width, doc.height, scale, filename);
+}
 
-    // Create canvas
+/**
+ * Export RGBA pixels (e.g. a composited layer group) to PNG
+ * @param {Uint8ClampedArray} rgba - RGBA bytes (ImageData layout)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} scale - Scale factor
+ * @param {string} filename - Output filename
+ */
+function exportRGBAToPNG(rgba, width, height, scale = 1, filename = 'pixelart.png') {
     const exportCanvas = document.createElement('canvas');
     exportCanvas.width = width * scale;
     exportCanvas.height = height * scale;
-    const ctx = exportCanvas.getContext('2d');
-
-    ctx.imageSmoothingEnabled = false;
-
-    // Draw pixels
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const index = y * width + x;
-            const char = data[index];
-            const colorIndex = ColorPalette.getIndexFromChar(char);
 
-            if (colorIndex === 0) continue; // Skip transparent
-
-            const color = ColorPalette.getColor(colorIndex);
-            ctx.fillStyle = color;
-            ctx.fillRect(x * scale, y * scale, scale, scale);
-        }
-    }
+    drawRGBA(exportCanvas.getContext('2d'), rgba, width, height, scale);
 
     // Convert to blob and download
     exportCanvas.toBlob((blob) => {
@@ -108,29 +143,7 @@ function exportDataStringToPNG(dataString, scale = 1, filename = 'pixelart.png')
  * @returns {string} Data URL
  */
 function getDataURL(scale = 1) {
-    const dimensions = PixelCanvas.getDimensions();
-    const pixelData = PixelCanvas.getPixelData();
-
-    const exportCanvas = document.createElement('canvas');
-    exportCanvas.width = dimensions.width * scale;
-    exportCanvas.height = dimensions.height * scale;
-    const ctx = exportCanvas.getContext('2d');
-
-    ctx.imageSmoothingEnabled = false;
-
-    for (let y = 0; y < dimensions.height; y++) {
-        for (let x = 0; x < dimensions.width; x++) {
-            const colorIndex = pixelData[y][x];
-
-            if (colorIndex === 0) continue;
-
-            const color = ColorPalette.getColor(colorIndex);
-            ctx.fillStyle = color;
-            ctx.fillRect(x * scale, y * scale, scale, scale);
-        }
-    }
-
-    return exportCanvas.toDataURL('image/png');
+    return renderCurrent(scale).toDataURL('image/png');
 }
 
 /**
@@ -156,27 +169,7 @@ function downloadBlob(blob, filename) {
  */
 async function copyToClipboard(scale = 1) {
     try {
-        const dimensions = PixelCanvas.getDimensions();
-        const pixelData = PixelCanvas.getPixelData();
-
-        const exportCanvas = document.createElement('canvas');
-        exportCanvas.width = dimensions.width * scale;
-        exportCanvas.height = dimensions.height * scale;
-        const ctx = exportCanvas.getContext('2d');
-
-        ctx.imageSmoothingEnabled = false;
-
-        for (let y = 0; y < dimensions.height; y++) {
-            for (let x = 0; x < dimensions.width; x++) {
-                const colorIndex = pixelData[y][x];
-
-                if (colorIndex === 0) continue;
-
-                const color = ColorPalette.getColor(colorIndex);
-                ctx.fillStyle = color;
-                ctx.fillRect(x * scale, y * scale, scale, scale);
-            }
-        }
+        const exportCanvas = renderCurrent(scale);
 
         // Convert to blob
         const blob = await new Promise(resolve => {
@@ -223,9 +216,13 @@ function getScaleOptions() {
 const PNGExport = {
     exportToPNG,
     exportDataStringToPNG,
+    exportRGBAToPNG,
     getDataURL,
     copyToClipboard,
-    getScaleOptions
+    getScaleOptions,
+    drawPixels,
+    drawRGBA,
+    downloadBlob
 };
 
 export default PNGExport;
@@ -0,0 +1,165 @@
+/**
+ * Sprite Sheet Export Module
+ *
+ * Packs open tabs and/or saved files into one PNG sheet (core/SpritePacker)
+ * and downloads it together with an atlas descriptor:
+ * - TexturePacker JSON (hash or array)
+ * - CSS sprite classes
+ *
+ * Each sprite is the flattened visible layers of its document's active frame.
+ *
+ * @module SpriteSheetExport
+ *
+ * @typedef {import('./core/SpritePacker.js').SheetLayout} SheetLayout
+ *
+ * @typedef {Object} SpriteSource
+ * @property {string} id - Tab ID or file ID
+ * @property {string} label - Display name
+ * @property {number} width - Sprite width in pixels
+ * @property {number} height - Sprite height in pixels
+ *
+ * @typedef {Object} SpriteSheetOptions
+ * @property {Array<{source: 'tabs'|'files', id: string}>} items - Selected sprites in order
+ * @property {'grid'|'tight'} packing - Packing mode
+ * @property {number} padding - Padding in sheet pixels
+ * @property {number} scale - Integer scale factor
+ * @property {'json-hash'|'json-array'|'css'} atlasFormat - Atlas descriptor format
+ */
+
+import logger from './core/Logger.js';
+import TabManager from './tabManager.js';
+import FileManager from './fileManager.js';
+import PNGExport from './pngExport.js';
+import Codec from './core/Codec.js';
+import ProjectDocument from './core/ProjectDocument.js';
+import SpritePacker from './core/SpritePacker.js';
+import Constants from '../config/constants.js';
+
+/**
+ * List what can be packed into a sheet
+ * @returns {{tabs: Array<SpriteSource>, files: Array<SpriteSource>}} Sources
+ */
+function getSources() {
+    const toSource = (id, label, document) => {
+        const dimensions = ProjectDocument.getDimensions(document);
+        return dimensions ? { id, label, ...dimensions } : null;
+    };
+
+    return {
+        tabs: TabManager.getAllTabs()
+            .map(tab => toSource(tab.id, tab.name, TabManager.getTabDocument(tab.id)))
+            .filter(Boolean),
+        files: FileManager.getAllFiles()
+            .map(file => toSource(file.id, file.name, file.data))
+            .filter(Boolean)
+    };
+}
+
+/**
+ * Load the selected documents as flattened sprites with unique names
+ * @param {SpriteSheetOptions['items']} items - Selected sprites in order
+ * @returns {Array<{name: string, width: number, height: number, pixels: Array<Array<number>>, colors: Array<string|null>}>} Sprites
+ */
+function buildSprites(items) {
+    const tabs = TabManager.getAllTabs();
+    const files = FileManager.getAllFiles();
+    const usedNames = new Set();
+
+    return items.reduce((sprites, item) => {
+        const entry = item.source === 'files'
+            ? files.find(f => f.id === item.id)
+            : tabs.find(t => t.id === item.id);
+        if (!entry) return sprites;
+
+        const document = item.source === 'files' ? entry.data : TabManager.getTabDocument(entry.id);
+        const doc = ProjectDocument.parse(document);
+        if (!doc) {
+            logger.warn(`Skipping unreadable document in sprite sheet: ${entry.name}`);
+            return sprites;
+        }
+
+        let name = `${entry.name}.png`;
+        for (let n = 2; usedNames.has(name); n++) {
+            name = `${entry.name}-${n}.png`;
+        }
+        usedNames.add(name);
+
+        sprites.push({
+            name,
+            width: doc.width,
+            height: doc.height,
+            pixels: ProjectDocument.flattenPixels(doc),
+            colors: Codec.applyPalette(doc.palette)
+        });
+        return sprites;
+    }, []);
+}
+
+/**
+ * Compute the sheet layout for sprite sizes at a scale
+ * @param {Array<{name: string, width: number, height: number}>} sprites - Sprites (unscaled)
+ * @param {SpriteSheetOptions} options - Packing, padding and scale
+ * @returns {SheetLayout} Layout
+ */
+function getLayout(sprites, { packing, padding, scale }) {
+    return SpritePacker.pack(
+        sprites.map(sprite => ({ name: sprite.name, width: sprite.width * scale, height: sprite.height * scale })),
+        { packing, padding }
+    );
+}
+
+/**
+ * Render, pack and download the sheet and its atlas descriptor
+ * @param {SpriteSheetOptions} options - Export options
+ * @param {string} basename - Output filename without extension
+ * @returns {Promise<{width: number, height: number, count: number, imageName: string, atlasName: string}>} Summary
+ */
+async function exportSpriteSheet(options, basename = 'spritesheet') {
+    const sprites = buildSprites(options.items);
+    if (sprites.length === 0) {
+        throw new Error('Select at least one sprite to export');
+    }
+
+    const layout = getLayout(sprites, options);
+    const { maxSize } = Constants.spriteSheet;
+    if (layout.width > maxSize || layout.height > maxSize) {
+        throw new Error(`The sheet would be ${layout.width}×${layout.height} px (maximum ${maxSize}×${maxSize}). Use a smaller scale or fewer sprites.`);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = layout.width;
+    canvas.height = layout.height;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+
+    layout.sprites.forEach((placement, index) => {
+        const sprite = sprites[index];
+        PNGExport.drawPixels(ctx, sprite.pixels, sprite.colors, options.scale, placement.x, placement.y);
+    });
+
+    const format = SpritePacker.ATLAS_FORMATS[options.atlasFormat];
+    if (!format) {
+        throw new Error(`Unknown atlas format: ${options.atlasFormat}`);
+    }
+
+    const imageName = `${basename}.png`;
+    const atlasName = `${basename}.${format.extension}`;
+    const atlas = SpritePacker.formatAtlas(layout, options.atlasFormat, { image: imageName, scale: options.scale });
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    PNGExport.downloadBlob(blob, imageName);
+    PNGExport.downloadBlob(new Blob([atlas], { type: format.mimeType }), atlasName);
+
+    logger.info(`Sprite sheet exported: ${sprites.length} sprite(s), ${layout.width}×${layout.height}`);
+
+    return { width: layout.width, height: layout.height, count: sprites.length, imageName, atlasName };
+}
+
+const SpriteSheetExport = {
+    getSources,
+    buildSprites,
+    getLayout,
+    exportSpriteSheet
+};
+
+export default SpriteSheetExport;
@@ -0,0 +1,149 @@
+/**
+ * IndexedDBBackend - Storage backend on IndexedDB
+ *
+ * One object store of string values keyed by the same names the app used
+ * in localStorage ("pixelart_files", "autosave_<tabId>", ...). The quota is
+ * a share of the disk instead of localStorage's ~5 MB, and writes run off
+ * the main thread.
+ *
+ * @module IndexedDBBackend
+ *
+ * @typedef {import('./Storage.js').StorageBackend} StorageBackend
+ */
+
+const DB_NAME = 'inline-px';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+/** @type {IDBDatabase|null} */
+let db = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @private
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a request in its own transaction and wait for it to commit
+ * @private
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} createRequest - Request factory
+ * @returns {Promise<*>} Request result
+ */
+function run(mode, createRequest) {
+    if (!db) {
+        return Promise.reject(new Error('IndexedDB is not open'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = createRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error || request.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+}
+
+/**
+ * @returns {boolean} Whether IndexedDB exists in this environment
+ */
+function isSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Open (and create on first use) the database
+ * @returns {Promise<void>}
+ */
+async function open() {
+    if (db) return;
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+            request.result.createObjectStore(STORE_NAME);
+        }
+    };
+
+    db = await promisify(request);
+    db.onversionchange = () => {
+        db.close();
+        db = null;
+    };
+}
+
+/**
+ * @returns {Promise<Array<[string, string]>>} All entries
+ */
+async function getAll() {
+    const entries = [];
+    await run('readonly', store => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                entries.push([String(cursor.key), cursor.value]);
+                cursor.continue();
+            }
+        };
+        return request;
+    });
+    return entries;
+}
+
+/**
+ * @param {string} key - Storage key
+ * @returns {Promise<string|null>} Value
+ */
+async function get(key) {
+    const value = await run('readonly', store => store.get(key));
+    return value ?? null;
+}
+
+/**
+ * @param {string} key - Storage key
+ * @param {string} value - Value
+ * @returns {Promise<void>}
+ */
+async function set(key, value) {
+    await run('readwrite', store => store.put(value, key));
+}
+
+/**
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+async function remove(key) {
+    await run('readwrite', store => store.delete(key));
+}
+
+/**
+ * @returns {Promise<{usage: number, quota: number}|null>} Origin-wide estimate or null if unknown
+ */
+async function estimate() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+}
+
+/** @type {StorageBackend} */
+const IndexedDBBackend = {
+    name: 'IndexedDB',
+    isSupported,
+    open,
+    getAll,
+    get,
+    set,
+    remove,
+    estimate
+};
+
+export default IndexedDBBackend;
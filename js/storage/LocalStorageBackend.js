@@ -0,0 +1,103 @@
+/**
+ * LocalStorageBackend - Storage backend on window.localStorage
+ *
+ * Fallback when IndexedDB is unavailable. Writes are synchronous under the
+ * hood and limited to the browser's ~5 MB localStorage quota.
+ *
+ * @module LocalStorageBackend
+ *
+ * @typedef {import('./Storage.js').StorageBackend} StorageBackend
+ */
+
+import StorageUtils from '../utils/StorageUtils.js';
+
+// localStorage quota in most browsers (not queryable)
+const QUOTA = 5 * 1024 * 1024;
+
+/**
+ * Create the error a failed write rejects with
+ * @private
+ * @param {string} key - Storage key
+ * @returns {Error} Error (named QuotaExceededError if the quota was hit)
+ */
+function createWriteError(key) {
+    const error = new Error(`Failed to write "${key}" to localStorage`);
+    if (StorageUtils.isQuotaExceeded()) {
+        error.name = 'QuotaExceededError';
+    }
+    return error;
+}
+
+/**
+ * @returns {boolean} Whether localStorage can be used
+ */
+function isSupported() {
+    return StorageUtils.isStorageAvailable();
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+async function open() {
+    if (!isSupported()) {
+        throw new Error('localStorage is not available');
+    }
+}
+
+/**
+ * @returns {Promise<Array<[string, string]>>} All entries
+ */
+async function getAll() {
+    return StorageUtils.keys().map(key => [key, StorageUtils.getItem(key)]);
+}
+
+/**
+ * @param {string} key - Storage key
+ * @returns {Promise<string|null>} Value
+ */
+async function get(key) {
+    return StorageUtils.getItem(key);
+}
+
+/**
+ * @param {string} key - Storage key
+ * @param {string} value - Value
+ * @returns {Promise<void>}
+ */
+async function set(key, value) {
+    if (!StorageUtils.setItem(key, value)) {
+        throw createWriteError(key);
+    }
+}
+
+/**
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+async function remove(key) {
+    if (!StorageUtils.removeItem(key)) {
+        throw new Error(`Failed to remove "${key}" from localStorage`);
+    }
+}
+
+/**
+ * @returns {Promise<{usage: number, quota: number}>} Usage estimate (characters)
+ */
+async function estimate() {
+    const stats = StorageUtils.getStorageStats();
+    return { usage: stats ? stats.used : 0, quota: QUOTA };
+}
+
+/** @type {StorageBackend} */
+const LocalStorageBackend = {
+    name: 'localStorage',
+    isSupported,
+    open,
+    getAll,
+    get,
+    set,
+    remove,
+    estimate
+};
+
+export default LocalStorageBackend;
@@ -0,0 +1,385 @@
+/**
+ * Storage - Pluggable Key-Value Storage
+ *
+ * Everything the editor persists (saved files, autosaves, undo history)
+ * goes through this module:
+ * - Backends are tried in order: IndexedDB, then localStorage
+ * - All entries are kept in memory, so reads stay synchronous
+ * - Writes update memory at once and reach the backend in the background,
+ *   queued per key (a newer value replaces one that was not written yet)
+ * - A failed write puts the stored value back into memory
+ * - On the first start with IndexedDB, "pixelart_files" and "autosave_*"
+ *   are moved over from localStorage
+ *
+ * init() must finish before anything reads.
+ *
+ * @module Storage
+ *
+ * @typedef {Object} StorageBackend
+ * @property {string} name - Display name
+ * @property {function(): boolean} isSupported - Whether the backend exists here
+ * @property {function(): Promise<void>} open - Prepare for use
+ * @property {function(): Promise<Array<[string, string]>>} getAll - All entries
+ * @property {function(string): Promise<string|null>} get - Read one value
+ * @property {function(string, string): Promise<void>} set - Write a value (rejects on failure)
+ * @property {function(string): Promise<void>} remove - Delete a value
+ * @property {function(): Promise<{usage: number, quota: number}|null>} estimate - Space used and available
+ *
+ * @typedef {Object} StorageUsage
+ * @property {string|null} backend - Active backend name (null = nothing is persisted)
+ * @property {number} used - Characters stored by the editor
+ * @property {number|null} quota - Space available to the origin (null if unknown)
+ * @property {number|null} originUsage - Space the origin uses in total (null if unknown)
+ * @property {boolean} persisted - Whether the browser will keep the data under storage pressure
+ * @property {boolean} quotaExceeded - Whether the last write failed for lack of space
+ * @property {Array<{key: string, size: number}>} entries - Stored entries, largest first
+ */
+
+import logger from '../core/Logger.js';
+import StorageUtils from '../utils/StorageUtils.js';
+import IndexedDBBackend from './IndexedDBBackend.js';
+import LocalStorageBackend from './LocalStorageBackend.js';
+
+// localStorage keys moved into the active backend
+const MIGRATED_KEYS = [/^pixelart_files$/, /^autosave_/];
+
+/** @type {StorageBackend|null} */
+let backend = null;
+const cache = new Map();
+
+// Writes waiting for the backend (key -> {value, callbacks}; null value = remove)
+const pendingWrites = new Map();
+let writeLoop = null;
+let quotaExceeded = false;
+
+/**
+ * Open the first supported backend and load its entries
+ * @param {Object} options - Options
+ * @param {Array<StorageBackend>} [options.backends] - Backends in order of preference
+ * @returns {Promise<string|null>} Active backend name or null if none could be opened
+ */
+async function init({ backends = [IndexedDBBackend, LocalStorageBackend] } = {}) {
+    for (const candidate of backends) {
+        if (!candidate.isSupported()) continue;
+
+        try {
+            await candidate.open();
+            const entries = await candidate.getAll();
+            backend = candidate;
+            cache.clear();
+            entries.forEach(([key, value]) => cache.set(key, value));
+            break;
+        } catch (error) {
+            logger.warn?.(`Storage backend ${candidate.name} failed to open`, error);
+        }
+    }
+
+    if (!backend) {
+        logger.error?.('No storage backend available, nothing will be saved');
+        return null;
+    }
+
+    if (backend !== LocalStorageBackend) {
+        await migrateFromLocalStorage();
+    }
+
+    logger.info?.(`Storage initialized (${backend.name}, ${cache.size} entries)`);
+    return backend.name;
+}
+
+/**
+ * Move the editor's localStorage entries into the active backend
+ * Entries the backend already has are newer; their localStorage copies
+ * are just removed. Entries that fail to copy stay in localStorage.
+ * @private
+ * @returns {Promise<number>} Entries moved
+ */
+async function migrateFromLocalStorage() {
+    const keys = StorageUtils.keys().filter(key => MIGRATED_KEYS.some(pattern => pattern.test(key)));
+    let moved = 0;
+
+    for (const key of keys) {
+        const value = StorageUtils.getItem(key);
+        if (value === null) continue;
+
+        try {
+            if (!cache.has(key)) {
+                await backend.set(key, value);
+                cache.set(key, value);
+            }
+            StorageUtils.removeItem(key);
+            moved++;
+        } catch (error) {
+            logger.warn?.(`Could not migrate "${key}" from localStorage`, error);
+        }
+    }
+
+    if (moved > 0) {
+        logger.info?.(`Migrated ${moved} entries from localStorage to ${backend.name}`);
+    }
+    return moved;
+}
+
+/**
+ * Queue a write for the backend
+ * @private
+ * @param {string} key - Storage key
+ * @param {string|null} value - Value (null = remove)
+ * @returns {Promise<boolean>} Resolves when written
+ */
+function enqueueWrite(key, value) {
+    if (!backend) return Promise.resolve(false);
+
+    return new Promise(resolve => {
+        const pending = pendingWrites.get(key);
+        if (pending) {
+            pending.value = value;
+            pending.callbacks.push(resolve);
+        } else {
+            pendingWrites.set(key, { value, callbacks: [resolve] });
+        }
+
+        if (!writeLoop) {
+            writeLoop = processWrites();
+        }
+    });
+}
+
+/**
+ * Write queued values until the queue is empty
+ * @private
+ * @returns {Promise<void>}
+ */
+async function processWrites() {
+    // Let the current task finish (and queue more writes) first
+    await null;
+
+    while (pendingWrites.size > 0) {
+        const [key, { value, callbacks }] = pendingWrites.entries().next().value;
+        pendingWrites.delete(key);
+
+        const success = await writeEntry(key, value);
+        callbacks.forEach(callback => callback(success));
+    }
+
+    writeLoop = null;
+}
+
+/**
+ * Write one value to the backend
+ * @private
+ * @param {string} key - Storage key
+ * @param {string|null} value - Value (null = remove)
+ * @returns {Promise<boolean>} Success
+ */
+async function writeEntry(key, value) {
+    try {
+        if (value === null) {
+            await backend.remove(key);
+        } else {
+            await backend.set(key, value);
+        }
+        quotaExceeded = false;
+        return true;
+    } catch (error) {
+        if (error?.name === 'QuotaExceededError') {
+            quotaExceeded = true;
+        }
+        logger.error?.(`Storage write failed: ${key}`, error);
+        await restoreEntry(key, value);
+        return false;
+    }
+}
+
+/**
+ * Put the stored value back into memory after a failed write
+ * Skipped if the key was changed again in the meantime.
+ * @private
+ * @param {string} key - Storage key
+ * @param {string|null} failedValue - Value that could not be written
+ */
+async function restoreEntry(key, failedValue) {
+    const stored = await backend.get(key).catch(() => null);
+    if (pendingWrites.has(key) || (cache.get(key) ?? null) !== failedValue) return;
+
+    if (stored === null) {
+        cache.delete(key);
+    } else {
+        cache.set(key, stored);
+    }
+}
+
+/**
+ * Get a value
+ * @param {string} key - Storage key
+ * @returns {string|null} Value or null
+ */
+function getItem(key) {
+    return cache.has(key) ? cache.get(key) : null;
+}
+
+/**
+ * Set a value (readable at once, written in the background)
+ * @param {string} key - Storage key
+ * @param {string} value - Value
+ * @returns {Promise<boolean>} Resolves with whether the backend stored it
+ */
+function setItem(key, value) {
+    const text = String(value);
+    cache.set(key, text);
+    return enqueueWrite(key, text);
+}
+
+/**
+ * Remove a value
+ * @param {string} key - Storage key
+ * @returns {Promise<boolean>} Resolves with whether the backend removed it
+ */
+function removeItem(key) {
+    if (!cache.has(key)) return Promise.resolve(true);
+    cache.delete(key);
+    return enqueueWrite(key, null);
+}
+
+/**
+ * Get all keys
+ * @returns {Array<string>} Keys
+ */
+function keys() {
+    return [...cache.keys()];
+}
+
+/**
+ * Get a value parsed as JSON
+ * @param {string} key - Storage key
+ * @param {*} defaultValue - Returned if missing or unparsable
+ * @returns {*} Parsed value or default
+ */
+function getJSON(key, defaultValue = null) {
+    const value = getItem(key);
+    if (!value) {
+        return defaultValue;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        logger.error?.('JSON parse failed', e);
+        return defaultValue;
+    }
+}
+
+/**
+ * Set a value as JSON
+ * @param {string} key - Storage key
+ * @param {*} value - Value
+ * @returns {Promise<boolean>} Resolves with whether the backend stored it
+ */
+function setJSON(key, value) {
+    try {
+        return setItem(key, JSON.stringify(value));
+    } catch (e) {
+        logger.error?.('JSON stringify failed', e);
+        return Promise.resolve(false);
+    }
+}
+
+/**
+ * Wait until all queued writes reached the backend
+ * @returns {Promise<void>}
+ */
+function flush() {
+    return writeLoop || Promise.resolve();
+}
+
+/**
+ * Check if a backend is active
+ * @returns {boolean}
+ */
+function isAvailable() {
+    return backend !== null;
+}
+
+/**
+ * Check if the last write failed for lack of space
+ * @returns {boolean}
+ */
+function isQuotaExceeded() {
+    return quotaExceeded;
+}
+
+/**
+ * Get the active backend's name
+ * @returns {string|null} Name or null
+ */
+function getBackendName() {
+    return backend ? backend.name : null;
+}
+
+/**
+ * Get the stored size of an entry
+ * @param {string} key - Storage key
+ * @returns {number} Characters (key and value), 0 if missing
+ */
+function getEntrySize(key) {
+    return cache.has(key) ? key.length + cache.get(key).length : 0;
+}
+
+/**
+ * Report what is stored and how much space is left
+ * @returns {Promise<StorageUsage>} Usage
+ */
+async function getUsage() {
+    const entries = keys()
+        .map(key => ({ key, size: getEntrySize(key) }))
+        .sort((a, b) => b.size - a.size);
+
+    const estimate = backend ? await backend.estimate().catch(() => null) : null;
+    const persisted = typeof navigator !== 'undefined' && navigator.storage?.persisted
+        ? await navigator.storage.persisted().catch(() => false)
+        : false;
+
+    return {
+        backend: getBackendName(),
+        used: entries.reduce((total, entry) => total + entry.size, 0),
+        quota: estimate ? estimate.quota : null,
+        originUsage: estimate ? estimate.usage : null,
+        persisted,
+        quotaExceeded,
+        entries
+    };
+}
+
+/**
+ * Ask the browser not to evict stored data under storage pressure
+ * @returns {Promise<boolean>} Whether storage is now persistent
+ */
+async function requestPersistence() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.persist) return false;
+
+    try {
+        return await navigator.storage.persist();
+    } catch (error) {
+        logger.warn?.('Persistent storage request failed', error);
+        return false;
+    }
+}
+
+const Storage = {
+    init,
+    getItem,
+    setItem,
+    removeItem,
+    keys,
+    getJSON,
+    setJSON,
+    flush,
+    isAvailable,
+    isQuotaExceeded,
+    getBackendName,
+    getEntrySize,
+    getUsage,
+    requestPersistence
+};
+
+export default Storage;
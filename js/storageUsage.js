@@ -0,0 +1,159 @@
+/**
+ * Storage Usage Module
+ *
+ * Breaks stored data down for the Storage dialog and frees space:
+ * - Saved files, each with its size (earlier revisions included)
+ * - Autosaves per tab (document, timestamp and undo history together)
+ * - Any other entries
+ *
+ * @module StorageUsage
+ *
+ * @typedef {import('./storage/Storage.js').StorageUsage} StorageUsage
+ *
+ * @typedef {Object} StorageUsageItem
+ * @property {'file'|'autosave'|'entry'} kind - What the item is
+ * @property {string} id - File ID, tab ID or storage key
+ * @property {string} label - Display name
+ * @property {string} detail - Secondary text
+ * @property {number} size - Stored size (characters)
+ * @property {boolean} deletable - Whether the item can be deleted from the dialog
+ *
+ * @typedef {Object} StorageUsageGroup
+ * @property {string} title - Group title
+ * @property {number} size - Total size of the items
+ * @property {Array<StorageUsageItem>} items - Items, largest first
+ *
+ * @typedef {Object} StorageReport
+ * @property {StorageUsage} usage - Totals and quota
+ * @property {Array<StorageUsageGroup>} groups - Non-empty groups
+ */
+
+import Storage from './storage/Storage.js';
+import FileManager from './fileManager.js';
+import TabManager from './tabManager.js';
+import Autosave from './autosave.js';
+import formatUtils from './utils/FormatUtils.js';
+
+const AUTOSAVE_KEY = /^autosave_(.+?)(?:_(timestamp|history|symmetry))?$/;
+
+/**
+ * Create a group (sorted, with total)
+ * @private
+ * @param {string} title - Group title
+ * @param {Array<StorageUsageItem>} items - Items
+ * @returns {StorageUsageGroup} Group
+ */
+function createGroup(title, items) {
+    return {
+        title,
+        size: items.reduce((total, item) => total + item.size, 0),
+        items: items.sort((a, b) => b.size - a.size)
+    };
+}
+
+/**
+ * Collect autosaves per tab
+ * @private
+ * @param {Array<{key: string, size: number}>} entries - Stored entries
+ * @returns {{items: Array<StorageUsageItem>, keys: Set<string>}} Autosave items and the keys they cover
+ */
+function collectAutosaves(entries) {
+    const tabs = new Map(TabManager.getAllTabs().map(tab => [tab.id, tab]));
+    const byTab = new Map();
+    const keys = new Set();
+
+    entries.forEach(({ key, size }) => {
+        const match = key.match(AUTOSAVE_KEY);
+        if (!match) return;
+
+        const [, tabId, part] = match;
+        const entry = byTab.get(tabId) || { document: 0, history: 0, total: 0 };
+        entry.total += size;
+        if (part === 'history') entry.history += size;
+        byTab.set(tabId, entry);
+        keys.add(key);
+    });
+
+    const items = [...byTab.entries()].map(([tabId, sizes]) => {
+        const tab = tabs.get(tabId);
+        const history = sizes.history > 0 ? ` • undo history ${formatUtils.formatFileSize(sizes.history)}` : '';
+        return {
+            kind: 'autosave',
+            id: tabId,
+            label: tab ? tab.name : 'Closed tab',
+            detail: (tab ? 'Open tab' : tabId) + history,
+            size: sizes.total,
+            deletable: !tab
+        };
+    });
+
+    return { items, keys };
+}
+
+/**
+ * Build the usage report
+ * @returns {Promise<StorageReport>} Report
+ */
+async function getReport() {
+    const usage = await Storage.getUsage();
+
+    const files = FileManager.getFileSizes().map(({ file, size }) => {
+        const revisionCount = FileManager.getRevisions(file.id).length;
+        const revisionSize = Storage.getEntrySize(FileManager.REVISIONS_PREFIX + file.id);
+        const revisions = revisionCount > 0
+            ? ` • ${revisionCount} revision${revisionCount === 1 ? '' : 's'} ${formatUtils.formatFileSize(revisionSize)}`
+            : '';
+        return {
+            kind: 'file',
+            id: file.id,
+            label: file.name,
+            detail: `${file.width}×${file.height} • ${FileManager.formatDate(file.timestamp)}${revisions}`,
+            size: size + revisionSize,
+            deletable: true
+        };
+    });
+    const fileIds = new Set(files.map(item => item.id));
+    const isFileEntry = key => key === FileManager.STORAGE_KEY ||
+        (key.startsWith(FileManager.REVISIONS_PREFIX) && fileIds.has(key.slice(FileManager.REVISIONS_PREFIX.length)));
+
+    const autosaves = collectAutosaves(usage.entries);
+    const others = usage.entries
+        .filter(({ key }) => !isFileEntry(key) && !autosaves.keys.has(key))
+        .map(({ key, size }) => ({ kind: 'entry', id: key, label: key, detail: '', size, deletable: false }));
+
+    return {
+        usage,
+        groups: [
+            createGroup('Saved Files', files),
+            createGroup('Autosaves', autosaves.items),
+            createGroup('Other', others)
+        ].filter(group => group.items.length > 0)
+    };
+}
+
+/**
+ * Delete an item of the report
+ * @param {StorageUsageItem} item - Item
+ * @returns {Promise<boolean>} Success
+ */
+async function deleteItem(item) {
+    if (!item.deletable) return false;
+
+    switch (item.kind) {
+        case 'file':
+            return FileManager.deleteFile(item.id);
+        case 'autosave':
+            Autosave.clearAutosave(item.id);
+            await Storage.flush();
+            return true;
+        default:
+            return false;
+    }
+}
+
+const StorageUsage = {
+    getReport,
+    deleteItem
+};
+
+export default StorageUsage;
@@ -0,0 +1,62 @@
+/**
+ * SVG Export Module
+ *
+ * Exports pixel art as resolution-independent SVG (core/SvgEncoder):
+ * same-color areas are merged into rectangles, transparency is kept and
+ * palette colors can optionally be emitted as CSS classes.
+ *
+ * @module SVGExport
+ *
+ * @typedef {import('./core/SvgEncoder.js').SvgOptions} SvgOptions
+ */
+
+import logger from './core/Logger.js';
+import PixelCanvas from './canvas/PixelCanvas.js';
+import PNGExport from './pngExport.js';
+import Codec from './core/Codec.js';
+import SvgEncoder from './core/SvgEncoder.js';
+
+/**
+ * Get the current canvas (visible layers, active frame) as SVG
+ * @param {SvgOptions} options - Output options
+ * @returns {string} SVG markup
+ */
+function getSVGString(options = {}) {
+    const colors = Codec.applyPalette(PixelCanvas.getPalette());
+    return SvgEncoder.encode(PixelCanvas.getPixelData(), colors, options);
+}
+
+/**
+ * Convert a pixel art data string to SVG
+ * Uses the palette embedded in the string, if any; animated strings use the first frame.
+ * @param {string} dataString - Pixel art data string (WxH[:PAL:...][:RLE]:DATA)
+ * @param {SvgOptions} options - Output options
+ * @returns {string|null} SVG markup or null if the string is invalid
+ */
+function dataStringToSVG(dataString, options = {}) {
+    const image = Codec.decode(dataString);
+    if (!image) {
+        logger.error('Invalid data string for SVG export');
+        return null;
+    }
+    return SvgEncoder.encode(image.pixels, image.colors, options);
+}
+
+/**
+ * Export current canvas to an SVG file
+ * @param {SvgOptions} options - Output options
+ * @param {string} filename - Output filename
+ */
+function exportToSVG(options = {}, filename = 'pixelart.svg') {
+    const svg = getSVGString(options);
+    PNGExport.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), filename);
+    logger.info(`SVG exported: ${svg.length} bytes`);
+}
+
+const SVGExport = {
+    getSVGString,
+    dataStringToSVG,
+    exportToSVG
+};
+
+export default SVGExport;
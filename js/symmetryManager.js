@@ -0,0 +1,128 @@
+/**
+ * SymmetryManager - Symmetry Drawing Settings
+ *
+ * Holds the symmetry setting of the current tab (mode, rotational segments,
+ * axis position). Drawing tools pick it up through ToolDrawingProxy; the
+ * transforms themselves live in core/Symmetry.js. TabManager swaps the
+ * setting on tab switches and Autosave stores it with the tab.
+ *
+ * Emits SYMMETRY_CHANGED with the new settings on every change.
+ *
+ * @module SymmetryManager
+ *
+ * @typedef {import('./core/Symmetry.js').SymmetrySettings} SymmetrySettings
+ * @typedef {import('./core/Symmetry.js').SymmetryMode} SymmetryMode
+ * @typedef {import('./core/Symmetry.js').PointTransform} PointTransform
+ */
+
+import logger from './core/Logger.js';
+import eventBus from './core/EventBus.js';
+import Symmetry from './core/Symmetry.js';
+
+let settings = { ...Symmetry.DEFAULT_SETTINGS };
+
+/**
+ * Apply new settings and announce them
+ * @private
+ * @param {Object} next - Settings to normalize and apply
+ */
+function apply(next) {
+    const normalized = Symmetry.normalize(next);
+    const changed = Object.keys(normalized).some(key => normalized[key] !== settings[key]);
+    settings = normalized;
+
+    if (changed) {
+        logger.debug?.('Symmetry changed', settings);
+        eventBus.emit(eventBus.Events.SYMMETRY_CHANGED, getSettings());
+    }
+}
+
+/**
+ * Get the current settings
+ * @returns {SymmetrySettings} Copy of the settings
+ */
+function getSettings() {
+    return { ...settings };
+}
+
+/**
+ * Replace all settings (e.g. when switching tabs)
+ * @param {Object|null} next - Settings (null = defaults, symmetry off)
+ */
+function setSettings(next) {
+    apply(next || Symmetry.DEFAULT_SETTINGS);
+}
+
+/**
+ * Set the symmetry mode
+ * @param {SymmetryMode} mode - Mode ('none' turns symmetry off)
+ */
+function setMode(mode) {
+    apply({ ...settings, mode });
+}
+
+/**
+ * Set the number of copies for rotational symmetry
+ * @param {number} segments - Copies (clamped to the supported range)
+ */
+function setSegments(segments) {
+    apply({ ...settings, segments });
+}
+
+/**
+ * Move the axis
+ * @param {number|null} axisX - Vertical axis in pixel edges (null = center)
+ * @param {number|null} axisY - Horizontal axis in pixel edges (null = center)
+ */
+function setAxis(axisX, axisY) {
+    apply({ ...settings, axisX, axisY });
+}
+
+/**
+ * Move the axis back to the canvas center
+ */
+function centerAxis() {
+    setAxis(null, null);
+}
+
+/**
+ * Check whether symmetry is on
+ * @returns {boolean} True unless the mode is 'none'
+ */
+function isEnabled() {
+    return settings.mode !== 'none';
+}
+
+/**
+ * Get the axis position on a canvas
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {{x: number, y: number}} Axis in pixel edges
+ */
+function getAxis(width, height) {
+    return Symmetry.getAxis(settings, width, height);
+}
+
+/**
+ * Get the transforms to the symmetric counterparts of a point
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Array<PointTransform>} Transforms without the identity (empty when off)
+ */
+function getTransforms(width, height) {
+    return Symmetry.getTransforms(settings, width, height);
+}
+
+const SymmetryManager = {
+    getSettings,
+    setSettings,
+    setMode,
+    setSegments,
+    setAxis,
+    centerAxis,
+    isEnabled,
+    getAxis,
+    getTransforms
+};
+
+export default SymmetryManager;
@@ -0,0 +1,67 @@
+/**
+ * SymmetryUI - Symmetry Controls in the Info Bar
+ *
+ * - Mode buttons: off, horizontal, vertical, both, rotational
+ * - Number of copies for rotational symmetry
+ * - Center button for the axis (the axis itself is dragged on the canvas)
+ *
+ * The controls follow SymmetryManager, so they update on tab switches too.
+ *
+ * @module SymmetryUI
+ *
+ * @typedef {import('./core/Symmetry.js').SymmetrySettings} SymmetrySettings
+ */
+
+import logger from './core/Logger.js';
+import eventBus from './core/EventBus.js';
+import SymmetryManager from './symmetryManager.js';
+
+let segmentsInput = null;
+let centerButton = null;
+
+/**
+ * Initialize the symmetry controls
+ */
+function init() {
+    segmentsInput = document.getElementById('symmetrySegments');
+    centerButton = document.getElementById('symmetryCenterBtn');
+
+    document.querySelectorAll('.symmetry-btn').forEach(btn => {
+        btn.addEventListener('click', () => SymmetryManager.setMode(btn.dataset.symmetry));
+    });
+
+    segmentsInput?.addEventListener('change', () => {
+        SymmetryManager.setSegments(parseInt(segmentsInput.value));
+        // Show the clamped value
+        segmentsInput.value = SymmetryManager.getSettings().segments;
+    });
+
+    centerButton?.addEventListener('click', () => SymmetryManager.centerAxis());
+
+    eventBus.on(eventBus.Events.SYMMETRY_CHANGED, render);
+    render(SymmetryManager.getSettings());
+
+    logger.info?.('SymmetryUI initialized');
+}
+
+/**
+ * Reflect the settings in the controls
+ * @param {SymmetrySettings} settings - Current settings
+ */
+function render(settings) {
+    document.querySelectorAll('.symmetry-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.symmetry === settings.mode);
+    });
+
+    if (segmentsInput) {
+        segmentsInput.classList.toggle('hidden', settings.mode !== 'rotational');
+        segmentsInput.value = settings.segments;
+    }
+    centerButton?.classList.toggle('hidden', settings.mode === 'none');
+}
+
+const SymmetryUI = {
+    init
+};
+
+export default SymmetryUI;
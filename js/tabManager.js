@@ -7,6 +7,8 @@
  * - New tab creation
  * - Tab closing with unsaved warning
  * - Tab renaming
+ * - Separate undo history per tab (restored with autosaved tabs)
+ * - Symmetry setting per tab
  *
  * @typedef {import('./types.js').TabData} TabData
  */
@@ -16,8 +18,11 @@ import Dialogs from './dialogs.js';
 import PixelCanvas from './canvas/PixelCanvas.js';
 import PixelData from './canvas/PixelData.js';
 import Autosave from './autosave.js';
-import Compression from './compression.js';
-import StorageUtils from './utils/StorageUtils.js';
+import History from './history.js';
+import HistoryRecorder from './historyRecorder.js';
+import ProjectDocument from './core/ProjectDocument.js';
+import Storage from './storage/Storage.js';
+import SymmetryManager from './symmetryManager.js';
 
 /** @type {Array<TabData>} */
 let tabs = [];
@@ -77,7 +82,7 @@ function createTabBar() {
  * @param {string|null} name - Tab name
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
- * @param {string|null} data - Optional pixel data
+ * @param {string|null} data - Optional project document or data string
  * @returns {TabData} Created tab
  */
 function createNewTab(name = null, width = 8, height = 8, data = null) {
@@ -174,14 +179,18 @@ function switchToTab(tabId) {
         el.classList.toggle('active', el.dataset.tabId === tabId);
     });
 
+    // Each tab keeps its own undo stacks and symmetry setting
+    History.switchDocument(tabId);
+    SymmetryManager.setSettings(tab.symmetry || null);
+
     // Enable layer system when switching to a tab (file is now active)
     if (PixelData) {
         PixelData.enableLayerSystem(tab.width, tab.height);
     }
 
-    // Load tab data into canvas
+    // Load tab document (all layers) into canvas
     if (PixelCanvas) {
-        PixelCanvas.importFromString(tab.data);
+        PixelCanvas.importDocument(tab.data);
     }
 
     // Update document title
@@ -197,7 +206,8 @@ function saveCurrentTabState() {
     const tab = tabs.find(t => t.id === currentTabId);
     if (!tab || !PixelCanvas) return;
 
-    tab.data = PixelCanvas.exportToString();
+    tab.data = PixelCanvas.exportDocument();
+    tab.symmetry = SymmetryManager.getSettings();
     tab.modified = Date.now();
 }
 
@@ -232,6 +242,7 @@ async function closeTab(tabId) {
         // Remove the last tab and show welcome screen
         tabs = [];
         currentTabId = null;
+        History.removeDocument(tabId);
         const tabElement = document.querySelector(`.tab[data-tab-id="${tabId}"]`);
         if (tabElement) {
             tabElement.remove();
@@ -272,6 +283,7 @@ async function closeTab(tabId) {
 
     // Remove tab
     tabs = tabs.filter(t => t.id !== tabId);
+    History.removeDocument(tabId);
 
     // Remove from UI
     const tabElement = document.querySelector(`.tab[data-tab-id="${tabId}"]`);
@@ -384,6 +396,17 @@ function getAllTabs() {
     return tabs;
 }
 
+/**
+ * Get a tab's document, using the live canvas for the current tab
+ * @param {string} tabId - Tab ID
+ * @returns {string|null} Project document or data string
+ */
+function getTabDocument(tabId) {
+    const tab = tabs.find(t => t.id === tabId);
+    if (!tab) return null;
+    return tab.id === currentTabId && PixelCanvas ? PixelCanvas.exportDocument() : tab.data;
+}
+
 /**
  * Update current tab name
  * @param {string} name - New name
@@ -398,7 +421,7 @@ function setCurrentTabName(name) {
 }
 
 /**
- * Restore autosaved tabs from localStorage
+ * Restore autosaved tabs from storage
  * @returns {Array} Array of restored tabs
  */
 function restoreAutosavedTabs() {
@@ -406,46 +429,32 @@ function restoreAutosavedTabs() {
 
     try {
         // Check if storage is available
-        if (!StorageUtils.isStorageAvailable()) {
-            logger.warn?.('localStorage not available, cannot restore tabs');
+        if (!Storage.isAvailable()) {
+            logger.warn?.('Storage not available, cannot restore tabs');
             return restoredTabs;
         }
 
-        // Look for autosave keys in localStorage
-        const allKeys = StorageUtils.keys();
+        // Look for autosave keys
+        const allKeys = Storage.keys();
 
         for (const key of allKeys) {
-            if (key && key.startsWith('autosave_tab_') && !key.endsWith('_timestamp')) {
+            if (key && key.startsWith('autosave_tab_') && !/_(timestamp|history|symmetry)$/.test(key)) {
                 try {
                     const tabId = key.replace('autosave_', '');
                     const autosaveData = Autosave ? Autosave.loadAutosave(tabId) : null;
 
                     if (autosaveData && autosaveData.data) {
-                        // Parse the data to get dimensions
-                        const parts = autosaveData.data.split(':');
-                        let dimensions, dataString;
-
-                        if (parts[1] === 'RLE') {
-                            // Compressed format: WxH:RLE:DATA
-                            dimensions = parts[0].split('x');
-                            // Decompress to get actual data
-                            const decompressed = Compression.decompress(autosaveData.data);
-                            dataString = decompressed;
-                        } else {
-                            // Standard format: WxH:DATA
-                            dimensions = parts[0].split('x');
-                            dataString = autosaveData.data;
-                        }
-
-                        const width = parseInt(dimensions[0]);
-                        const height = parseInt(dimensions[1]);
+                        // Project document or legacy WxH:DATA / WxH:RLE:DATA string
+                        const dimensions = ProjectDocument.getDimensions(autosaveData.data);
 
                         // Validate dimensions
-                        if (isNaN(width) || isNaN(height) || width <= 0 || height <= 0) {
+                        if (!dimensions) {
                             logger.warn?.(`Invalid dimensions in autosave ${tabId}, skipping`);
                             continue;
                         }
 
+                        const { width, height } = dimensions;
+
                         // Create tab with restored data
                         tabCounter++;
                         const tab = {
@@ -453,15 +462,19 @@ function restoreAutosavedTabs() {
                             name: `Restored-${tabCounter}`,
                             width: width,
                             height: height,
-                            data: dataString,
+                            data: autosaveData.data,
                             isDirty: false,
                             created: autosaveData.timestamp,
-                            modified: autosaveData.timestamp
+                            modified: autosaveData.timestamp,
+                            symmetry: autosaveData.symmetry
                         };
 
                         tabs.push(tab);
                         renderTab(tab);
                         restoredTabs.push(tab);
+
+                        // Undo history saved with the document (empty if incompatible)
+                        HistoryRecorder.restoreHistory(tabId, autosaveData.history, autosaveData.data);
                     }
                 } catch (tabError) {
                     logger.warn?.('Failed to restore individual tab, skipping', tabError);
@@ -492,6 +505,7 @@ const TabManager = {
     markCurrentTabClean,
     getCurrentTab,
     getAllTabs,
+    getTabDocument,
     setCurrentTabName
 };
 
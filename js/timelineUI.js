@@ -0,0 +1,414 @@
+/**
+ * TimelineUI - Animation Timeline Panel
+ *
+ * Renders and manages the frame strip next to the layers panel:
+ * - Frame thumbnails with durations
+ * - Add, duplicate and delete frames
+ * - Drag and drop reordering
+ * - Duration editing (double-click)
+ * - Onion skin toggle (previous/next frame)
+ * - Playback preview that does not touch the editor state
+ *
+ * @module TimelineUI
+ */
+
+import FrameManager from './frameManager.js';
+import logger from './core/Logger.js';
+import eventBus from './core/EventBus.js';
+import Dialogs from './dialogs.js';
+import HistoryRecorder from './historyRecorder.js';
+import ColorPalette from './colorPalette.js';
+import CanvasRenderer from './canvas/CanvasRenderer.js';
+import Constants from '../config/constants.js';
+
+let framesListElement = null;
+let previewCanvas = null;
+let playBtn = null;
+let onionSkinBtn = null;
+let draggedFrameIndex = null;
+let onChangeCallback = null;
+
+let playbackTimer = null;
+let playbackIndex = 0;
+
+/**
+ * Initialize timeline UI
+ * @param {Object} options - Options
+ * @param {Function} options.onChange - Called after frames were edited
+ */
+function init(options = {}) {
+    framesListElement = document.getElementById('framesList');
+    previewCanvas = document.getElementById('animationPreview');
+    playBtn = document.getElementById('playAnimationBtn');
+    onionSkinBtn = document.getElementById('onionSkinBtn');
+    onChangeCallback = options.onChange || null;
+
+    if (!framesListElement || !previewCanvas || !playBtn || !onionSkinBtn) {
+        logger.error?.('Timeline UI elements not found');
+        return;
+    }
+
+    document.getElementById('addFrameBtn')?.addEventListener('click', handleAddFrame);
+    document.getElementById('duplicateFrameBtn')?.addEventListener('click', handleDuplicateFrame);
+    document.getElementById('deleteFrameBtn')?.addEventListener('click', () => handleDeleteFrame(FrameManager.getActiveIndex()));
+    playBtn.addEventListener('click', togglePlayback);
+    onionSkinBtn.addEventListener('click', toggleOnionSkin);
+
+    // Frame structure changes: rebuild strip and onion skin
+    eventBus.on('frame:selected', refresh);
+    eventBus.on('frame:deleted', refresh);
+    eventBus.on('frame:moved', refresh);
+    eventBus.on('frame:durationChanged', render);
+    eventBus.on('frame:imported', refresh);
+    eventBus.on('layer:resized', refresh);
+
+    // Drawing only changes the active frame
+    eventBus.on(eventBus.Events.CANVAS_CHANGED, updateActiveThumbnail);
+    eventBus.on('layer:visibilityChanged', updateActiveThumbnail);
+    eventBus.on('layer:deleted', updateActiveThumbnail);
+    eventBus.on('layer:moved', updateActiveThumbnail);
+    eventBus.on(eventBus.Events.PALETTE_CHANGED, render);
+
+    logger.info?.('TimelineUI initialized');
+}
+
+/**
+ * Re-render the strip and recompute onion skin frames
+ */
+function refresh() {
+    render();
+    updateOnionSkinFrames();
+    updateIdlePreview();
+}
+
+/**
+ * Render the frame strip
+ */
+function render() {
+    if (!framesListElement) return;
+
+    framesListElement.innerHTML = '';
+    FrameManager.getFrames().forEach(frame => {
+        framesListElement.appendChild(createFrameItem(frame));
+    });
+
+    const total = document.getElementById('animationDuration');
+    if (total) {
+        const count = FrameManager.getFrameCount();
+        total.textContent = `${count} frame${count === 1 ? '' : 's'} · ${FrameManager.getTotalDuration()} ms`;
+    }
+}
+
+/**
+ * Create a single frame item element
+ * @param {{id: string, index: number, duration: number, active: boolean}} frame - Frame info
+ * @returns {HTMLElement} Frame item element
+ */
+function createFrameItem(frame) {
+    const item = document.createElement('div');
+    item.className = 'frame-item' + (frame.active ? ' active' : '');
+    item.dataset.frameIndex = frame.index;
+    item.draggable = true;
+    item.title = `Frame ${frame.index + 1} (double-click to set duration)`;
+
+    const preview = document.createElement('div');
+    preview.className = 'frame-preview';
+    preview.appendChild(drawPixels(document.createElement('canvas'), FrameManager.getFrameComposite(frame.index)));
+
+    const label = document.createElement('div');
+    label.className = 'frame-label';
+    label.innerHTML = `<span class="frame-number">${frame.index + 1}</span><span class="frame-duration">${frame.duration}ms</span>`;
+
+    item.appendChild(preview);
+    item.appendChild(label);
+
+    item.addEventListener('click', () => handleFrameClick(frame.index));
+    item.addEventListener('dblclick', () => handleEditDuration(frame.index));
+
+    item.addEventListener('dragstart', handleDragStart);
+    item.addEventListener('dragover', handleDragOver);
+    item.addEventListener('drop', handleDrop);
+    item.addEventListener('dragend', handleDragEnd);
+
+    return item;
+}
+
+/**
+ * Draw pixels onto a canvas at 1:1 scale
+ * @private
+ * @param {HTMLCanvasElement} canvas - Target canvas (resized to fit)
+ * @param {Array<Array<number>>|null} pixels - 2D array of color indices
+ * @returns {HTMLCanvasElement} The canvas
+ */
+function drawPixels(canvas, pixels) {
+    const height = pixels?.length || 0;
+    const width = pixels?.[0]?.length || 0;
+
+    canvas.width = width || 16;
+    canvas.height = height || 16;
+
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const colorIndex = pixels[y][x];
+            if (colorIndex !== 0) {
+                ctx.fillStyle = ColorPalette.getColor(colorIndex);
+                ctx.fillRect(x, y, 1, 1);
+            }
+        }
+    }
+
+    return canvas;
+}
+
+/**
+ * Redraw only the active frame's thumbnail (after drawing)
+ * @private
+ */
+function updateActiveThumbnail() {
+    if (!framesListElement) return;
+
+    const index = FrameManager.getActiveIndex();
+    const canvas = framesListElement.querySelector(`.frame-item[data-frame-index="${index}"] canvas`);
+    if (canvas) {
+        drawPixels(canvas, FrameManager.getFrameComposite(index));
+    }
+    updateIdlePreview();
+}
+
+/**
+ * Show the active frame in the preview canvas while not playing
+ * @private
+ */
+function updateIdlePreview() {
+    if (previewCanvas && !playbackTimer) {
+        drawPixels(previewCanvas, FrameManager.getFrameComposite(FrameManager.getActiveIndex()));
+    }
+}
+
+/**
+ * Feed the previous/next frame composites to the renderer's onion skin
+ * @private
+ */
+function updateOnionSkinFrames() {
+    const index = FrameManager.getActiveIndex();
+    const enabled = CanvasRenderer.getOnionSkinEnabled();
+
+    CanvasRenderer.setOnionSkinFrames(
+        enabled ? FrameManager.getFrameComposite(index - 1) : null,
+        enabled ? FrameManager.getFrameComposite(index + 1) : null
+    );
+}
+
+/**
+ * Toggle onion skinning
+ */
+function toggleOnionSkin() {
+    const enabled = !CanvasRenderer.getOnionSkinEnabled();
+    CanvasRenderer.setOnionSkinEnabled(enabled);
+    onionSkinBtn.classList.toggle('active', enabled);
+    updateOnionSkinFrames();
+
+    logger.debug?.(`Onion skin: ${enabled}`);
+}
+
+/**
+ * Start or stop the playback preview
+ */
+function togglePlayback() {
+    if (playbackTimer) {
+        stopPlayback();
+    } else {
+        startPlayback();
+    }
+}
+
+/**
+ * Start playing all frames in the preview canvas
+ */
+function startPlayback() {
+    stopPlayback();
+    playbackIndex = FrameManager.getActiveIndex();
+    playBtn.classList.add('active');
+    playBtn.querySelector('.material-symbols-outlined').textContent = 'pause';
+    showPlaybackFrame();
+}
+
+/**
+ * Draw the current playback frame and schedule the next one
+ * @private
+ */
+function showPlaybackFrame() {
+    const frames = FrameManager.getFrames();
+    if (playbackIndex >= frames.length) {
+        playbackIndex = 0;
+    }
+
+    const frame = frames[playbackIndex];
+    drawPixels(previewCanvas, FrameManager.getFrameComposite(playbackIndex));
+
+    playbackTimer = setTimeout(() => {
+        playbackIndex = (playbackIndex + 1) % FrameManager.getFrameCount();
+        showPlaybackFrame();
+    }, frame.duration);
+}
+
+/**
+ * Stop playback and show the active frame in the preview
+ */
+function stopPlayback() {
+    if (playbackTimer) {
+        clearTimeout(playbackTimer);
+        playbackTimer = null;
+    }
+    if (playBtn) {
+        playBtn.classList.remove('active');
+        playBtn.querySelector('.material-symbols-outlined').textContent = 'play_arrow';
+    }
+    updateIdlePreview();
+}
+
+/**
+ * Notify that frames were edited (marks the tab dirty)
+ * @private
+ */
+function notifyChange() {
+    if (onChangeCallback) onChangeCallback();
+}
+
+/**
+ * Handle add frame button click
+ */
+function handleAddFrame() {
+    HistoryRecorder.recordDocument('New Frame', () => FrameManager.addFrame());
+    notifyChange();
+}
+
+/**
+ * Handle duplicate frame button click
+ */
+function handleDuplicateFrame() {
+    HistoryRecorder.recordDocument('Duplicate Frame', () => FrameManager.duplicateFrame());
+    notifyChange();
+}
+
+/**
+ * Handle frame click (select)
+ * @param {number} index - Frame index
+ */
+function handleFrameClick(index) {
+    FrameManager.selectFrame(index);
+}
+
+/**
+ * Handle frame duration edit (double-click)
+ * @param {number} index - Frame index
+ */
+async function handleEditDuration(index) {
+    const frame = FrameManager.getFrames()[index];
+    if (!frame) return;
+
+    const { minFrameDuration, maxFrameDuration } = Constants.animation;
+    const value = await Dialogs.prompt(
+        'Frame Duration',
+        `Duration of frame ${index + 1} in milliseconds (${minFrameDuration}-${maxFrameDuration}):`,
+        String(frame.duration)
+    );
+
+    if (value === null) return;
+
+    const duration = parseInt(value);
+    if (isNaN(duration)) {
+        await Dialogs.alert('Invalid Duration', 'Please enter a number of milliseconds.', 'warning');
+        return;
+    }
+
+    if (HistoryRecorder.recordDocument('Frame Duration', () => FrameManager.setFrameDuration(index, duration))) {
+        notifyChange();
+    }
+}
+
+/**
+ * Handle delete frame
+ * @param {number} index - Frame index
+ */
+async function handleDeleteFrame(index) {
+    if (FrameManager.getFrameCount() === 1) {
+        await Dialogs.alert('Cannot Delete', 'Cannot delete the only frame.', 'warning');
+        return;
+    }
+
+    const confirmed = await Dialogs.confirm(
+        'Delete Frame',
+        `Delete frame ${index + 1} and all of its layers?`,
+        'Delete',
+        'Cancel'
+    );
+
+    if (confirmed && HistoryRecorder.recordDocument('Delete Frame', () => FrameManager.deleteFrame(index))) {
+        notifyChange();
+    }
+}
+
+/**
+ * Handle drag start
+ * @param {DragEvent} e - Drag event
+ */
+function handleDragStart(e) {
+    draggedFrameIndex = parseInt(e.currentTarget.dataset.frameIndex);
+    e.currentTarget.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+}
+
+/**
+ * Handle drag over
+ * @param {DragEvent} e - Drag event
+ */
+function handleDragOver(e) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+
+    if (parseInt(e.currentTarget.dataset.frameIndex) !== draggedFrameIndex) {
+        e.currentTarget.classList.add('drag-over');
+    }
+}
+
+/**
+ * Handle drop
+ * @param {DragEvent} e - Drag event
+ */
+function handleDrop(e) {
+    e.preventDefault();
+    e.currentTarget.classList.remove('drag-over');
+
+    const targetIndex = parseInt(e.currentTarget.dataset.frameIndex);
+    if (draggedFrameIndex !== null &&
+        HistoryRecorder.recordDocument('Move Frame', () => FrameManager.moveFrame(draggedFrameIndex, targetIndex))) {
+        notifyChange();
+    }
+}
+
+/**
+ * Handle drag end
+ * @param {DragEvent} e - Drag event
+ */
+function handleDragEnd(e) {
+    e.currentTarget.classList.remove('dragging');
+    document.querySelectorAll('.frame-item').forEach(item => {
+        item.classList.remove('drag-over');
+    });
+    draggedFrameIndex = null;
+}
+
+const TimelineUI = {
+    init,
+    render,
+    refresh,
+    startPlayback,
+    stopPlayback
+};
+
+export default TimelineUI;
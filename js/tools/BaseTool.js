@@ -6,7 +6,7 @@
  * - Drawing phases (start, continue, end, cancel)
  * - State management (tool options)
  * - Preview system for shape tools
- * - Mixins for selection and event handling
+ * - Mixins for selection, symmetry and event handling
  *
  * @abstract
  * @class BaseTool
@@ -15,6 +15,7 @@
 import logger from '../core/Logger.js';
 import * as ToolHelpers from './mixins/ToolHelpers.js';
 import { withSelection } from './mixins/ToolSelectionMixin.js';
+import { withSymmetry } from './mixins/ToolSymmetryMixin.js';
 import { withEvents } from './mixins/ToolEventMixin.js';
 
 // Base class without mixins
@@ -31,6 +32,7 @@ class BaseToolCore {
         cursor: 'default',
         hasSizeOption: false,
         hasShapeOption: false,
+        supportsSymmetry: false,
         description: 'Base tool class',
         category: 'other'
     };
@@ -150,7 +152,10 @@ class BaseToolCore {
             this.previewData = ToolHelpers.clonePixelData(pixelData);
         }
 
-        return this.onDrawStart(x, y, pixelData, context);
+        // Symmetric counterparts (context.symmetry from ToolDrawingProxy)
+        this.beginSymmetry(pixelData, context.symmetry);
+
+        return this.runSymmetric('onDrawStart', x, y, pixelData, context);
     }
 
     /**
@@ -173,7 +178,7 @@ class BaseToolCore {
         this.lastX = x;
         this.lastY = y;
 
-        return this.onDrawContinue(x, y, pixelData, context);
+        return this.runSymmetric('onDrawContinue', x, y, pixelData, context);
     }
 
     /**
@@ -191,10 +196,11 @@ class BaseToolCore {
             y = this.lastY;
         }
 
-        const modified = this.onDrawEnd(x, y, pixelData, context);
+        const modified = this.runSymmetric('onDrawEnd', x, y, pixelData, context);
 
         // Cleanup
         this.previewData = null;
+        this.endSymmetry();
         this.throttle.reset();
 
         return modified;
@@ -207,6 +213,7 @@ class BaseToolCore {
         if (this.isDrawing) {
             this.isDrawing = false;
             this.previewData = null;
+            this.endSymmetry();
             this.onDrawCancel();
             this.logger.debug?.(`${this.getName()} drawing cancelled`);
         }
@@ -231,6 +238,13 @@ class BaseToolCore {
         // Optional override
     }
 
+    /**
+     * Pointer moved over the canvas while not drawing
+     */
+    onHover(x, y) {
+        // Optional override
+    }
+
     // ==================== TOOL OPTIONS ====================
 
     /**
@@ -374,6 +388,6 @@ class BaseToolCore {
 }
 
 // Apply mixins to create final BaseTool class
-const BaseTool = withEvents(withSelection(BaseToolCore));
+const BaseTool = withEvents(withSelection(withSymmetry(BaseToolCore)));
 
 export default BaseTool;
@@ -3,6 +3,7 @@
  *
  * Provides delegation methods for:
  * - Drawing lifecycle (start, continue, end, cancel)
+ * - Symmetry (passes SymmetryManager's transforms to tools that support it)
  * - Selection management
  * - Validation
  *
@@ -13,6 +14,7 @@
  */
 
 import logger from '../core/Logger.js';
+import SymmetryManager from '../symmetryManager.js';
 
 let currentTool = null;
 
@@ -38,6 +40,10 @@ export function startDrawing(x, y, pixelData, context = {}) {
         return false;
     }
 
+    if (SymmetryManager.isEnabled() && currentTool.supportsSymmetry()) {
+        context = { ...context, symmetry: SymmetryManager.getTransforms(pixelData[0]?.length || 0, pixelData.length) };
+    }
+
     try {
         return currentTool.startDrawing(x, y, pixelData, context);
     } catch (error) {
@@ -104,16 +110,29 @@ export function cancelDrawing() {
 }
 
 /**
- * Set selection bounds on current tool
- * @param {Object} bounds - Selection bounds {x1, y1, x2, y2}
+ * Pass the pointer position to the current tool while not drawing
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ */
+export function hover(x, y) {
+    if (!currentTool || currentTool.isDrawing) {
+        return;
+    }
+
+    currentTool.onHover(x, y);
+}
+
+/**
+ * Set selection on current tool
+ * @param {Object} selection - Selection mask, or bounds {x1, y1, x2, y2}
  */
-export function setSelection(bounds) {
+export function setSelection(selection) {
     if (!currentTool) {
         return;
     }
 
     if (currentTool.setSelection) {
-        currentTool.setSelection(bounds);
+        currentTool.setSelection(selection);
     }
 }
 
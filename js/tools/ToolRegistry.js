@@ -321,12 +321,15 @@ const ToolRegistry = {
     setToolOption: StateManager.setToolOption,
     getToolOption: StateManager.getToolOption,
     getSharedOptions: StateManager.getSharedOptions,
+    getSelectionMask: StateManager.getSelectionMask,
+    getSelectionBounds: StateManager.getSelectionBounds,
 
     // Drawing operations (delegated)
     startDrawing: DrawingProxy.startDrawing,
     continueDrawing: DrawingProxy.continueDrawing,
     endDrawing: DrawingProxy.endDrawing,
     cancelDrawing: DrawingProxy.cancelDrawing,
+    hover: DrawingProxy.hover,
     setSelection: DrawingProxy.setSelection,
     clearSelection: DrawingProxy.clearSelection,
     respectsSelection: DrawingProxy.respectsSelection
@@ -5,13 +5,17 @@
  * - Shared tool options (brushSize, shapeMode, colorCode)
  * - Option synchronization across tools
  * - Option change notifications
+ * - The selection, so every tool sees the same one
  *
  * @module ToolStateManager
  *
  * @typedef {import('../types.js').ToolOptions} ToolOptions
+ * @typedef {import('../types.js').SelectionBounds} SelectionBounds
+ * @typedef {import('../core/SelectionMask.js').SelectionMaskData} SelectionMaskData
  */
 
 import logger from '../core/Logger.js';
+import SelectionMask from '../core/SelectionMask.js';
 
 // Shared state across all tools
 let sharedOptions = {
@@ -20,6 +24,10 @@ let sharedOptions = {
     colorCode: 1
 };
 
+// Shared selection (null = nothing selected) and its bounding box
+let selectionMask = null;
+let selectionBounds = null;
+
 // Callbacks
 let onToolOptionChangeCallback = null;
 
@@ -100,3 +108,28 @@ export function handleToolOptionChange(key, value, oldValue) {
         onToolOptionChangeCallback(key, value, oldValue);
     }
 }
+
+/**
+ * Set the shared selection
+ * @param {SelectionMaskData|null} mask - Selection mask (null or empty = nothing selected)
+ */
+export function setSelectionMask(mask) {
+    selectionBounds = mask ? SelectionMask.getBounds(mask) : null;
+    selectionMask = selectionBounds ? mask : null;
+}
+
+/**
+ * Get the shared selection
+ * @returns {SelectionMaskData|null} Selection mask
+ */
+export function getSelectionMask() {
+    return selectionMask;
+}
+
+/**
+ * Get the bounding box of the shared selection
+ * @returns {SelectionBounds|null} Bounds
+ */
+export function getSelectionBounds() {
+    return selectionBounds;
+}
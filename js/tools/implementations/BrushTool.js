@@ -23,6 +23,7 @@ class BrushTool extends BaseTool {
         cursor: 'crosshair',
         hasSizeOption: true,
         hasShapeOption: false,
+        supportsSymmetry: true,
         description: 'Variable size painting brush',
         category: 'drawing'
     };
@@ -22,6 +22,7 @@ class EllipseTool extends BaseTool {
         cursor: 'crosshair',
         hasSizeOption: false,
         hasShapeOption: true,
+        supportsSymmetry: true,
         description: 'Draw circles/ellipses',
         category: 'shape'
     };
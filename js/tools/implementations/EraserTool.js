@@ -23,6 +23,7 @@ class EraserTool extends BaseTool {
         cursor: 'crosshair',
         hasSizeOption: true,
         hasShapeOption: false,
+        supportsSymmetry: true,
         description: 'Erase to transparent',
         category: 'drawing'
     };
@@ -23,6 +23,7 @@ class FillTool extends BaseTool {
         cursor: 'crosshair',
         hasSizeOption: false,
         hasShapeOption: false,
+        supportsSymmetry: true,
         description: 'Flood fill',
         category: 'drawing'
     };
@@ -0,0 +1,83 @@
+/**
+ * LassoTool - Freehand Selection
+ *
+ * Selects the area enclosed by a freehand outline:
+ * - Drag to draw the outline; releasing closes it
+ * - Pixels under the outline are selected too
+ * - Shift adds to, Alt subtracts from, Shift+Alt intersects with the selection
+ *
+ * @extends BaseTool
+ *
+ * @typedef {import('../../types.js').DrawingContext} DrawingContext
+ */
+
+import BaseTool from '../BaseTool.js';
+import SelectionMask from '../../core/SelectionMask.js';
+
+class LassoTool extends BaseTool {
+    static CONFIG = {
+        id: 'lasso',
+        name: 'Lasso',
+        icon: 'lasso_select',
+        shortcut: 'Q',
+        cursor: 'crosshair',
+        hasSizeOption: false,
+        hasShapeOption: false,
+        description: 'Freehand selection',
+        category: 'selection'
+    };
+
+    constructor() {
+        super();
+        this.points = [];
+    }
+
+    respectsSelection() {
+        return false;
+    }
+
+    onDrawStart(x, y, pixelData, context) {
+        this.points = [{ x, y }];
+        return false;
+    }
+
+    onDrawContinue(x, y, pixelData, context) {
+        this.addPoint(x, y);
+        return false;
+    }
+
+    onDrawEnd(x, y, pixelData, context) {
+        this.addPoint(x, y);
+
+        const outline = SelectionMask.fromPolygon(pixelData[0].length, pixelData.length, this.points);
+        this.applySelection(outline, context);
+
+        this.points = [];
+        return false; // No canvas modification
+    }
+
+    onDrawCancel() {
+        this.points = [];
+    }
+
+    /**
+     * Add an outline point unless the pointer stayed on the same pixel
+     * @private
+     */
+    addPoint(x, y) {
+        const last = this.points[this.points.length - 1];
+        if (!last || last.x !== x || last.y !== y) {
+            this.points.push({ x, y });
+        }
+    }
+
+    /**
+     * Get the outline drawn so far (used by PixelCanvas render loop)
+     * @returns {Array<{x: number, y: number}>|null} Points, or null when not drawing
+     */
+    getLassoPath() {
+        return this.isDrawing ? this.points : null;
+    }
+}
+
+export default LassoTool;
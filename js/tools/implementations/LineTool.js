@@ -23,6 +23,7 @@ class LineTool extends BaseTool {
         cursor: 'crosshair',
         hasSizeOption: true,
         hasShapeOption: false,
+        supportsSymmetry: true,
         description: 'Draw straight lines',
         category: 'shape'
     };
@@ -4,7 +4,8 @@
  * Professional magic wand tool:
  * - Select all connected pixels of same color
  * - Flood-fill based selection
- * - Creates rectangular selection around matched pixels
+ * - Selects exactly the matched pixels
+ * - Shift adds to, Alt subtracts from, Shift+Alt intersects with the selection
  *
  * @extends BaseTool
  *
@@ -12,6 +13,7 @@
  */
 
 import BaseTool from '../BaseTool.js';
+import SelectionMask from '../../core/SelectionMask.js';
 
 class MagicWandTool extends BaseTool {
     static CONFIG = {
@@ -56,29 +58,25 @@ class MagicWandTool extends BaseTool {
         }
 
         const targetColor = pixelData[y][x];
-        const matchedPixels = [];
+        const region = SelectionMask.create(width, height);
         const stack = [[x, y]];
-        const visited = new Set();
+        let matched = 0;
 
         // Find all connected pixels of same color
         while (stack.length > 0) {
             const [cx, cy] = stack.pop();
-            const key = `${cx},${cy}`;
-
-            if (visited.has(key)) {
-                continue;
-            }
 
             if (cx < 0 || cx >= width || cy < 0 || cy >= height) {
                 continue;
             }
 
-            if (pixelData[cy][cx] !== targetColor) {
+            const index = cy * width + cx;
+            if (region.data[index] === 1 || pixelData[cy][cx] !== targetColor) {
                 continue;
             }
 
-            visited.add(key);
-            matchedPixels.push([cx, cy]);
+            region.data[index] = 1;
+            matched++;
 
             // Add neighbors
             stack.push([cx + 1, cy]);
@@ -87,40 +85,10 @@ class MagicWandTool extends BaseTool {
             stack.push([cx, cy - 1]);
         }
 
-        if (matchedPixels.length === 0) {
-            this.clearSelection();
-            return false;
-        }
-
-        // Calculate bounding box
-        let minX = width;
-        let minY = height;
-        let maxX = 0;
-        let maxY = 0;
-
-        matchedPixels.forEach(([px, py]) => {
-            minX = Math.min(minX, px);
-            minY = Math.min(minY, py);
-            maxX = Math.max(maxX, px);
-            maxY = Math.max(maxY, py);
-        });
-
-        // Set selection bounds
-        const bounds = {
-            x1: minX,
-            y1: minY,
-            x2: maxX,
-            y2: maxY
-        };
-
-        this.setSelection(bounds);
-
-        // Notify for overlay update
-        if (context.onSelectionChange) {
-            context.onSelectionChange(bounds);
-        }
+        // Combine with the current selection and notify for overlay update
+        this.applySelection(region, context);
 
-        this.logger.info?.(`Magic wand selected ${matchedPixels.length} pixels`);
+        this.logger.info?.(`Magic wand selected ${matched} pixels`);
         return false; // Don't modify pixel data
     }
 }
@@ -5,6 +5,10 @@
  * - On drag start, it "cuts" the selected pixels into a buffer and clears the original area.
  * - During drag, it provides a live preview of the content being moved without altering the main canvas.
  * - On drag end, it "pastes" the buffered pixels into the new location.
+ * Only selected pixels move; the selection moves along with them.
+ *
+ * Pasted content floats: it is shown above the canvas and moved without
+ * touching the layer until it is committed (see clipboard.js).
  *
  * @extends BaseTool
  *
@@ -12,6 +16,7 @@
  */
 import BaseTool from '../BaseTool.js';
 import eventBus from '../../core/EventBus.js'; // Adjust path for eventBus
+import SelectionMask from '../../core/SelectionMask.js';
 
 class MoveTool extends BaseTool {
     static CONFIG = {
@@ -32,6 +37,7 @@ class MoveTool extends BaseTool {
         this.selectionData = null; // Holds the pixel data of the selection
         this.originalSelectionBounds = null; // The initial position of the selection
         this.currentOffset = { x: 0, y: 0 };
+        this.floating = null; // Pasted pixels not yet committed: {pixelData, x, y, width, height}
     }
 
     /**
@@ -43,20 +49,103 @@ class MoveTool extends BaseTool {
 
     /**
      * Provides the data needed for the preview overlay to render.
-     * @returns {Object|null} An object with data and position, or null if not moving.
+     * @returns {Object|null} An object with data and position, plus the selection mask
+     *   and its offset for the outline, or null if not moving.
      */
     getPreviewData() {
+        if (!this.isMoving && this.floating) {
+            return {
+                pixelData: this.floating.pixelData,
+                x: this.floating.x,
+                y: this.floating.y,
+                mask: this.selectionMask,
+                offsetX: 0,
+                offsetY: 0
+            };
+        }
         if (!this.isMoving || !this.selectionData) {
             return null;
         }
         return {
             pixelData: this.selectionData,
             x: this.originalSelectionBounds.x1 + this.currentOffset.x,
-            y: this.originalSelectionBounds.y1 + this.currentOffset.y
+            y: this.originalSelectionBounds.y1 + this.currentOffset.y,
+            mask: this.selectionMask,
+            offsetX: this.currentOffset.x,
+            offsetY: this.currentOffset.y
         };
     }
 
+    /**
+     * Float pixels above the canvas and select them
+     * @param {Array<Array<number>>} pixels - 2D array of color indices (0 = transparent)
+     * @param {number} x - Canvas column of the first pixel column
+     * @param {number} y - Canvas row of the first pixel row
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     */
+    startFloating(pixels, x, y, width, height) {
+        this.floating = { pixelData: pixels, x, y, width, height };
+        this.selectFloating();
+    }
+
+    /**
+     * Write the floating pixels onto the layer (non-transparent pixels on the canvas only)
+     * @param {Array<Array<number>>} pixelData - Layer pixel data
+     * @returns {boolean} True if any pixel changed
+     */
+    commitFloating(pixelData) {
+        if (!this.floating) {
+            return false;
+        }
+
+        const { pixelData: pixels, x, y } = this.floating;
+        let modified = false;
+        pixels.forEach((row, j) => {
+            row.forEach((value, i) => {
+                const drawX = x + i;
+                const drawY = y + j;
+                if (value !== 0 && drawY >= 0 && drawY < pixelData.length && drawX >= 0 && drawX < pixelData[0].length
+                    && pixelData[drawY][drawX] !== value) {
+                    pixelData[drawY][drawX] = value;
+                    modified = true;
+                }
+            });
+        });
+
+        this.floating = null;
+        return modified;
+    }
+
+    /**
+     * Drop the floating pixels and their selection
+     */
+    cancelFloating() {
+        if (this.floating) {
+            this.floating = null;
+            this.clearSelection();
+        }
+    }
+
+    /**
+     * Select the floating pixels at their current position
+     * @private
+     */
+    selectFloating() {
+        const { pixelData, x, y, width, height } = this.floating;
+        this.setSelection(SelectionMask.fromPixels(width, height, pixelData, x, y));
+    }
+
     onDrawStart(x, y, pixelData, context) {
+        if (this.floating) {
+            // Floating pixels are not on the layer, so there is nothing to cut
+            this.isMoving = true;
+            this.selectionData = this.floating.pixelData;
+            this.originalSelectionBounds = { x1: this.floating.x, y1: this.floating.y };
+            this.currentOffset = { x: 0, y: 0 };
+            return false;
+        }
+
         if (!this.selectionActive || !this.selectionBounds) {
             this.logger.info?.('MoveTool: No selection active, nothing to move.');
             return false; // Nothing to do without a selection
@@ -70,19 +159,21 @@ class MoveTool extends BaseTool {
         const width = x2 - x1 + 1;
         const height = y2 - y1 + 1;
 
-        // "Cut" the selection data into the buffer
+        // "Cut" the selected pixels into the buffer (unselected ones stay transparent)
         this.selectionData = [];
         for (let j = 0; j < height; j++) {
             this.selectionData[j] = [];
             for (let i = 0; i < width; i++) {
-                this.selectionData[j][i] = pixelData[y1 + j][x1 + i];
+                this.selectionData[j][i] = this.isInSelection(x1 + i, y1 + j) ? pixelData[y1 + j][x1 + i] : 0;
             }
         }
 
-        // Clear the original area on the main canvas
+        // Clear the selected pixels on the main canvas
         for (let j = y1; j <= y2; j++) {
             for (let i = x1; i <= x2; i++) {
-                pixelData[j][i] = 0; // Assuming 0 is the transparent/empty color index
+                if (this.isInSelection(i, j)) {
+                    pixelData[j][i] = 0; // Assuming 0 is the transparent/empty color index
+                }
             }
         }
         
@@ -110,6 +201,15 @@ class MoveTool extends BaseTool {
             return false;
         }
 
+        if (this.floating) {
+            this.floating.x += this.currentOffset.x;
+            this.floating.y += this.currentOffset.y;
+            this.selectFloating();
+            eventBus.emit(eventBus.Events.SELECTION_CHANGED, { bounds: this.selectionBounds });
+            this.resetState();
+            return false; // The layer is untouched until the paste is committed
+        }
+
         const destX = this.originalSelectionBounds.x1 + this.currentOffset.x;
         const destY = this.originalSelectionBounds.y1 + this.currentOffset.y;
 
@@ -134,24 +234,18 @@ class MoveTool extends BaseTool {
             }
         }
 
-        // Update the selection bounds to the new location
-        const newSelectionBounds = {
-            x1: destX,
-            y1: destY,
-            x2: destX + width - 1,
-            y2: destY + height - 1
-        };
-        this.setSelection(newSelectionBounds);
-        
+        // Move the selection along with its pixels
+        this.setSelection(SelectionMask.translate(this.selectionMask, this.currentOffset.x, this.currentOffset.y));
+
         // Publish an event to notify other parts of the app (like SelectionOverlay)
-        eventBus.emit(eventBus.Events.SELECTION_CHANGED, { bounds: newSelectionBounds });
+        eventBus.emit(eventBus.Events.SELECTION_CHANGED, { bounds: this.selectionBounds });
         
         this.resetState();
         return true; // The main pixelData was modified
     }
 
     onDrawCancel() {
-        if (this.isMoving) {
+        if (this.isMoving && !this.floating) {
             // Restore the cut data to its original location
             const { x1, y1 } = this.originalSelectionBounds;
             const height = this.selectionData.length;
@@ -23,6 +23,7 @@ class PencilTool extends BaseTool {
         cursor: 'crosshair',
         hasSizeOption: false,
         hasShapeOption: false,
+        supportsSymmetry: true,
         description: '1px precise drawing',
         category: 'drawing'
     };
@@ -0,0 +1,103 @@
+/**
+ * PolygonLassoTool - Straight-Edged Selection
+ *
+ * Selects the area enclosed by a polygon:
+ * - Each click adds a corner; a line follows the pointer to the next one
+ * - Clicking the first corner or double-clicking closes the polygon
+ * - Escape or switching tools drops an unfinished polygon
+ * - Shift adds to, Alt subtracts from, Shift+Alt intersects with the selection
+ *   (the modifiers of the closing click count)
+ *
+ * @extends BaseTool
+ *
+ * @typedef {import('../../types.js').DrawingContext} DrawingContext
+ */
+
+import BaseTool from '../BaseTool.js';
+import SelectionMask from '../../core/SelectionMask.js';
+
+class PolygonLassoTool extends BaseTool {
+    static CONFIG = {
+        id: 'polygonLasso',
+        name: 'Polygon Lasso',
+        icon: 'polyline',
+        shortcut: 'Y',
+        cursor: 'crosshair',
+        hasSizeOption: false,
+        hasShapeOption: false,
+        description: 'Polygon selection',
+        category: 'selection'
+    };
+
+    constructor() {
+        super();
+        this.points = []; // Corners of the unfinished polygon
+        this.pointer = null; // Where the next corner would go
+    }
+
+    respectsSelection() {
+        return false;
+    }
+
+    deactivate() {
+        this.points = [];
+        super.deactivate();
+    }
+
+    onDrawStart(x, y, pixelData, context) {
+        this.pointer = { x, y };
+        return false;
+    }
+
+    onDrawContinue(x, y, pixelData, context) {
+        this.pointer = { x, y };
+        return false;
+    }
+
+    onDrawEnd(x, y, pixelData, context) {
+        const first = this.points[0];
+        const closesOnStart = this.points.length > 2 && first.x === x && first.y === y;
+        const doubleClick = context.event?.detail >= 2 && this.points.length > 0;
+
+        if (!closesOnStart && !doubleClick) {
+            const last = this.points[this.points.length - 1];
+            if (!last || last.x !== x || last.y !== y) {
+                this.points.push({ x, y });
+            }
+            this.pointer = { x, y };
+            return false;
+        }
+
+        const polygon = SelectionMask.fromPolygon(pixelData[0].length, pixelData.length, this.points);
+        this.applySelection(polygon, context);
+
+        this.points = [];
+        this.pointer = null;
+        return false; // No canvas modification
+    }
+
+    onHover(x, y) {
+        this.pointer = { x, y };
+    }
+
+    /**
+     * Clear selection, dropping an unfinished polygon as well
+     */
+    clearSelection() {
+        this.points = [];
+        super.clearSelection();
+    }
+
+    /**
+     * Get the corners so far plus the pointer (used by PixelCanvas render loop)
+     * @returns {Array<{x: number, y: number}>|null} Points, or null without a polygon
+     */
+    getLassoPath() {
+        if (this.points.length === 0) {
+            return null;
+        }
+        return this.pointer ? [...this.points, this.pointer] : this.points;
+    }
+}
+
+export default PolygonLassoTool;
@@ -22,6 +22,7 @@ class RectangleTool extends BaseTool {
         cursor: 'crosshair',
         hasSizeOption: false,
         hasShapeOption: true,
+        supportsSymmetry: true,
         description: 'Draw rectangles',
         category: 'shape'
     };
@@ -3,6 +3,7 @@
  *
  * Professional selection tool:
  * - Rectangular selection area
+ * - Shift adds to, Alt subtracts from, Shift+Alt intersects with the selection
  * - Persistent selection across tool switches
  * - Live preview during dragging
  * - Selection data export
@@ -13,6 +14,7 @@
  */
 
 import BaseTool from '../BaseTool.js';
+import SelectionMask from '../../core/SelectionMask.js';
 
 class SelectTool extends BaseTool {
     static CONFIG = {
@@ -79,13 +81,8 @@ class SelectTool extends BaseTool {
             y2: Math.max(this.startY, clampedY)
         };
 
-        // Set selection bounds (from BaseTool)
-        this.setSelection(bounds);
-
-        // Notify for overlay update
-        if (context.onSelectionChange) {
-            context.onSelectionChange(bounds);
-        }
+        // Combine with the current selection and notify for overlay update
+        this.applySelection(SelectionMask.fromRect(width, height, bounds), context);
 
         return false; // No canvas modification
     }
@@ -118,6 +115,7 @@ class SelectTool extends BaseTool {
 
     /**
      * Get selected pixels
+     * Pixels inside the bounding box but outside the selection are transparent.
      * @param {Array<Array<number>>} pixelData - Pixel data
      * @returns {Array<Array<number>>|null} Selected pixel data
      */
@@ -132,10 +130,10 @@ class SelectTool extends BaseTool {
         for (let y = y1; y <= y2; y++) {
             const row = [];
             for (let x = x1; x <= x2; x++) {
-                if (y >= 0 && y < pixelData.length && x >= 0 && x < pixelData[0].length) {
+                if (y >= 0 && y < pixelData.length && x >= 0 && x < pixelData[0].length && this.isInSelection(x, y)) {
                     row.push(pixelData[y][x]);
                 } else {
-                    row.push(0); // Transparent for out-of-bounds
+                    row.push(0); // Transparent for out-of-bounds and unselected
                 }
             }
             selected.push(row);
@@ -2,13 +2,22 @@
  * ToolSelectionMixin - Selection support for tools
  *
  * Provides selection-related functionality:
- * - Selection bounds management
+ * - Access to the selection mask and its bounds
  * - Coordinate checking within selection
- * - Selection state tracking
+ * - Combining new selections with the current one (Shift/Alt modifiers)
+ *
+ * The selection itself lives in ToolStateManager, so it stays the same
+ * across tool switches.
  *
  * @module ToolSelectionMixin
+ *
+ * @typedef {import('../../types.js').SelectionBounds} SelectionBounds
+ * @typedef {import('../../core/SelectionMask.js').SelectionMaskData} SelectionMaskData
  */
 
+import SelectionMask from '../../core/SelectionMask.js';
+import { setSelectionMask, getSelectionMask, getSelectionBounds } from '../ToolStateManager.js';
+
 /**
  * Mixin for selection support
  * @param {class} BaseClass - Base class to extend
@@ -16,12 +25,28 @@
  */
 export function withSelection(BaseClass) {
     return class extends BaseClass {
-        constructor(...args) {
-            super(...args);
+        /**
+         * Whether anything is selected
+         * @type {boolean}
+         */
+        get selectionActive() {
+            return getSelectionMask() !== null;
+        }
+
+        /**
+         * Bounding box of the selection
+         * @type {SelectionBounds|null}
+         */
+        get selectionBounds() {
+            return getSelectionBounds();
+        }
 
-            // Selection state
-            this.selectionActive = false;
-            this.selectionBounds = null;
+        /**
+         * Selected pixels
+         * @type {SelectionMaskData|null}
+         */
+        get selectionMask() {
+            return getSelectionMask();
         }
 
         /**
@@ -39,29 +64,45 @@ export function withSelection(BaseClass) {
          * @returns {boolean}
          */
         isInSelection(x, y) {
-            if (!this.selectionActive || !this.selectionBounds) {
+            const mask = getSelectionMask();
+            if (!mask) {
                 return true; // No selection = everything is valid
             }
 
-            const { x1, y1, x2, y2 } = this.selectionBounds;
-            return x >= x1 && x <= x2 && y >= y1 && y <= y2;
+            return SelectionMask.contains(mask, x, y);
         }
 
         /**
-         * Set selection bounds
-         * @param {Object} bounds - Selection bounds {x1, y1, x2, y2}
+         * Set selection
+         * @param {SelectionMaskData|SelectionBounds} selection - Mask, or a rectangle {x1, y1, x2, y2}
          */
-        setSelection(bounds) {
-            this.selectionActive = true;
-            this.selectionBounds = bounds;
+        setSelection(selection) {
+            const mask = selection.data
+                ? selection
+                : SelectionMask.fromRect(selection.x2 + 1, selection.y2 + 1, selection);
+            setSelectionMask(mask);
+        }
+
+        /**
+         * Combine a new shape with the selection and report the result
+         * Shift adds to the selection, Alt subtracts, both intersect.
+         * @param {SelectionMaskData} shape - Newly selected shape
+         * @param {Object} context - Drawing context (event and onSelectionChange)
+         */
+        applySelection(shape, context = {}) {
+            const mode = SelectionMask.getMode(context.event || {});
+            setSelectionMask(SelectionMask.combine(getSelectionMask(), shape, mode));
+
+            if (context.onSelectionChange) {
+                context.onSelectionChange(getSelectionBounds());
+            }
         }
 
         /**
          * Clear selection
          */
         clearSelection() {
-            this.selectionActive = false;
-            this.selectionBounds = null;
+            setSelectionMask(null);
         }
     };
 }
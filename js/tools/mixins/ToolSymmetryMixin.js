@@ -0,0 +1,153 @@
+/**
+ * ToolSymmetryMixin - Symmetry support for drawing tools
+ *
+ * Repeats every drawing phase for each symmetric counterpart of the pointer
+ * (see core/Symmetry.js), so tools draw their usual way and need no
+ * symmetry code of their own:
+ * - The tool draws the real stroke on the pixel data as usual
+ * - Each counterpart is drawn by the same tool on its own copy of the
+ *   stroke's starting pixels, with its own start/last/preview state
+ * - Pixels a counterpart changed are then copied onto the pixel data
+ *
+ * Because the copies start from the same pixels, preview tools (line,
+ * rectangle, ellipse) can keep restoring their preview and fill reads the
+ * colors from before the stroke.
+ *
+ * Tools opt in with `supportsSymmetry: true` in their CONFIG.
+ *
+ * @module ToolSymmetryMixin
+ *
+ * @typedef {import('../../core/Symmetry.js').PointTransform} PointTransform
+ */
+
+import { clonePixelData } from './ToolHelpers.js';
+
+/** Tool fields the drawing phases read and write */
+const DRAW_STATE_KEYS = ['startX', 'startY', 'lastX', 'lastY', 'previewData'];
+
+/**
+ * Mixin for symmetry support
+ * @param {class} BaseClass - Base class to extend
+ * @returns {class} Extended class with symmetry support
+ */
+export function withSymmetry(BaseClass) {
+    return class extends BaseClass {
+        constructor(...args) {
+            super(...args);
+
+            // Symmetry state of the current stroke
+            this.symmetryBase = null;
+            this.symmetryPasses = null;
+        }
+
+        /**
+         * Check if tool draws symmetric copies
+         * @returns {boolean}
+         */
+        supportsSymmetry() {
+            return !!this.constructor.CONFIG.supportsSymmetry;
+        }
+
+        /**
+         * Prepare the counterpart passes of a stroke
+         * Call after the tool's own start state is set.
+         * @param {Array<Array<number>>} pixelData - Pixel data at stroke start
+         * @param {Array<PointTransform>} transforms - Transforms to the counterparts
+         */
+        beginSymmetry(pixelData, transforms) {
+            this.endSymmetry();
+            if (!this.supportsSymmetry() || !transforms || transforms.length === 0) {
+                return;
+            }
+
+            this.symmetryBase = clonePixelData(pixelData);
+            this.symmetryPasses = transforms.map(transform => {
+                const start = transform(this.startX, this.startY);
+                return {
+                    transform,
+                    data: clonePixelData(pixelData),
+                    state: {
+                        startX: start.x,
+                        startY: start.y,
+                        lastX: start.x,
+                        lastY: start.y,
+                        previewData: this.previewData ? clonePixelData(pixelData) : null
+                    }
+                };
+            });
+        }
+
+        /**
+         * Run a drawing phase for the stroke and its counterparts
+         * @param {string} handler - Phase handler ('onDrawStart', 'onDrawContinue' or 'onDrawEnd')
+         * @param {number} x - X coordinate
+         * @param {number} y - Y coordinate
+         * @param {Array<Array<number>>} pixelData - Pixel data
+         * @param {Object} context - Drawing context
+         * @returns {boolean} True if the pixel data changed
+         */
+        runSymmetric(handler, x, y, pixelData, context) {
+            const modified = this[handler](x, y, pixelData, context);
+            if (!this.symmetryPasses) {
+                return modified;
+            }
+
+            const ownState = this.captureDrawState();
+            this.symmetryPasses.forEach(pass => {
+                const point = pass.transform(x, y);
+                Object.assign(this, pass.state);
+                if (handler !== 'onDrawStart') {
+                    this.lastX = point.x;
+                    this.lastY = point.y;
+                }
+                this[handler](point.x, point.y, pass.data, context);
+                pass.state = this.captureDrawState();
+            });
+            Object.assign(this, ownState);
+
+            return this.applySymmetryPasses(pixelData) || modified;
+        }
+
+        /**
+         * Drop the counterpart passes (stroke ended or cancelled)
+         */
+        endSymmetry() {
+            this.symmetryBase = null;
+            this.symmetryPasses = null;
+        }
+
+        /**
+         * Copy the tool's drawing state
+         * @private
+         * @returns {Object} State
+         */
+        captureDrawState() {
+            return Object.fromEntries(DRAW_STATE_KEYS.map(key => [key, this[key]]));
+        }
+
+        /**
+         * Copy pixels the counterparts changed onto the pixel data
+         * @private
+         * @param {Array<Array<number>>} pixelData - Pixel data
+         * @returns {boolean} True if any pixel changed
+         */
+        applySymmetryPasses(pixelData) {
+            const base = this.symmetryBase;
+            let modified = false;
+
+            this.symmetryPasses.forEach(({ data }) => {
+                for (let y = 0; y < data.length; y++) {
+                    for (let x = 0; x < data[y].length; x++) {
+                        const value = data[y][x];
+                        if (value !== base[y][x] && pixelData[y][x] !== value) {
+                            pixelData[y][x] = value;
+                            modified = true;
+                        }
+                    }
+                }
+            });
+
+            return modified;
+        }
+    };
+}
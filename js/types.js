@@ -35,10 +35,11 @@
  * @property {string} name - Tab display name
  * @property {number} width - Canvas width
  * @property {number} height - Canvas height
- * @property {string} data - Pixel data string (WxH:DATA format)
+ * @property {string} data - Project document with all layers, or legacy WxH:DATA string
  * @property {boolean} isDirty - Has unsaved changes
  * @property {number} created - Creation timestamp
  * @property {number} modified - Last modification timestamp
+ * @property {import('./core/Symmetry.js').SymmetrySettings} [symmetry] - Symmetry setting of the tab
  */
 
 /**
@@ -46,10 +47,22 @@
  * @typedef {Object} SavedFile
  * @property {string} id - Unique file identifier
  * @property {string} name - File name
- * @property {string} data - Pixel data string
+ * @property {string} data - Project document with all layers, or legacy WxH:DATA string
  * @property {number} timestamp - Save timestamp
  * @property {number} width - Canvas width
  * @property {number} height - Canvas height
+ * @property {string} [folder] - Folder name ('' or missing = no folder)
+ * @property {Array<string>} [tags] - Lowercase tags
+ */
+
+/**
+ * Earlier version of a saved file
+ * @typedef {Object} FileRevision
+ * @property {string} id - Revision identifier
+ * @property {number} timestamp - When this version was saved
+ * @property {string} data - Project document or data string
+ * @property {number} width - Canvas width
+ * @property {number} height - Canvas height
  */
 
 /**
@@ -62,6 +75,7 @@
  * @property {string} cursor - CSS cursor style
  * @property {boolean} hasSizeOption - Shows brush size UI
  * @property {boolean} hasShapeOption - Shows fill/stroke UI
+ * @property {boolean} [supportsSymmetry] - Draws symmetric copies when symmetry is on
  * @property {string} description - Tool description
  * @property {string} category - Tool category
  */
@@ -85,9 +99,14 @@
  * @property {number} [brushSize] - Brush size
  * @property {string} [shapeMode] - Shape mode
  * @property {SelectionBounds} [selection] - Active selection
+ * @property {MouseEvent} [event] - Pointer event (selection tools read its Shift/Alt keys)
+ * @property {function(SelectionBounds|null): void} [onSelectionChange] - Called when a selection tool
+ *   changed the selection
  * @property {boolean} [shiftKey] - Shift key pressed
  * @property {boolean} [ctrlKey] - Ctrl/Cmd key pressed
  * @property {boolean} [altKey] - Alt key pressed
+ * @property {Array<function(number, number): {x: number, y: number}>} [symmetry] - Transforms to
+ *   symmetric counterparts (set by ToolDrawingProxy when symmetry is on)
  */
 
 /**
@@ -175,8 +194,12 @@
  * @property {number} canvas.maxPixelSize - Maximum pixel render size
  * @property {number} canvas.defaultPixelSize - Default pixel render size
  * @property {Object} history - History settings
- * @property {number} history.maxStates - Maximum undo states
- * @property {number} history.debounceDelay - Debounce delay in ms
+ * @property {number} history.memoryBudget - Memory kept for undo entries per document (bytes)
+ * @property {number} history.thumbnailSize - History panel preview size (pixels)
+ * @property {number} history.persistLimit - Undo history autosaved per document (characters, 0 = off)
+ * @property {Object} files - Saved file settings
+ * @property {number} files.revisionLimit - Earlier versions kept per saved file (0 = off)
+ * @property {number} files.revisionMaxAgeDays - Revisions older than this are dropped (0 = keep)
  * @property {Object} autosave - Autosave settings
  * @property {number} autosave.interval - Autosave interval in ms
  * @property {number} autosave.debounce - Debounce delay in ms
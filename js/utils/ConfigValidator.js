@@ -103,11 +103,28 @@ export function validateConstantsConfig(config) {
     } else {
         const history = config.history;
 
-        if (typeof history.maxStates !== 'number' || history.maxStates < 1) {
-            errors.push('history.maxStates must be a positive number');
+        if (typeof history.memoryBudget !== 'number' || history.memoryBudget < 1) {
+            errors.push('history.memoryBudget must be a positive number of bytes');
         }
-        if (typeof history.debounceTime !== 'number' || history.debounceTime < 0) {
-            errors.push('history.debounceTime must be a non-negative number');
+        if (typeof history.thumbnailSize !== 'number' || history.thumbnailSize < 1) {
+            errors.push('history.thumbnailSize must be a positive number');
+        }
+        if (typeof history.persistLimit !== 'number' || history.persistLimit < 0) {
+            errors.push('history.persistLimit must be a non-negative number of characters (0 disables)');
+        }
+    }
+
+    // Check saved files
+    if (!config.files || typeof config.files !== 'object') {
+        errors.push('Missing or invalid files config');
+    } else {
+        const files = config.files;
+
+        if (!Number.isInteger(files.revisionLimit) || files.revisionLimit < 0) {
+            errors.push('files.revisionLimit must be a non-negative integer (0 disables revisions)');
+        }
+        if (typeof files.revisionMaxAgeDays !== 'number' || files.revisionMaxAgeDays < 0) {
+            errors.push('files.revisionMaxAgeDays must be a non-negative number of days (0 keeps all)');
         }
     }
 
@@ -10,6 +10,8 @@
  * @module FormatUtils
  */
 
+import Codec from '../core/Codec.js';
+
 /**
  * Format file size in bytes to human-readable format
  * @param {number} bytes - File size in bytes
@@ -125,24 +127,24 @@ function formatDataString(dataString, maxLength = 50) {
         return '';
     }
 
-    const parts = dataString.split(':');
-    if (parts.length < 2) {
+    const sections = Codec.splitSections(dataString);
+    if (!sections) {
         return truncate(dataString, maxLength);
     }
 
-    // Show dimensions + truncated data
-    const dimensions = parts[0];
-    const isRLE = parts.length === 3 && parts[1] === 'RLE';
-    const dataIndex = isRLE ? 2 : 1;
-    const data = parts[dataIndex];
-
-    const prefix = isRLE ? `${dimensions}:RLE:` : `${dimensions}:`;
+    // Show dimensions (+ palette/RLE markers) + truncated data
+    const data = sections.data;
+    const prefix = Codec.joinSections({ ...sections, data: '' });
     const remainingLength = maxLength - prefix.length - 3; // Reserve space for '...'
 
     if (data.length <= remainingLength) {
         return dataString;
     }
 
+    if (remainingLength <= 0) {
+        return truncate(dataString, maxLength);
+    }
+
     return `${prefix}${data.substring(0, remainingLength)}...`;
 }
 
@@ -13,6 +13,7 @@
  */
 
 import logger from '../core/Logger.js';
+import Codec from '../core/Codec.js';
 
 let constants = null;
 
@@ -94,7 +95,9 @@ function validateFileName(fileName) {
 }
 
 /**
- * Validate data string format (WxH:DATA or WxH:RLE:DATA)
+ * Validate data string format (WxH:DATA or WxH:RLE:DATA, optionally with
+ * an embedded palette section: WxH:PAL:<entries>[:RLE]:DATA and/or
+ * animation frames: WxH:ANIM:<ms,ms,...>[:RLE]:<frame>|<frame>...)
  * @param {string} dataString - Data string to validate
  * @returns {Object} {valid: boolean, error: string|null, info: Object}
  */
@@ -107,19 +110,19 @@ function validateDataString(dataString) {
         };
     }
 
-    const parts = dataString.split(':');
+    const sections = Codec.splitSections(dataString);
 
     // Must have at least dimensions and data
-    if (parts.length < 2) {
+    if (!sections) {
         return {
             valid: false,
-            error: 'Invalid format: must be "WxH:DATA" or "WxH:RLE:DATA"',
+            error: 'Invalid format: must be "WxH:DATA" or "WxH:RLE:DATA" (optionally "WxH:PAL:COLORS:...")',
             info: null
         };
     }
 
     // Parse dimensions
-    const dimensions = parts[0].split('x');
+    const dimensions = sections.dimensions.split('x');
     if (dimensions.length !== 2) {
         return {
             valid: false,
@@ -141,10 +144,35 @@ function validateDataString(dataString) {
         };
     }
 
+    // Validate embedded palette
+    let palette = null;
+    if (sections.palette !== null) {
+        palette = Codec.parsePalette(sections.palette);
+        if (!palette) {
+            return {
+                valid: false,
+                error: 'Invalid palette section: expected <char><RRGGBB> entries for indices 1-63',
+                info: null
+            };
+        }
+    }
+
+    // Validate animation durations
+    let durations = null;
+    if (sections.durations !== null) {
+        durations = Codec.parseDurations(sections.durations);
+        if (!durations) {
+            return {
+                valid: false,
+                error: 'Invalid animation section: expected comma-separated durations in ms',
+                info: null
+            };
+        }
+    }
+
     // Check if RLE compressed
-    const isRLE = parts.length === 3 && parts[1] === 'RLE';
-    const dataIndex = isRLE ? 2 : 1;
-    const data = parts[dataIndex];
+    const isRLE = sections.compressed;
+    const data = sections.data;
 
     if (!data || data.length === 0) {
         return {
@@ -154,13 +182,31 @@ function validateDataString(dataString) {
         };
     }
 
+    const frames = data.split('|');
+    if (durations && frames.length !== durations.length) {
+        return {
+            valid: false,
+            error: `Frame count mismatch: ${durations.length} durations for ${frames.length} frames`,
+            info: null
+        };
+    }
+    if (!durations && frames.length > 1) {
+        return {
+            valid: false,
+            error: 'Multiple frames require an ANIM section',
+            info: null
+        };
+    }
+
     // For non-RLE, data length must match dimensions
     if (!isRLE) {
         const expectedLength = width * height;
-        if (data.length !== expectedLength) {
+        const mismatch = frames.findIndex(frame => frame.length !== expectedLength);
+        if (mismatch !== -1) {
+            const frameLabel = frames.length > 1 ? ` in frame ${mismatch + 1}` : '';
             return {
                 valid: false,
-                error: `Data length mismatch: expected ${expectedLength}, got ${data.length}`,
+                error: `Data length mismatch${frameLabel}: expected ${expectedLength}, got ${frames[mismatch].length}`,
                 info: null
             };
         }
@@ -173,7 +219,9 @@ function validateDataString(dataString) {
             width,
             height,
             isCompressed: isRLE,
-            dataLength: data.length
+            dataLength: data.length,
+            paletteSize: palette ? Object.keys(palette).length : 0,
+            frameCount: frames.length
         }
     };
 }
@@ -207,8 +255,7 @@ function validateColorIndex(index) {
  * @returns {boolean} True if valid Base64 character
  */
 function validateBase64Char(char) {
-    const base64Chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz+/';
-    return typeof char === 'string' && char.length === 1 && base64Chars.includes(char);
+    return typeof char === 'string' && char.length === 1 && Codec.BASE64_CHARS.includes(char);
 }
 
 /**
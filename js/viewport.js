@@ -17,6 +17,7 @@
  */
 
 import ToolRegistry from './tools/ToolRegistry.js';
+import CommandRegistry from './core/CommandRegistry.js';
 import logger from './core/Logger.js';
 
 let zoom = 1.0;
@@ -40,11 +41,24 @@ function init() {
 
     createZoomControls();
     setupEventListeners();
+    registerCommands();
     updateViewport();
 
     logger.info('Viewport initialized');
 }
 
+/**
+ * Register the zoom commands
+ * @private
+ */
+function registerCommands() {
+    CommandRegistry.registerAll([
+        { id: 'view.zoomIn', label: 'Zoom In', icon: 'zoom_in', category: 'View', keybinding: ['Ctrl+=', 'Ctrl++', 'Ctrl+Shift++'], handler: zoomIn },
+        { id: 'view.zoomOut', label: 'Zoom Out', icon: 'zoom_out', category: 'View', keybinding: ['Ctrl+-', 'Ctrl+Shift+_'], handler: zoomOut },
+        { id: 'view.resetZoom', label: 'Reset View', icon: 'fit_screen', category: 'View', keybinding: 'Ctrl+0', handler: resetView }
+    ]);
+}
+
 /**
  * Create zoom control UI
  */
@@ -186,7 +200,8 @@ function handlePanEnd(e) {
 let spaceKeyPressed = false;
 
 /**
- * Handle keyboard shortcuts
+ * Track the Space key for panning
+ * Zoom shortcuts are commands (see registerCommands).
  */
 function handleKeyboard(e) {
     // Track space key for pan
@@ -198,31 +213,6 @@ function handleKeyboard(e) {
             }
         }
     }
-
-    // Ignore if typing in input
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
-        return;
-    }
-
-    // Zoom shortcuts
-    if (e.ctrlKey || e.metaKey) {
-        switch (e.key) {
-            case '+':
-            case '=':
-                e.preventDefault();
-                zoomIn();
-                break;
-            case '-':
-            case '_':
-                e.preventDefault();
-                zoomOut();
-                break;
-            case '0':
-                e.preventDefault();
-                resetView();
-                break;
-        }
-    }
 }
 
 // Track space key release
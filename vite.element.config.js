@@ -0,0 +1,35 @@
+import { defineConfig } from 'vite';
+
+const BANNER = `/**
+ * <inline-px> Custom HTML Element - standalone build
+ *
+ * GENERATED FILE - do not edit by hand.
+ * Source: js/element/InlinePxElement.js + js/core/Codec.js
+ * Rebuild with: npm run build:element
+ */`;
+
+// Builds the standalone <inline-px> element (inline-px.js) from the shared codec
+export default defineConfig({
+  publicDir: false,
+  plugins: [
+    {
+      name: 'inline-px-banner',
+      generateBundle(options, bundle) {
+        for (const chunk of Object.values(bundle)) {
+          if (chunk.type === 'chunk') chunk.code = `${BANNER}\n${chunk.code}`;
+        }
+      }
+    }
+  ],
+  build: {
+    outDir: '.',
+    emptyOutDir: false,
+    minify: false,
+    lib: {
+      entry: 'js/element/InlinePxElement.js',
+      name: 'InlinePx',
+      formats: ['iife'],
+      fileName: () => 'inline-px.js'
+    }
+  }
+});